@@ -1,16 +1,40 @@
-// app.js — location-first wizard + city autocomplete
-
-const CITY_LIST_URLS = [
-  "/scripts/cities-texas.json",
-  "/scripts/cities-california.json",
-  "/scripts/cities-georgia.json",
-  "/scripts/cities-florida.json",
-  "/scripts/cities-illinois.json",
-  "/scripts/cities-arizona.json",
-  "/scripts/cities-north-carolina.json",
-  "/scripts/cities-washington.json",
+// app.js — location-first wizard + search autocomplete (places, facilities, materials) + "use my location" nearby search
+
+// Built by scripts/build-search-index.js. The manifest names the current content-hashed index file, so the
+// index itself can be cached for good; ranked in the browser, no geocoding service involved.
+const SEARCH_MANIFEST_URL = "/data/search/manifest.json";
+const NEARBY_RESULT_LIMIT = 10;
+const NEARBY_MAX_MILES = 100;
+const SUGGEST_LIMIT = 8;
+const SUGGEST_MIN_CHARS = 2;
+const SUGGEST_KIND_ORDER = { material: 0, city: 0, alias: 1, facility: 2 };
+
+// "where can I drop off an old mattress" -> "mattress"
+const FACILITY_QUERY_FILLER = [
+  /^(?:where|how)\s+(?:can|do|should|to)\s+(?:i\s+|we\s+)?/i,
+  /^(?:drop\s+off|drop|dump|dispose\s+of|get\s+rid\s+of|recycle|take|throw\s+away|bring)\s+/i,
+  /^(?:an?|the|my|old|some|used)\s+/i,
 ];
 
+const STATE_ABBREV = {
+  texas: "TX",
+  california: "CA",
+  arizona: "AZ",
+  georgia: "GA",
+  florida: "FL",
+  illinois: "IL",
+  "north-carolina": "NC",
+  washington: "WA",
+};
+
+const TYPE_LABELS = {
+  landfill: "Landfill",
+  transfer_station: "Transfer station",
+  recycling: "Recycling",
+  hazardous_waste: "Hazardous waste",
+  drop_off: "Drop-off",
+};
+
 const yearEl = document.getElementById("year");
 
 const toggleFilters = document.getElementById("toggleFilters");
@@ -20,7 +44,13 @@ const searchBtn = document.getElementById("searchBtn");
 const ctaStart = document.getElementById("ctaStart");
 
 const whereInput = document.getElementById("whereInput");
-const cityList = document.getElementById("cityList");
+const whereListbox = document.getElementById("whereListbox");
+const whereStatus = document.getElementById("whereStatus");
+const whereLabel = document.getElementById("whereLabel");
+const searchModeButtons = Array.from(document.querySelectorAll("[data-search-mode]"));
+
+const nearMeBtn = document.getElementById("nearMeBtn");
+const nearbyResults = document.getElementById("nearbyResults");
 
 // Optional filters (exist on homepage)
 const loadSelect = document.getElementById("loadSelect");
@@ -28,9 +58,6 @@ const openNowEl = document.getElementById("openNow");
 const residentOnlyEl = document.getElementById("residentOnly");
 const mixedLoadsEl = document.getElementById("mixedLoads");
 
-// "Austin, TX" -> { state:"texas", city:"austin" }
-let CITY_LOOKUP = new Map();
-
 function titleCaseFromSlug(slug = "") {
   return slug
     .split("-")
@@ -39,55 +66,6 @@ function titleCaseFromSlug(slug = "") {
     .join(" ");
 }
 
-function buildCityLabel(entry) {
-  const cityName = titleCaseFromSlug(entry.city);
-  const state = String(entry.state || "").toLowerCase();
-  const stateAbbrev =
-    state === "california" ? "CA" :
-    state === "arizona" ? "AZ" :
-    state === "georgia" ? "GA" :
-    state === "florida" ? "FL" :
-    state === "illinois" ? "IL" :
-    state === "north-carolina" ? "NC" :
-    state === "washington" ? "WA" :
-    "TX";
-  return `${cityName}, ${stateAbbrev}`;
-}
-
-async function populateCityDatalist() {
-  if (!whereInput || !cityList) return;
-
-  try {
-    const responses = await Promise.all(
-      CITY_LIST_URLS.map((url) => fetch(url, { cache: "no-store" }))
-    );
-
-    const bad = responses.find((res) => !res.ok);
-    if (bad) throw new Error(`Could not load city list (${bad.status}).`);
-
-    const cityLists = await Promise.all(responses.map((res) => res.json()));
-    const cities = cityLists.filter(Array.isArray).flat();
-    if (!Array.isArray(cities)) throw new Error("City list JSON is not an array.");
-
-    cityList.innerHTML = "";
-    CITY_LOOKUP = new Map();
-
-    for (const entry of cities) {
-      if (!entry?.state || !entry?.city) continue;
-
-      const label = buildCityLabel(entry);
-      CITY_LOOKUP.set(label.toLowerCase(), { state: entry.state, city: entry.city });
-
-      const opt = document.createElement("option");
-      opt.value = label;
-      cityList.appendChild(opt);
-    }
-  } catch (err) {
-    console.warn("City datalist failed to load:", err);
-    // No hard failure — user can still type manually
-  }
-}
-
 function toggleFiltersPanel() {
   if (!filtersPanel || !toggleFilters) return;
 
@@ -101,9 +79,16 @@ function toggleFiltersPanel() {
   }
 }
 
-function runSearch() {
+// Carries homepage filters over to the city page (city.js reads them on load)
+function buildCityQuery() {
+  const params = new URLSearchParams();
+  if (openNowEl && openNowEl.checked) params.set("open", "now");
+  const qs = params.toString();
+  return qs ? `?${qs}` : "";
+}
+
+async function runSearch() {
   const whereRaw = (whereInput?.value || "").trim();
-  const key = whereRaw.toLowerCase();
 
   if (!whereRaw) {
     if (whereInput) whereInput.focus();
@@ -111,44 +96,812 @@ function runSearch() {
   }
 
   if (whereInput) whereInput.removeAttribute("aria-invalid");
+  closeSuggestions();
 
-  // If user picked a known city, go straight to that city page
-  if (CITY_LOOKUP.has(key)) {
-    const { state, city } = CITY_LOOKUP.get(key);
-    window.location.href = `/${state}/${city}/`;
+  if (searchMode === "facility") {
+    runFacilitySearch(whereRaw);
     return;
   }
 
-  // If they typed something not in the list, keep it simple for now.
-  // Later we can geocode this and route them correctly.
-  alert(
-    `We don't recognize that location yet.\n\n` +
-      `Please select a city from the dropdown list (e.g., Austin, TX).`
-  );
+  // Resolve city / ZIP / county / address / misspelled city against the local index
+  let index;
+  try {
+    index = await loadSearchIndex();
+  } catch (err) {
+    console.warn("Search index failed to load:", err);
+    showNearbyMessage("Search is unavailable right now. Pick a state below.");
+    return;
+  }
+
+  const match = resolveSearch(index, whereRaw);
+  if (match.kind === "city") {
+    window.location.href = `/${match.city.state}/${match.city.city}/${buildCityQuery()}`;
+    return;
+  }
+  if (match.kind === "point") {
+    renderNearbyResults(rankNearby(index, match.lat, match.lng), { near: match.label });
+    return;
+  }
+
+  if (whereInput) whereInput.setAttribute("aria-invalid", "true");
+  renderSuggestions(whereRaw, match.suggestions, match.note);
 }
 
 function focusWhere() {
   if (whereInput) whereInput.focus();
 }
 
+/** =========================
+ * Search index + near me (browser geolocation -> nearest facilities)
+ * ========================= */
+
+let searchIndexPromise = null;
+
+async function fetchJson(url, options) {
+  const res = await fetch(url, options);
+  if (!res.ok) throw new Error(`Could not load ${url} (${res.status}).`);
+  return res.json();
+}
+
+// Rows in the index are arrays; turn them back into objects using the field lists.
+function loadSearchIndex() {
+  if (!searchIndexPromise) {
+    searchIndexPromise = fetchJson(SEARCH_MANIFEST_URL, { cache: "no-cache" })
+      .then((manifest) => {
+        if (!manifest?.file) throw new Error("Search manifest has no index file.");
+        return fetchJson(manifest.file);
+      })
+      .then((json) => {
+        const toObjects = (fields, rows) =>
+          (Array.isArray(rows) ? rows : []).map((row) =>
+            Object.fromEntries(fields.map((field, i) => [field, row[i]]))
+          );
+        const materialNames = Array.isArray(json.material_names) ? json.material_names : [];
+        const facilities = toObjects(json.facility_fields || [], json.facilities).map((f) => ({
+          ...f,
+          operator: f.operator || "",
+          address: f.address || "",
+          materials: (Array.isArray(f.materials) ? f.materials : []).map((i) => materialNames[i]).filter(Boolean),
+        }));
+        return {
+          facilities,
+          materialNames,
+          cities: toObjects(json.city_fields || [], json.cities),
+          aliases: toObjects(json.alias_fields || [], json.aliases),
+          zips: toObjects(json.zip_fields || [], json.zips),
+          counties: toObjects(json.county_fields || [], json.counties),
+        };
+      })
+      .catch((err) => {
+        searchIndexPromise = null; // allow a retry
+        throw err;
+      });
+  }
+  return searchIndexPromise;
+}
+
+function distanceMiles(lat1, lng1, lat2, lng2) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const R = 3958.8;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function rankNearby(index, lat, lng) {
+  const facilities = index.facilities
+    .map((f) => ({ ...f, miles: distanceMiles(lat, lng, f.lat, f.lng) }))
+    .filter((f) => f.miles <= NEARBY_MAX_MILES)
+    .sort((a, b) => a.miles - b.miles)
+    .slice(0, NEARBY_RESULT_LIMIT);
+
+  let nearestCity = null;
+  for (const c of index.cities) {
+    const miles = distanceMiles(lat, lng, c.lat, c.lng);
+    if (!nearestCity || miles < nearestCity.miles) nearestCity = { ...c, miles };
+  }
+
+  return { facilities, nearestCity };
+}
+
+function formatMiles(miles) {
+  return miles < 10 ? `${miles.toFixed(1)} mi` : `${Math.round(miles)} mi`;
+}
+
+function showNearbyMessage(text) {
+  if (!nearbyResults) return;
+  nearbyResults.hidden = false;
+  nearbyResults.replaceChildren();
+  const p = document.createElement("p");
+  p.className = "muted small";
+  p.textContent = text;
+  nearbyResults.appendChild(p);
+}
+
+function cityGuideLink(city) {
+  const a = document.createElement("a");
+  a.className = "btn btn--ghost";
+  a.href = `/${city.state}/${city.city}/${buildCityQuery()}`;
+  a.textContent = `${cityLabel(city)} city guide`;
+  return a;
+}
+
+// near: what the results are ranked from ("ZIP 77022"); omitted for the visitor's own location
+function renderNearbyResults({ facilities, nearestCity }, { near = "" } = {}) {
+  if (!nearbyResults) return;
+  nearbyResults.hidden = false;
+  nearbyResults.replaceChildren();
+
+  const head = document.createElement("div");
+  head.className = "nearby__head";
+  const title = document.createElement("h3");
+  title.className = "nearby__title";
+  title.textContent = facilities.length
+    ? `Closest drop-off options${near ? ` to ${near}` : ""}`
+    : `No listed drop-off options near ${near || "you"}`;
+  head.appendChild(title);
+  if (nearestCity) head.appendChild(cityGuideLink(nearestCity));
+  nearbyResults.appendChild(head);
+
+  if (!facilities.length) {
+    const p = document.createElement("p");
+    p.className = "muted small";
+    p.textContent = `Nothing within ${NEARBY_MAX_MILES} miles yet. Try the nearest city guide or pick a state below.`;
+    nearbyResults.appendChild(p);
+    return;
+  }
+
+  const list = document.createElement("ol");
+  list.className = "nearby__list";
+  for (const f of facilities) {
+    const li = document.createElement("li");
+    li.className = "nearby__item";
+
+    const link = document.createElement("a");
+    link.className = "nearby__name";
+    link.href = `/facility/${f.id}/`;
+    link.textContent = f.name || "Facility";
+
+    const meta = document.createElement("span");
+    meta.className = "nearby__meta muted small";
+    meta.textContent = [formatMiles(f.miles), TYPE_LABELS[f.type] || titleCaseFromSlug(f.type || "other")]
+      .filter(Boolean)
+      .join(" · ");
+
+    li.append(link, meta);
+
+    if (f.hours) {
+      const hours = document.createElement("span");
+      hours.className = "nearby__hours muted small";
+      hours.textContent = `Hours: ${f.hours}`;
+      li.appendChild(hours);
+    }
+
+    list.appendChild(li);
+  }
+  nearbyResults.appendChild(list);
+  nearbyResults.focus();
+}
+
+/** =========================
+ * Search resolution (ZIP, county, address, typo-tolerant city)
+ * ========================= */
+
+const STATE_BY_WORD = new Map(
+  Object.entries(STATE_ABBREV).flatMap(([slug, abbr]) => [
+    [abbr.toLowerCase(), slug],
+    [slug.replace(/-/g, " "), slug],
+  ])
+);
+
+function normalizeName(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/\bst\.?\s/g, "saint ")
+    .replace(/\bft\.?\s/g, "fort ")
+    .replace(/\bmt\.?\s/g, "mount ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Optimal string alignment distance, stopping early once it exceeds max
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) v = Math.min(v, prev2[j - 2] + 1);
+      row.push(v);
+      rowMin = Math.min(rowMin, v);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function typoAllowance(text) {
+  return text.length <= 4 ? 0 : text.length <= 7 ? 1 : 2;
+}
+
+// "123 Main St, Waco, TX 76705" -> { place: "waco", state: "texas", zip: "76705", hasStreet: true }
+function parseSearch(raw) {
+  let text = String(raw || "").trim();
+  const zipMatch = text.match(/(?:^|[\s,])(\d{5})(?:-\d{4})?\s*$/); // trailing, so a house number isn't a ZIP
+  const zip = zipMatch ? zipMatch[1] : "";
+  if (zipMatch) text = text.slice(0, zipMatch.index);
+
+  const parts = text.split(",").map((p) => normalizeName(p)).filter(Boolean);
+  let state = "";
+  const last = parts[parts.length - 1] || "";
+  if (STATE_BY_WORD.has(last)) {
+    state = STATE_BY_WORD.get(last);
+    parts.pop();
+  } else {
+    const tail = last.match(/^(.*?)\s+(tx|ca|az|ga|fl|il|nc|wa|texas|california|arizona|georgia|florida|illinois|north carolina|washington)$/);
+    if (tail) {
+      state = STATE_BY_WORD.get(tail[2]);
+      parts[parts.length - 1] = tail[1];
+    }
+  }
+
+  const hasStreet = parts.length > 1 && /^\d+\s+\S/.test(parts[0]);
+  const place = (hasStreet ? parts[parts.length - 1] : parts.join(" ")).trim();
+  return { place, state, zip, hasStreet };
+}
+
+function cityLabel(city) {
+  return `${city.name}, ${STATE_ABBREV[city.state] || ""}`;
+}
+
+// Closest city names to text: [{ city, distance }] best first
+function rankCityNames(index, text, state) {
+  const query = normalizeName(text);
+  if (!query) return [];
+  return index.cities
+    .filter((c) => !state || c.state === state)
+    .map((c) => {
+      const name = normalizeName(c.name);
+      const prefix = name.startsWith(query) || query.startsWith(name);
+      const distance = Math.min(editDistance(query, name, 6), prefix ? 0.5 : 99);
+      return { city: c, distance: name === query ? 0 : distance };
+    })
+    .filter((r) => r.distance <= 6)
+    .sort((a, b) => a.distance - b.distance || a.city.name.localeCompare(b.city.name));
+}
+
+// Returns { kind: "city", city } | { kind: "point", lat, lng, label } | { kind: "none", suggestions, note }
+function resolveSearch(index, raw) {
+  const q = parseSearch(raw);
+
+  if (q.zip) {
+    const zip = index.zips.find((z) => z.zip === q.zip);
+    if (zip) return { kind: "point", lat: zip.lat, lng: zip.lng, label: `ZIP ${q.zip}` };
+  }
+
+  const countyText = q.place.replace(/\s+(county|parish|co)$/, "");
+  const countyNamed = countyText !== q.place;
+  const counties = index.counties.filter(
+    (c) => normalizeName(c.name) === countyText && (!q.state || c.state === q.state)
+  );
+
+  const exact = index.cities.filter((c) => normalizeName(c.name) === q.place && (!q.state || c.state === q.state));
+  if (exact.length && !countyNamed) return { kind: "city", city: exact[0] };
+
+  const alias = index.aliases.find((a) => normalizeName(a.name) === q.place && (!q.state || a.state === q.state));
+  const aliasCity = alias && index.cities.find((c) => c.state === alias.state && c.city === alias.city);
+  if (aliasCity && !countyNamed) return { kind: "city", city: aliasCity };
+
+  if (counties.length) {
+    const c = counties[0];
+    return { kind: "point", lat: c.lat, lng: c.lng, label: `${c.name} County, ${STATE_ABBREV[c.state] || ""}` };
+  }
+
+  const ranked = rankCityNames(index, countyText, q.state);
+  const best = ranked[0];
+  const allowance = typoAllowance(countyText);
+  if (best && best.distance <= allowance && (ranked.length < 2 || ranked[1].distance > best.distance)) {
+    return { kind: "city", city: best.city };
+  }
+
+  const note = q.zip
+    ? `We don't have ZIP ${q.zip} in our index yet.`
+    : `We couldn't match "${raw}" to a city, county or ZIP we cover.`;
+  const looseMatch = Math.max(2, Math.ceil(countyText.length / 2)); // beyond this a "suggestion" is noise
+  const suggestions = ranked.filter((r) => r.distance <= looseMatch).slice(0, 5).map((r) => r.city);
+  return { kind: "none", suggestions, note };
+}
+
+function renderSuggestions(raw, suggestions, note) {
+  if (!nearbyResults) return;
+  showNearbyMessage(note);
+  if (!suggestions.length) {
+    const p = document.createElement("p");
+    p.className = "muted small";
+    p.textContent = "Try a ZIP code, a county, or pick a state below.";
+    nearbyResults.appendChild(p);
+    return;
+  }
+
+  const p = document.createElement("p");
+  p.className = "nearby__title";
+  p.textContent = "Did you mean:";
+  const list = document.createElement("ul");
+  list.className = "nearby__suggestions";
+  for (const city of suggestions) {
+    const li = document.createElement("li");
+    const a = document.createElement("a");
+    a.className = "cityhub__pill";
+    a.href = `/${city.state}/${city.city}/${buildCityQuery()}`;
+    a.textContent = cityLabel(city);
+    li.appendChild(a);
+    list.appendChild(li);
+  }
+  nearbyResults.append(p, list);
+  nearbyResults.focus();
+}
+
+/** =========================
+ * Autocomplete (ARIA 1.2 combobox: cities, city aliases, facility names, ZIPs)
+ * ========================= */
+
+let suggestOptions = [];
+let suggestActive = -1;
+
+// 0 = name starts with the query, 1 = a later word does, 2 = it appears anywhere; -1 = no match
+function matchRank(name, query) {
+  const n = normalizeName(name);
+  if (n.startsWith(query)) return 0;
+  if (n.includes(` ${query}`)) return 1;
+  return n.includes(query) ? 2 : -1;
+}
+
+// [{ kind: "city" | "alias" | "facility" | "zip", label, meta, ... }] best first
+function buildSuggestions(index, raw) {
+  const text = String(raw || "").trim();
+  let found;
+  if (searchMode === "facility") {
+    found = collectFacilitySuggestions(index, text);
+  } else if (/^\d{3,5}$/.test(text)) {
+    return index.zips
+      .filter((z) => z.zip.startsWith(text))
+      .slice(0, SUGGEST_LIMIT)
+      .map((z) => ({ kind: "zip", zip: z.zip, label: z.zip, meta: "ZIP code · closest options" }));
+  } else {
+    // "lake wa" is more likely a half-typed name than Lake, WA: retry without the state when that finds nothing
+    const q = parseSearch(text);
+    found = collectSuggestions(index, q.place, q.state);
+    if (!found.length && q.state) found = collectSuggestions(index, normalizeName(text.split(",")[0]), "");
+  }
+
+  const seen = new Set();
+  return found
+    .sort((a, b) => a.rank - b.rank || SUGGEST_KIND_ORDER[a.kind] - SUGGEST_KIND_ORDER[b.kind] || a.label.localeCompare(b.label))
+    .filter((opt) => {
+      const key = `${opt.label.toLowerCase()}|${opt.meta}`; // same-named permits at one site
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, SUGGEST_LIMIT);
+}
+
+// Facility mode: material categories and facility names for the "what" part of "mattress in Austin"
+function collectFacilitySuggestions(index, text) {
+  const { what, where } = splitFacilityQuery(index, text);
+  const query = normalizeName(what);
+  if (query.length < SUGGEST_MIN_CHARS) return [];
+
+  const named = materialsInQuery(index, what, { partial: true });
+  const found = [];
+  for (const m of index.materialNames) {
+    const rank = named.includes(m) ? 0 : matchRank(m, query);
+    if (rank < 0) continue;
+    const count = index.facilities.filter((f) => f.materials.includes(m)).length;
+    if (!count) continue;
+    const value = where ? `${m} in ${where}` : m;
+    found.push({ kind: "material", value, label: m, meta: `Material · ${count} listed`, rank });
+  }
+  return found.concat(collectSuggestions(index, query, "").filter((opt) => opt.kind === "facility"));
+}
+
+function collectSuggestions(index, query, state) {
+  if (query.length < SUGGEST_MIN_CHARS) return [];
+  const inState = (row) => !state || row.state === state;
+  const cityBySlug = new Map(index.cities.map((c) => [`${c.state}/${c.city}`, c]));
+  const found = [];
+
+  for (const c of index.cities.filter(inState)) {
+    const rank = matchRank(c.name, query);
+    if (rank >= 0) found.push({ kind: "city", city: c, label: cityLabel(c), meta: "City guide", rank });
+  }
+  for (const a of index.aliases.filter(inState)) {
+    const target = cityBySlug.get(`${a.state}/${a.city}`);
+    const rank = target ? matchRank(a.name, query) : -1;
+    if (rank >= 0) found.push({ kind: "alias", city: target, label: a.name, meta: `See ${cityLabel(target)}`, rank });
+  }
+  for (const f of index.facilities.filter(inState)) {
+    const rank = matchRank(f.name, query);
+    if (rank < 0) continue;
+    const home = cityBySlug.get(`${f.state}/${f.city}`);
+    const meta = [TYPE_LABELS[f.type] || titleCaseFromSlug(f.type || "other"), home ? cityLabel(home) : ""]
+      .filter(Boolean)
+      .join(" · ");
+    found.push({ kind: "facility", facility: f, label: f.name || "Facility", meta, rank });
+  }
+  return found;
+}
+
+// Label with the typed text wrapped in <mark>; built from text nodes, so names are never parsed as HTML
+function highlightMatch(label, raw) {
+  const frag = document.createDocumentFragment();
+  const needle = String(raw || "").split(",")[0].trim().toLowerCase();
+  const at = needle ? label.toLowerCase().indexOf(needle) : -1;
+  if (at < 0) {
+    frag.appendChild(document.createTextNode(label));
+    return frag;
+  }
+  const mark = document.createElement("mark");
+  mark.textContent = label.slice(at, at + needle.length);
+  frag.append(document.createTextNode(label.slice(0, at)), mark, document.createTextNode(label.slice(at + needle.length)));
+  return frag;
+}
+
+function setActiveSuggestion(i) {
+  if (!whereListbox || !whereInput) return;
+  suggestActive = i;
+  Array.from(whereListbox.children).forEach((li, n) => li.setAttribute("aria-selected", n === i ? "true" : "false"));
+  const li = whereListbox.children[i];
+  if (li) {
+    whereInput.setAttribute("aria-activedescendant", li.id);
+    li.scrollIntoView({ block: "nearest" });
+  } else {
+    whereInput.removeAttribute("aria-activedescendant");
+  }
+}
+
+function closeSuggestions() {
+  if (!whereListbox || !whereInput) return;
+  suggestOptions = [];
+  suggestActive = -1;
+  whereListbox.hidden = true;
+  whereListbox.replaceChildren();
+  whereInput.setAttribute("aria-expanded", "false");
+  whereInput.removeAttribute("aria-activedescendant");
+}
+
+function renderAutocomplete(options, raw) {
+  if (!whereListbox || !whereInput) return;
+  suggestOptions = options;
+  suggestActive = -1;
+  whereListbox.replaceChildren();
+  whereInput.removeAttribute("aria-activedescendant");
+
+  options.forEach((opt, i) => {
+    const li = document.createElement("li");
+    li.id = `whereOption-${i}`;
+    li.className = "autocomplete__option";
+    li.setAttribute("role", "option");
+    li.setAttribute("aria-selected", "false");
+
+    const label = document.createElement("span");
+    label.className = "autocomplete__label";
+    label.appendChild(highlightMatch(opt.label, raw));
+    const meta = document.createElement("span");
+    meta.className = "autocomplete__meta muted small";
+    meta.textContent = opt.meta;
+    li.append(label, meta);
+
+    li.addEventListener("mousedown", (e) => e.preventDefault()); // keep focus in the input
+    li.addEventListener("click", () => chooseSuggestion(opt));
+    whereListbox.appendChild(li);
+  });
+
+  const open = options.length > 0;
+  whereListbox.hidden = !open;
+  whereInput.setAttribute("aria-expanded", open ? "true" : "false");
+  if (whereStatus) {
+    whereStatus.textContent = open
+      ? `${options.length} suggestion${options.length === 1 ? "" : "s"}. Use the up and down arrows to choose.`
+      : "";
+  }
+}
+
+async function updateSuggestions() {
+  if (!whereInput) return;
+  const raw = whereInput.value;
+  let index;
+  try {
+    index = await loadSearchIndex();
+  } catch (err) {
+    console.warn("Search index failed to load:", err);
+    return; // the Search button still reports it
+  }
+  if (whereInput.value !== raw) return; // typed on while the index loaded
+  renderAutocomplete(buildSuggestions(index, raw), raw);
+}
+
+function chooseSuggestion(opt) {
+  if (!whereInput) return;
+  whereInput.value = opt.value || opt.label;
+  closeSuggestions();
+
+  if (opt.kind === "city" || opt.kind === "alias") {
+    window.location.href = `/${opt.city.state}/${opt.city.city}/${buildCityQuery()}`;
+  } else if (opt.kind === "facility") {
+    window.location.href = `/facility/${opt.facility.id}/`;
+  } else {
+    runSearch(); // ZIP or material: results in the page
+  }
+}
+
+function onWhereKeydown(e) {
+  const open = suggestOptions.length > 0 && whereListbox && !whereListbox.hidden;
+  const count = suggestOptions.length;
+
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    if (!open) {
+      updateSuggestions();
+      return;
+    }
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    const start = suggestActive < 0 ? (step > 0 ? -1 : count) : suggestActive;
+    setActiveSuggestion((start + step + count) % count);
+  } else if (e.key === "Enter") {
+    e.preventDefault();
+    if (open && suggestActive >= 0) chooseSuggestion(suggestOptions[suggestActive]);
+    else runSearch();
+  } else if (e.key === "Escape") {
+    if (open) {
+      e.preventDefault();
+      closeSuggestions();
+    } else if (whereInput.value) {
+      e.preventDefault();
+      whereInput.value = "";
+    }
+  } else if (e.key === "Tab") {
+    closeSuggestions();
+  }
+}
+
+/** =========================
+ * Facility and material search ("McCarty Road Landfill", "mattress in Austin")
+ * ========================= */
+
+let searchMode = "place";
+
+// Place search (cities, ZIPs, counties) or facility search (names, operators, addresses, materials)
+function setSearchMode(mode) {
+  searchMode = mode === "facility" ? "facility" : "place";
+  for (const btn of searchModeButtons) {
+    const on = btn.dataset.searchMode === searchMode;
+    btn.setAttribute("aria-pressed", on ? "true" : "false");
+    if (!on) continue;
+    if (whereLabel && btn.dataset.label) whereLabel.textContent = btn.dataset.label;
+    if (whereInput && btn.dataset.placeholder) whereInput.placeholder = btn.dataset.placeholder;
+  }
+  closeSuggestions();
+  if (whereInput) {
+    whereInput.removeAttribute("aria-invalid");
+    whereInput.focus();
+  }
+}
+
+function stripQueryFiller(text) {
+  let out = String(text || "").trim();
+  for (const pattern of FACILITY_QUERY_FILLER) out = out.replace(pattern, "");
+  return out.trim();
+}
+
+// A ZIP, county or city typed exactly; typo guesses don't count, so "tires" never turns into a place.
+function exactPlace(index, text) {
+  const match = resolveSearch(index, text);
+  if (match.kind === "point") return match;
+  if (match.kind === "city" && normalizeName(match.city.name) === parseSearch(text).place) return match;
+  return null;
+}
+
+// "mattress in Austin", "tires 77022", "mattress austin tx" -> { what: "mattress", where: "Austin" }
+function splitFacilityQuery(index, raw) {
+  const text = String(raw || "").trim();
+  const m = text.match(/^(.*\S)\s+(?:in|near|around)\s+(\S.*)$/i);
+  if (m) return { what: stripQueryFiller(m[1]), where: m[2].trim() };
+
+  const words = text.split(/\s+/);
+  for (let n = Math.min(4, words.length - 1); n >= 1; n -= 1) {
+    const where = words.slice(-n).join(" ");
+    if (exactPlace(index, where)) return { what: stripQueryFiller(words.slice(0, -n).join(" ")), where };
+  }
+  return { what: stripQueryFiller(text), where: "" };
+}
+
+// Material categories in the "what" part: a category typed by name, else the materials.js word rules
+// (partial while the visitor is still typing)
+function materialsInQuery(index, what, { partial = false } = {}) {
+  const q = normalizeName(what);
+  const exact = index.materialNames.find((m) => normalizeName(m) === q);
+  if (exact) return [exact];
+  return window.Materials ? window.Materials.materialsInText(what, { partial }) : [];
+}
+
+// The city a city page is about (or a facility page's city); facility results are ranked around it
+function pageCity(index) {
+  const parts = String(window.location.pathname || "").split("/").filter(Boolean);
+  let state = parts[0];
+  let city = parts[1];
+  if (parts[0] === "facility") {
+    const f = index.facilities.find((x) => x.id === parts[1]);
+    state = f?.state;
+    city = f?.city;
+  } else if (parts.length !== 2) {
+    return null;
+  }
+  return index.cities.find((c) => c.state === state && c.city === city) || null;
+}
+
+// Facilities whose name, operator or address contain the "what" words, or that take the materials it names.
+// Best matches first, then nearest to the "where" part (only within NEARBY_MAX_MILES) or to the page's city.
+function searchFacilities(index, raw, home) {
+  const { what, where } = splitFacilityQuery(index, raw);
+
+  let near = null;
+  if (where) {
+    const match = resolveSearch(index, where);
+    if (match.kind === "city") near = { lat: match.city.lat, lng: match.city.lng, label: cityLabel(match.city), strict: true };
+    else if (match.kind === "point") near = { lat: match.lat, lng: match.lng, label: match.label, strict: true };
+    else return { note: `We couldn't match "${where}" to a city, county or ZIP we cover.` };
+  } else if (home) {
+    near = { lat: home.lat, lng: home.lng, label: cityLabel(home), strict: false };
+  }
+
+  const phrase = normalizeName(what);
+  const terms = phrase.split(" ").filter((t) => t.length > 1);
+  const materials = materialsInQuery(index, what);
+  if (!terms.length && !materials.length) {
+    return { note: "Type a facility name, operator, street or material, e.g. tires or mattress in Austin." };
+  }
+
+  const rows = [];
+  for (const f of index.facilities) {
+    const name = normalizeName(f.name);
+    const other = `${normalizeName(f.address)} ${normalizeName(f.operator)} ${f.operator.replace(/[^a-z0-9]/gi, "").toLowerCase()}`;
+    let score = 0;
+    if (phrase && name.includes(phrase)) score = 4;
+    else if (terms.length && terms.every((t) => name.includes(t))) score = 3;
+    else if (terms.length && terms.every((t) => name.includes(t) || other.includes(t))) score = 2;
+
+    const matched = materials.filter((m) => f.materials.includes(m));
+    if (matched.length) score += 1 + matched.length / materials.length;
+    if (!score) continue;
+
+    const miles = near ? distanceMiles(near.lat, near.lng, f.lat, f.lng) : null;
+    if (near?.strict && miles > NEARBY_MAX_MILES) continue;
+    rows.push({ ...f, score, miles, matched });
+  }
+
+  rows.sort((a, b) => b.score - a.score || (a.miles ?? 0) - (b.miles ?? 0) || a.name.localeCompare(b.name));
+  return { facilities: rows.slice(0, NEARBY_RESULT_LIMIT), total: rows.length, what, materials, near };
+}
+
+function renderFacilityResults({ facilities, total, what, materials, near, note }) {
+  if (!nearbyResults) return;
+  if (note) {
+    showNearbyMessage(note);
+    return;
+  }
+  nearbyResults.hidden = false;
+  nearbyResults.replaceChildren();
+
+  const title = document.createElement("h3");
+  title.className = "nearby__title";
+  const nearText = near ? ` near ${near.label}` : "";
+  title.textContent = facilities.length
+    ? `${total} ${total === 1 ? "facility" : "facilities"} for "${what}"${nearText}`
+    : `No facilities match "${what}"${near?.strict ? nearText : ""}`;
+  nearbyResults.appendChild(title);
+
+  if (!facilities.length) {
+    const p = document.createElement("p");
+    p.className = "muted small";
+    p.textContent = materials.length
+      ? "Accepted materials are only listed for some facilities so far. Check the city guide for the rest."
+      : "Try part of the name, the operator, a street, or a material such as tires or mattresses.";
+    nearbyResults.appendChild(p);
+    return;
+  }
+
+  const list = document.createElement("ol");
+  list.className = "nearby__list";
+  for (const f of facilities) {
+    const li = document.createElement("li");
+    li.className = "nearby__item";
+
+    const link = document.createElement("a");
+    link.className = "nearby__name";
+    link.href = `/facility/${f.id}/`;
+    link.textContent = f.name || "Facility";
+
+    const meta = document.createElement("span");
+    meta.className = "nearby__meta muted small";
+    meta.textContent = [
+      f.miles !== null ? formatMiles(f.miles) : "",
+      TYPE_LABELS[f.type] || titleCaseFromSlug(f.type || "other"),
+      f.city ? `${titleCaseFromSlug(f.city)}, ${STATE_ABBREV[f.state] || ""}` : "",
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+    li.append(link, meta);
+
+    if (f.matched.length) {
+      const takes = document.createElement("span");
+      takes.className = "nearby__hours muted small";
+      takes.textContent = `Takes: ${f.matched.join(", ")}`;
+      li.appendChild(takes);
+    } else if (f.address) {
+      const address = document.createElement("span");
+      address.className = "nearby__hours muted small";
+      address.textContent = f.address;
+      li.appendChild(address);
+    }
+
+    list.appendChild(li);
+  }
+  nearbyResults.appendChild(list);
+
+  if (total > facilities.length) {
+    const more = document.createElement("p");
+    more.className = "muted small";
+    more.textContent = `Showing the best ${facilities.length}. Add a city or ZIP ("${what} in Austin") to narrow it down.`;
+    nearbyResults.appendChild(more);
+  }
+  nearbyResults.focus();
+}
+
+async function runFacilitySearch(raw) {
+  let index;
+  try {
+    index = await loadSearchIndex();
+  } catch (err) {
+    console.warn("Search index failed to load:", err);
+    showNearbyMessage("Search is unavailable right now. Pick a state below.");
+    return;
+  }
+  renderFacilityResults(searchFacilities(index, raw, pageCity(index)));
+}
+
 function useMyLocation() {
   if (!navigator.geolocation) {
-    alert("Geolocation not supported in this browser.");
+    showNearbyMessage("Location isn't available in this browser. Type a city instead.");
     return;
   }
 
-  navigator.geolocation.getCurrentPosition(
-    async () => {
-      // Placeholder for reverse geocode (Nominatim).
-      // For now, we just tell the user it worked.
-      alert(
-        "Got your location. Next step: reverse-geocode to a city/state and auto-fill this box."
-      );
+  showNearbyMessage("Finding drop-off options near you…");
+  const indexPromise = loadSearchIndex(); // fetch while the browser asks for permission
 
-      // Optional: you can temporarily set a default to prove flow:
-      // whereInput.value = "Austin, TX";
+  navigator.geolocation.getCurrentPosition(
+    async (pos) => {
+      try {
+        const index = await indexPromise;
+        renderNearbyResults(rankNearby(index, pos.coords.latitude, pos.coords.longitude));
+      } catch (err) {
+        console.warn("Nearby search failed:", err);
+        showNearbyMessage("Couldn't load nearby locations. Type a city instead.");
+      }
     },
-    () => alert("Couldn’t access location. You can type a city/state instead.")
+    () => showNearbyMessage("Couldn't access your location. You can type a city instead."),
+    { enableHighAccuracy: false, timeout: 10000, maximumAge: 300000 }
   );
 }
 
@@ -474,20 +1227,19 @@ function wireStateRail() {
 if (toggleFilters) toggleFilters.addEventListener("click", toggleFiltersPanel);
 if (searchBtn) searchBtn.addEventListener("click", runSearch);
 if (ctaStart) ctaStart.addEventListener("click", focusWhere);
+if (nearMeBtn) nearMeBtn.addEventListener("click", useMyLocation);
+searchModeButtons.forEach((btn) => btn.addEventListener("click", () => setSearchMode(btn.dataset.searchMode)));
 
-// Enter key triggers search
+// Autocomplete; Enter searches when no suggestion is highlighted
 if (whereInput) {
-  whereInput.addEventListener("keydown", (e) => {
-    if (e.key === "Enter") {
-      e.preventDefault();
-      runSearch();
-    }
-  });
+  whereInput.addEventListener("keydown", onWhereKeydown);
+  whereInput.addEventListener("input", updateSuggestions);
+  whereInput.addEventListener("focus", () => loadSearchIndex().catch(() => {}), { once: true }); // warm the cache
+  whereInput.addEventListener("blur", closeSuggestions);
 }
 
 // Init
 document.addEventListener("DOMContentLoaded", () => {
-  populateCityDatalist();
   wireHomepageCards();
   wireStateRail();
   if (yearEl) yearEl.textContent = new Date().getFullYear();
@@ -9,6 +9,9 @@
 //    - Materials (collapsed)
 //    - Features (collapsed)
 // - Inline "Details" expander per card
+// - "Compare" toggle per card (compare.js keeps the picks and opens /compare/)
+// - "Can I dump this?" wizard: one item, residency and vehicle -> who takes it and who won't
+// - Trip planner: fewest stops for a mixed load (?trip=tires,paint reopens a shared plan)
 //
 // Facility pages exist when a facility_id is available.
 
@@ -290,22 +293,30 @@ function normalizeNeighborRows(rows) {
     .sort((a, b) => a.distanceMi - b.distanceMi);
 }
 
-let facilitiesIndexPayloadPromise = null;
-async function fetchFacilitiesIndexPayload(quiet = true) {
-  if (!facilitiesIndexPayloadPromise) {
-    facilitiesIndexPayloadPromise = (async () => {
+// Facility rows of the homepage search index (scripts/build-search-index.js): the manifest names the hashed
+// index file, which is cached for good, so this is one small revalidation once the index has been seen.
+let searchIndexFacilitiesPromise = null;
+async function fetchSearchIndexFacilities(quiet = true) {
+  if (!searchIndexFacilitiesPromise) {
+    searchIndexFacilitiesPromise = (async () => {
       try {
-        const res = await fetch("/data/facilities/index.json", { cache: "no-store" });
-        if (!res.ok) throw new Error(`Failed to load /data/facilities/index.json (${res.status})`);
+        const manifestRes = await fetch("/data/search/manifest.json", { cache: "no-cache" });
+        if (!manifestRes.ok) throw new Error(`Failed to load /data/search/manifest.json (${manifestRes.status})`);
+        const manifest = await manifestRes.json();
+        const res = await fetch(manifest.file);
+        if (!res.ok) throw new Error(`Failed to load ${manifest.file} (${res.status})`);
         const json = await res.json();
-        return Array.isArray(json) ? json : [];
+        const fields = Array.isArray(json?.facility_fields) ? json.facility_fields : [];
+        return (Array.isArray(json?.facilities) ? json.facilities : []).map((row) =>
+          Object.fromEntries(fields.map((field, i) => [field, row[i]]))
+        );
       } catch (err) {
         if (!quiet) console.error(err);
         return [];
       }
     })();
   }
-  return facilitiesIndexPayloadPromise;
+  return searchIndexFacilitiesPromise;
 }
 
 function distanceMiles(lat1, lng1, lat2, lng2) {
@@ -337,7 +348,7 @@ function cityCenterFromItems(items) {
   return { lat: latSum / count, lng: lngSum / count };
 }
 
-function buildNeighborRowsFromFacilitiesIndex(facilitiesIndex, state, city, cityItems, { maxRadiusMi = 50, maxNeighborCities = 20 } = {}) {
+function buildNeighborRowsFromSearchIndex(facilities, state, city, cityItems, { maxRadiusMi = 50, maxNeighborCities = 20 } = {}) {
   const center = cityCenterFromItems(cityItems);
   if (!center) return [];
 
@@ -345,26 +356,24 @@ function buildNeighborRowsFromFacilitiesIndex(facilitiesIndex, state, city, city
   const citySlug = String(city || "").toLowerCase().trim();
   const cityDistanceMap = new Map();
 
-  (Array.isArray(facilitiesIndex) ? facilitiesIndex : []).forEach((row) => {
+  // city is the facility's live city page ("" when it has none)
+  (Array.isArray(facilities) ? facilities : []).forEach((row) => {
     const lat = toNum(row?.lat);
     const lng = toNum(row?.lng);
     if (!isValidCoordPair(lat, lng)) return;
 
-    const appears = Array.isArray(row?.appears_in) ? row.appears_in : [];
-    appears.forEach((loc) => {
-      const locState = String(loc?.state || "").toLowerCase().trim();
-      const locCity = String(loc?.city || "").toLowerCase().trim();
-      if (!locState || !locCity) return;
-      if (locState !== stateSlug || locCity === citySlug) return;
+    const rowState = String(row?.state || "").toLowerCase().trim();
+    const rowCity = String(row?.city || "").toLowerCase().trim();
+    if (!rowState || !rowCity) return;
+    if (rowState !== stateSlug || rowCity === citySlug) return;
 
-      const dist = distanceMiles(center.lat, center.lng, lat, lng);
-      if (!Number.isFinite(dist)) return;
+    const dist = distanceMiles(center.lat, center.lng, lat, lng);
+    if (!Number.isFinite(dist)) return;
 
-      const prev = cityDistanceMap.get(locCity);
-      if (!prev || dist < prev.distanceMi) {
-        cityDistanceMap.set(locCity, { slug: locCity, distanceMi: dist });
-      }
-    });
+    const prev = cityDistanceMap.get(rowCity);
+    if (!prev || dist < prev.distanceMi) {
+      cityDistanceMap.set(rowCity, { slug: rowCity, distanceMi: dist });
+    }
   });
 
   return Array.from(cityDistanceMap.values())
@@ -385,9 +394,9 @@ async function loadNearbyItemsForCity(state, city, cityItems, { maxRadiusMi = 30
   }
 
   if (!neighborRows.length) {
-    const facilitiesIndex = await fetchFacilitiesIndexPayload(true);
-    neighborRows = buildNeighborRowsFromFacilitiesIndex(
-      facilitiesIndex,
+    const facilities = await fetchSearchIndexFacilities(true);
+    neighborRows = buildNeighborRowsFromSearchIndex(
+      facilities,
       state,
       city,
       cityItems,
@@ -482,98 +491,19 @@ function normalizeType(rawType) {
  * Materials normalization
  * ========================= */
 
+// Material taxonomy lives in materials.js (shared with the build, search index and research report). Pages
+// built before it was added get no material filters.
 function normalizeMaterialsFromAccepted(item) {
-  if (Array.isArray(item?.normalized_materials) && item.normalized_materials.length) {
-    return item.normalized_materials.map(String);
-  }
-
-  const accepted = arrLower(item?.accepted_materials);
-  const out = new Set();
-
-  const hasAny = (s, needles) => needles.some((n) => s.includes(n));
-
-  for (const raw of accepted) {
-    const s = String(raw || "").toLowerCase();
-
-    if (hasAny(s, ["household trash", "household garbage", "garbage", "trash", "general trash", "solid waste"])) {
-      out.add("Household Trash");
-    }
-
-    if (hasAny(s, ["bulk", "furniture", "mattress", "household goods", "building materials"])) {
-      out.add("Bulk Items & Furniture");
-    }
-
-    if (hasAny(s, ["yard", "tree", "brush", "limb", "green waste"])) {
-      out.add("Yard Waste & Tree Debris");
-    }
-
-    if (hasAny(s, ["recycl", "plastics", "paper", "glass", "metals", "aluminum", "tin", "newspaper", "magazines", "cardboard"])) {
-      out.add("Recycling");
-    }
-
-    if (s.includes("tire")) out.add("Tires");
-
-    if (hasAny(s, ["construction", "demolition", "c&d", "debris"])) {
-      out.add("Construction & Demolition Debris");
-    }
-
-    if (hasAny(s, ["hazard", "pesticide", "fertilizer", "chemical", "cleaner", "pool", "gas", "fuel", "solvent"])) {
-      out.add("Hazardous Waste");
-    }
-
-    if (hasAny(s, ["used motor oil", "used oil", "motor oil", "oil"])) {
-      out.add("Used Motor Oil");
-    }
-
-    if (s.includes("batter")) out.add("Batteries");
-    if (hasAny(s, ["paint", "stain", "thinner", "chemical"])) out.add("Paint & Chemicals");
-    if (s.includes("propane")) out.add("Propane");
-    if (hasAny(s, ["mercury", "thermometer"])) out.add("Mercury Items");
-
-    if (hasAny(s, ["electronics", "e-waste", "tv", "computer", "laptop"])) out.add("Electronics");
-    if (s.includes("appliance")) out.add("Appliances");
-  }
-
-  const ordered = [
-    "Household Trash",
-    "Recycling",
-    "Tires",
-    "Yard Waste & Tree Debris",
-    "Bulk Items & Furniture",
-    "Construction & Demolition Debris",
-    "Hazardous Waste",
-    "Used Motor Oil",
-    "Batteries",
-    "Paint & Chemicals",
-    "Propane",
-    "Mercury Items",
-    "Appliances",
-    "Electronics",
-  ];
-
-  return ordered.filter((x) => out.has(x));
+  return window.Materials ? window.Materials.normalizeMaterialsFromAccepted(item) : [];
 }
 
+// ?material=tires, or the material a landing page like /texas/houston/tires/ was generated for (body data-material).
+// Any material id, alias or page slug works; the filter is its top-level category ("furniture" -> Bulk Items).
 function initialFilterStateFromQuery() {
   const params = new URLSearchParams(window.location.search || "");
-  const materialParam = safeLower(params.get("material") || "");
+  const materialParam = safeLower(params.get("material") || document.body?.dataset?.material || "");
   const typeParam = safeLower(params.get("type") || "");
-
-  const materialMap = {
-    furniture: "Bulk Items & Furniture",
-    mattresses: "Bulk Items & Furniture",
-    construction: "Construction & Demolition Debris",
-    "construction-debris": "Construction & Demolition Debris",
-    "c-and-d": "Construction & Demolition Debris",
-    tires: "Tires",
-    appliances: "Appliances",
-    electronics: "Electronics",
-    "paint-chemicals": "Paint & Chemicals",
-    paint: "Paint & Chemicals",
-    chemicals: "Paint & Chemicals",
-    "yard-waste": "Yard Waste & Tree Debris",
-    "scrap-metal": "Recycling",
-  };
+  const openParam = safeLower(params.get("open") || "");
 
   const typeMap = {
     landfill: "landfill",
@@ -586,8 +516,9 @@ function initialFilterStateFromQuery() {
   };
 
   const materials = new Set();
-  const mappedMaterial = materialMap[materialParam];
-  if (mappedMaterial) materials.add(mappedMaterial);
+  const Materials = window.Materials;
+  const materialId = Materials ? Materials.resolveMaterial(materialParam) : "";
+  if (materialId) materials.add(Materials.labelFor(Materials.categoryOf(materialId)));
 
   const mappedType = typeMap[typeParam] || "all";
 
@@ -595,6 +526,7 @@ function initialFilterStateFromQuery() {
     type: mappedType,
     flags: new Set(),
     materials,
+    openNow: openParam === "now" || openParam === "1",
   };
 }
 
@@ -664,6 +596,183 @@ function badge(text, color) {
   return `<span class="badge badge--${color}">${text}</span>`;
 }
 
+/** =========================
+ * Opening hours (hours_spec from scripts/build-hours-spec.js)
+ * ========================= */
+
+const HOURS_DAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const HOURS_DAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+function clockToMinutes(value) {
+  const m = String(value || "").match(/^(\d{1,2}):(\d{2})$/);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+function formatClock(minutes, { short = false } = {}) {
+  const h24 = Math.floor(minutes / 60) % 24;
+  const mm = minutes % 60;
+  const suffix = h24 >= 12 ? "PM" : "AM";
+  const h12 = h24 % 12 || 12;
+  if (short && mm === 0) return `${h12} ${suffix}`;
+  return `${h12}:${String(mm).padStart(2, "0")} ${suffix}`;
+}
+
+// Wall-clock date/time at the facility, regardless of the visitor's timezone
+function zonedNowParts(timeZone, now = new Date()) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat("en-US", {
+      timeZone: timeZone || "America/Chicago",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      hourCycle: "h23",
+    }).formatToParts(now);
+  } catch {
+    return null;
+  }
+
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    minutes: (get("hour") % 24) * 60 + get("minute"),
+  };
+}
+
+// Closures nearly every public drop-off observes; city-specific holidays stay in the prose.
+function isObservedClosureHoliday(year, month, day) {
+  const nthWeekday = (m, weekday, n) => {
+    const first = new Date(Date.UTC(year, m - 1, 1)).getUTCDay();
+    return 1 + ((weekday - first + 7) % 7) + (n - 1) * 7;
+  };
+  const lastMonday = (m) => {
+    const lastDay = new Date(Date.UTC(year, m, 0)).getUTCDate();
+    const dow = new Date(Date.UTC(year, m - 1, lastDay)).getUTCDay();
+    return lastDay - ((dow + 6) % 7);
+  };
+  // Saturday holidays move to Friday, Sunday ones to Monday; Date.UTC carries the shift across month and
+  // year ends (New Year's Day on a Saturday is observed on Dec 31 of the year before).
+  const observed = (y, m, d) => {
+    const date = new Date(Date.UTC(y, m - 1, d));
+    const dow = date.getUTCDay();
+    if (dow === 6) date.setUTCDate(d - 1);
+    if (dow === 0) date.setUTCDate(d + 1);
+    return [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+  };
+
+  const holidays = [
+    observed(year, 1, 1),
+    observed(year + 1, 1, 1),
+    [year, 5, lastMonday(5)],
+    observed(year, 7, 4),
+    [year, 9, nthWeekday(9, 1, 1)],
+    [year, 11, nthWeekday(11, 4, 4)],
+    observed(year, 12, 25),
+  ];
+
+  return holidays.some(([y, m, d]) => y === year && m === month && d === day);
+}
+
+function hoursIntervalsOn(spec, year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const y = date.getUTCFullYear();
+  const mo = date.getUTCMonth() + 1;
+  const d = date.getUTCDate();
+  const dayKey = HOURS_DAY_KEYS[date.getUTCDay()];
+
+  if (spec.closed_holidays && isObservedClosureHoliday(y, mo, d)) return [];
+
+  const daysInMonth = new Date(Date.UTC(y, mo, 0)).getUTCDate();
+  const weekOfMonth = Math.ceil(d / 7);
+  const isLastWeek = d + 7 > daysInMonth;
+
+  const rows = [
+    ...(Array.isArray(spec.weekly) ? spec.weekly : []),
+    ...(Array.isArray(spec.monthly) ? spec.monthly : []).filter((row) => {
+      const weeks = Array.isArray(row.weeks) ? row.weeks : [];
+      return weeks.includes(weekOfMonth) || (isLastWeek && weeks.includes(-1));
+    }),
+  ];
+
+  const lastEntry = (Array.isArray(spec.last_entry) ? spec.last_entry : []).find(
+    (row) => !Array.isArray(row.days) || !row.days.length || row.days.includes(dayKey)
+  );
+  const lastEntryMin = lastEntry ? clockToMinutes(lastEntry.time) : null;
+
+  return rows
+    .filter((row) => Array.isArray(row.days) && row.days.includes(dayKey))
+    .map((row) => {
+      const open = clockToMinutes(row.open);
+      const close = clockToMinutes(row.close);
+      if (open === null || close === null || close <= open) return null;
+      const cutoff = lastEntryMin !== null && lastEntryMin > open && lastEntryMin < close ? lastEntryMin : null;
+      return { open, close, lastEntry: cutoff, dayIndex: date.getUTCDay() };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.open - b.open);
+}
+
+// Returns { status: "open" | "closed" | "unknown", closesAt, lastEntry, opensAt, opensDayLabel }
+function evaluateHoursSpec(spec, now = new Date()) {
+  const hasSchedule =
+    spec &&
+    typeof spec === "object" &&
+    ((Array.isArray(spec.weekly) && spec.weekly.length) || (Array.isArray(spec.monthly) && spec.monthly.length));
+  if (!hasSchedule) return { status: "unknown" };
+
+  const today = zonedNowParts(spec.timezone, now);
+  if (!today) return { status: "unknown" };
+
+  const current = hoursIntervalsOn(spec, today.year, today.month, today.day).find(
+    (iv) => today.minutes >= iv.open && today.minutes < iv.close
+  );
+
+  if (current) {
+    return { status: "open", closesAt: current.close, lastEntry: current.lastEntry };
+  }
+
+  // Monthly schedules can be several weeks out
+  for (let offset = 0; offset < 35; offset += 1) {
+    const next = hoursIntervalsOn(spec, today.year, today.month, today.day + offset).find(
+      (iv) => offset > 0 || iv.open > today.minutes
+    );
+    if (!next) continue;
+
+    return {
+      status: "closed",
+      opensAt: next.open,
+      opensDayLabel: offset === 0 ? "" : offset < 7 ? HOURS_DAY_LABELS[next.dayIndex] : "",
+      opensInDays: offset,
+    };
+  }
+
+  return { status: "closed" };
+}
+
+function renderHoursBadges(item, now = new Date()) {
+  const result = evaluateHoursSpec(item?.hours_spec, now);
+
+  if (result.status === "open") {
+    const closing = `Closes at ${formatClock(result.closesAt)}` +
+      (Number.isFinite(result.lastEntry) ? ` (last load ${formatClock(result.lastEntry)})` : "");
+    return `${badge("Open now", "green")} <span class="muted small">${escapeHtml(closing)}</span>`;
+  }
+
+  if (result.status === "closed") {
+    if (!Number.isFinite(result.opensAt)) return badge("Closed", "gray");
+    const when = result.opensInDays >= 7
+      ? `Next open in ${result.opensInDays} days`
+      : `Opens ${result.opensDayLabel ? `${result.opensDayLabel} ` : ""}${formatClock(result.opensAt, { short: true })}`;
+    return `${badge("Closed", "gray")} <span class="muted small">${escapeHtml(when)}</span>`;
+  }
+
+  return "";
+}
+
 /** =========================
  * Map (Leaflet)
  * ========================= */
@@ -1018,6 +1127,19 @@ function buildFilterBar({ resultsEl, onChange, initialState = null }) {
   typeChips.style.alignItems = "flex-start";
   typeBlock.appendChild(typeChips);
 
+  const hoursBlock = document.createElement("div");
+  hoursBlock.style.display = "none";
+  hoursBlock.innerHTML = `<div class="muted small" style="font-weight:700; margin-bottom:8px">Hours</div>`;
+
+  const openNowPill = document.createElement("button");
+  openNowPill.type = "button";
+  openNowPill.className = "badge badge--rule green";
+  openNowPill.style.cursor = "pointer";
+  openNowPill.style.border = "1px solid rgba(0,0,0,0.10)";
+  openNowPill.style.maxWidth = "100%";
+  openNowPill.textContent = "Open now";
+  hoursBlock.appendChild(openNowPill);
+
   const adv = document.createElement("details");
   adv.style.borderTop = "1px solid rgba(0,0,0,0.06)";
   adv.style.paddingTop = "10px";
@@ -1104,6 +1226,7 @@ function buildFilterBar({ resultsEl, onChange, initialState = null }) {
   adv.appendChild(advBody);
 
   body.appendChild(typeBlock);
+  body.appendChild(hoursBlock);
   body.appendChild(adv);
 
   wrap.appendChild(topRow);
@@ -1117,6 +1240,7 @@ function buildFilterBar({ resultsEl, onChange, initialState = null }) {
     type: initialType,
     flags: initialFlags,
     materials: initialMaterials,
+    openNow: !!initialState?.openNow,
     typeBtnByKey: new Map(),
     materialCounts: {},
     featureCounts: {},
@@ -1144,7 +1268,7 @@ function buildFilterBar({ resultsEl, onChange, initialState = null }) {
     btn.addEventListener("click", () => {
       state.type = key;
       for (const [k, b] of state.typeBtnByKey.entries()) stylePill(b, k === key);
-      onChange({ type: state.type, flags: new Set(state.flags), materials: new Set(state.materials) });
+      onChange({ type: state.type, flags: new Set(state.flags), materials: new Set(state.materials), openNow: state.openNow });
     });
 
     return btn;
@@ -1168,7 +1292,7 @@ function buildFilterBar({ resultsEl, onChange, initialState = null }) {
       else state.flags.add(key);
 
       stylePill(btn, state.flags.has(key));
-      onChange({ type: state.type, flags: new Set(state.flags), materials: new Set(state.materials) });
+      onChange({ type: state.type, flags: new Set(state.flags), materials: new Set(state.materials), openNow: state.openNow });
     });
 
     return btn;
@@ -1194,12 +1318,26 @@ function buildFilterBar({ resultsEl, onChange, initialState = null }) {
       if (state.materials.has(label)) state.materials.delete(label);
       else state.materials.add(label);
       render();
-      onChange({ type: state.type, flags: new Set(state.flags), materials: new Set(state.materials) });
+      onChange({ type: state.type, flags: new Set(state.flags), materials: new Set(state.materials), openNow: state.openNow });
     });
 
     return btn;
   }
 
+  function setOpenNowCount(count, withHours) {
+    const on = state.openNow;
+    hoursBlock.style.display = withHours > 0 || on ? "block" : "none";
+    openNowPill.textContent = `${on ? "✓ " : ""}Open now${typeof count === "number" ? ` (${count})` : ""}`;
+    openNowPill.title = "Only locations with posted hours that are open at this moment";
+    stylePill(openNowPill, on);
+  }
+
+  openNowPill.addEventListener("click", () => {
+    state.openNow = !state.openNow;
+    stylePill(openNowPill, state.openNow);
+    onChange({ type: state.type, flags: new Set(state.flags), materials: new Set(state.materials), openNow: state.openNow });
+  });
+
   function setTypeOptions(typeOptions) {
     state.typeOptions = typeOptions || [];
     typeChips.innerHTML = "";
@@ -1261,6 +1399,7 @@ function buildFilterBar({ resultsEl, onChange, initialState = null }) {
     state.type = "all";
     state.flags = new Set();
     state.materials = new Set();
+    state.openNow = false;
 
     for (const [k, b] of state.typeBtnByKey.entries()) stylePill(b, k === "all");
 
@@ -1271,12 +1410,711 @@ function buildFilterBar({ resultsEl, onChange, initialState = null }) {
     matsDetails.open = false;
     featsDetails.open = false;
 
-    onChange({ type: "all", flags: new Set(), materials: new Set() });
+    onChange({ type: "all", flags: new Set(), materials: new Set(), openNow: false });
+  });
+
+  resultsEl.parentNode.insertBefore(wrap, resultsEl);
+
+  return { setTypeOptions, setFeatureChips, setMaterialsCounts, setOpenNowCount, setCounts, root: wrap };
+}
+
+/** =========================
+ * Fee calculator (fee-estimator.js)
+ * ========================= */
+
+function buildFeeCalculator({ resultsEl, onChange }) {
+  const estimator = window.FeeEstimator;
+  if (!estimator) return null;
+
+  const state = {
+    load: estimator.LOAD_SIZES[0].key,
+    items: {},
+    resident: true,
+    sortByCost: false,
+  };
+
+  const wrap = document.createElement("details");
+  wrap.setAttribute("aria-label", "Cost estimate");
+  wrap.style.marginBottom = "10px";
+  wrap.style.padding = "10px 14px";
+  wrap.style.border = "1px solid var(--border)";
+  wrap.style.borderRadius = "16px";
+  wrap.style.background = "rgba(29,29,31,0.03)";
+
+  const summary = document.createElement("summary");
+  summary.style.cursor = "pointer";
+  summary.style.listStyle = "none";
+  summary.style.fontWeight = "800";
+  summary.style.padding = "4px 2px";
+  summary.innerHTML = `Estimate your cost <span class="muted small" style="font-weight:600; margin-left:8px">Load size, items, residency</span>`;
+  wrap.appendChild(summary);
+
+  const body = document.createElement("div");
+  body.style.display = "flex";
+  body.style.flexWrap = "wrap";
+  body.style.gap = "12px";
+  body.style.alignItems = "flex-end";
+  body.style.marginTop = "10px";
+
+  const loadLabel = document.createElement("label");
+  loadLabel.className = "small";
+  loadLabel.style.display = "grid";
+  loadLabel.style.gap = "4px";
+  loadLabel.innerHTML = `<span style="font-weight:700">Load size</span>`;
+  const loadSelect = document.createElement("select");
+  loadSelect.style.width = "auto";
+  estimator.LOAD_SIZES.forEach((size) => {
+    const opt = document.createElement("option");
+    opt.value = size.key;
+    opt.textContent = size.label;
+    loadSelect.appendChild(opt);
+  });
+  loadLabel.appendChild(loadSelect);
+  body.appendChild(loadLabel);
+
+  const itemInputs = estimator.ITEMS.map((item) => {
+    const label = document.createElement("label");
+    label.className = "small";
+    label.style.display = "grid";
+    label.style.gap = "4px";
+    label.innerHTML = `<span style="font-weight:700">${escapeHtml(item.label)}</span>`;
+    const input = document.createElement("input");
+    input.type = "number";
+    input.min = "0";
+    input.max = "20";
+    input.value = "0";
+    input.style.width = "72px";
+    input.dataset.item = item.key;
+    label.appendChild(input);
+    body.appendChild(label);
+    return input;
+  });
+
+  const makeCheck = (text, checked) => {
+    const label = document.createElement("label");
+    label.className = "check small";
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.checked = checked;
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(text));
+    body.appendChild(label);
+    return input;
+  };
+
+  const residentInput = makeCheck("I'm a local resident", state.resident);
+  const sortInput = makeCheck("Sort by estimated cost", state.sortByCost);
+
+  const note = document.createElement("div");
+  note.className = "muted small";
+  note.style.flexBasis = "100%";
+  note.textContent =
+    "Estimates use posted rates only and typical load weights. Locations without posted rates sort last. Always confirm before you drive.";
+  body.appendChild(note);
+
+  wrap.appendChild(body);
+
+  function sync() {
+    state.load = loadSelect.value;
+    state.items = {};
+    itemInputs.forEach((input) => {
+      const n = Math.max(0, Math.min(20, Number(input.value) || 0));
+      if (n > 0) state.items[input.dataset.item] = n;
+    });
+    state.resident = residentInput.checked;
+    state.sortByCost = sortInput.checked;
+    onChange();
+  }
+
+  loadSelect.addEventListener("change", sync);
+  itemInputs.forEach((input) => input.addEventListener("input", sync));
+  residentInput.addEventListener("change", sync);
+  sortInput.addEventListener("change", sync);
+
+  resultsEl.parentNode.insertBefore(wrap, resultsEl);
+
+  return {
+    getState: () => ({ ...state, items: { ...state.items } }),
+    root: wrap,
+  };
+}
+
+function renderEstimateLine(item) {
+  if (!item.__estimate || !item.fee_schedule || !window.FeeEstimator) return "";
+  const est = item.__estimate;
+  const payment = window.FeeEstimator.paymentMethodsText(item.fee_schedule);
+  const extra = [...(est.notes || []), payment ? `Pay by ${payment}` : ""].filter(Boolean).join(" · ");
+  return `<p class="card__meta"><strong>Est. cost:</strong> ${escapeHtml(window.FeeEstimator.formatEstimate(est))}${extra ? ` <span class="muted small">${escapeHtml(extra)}</span>` : ""}</p>`;
+}
+
+/** =========================
+ * Trip planner (mixed loads)
+ * ========================= */
+
+// Above this many distinct candidate sites the planner keeps its greedy answer instead of searching
+const TRIP_EXACT_MAX_CANDIDATES = 40;
+const TRIP_EXACT_MAX_STOPS = 4;
+
+// Sites that can't take a self-haul load from every visitor: "residents" (resident-only) or "commercial".
+// Shared by the trip planner and the "Can I dump this?" wizard.
+function accessRestriction(item) {
+  const text = `${safeLower(item?.rules)} ${safeLower(item?.fees)}`;
+  if (
+    /\bresidents? only\b|\bresident[- ]only\b|\bresidents (?:must|need to) show\b|\bproof of (?:[a-z]+ ){0,3}residen|\bopen (?:only )?to (?:all )?[a-z .'-]{0,40}residents\b/.test(text)
+  ) {
+    return "residents";
+  }
+  if (/\bcommercial[- ]only\b|\bno (?:residential|self-haul)\b/.test(text)) return "commercial";
+  return "";
+}
+
+function milesFrom(origin, item) {
+  const lat = getLat(item);
+  const lng = getLng(item);
+  return origin && lat !== null && lng !== null ? distanceMiles(origin.lat, origin.lng, lat, lng) : null;
+}
+
+// Fewest candidates whose `takes` cover `needed`; ties go to the smallest total distance.
+// Greedy first, then an exhaustive search for anything shorter when the candidate list is small.
+function minimalCover(candidates, needed) {
+  const milesOf = (list) => list.reduce((sum, c) => sum + (c.miles === null ? 1e6 : c.miles), 0);
+
+  const greedy = [];
+  const open = new Set(needed);
+  while (open.size) {
+    let best = null;
+    let bestGain = 0;
+    candidates.forEach((c) => {
+      if (greedy.includes(c)) return;
+      const gain = needed.filter((id) => open.has(id) && c.takes.has(id)).length;
+      const nearer = best && (c.miles === null ? Infinity : c.miles) < (best.miles === null ? Infinity : best.miles);
+      if (gain > bestGain || (gain === bestGain && gain > 0 && nearer)) {
+        best = c;
+        bestGain = gain;
+      }
+    });
+    if (!best) break;
+    greedy.push(best);
+    needed.forEach((id) => {
+      if (best.takes.has(id)) open.delete(id);
+    });
+  }
+  if (greedy.length <= 1) return greedy;
+
+  // One site per distinct set of materials (the nearest), minus sets another site's set contains
+  const bySignature = new Map();
+  candidates.forEach((c) => {
+    const sig = needed.filter((id) => c.takes.has(id)).join(",");
+    const kept = bySignature.get(sig);
+    if (!kept || (c.miles ?? Infinity) < (kept.miles ?? Infinity)) bySignature.set(sig, c);
+  });
+  const distinct = Array.from(bySignature.values()).filter(
+    (c, _, all) =>
+      !all.some((other) => other !== c && other.takes.size > c.takes.size && [...c.takes.keys()].every((id) => other.takes.has(id)))
+  );
+  if (distinct.length > TRIP_EXACT_MAX_CANDIDATES) return greedy;
+
+  const covers = (list) => needed.every((id) => list.some((c) => c.takes.has(id)));
+  for (let k = 1; k < Math.min(greedy.length, TRIP_EXACT_MAX_STOPS + 1); k++) {
+    let best = null;
+    const pick = (start, chosen) => {
+      if (chosen.length === k) {
+        if (covers(chosen) && (!best || milesOf(chosen) < milesOf(best))) best = chosen.slice();
+        return;
+      }
+      for (let i = start; i < distinct.length; i++) {
+        chosen.push(distinct[i]);
+        pick(i + 1, chosen);
+        chosen.pop();
+      }
+    };
+    pick(0, []);
+    if (best) return best;
+  }
+  return greedy;
+}
+
+// The fewest stops that take every material in the load.
+// Returns { stops: [{ item, miles, materials: [{ id, broad }] }], uncovered: [id], skippedResidentOnly }
+// Stops are ordered by distance from `origin`; each material goes to the first stop that takes it.
+function planTrip(rows, materialIds, { resident = true, origin = null } = {}) {
+  const Materials = window.Materials;
+  const needed = Array.from(new Set(materialIds)).filter(Boolean);
+  if (!Materials || !needed.length) return { stops: [], uncovered: needed, skippedResidentOnly: 0 };
+
+  let skippedResidentOnly = 0;
+  const candidates = [];
+  (Array.isArray(rows) ? rows : []).forEach((item) => {
+    const access = accessRestriction(item);
+    if (access === "commercial") return;
+
+    const takes = new Map();
+    needed.forEach((id) => {
+      const a = Materials.acceptanceOf(item, id);
+      if (a.accepted) takes.set(id, a.broad);
+    });
+    if (!takes.size) return;
+
+    if (access === "residents" && !resident) {
+      skippedResidentOnly += 1;
+      return;
+    }
+    candidates.push({ item, takes, miles: milesFrom(origin, item) });
+  });
+
+  const coverable = needed.filter((id) => candidates.some((c) => c.takes.has(id)));
+  const chosen = minimalCover(candidates, coverable).sort(
+    (a, b) => (a.miles ?? Infinity) - (b.miles ?? Infinity)
+  );
+
+  const stops = chosen.map((c) => ({ item: c.item, miles: c.miles, materials: [] }));
+  coverable.forEach((id) => {
+    const exact = chosen.findIndex((c) => c.takes.has(id) && !c.takes.get(id));
+    const i = exact !== -1 ? exact : chosen.findIndex((c) => c.takes.has(id));
+    stops[i].materials.push({ id, broad: chosen[i].takes.get(id) });
+  });
+
+  return {
+    stops: stops.filter((s) => s.materials.length),
+    uncovered: needed.filter((id) => !coverable.includes(id)),
+    skippedResidentOnly,
+  };
+}
+
+function tripRouteUrl(origin, stops) {
+  const point = (item) => {
+    const lat = getLat(item);
+    const lng = getLng(item);
+    if (lat !== null && lng !== null) return `${lat},${lng}`;
+    return String(item.address || item.name || "").trim();
+  };
+  const points = stops.map((s) => point(s.item)).filter(Boolean);
+  if (!points.length) return "";
+
+  const params = new URLSearchParams({ api: "1", destination: points[points.length - 1] });
+  if (origin) params.set("origin", `${origin.lat},${origin.lng}`);
+  if (points.length > 1) params.set("waypoints", points.slice(0, -1).join("|"));
+  return `https://www.google.com/maps/dir/?${params.toString()}`;
+}
+
+function renderTripPlan(plan, { originLabel, origin }) {
+  const label = (id) => window.Materials.labelFor(id);
+
+  const uncovered = plan.uncovered.length
+    ? `<p class="trip__warn"><strong>No site on this page takes:</strong> ${escapeHtml(plan.uncovered.map(label).join(", "))}.
+        Try "Include nearby cities", or check the city's bulk pickup and special collection programs.</p>`
+    : "";
+  const skipped = plan.skippedResidentOnly
+    ? `<p class="muted small">Skipped ${plan.skippedResidentOnly} resident-only site${plan.skippedResidentOnly === 1 ? "" : "s"}.</p>`
+    : "";
+
+  if (!plan.stops.length) {
+    return `${uncovered}${skipped}`;
+  }
+
+  const routeUrl = tripRouteUrl(origin, plan.stops);
+  const stopsHtml = plan.stops
+    .map((stop, i) => {
+      const item = stop.item;
+      const facilityId = String(item.facility_id || item.id || "").trim();
+      const lat = getLat(item);
+      const lng = getLng(item);
+      const mapsUrl = item.address
+        ? `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(item.address)}`
+        : (lat !== null && lng !== null ? `https://www.google.com/maps/search/?api=1&query=${lat},${lng}` : "");
+      const bring = stop.materials
+        .map((m) => `${escapeHtml(label(m.id))}${m.broad ? ` <span class="muted">(listed as ${escapeHtml(label(window.Materials.categoryOf(m.id)))}; confirm)</span>` : ""}`)
+        .join(", ");
+      const details = [
+        item.hours ? `<div><strong>Hours:</strong> ${escapeHtml(item.hours)}</div>` : "",
+        item.fees ? `<div><strong>Fees:</strong> ${escapeHtml(item.fees)}</div>` : "",
+        item.rules ? `<div><strong>Rules:</strong> ${escapeHtml(item.rules)}</div>` : "",
+      ].join("");
+
+      return `
+        <li class="trip__stop">
+          <div class="trip__stophead">
+            <span class="trip__num">${i + 1}</span>
+            <strong>${escapeHtml(item.name || "Unnamed location")}</strong>
+            ${Number.isFinite(stop.miles) ? `<span class="muted small">${stop.miles.toFixed(1)} mi</span>` : ""}
+          </div>
+          ${item.address ? `<div class="muted small">${escapeHtml(item.address)}</div>` : ""}
+          <div class="trip__bring"><strong>Bring:</strong> ${bring}</div>
+          ${details ? `<div class="small trip__details">${details}</div>` : ""}
+          <div class="trip__links">
+            ${mapsUrl ? `<a class="link" href="${escapeHtml(mapsUrl)}" target="_blank" rel="noopener">Directions</a>` : ""}
+            ${facilityId ? `<a class="link" href="/facility/${encodeURIComponent(facilityId)}/">Facility page</a>` : ""}
+          </div>
+        </li>
+      `;
+    })
+    .join("");
+
+  const materialCount = plan.stops.reduce((n, s) => n + s.materials.length, 0);
+  return `
+    <h3 class="trip__title">Your trip: ${plan.stops.length} stop${plan.stops.length === 1 ? "" : "s"} for ${materialCount} material${materialCount === 1 ? "" : "s"}</h3>
+    <p class="muted small">Stops are ordered by distance from ${escapeHtml(originLabel)}. Hours, fees and rules change, so confirm each stop before you drive.</p>
+    ${uncovered}
+    <ol class="trip__stops">${stopsHtml}</ol>
+    ${skipped}
+    <div class="trip__actions">
+      ${routeUrl ? `<a class="btn btn--primary" href="${escapeHtml(routeUrl)}" target="_blank" rel="noopener">Open route in Maps</a>` : ""}
+      <button type="button" class="btn btn--ghost" data-trip-print>Print</button>
+      <button type="button" class="btn btn--ghost" data-trip-share>Copy link</button>
+      <span class="muted small" data-trip-share-status aria-live="polite"></span>
+    </div>
+  `;
+}
+
+// ?trip=tires,paint&resident=0 reopens a shared plan
+function tripStateFromQuery() {
+  const params = new URLSearchParams(window.location.search || "");
+  const materials = String(params.get("trip") || "")
+    .split(",")
+    .map((x) => (window.Materials ? window.Materials.resolveMaterial(x) : ""))
+    .filter(Boolean);
+  return { materials, resident: params.get("resident") !== "0" };
+}
+
+function buildTripPlanner({ resultsEl, getRows, cityCenter }) {
+  const Materials = window.Materials;
+  if (!Materials || typeof Materials.acceptanceOf !== "function") return null;
+
+  const initial = tripStateFromQuery();
+  let origin = cityCenter;
+  let originLabel = "the city center";
+
+  const wrap = document.createElement("details");
+  wrap.className = "trip";
+  wrap.id = "tripPlanner";
+  wrap.setAttribute("aria-label", "Trip planner");
+  if (initial.materials.length) wrap.open = true;
+
+  wrap.innerHTML = `
+    <summary class="trip__summary">Plan a trip for a mixed load <span class="muted small">Fewest stops that take everything</span></summary>
+    <div class="trip__body">
+      <fieldset class="trip__materials">
+        <legend class="small"><strong>What's in your load?</strong></legend>
+        ${Materials.MATERIALS.map(
+          (m) => `<label class="trip__material${m.parent ? " trip__material--sub" : ""}">
+              <input type="checkbox" value="${escapeHtml(m.id)}"${initial.materials.includes(m.id) ? " checked" : ""} />
+              ${escapeHtml(m.label)}
+            </label>`
+        ).join("")}
+      </fieldset>
+      <div class="trip__controls">
+        <label class="check small"><input type="checkbox" data-trip-resident${initial.resident ? " checked" : ""} /> I'm a local resident</label>
+        <button type="button" class="btn btn--ghost" data-trip-locate>Start from my location</button>
+        <button type="button" class="btn btn--primary" data-trip-plan>Plan my trip</button>
+      </div>
+      <div class="trip__plan" data-trip-output aria-live="polite"></div>
+    </div>
+  `;
+
+  const output = wrap.querySelector("[data-trip-output]");
+  const residentInput = wrap.querySelector("[data-trip-resident]");
+  const locateBtn = wrap.querySelector("[data-trip-locate]");
+
+  const selected = () => Array.from(wrap.querySelectorAll(".trip__materials input:checked")).map((el) => el.value);
+
+  function run() {
+    const materials = selected();
+    if (!materials.length) {
+      output.innerHTML = `<p class="muted small">Tick at least one material.</p>`;
+      return;
+    }
+    const plan = planTrip(getRows(), materials, { resident: residentInput.checked, origin });
+    output.innerHTML = renderTripPlan(plan, { originLabel, origin });
+  }
+
+  function shareUrl() {
+    const url = new URL(window.location.href);
+    url.searchParams.set("trip", selected().join(","));
+    if (residentInput.checked) url.searchParams.delete("resident");
+    else url.searchParams.set("resident", "0");
+    url.hash = "tripPlanner";
+    return url.toString();
+  }
+
+  wrap.querySelector("[data-trip-plan]").addEventListener("click", run);
+
+  if (!navigator.geolocation) {
+    locateBtn.hidden = true;
+  } else {
+    locateBtn.addEventListener("click", () => {
+      locateBtn.disabled = true;
+      locateBtn.textContent = "Finding you…";
+      navigator.geolocation.getCurrentPosition(
+        (pos) => {
+          origin = { lat: pos.coords.latitude, lng: pos.coords.longitude };
+          originLabel = "your location";
+          locateBtn.textContent = "Starting from your location";
+          if (selected().length) run();
+        },
+        () => {
+          locateBtn.disabled = false;
+          locateBtn.textContent = "Start from my location";
+          output.innerHTML = `<p class="muted small">Couldn't access your location. Stops are ordered from the city center.</p>`;
+        },
+        { enableHighAccuracy: false, timeout: 10000, maximumAge: 300000 }
+      );
+    });
+  }
+
+  output.addEventListener("click", async (e) => {
+    if (e.target.closest("[data-trip-print]")) {
+      document.body.classList.add("trip-printing");
+      window.addEventListener("afterprint", () => document.body.classList.remove("trip-printing"), { once: true });
+      window.print();
+      return;
+    }
+
+    if (e.target.closest("[data-trip-share]")) {
+      const status = output.querySelector("[data-trip-share-status]");
+      const url = shareUrl();
+      try {
+        await navigator.clipboard.writeText(url);
+        if (status) status.textContent = "Link copied.";
+      } catch {
+        window.prompt("Copy this link:", url);
+      }
+    }
+  });
+
+  resultsEl.parentNode.insertBefore(wrap, resultsEl);
+
+  return {
+    run,
+    hasInitialPlan: initial.materials.length > 0,
+    root: wrap,
+  };
+}
+
+/** =========================
+ * "Can I dump this?" wizard
+ * ========================= */
+
+const WIZARD_VEHICLES = [
+  { key: "car", label: "Car or SUV" },
+  { key: "pickup", label: "Pickup truck" },
+  { key: "trailer", label: "Trailer" },
+];
+
+// Fee-estimator item surcharges that apply to a material
+const WIZARD_SURCHARGE_ITEMS = { tires: "tire", mattresses: "mattress", appliances: "appliance" };
+
+function refusesTrailers(item) {
+  return /\bno trailers?\b|\btrailers? (?:are )?not (?:allowed|accepted|permitted)\b/.test(safeLower(item?.rules));
+}
+
+// Sites on the page for one material, from the visitor's answers:
+//   accepts  [{ item, miles, broad, except, estimate, free }] ranked: named outright, then free for this visitor,
+//            then nearest; `except` is a not_accepted entry that narrows it ("Tires with rims")
+//   rejects  [{ item, reason }] sites that refuse the material or this visitor, with why
+function checkMaterial(rows, materialId, { resident = true, vehicle = "car", origin = null } = {}) {
+  const Materials = window.Materials;
+  const estimator = window.FeeEstimator;
+  const accepts = [];
+  const rejects = [];
+
+  (Array.isArray(rows) ? rows : []).forEach((item) => {
+    const a = Materials.acceptanceOf(item, materialId);
+    if (a.rejected) {
+      rejects.push({ item, reason: `Lists “${a.reason}” as not accepted` });
+      return;
+    }
+    if (!a.accepted) return;
+
+    const access = accessRestriction(item);
+    if (access === "commercial") {
+      rejects.push({ item, reason: "Commercial customers only" });
+      return;
+    }
+    if (access === "residents" && !resident) {
+      rejects.push({ item, reason: "Residents only" });
+      return;
+    }
+    if (vehicle === "trailer" && refusesTrailers(item)) {
+      rejects.push({ item, reason: "No trailers" });
+      return;
+    }
+
+    const surcharge = WIZARD_SURCHARGE_ITEMS[materialId];
+    const estimate =
+      estimator && item.fee_schedule
+        ? estimator.estimate(item.fee_schedule, { load: vehicle, items: surcharge ? { [surcharge]: 1 } : {}, resident })
+        : null;
+    const flags = item.__flags || deriveFlags(item);
+    const free = !!(estimate && estimate.free) || flags.includes("free") || (resident && flags.includes("free_to_residents"));
+
+    accepts.push({ item, miles: milesFrom(origin, item), broad: a.broad, except: a.reason, estimate, free });
+  });
+
+  accepts.sort(
+    (a, b) =>
+      Number(a.broad) - Number(b.broad) ||
+      Number(b.free) - Number(a.free) ||
+      (a.miles ?? Infinity) - (b.miles ?? Infinity)
+  );
+  rejects.sort((a, b) => String(a.item.name || "").localeCompare(String(b.item.name || "")));
+  return { accepts, rejects };
+}
+
+function renderWizardAnswer(result, materialId) {
+  const Materials = window.Materials;
+  const label = Materials.labelFor(materialId);
+  const handling = Materials.handlingFor(materialId);
+
+  const handlingHtml = handling
+    ? `<p class="dumpcheck__handling"><strong>Special handling:</strong> ${escapeHtml(handling)}</p>`
+    : "";
+
+  const acceptsHtml = result.accepts.length
+    ? `<ol class="dumpcheck__list">${result.accepts
+        .map(({ item, miles, broad, except, estimate, free }) => {
+          const facilityId = String(item.facility_id || item.id || "").trim();
+          const cost = free
+            ? badge("Free for you", "green")
+            : estimate && estimate.amount !== null
+              ? badge(escapeHtml(window.FeeEstimator.formatEstimate(estimate)), "gray")
+              : "";
+          return `
+            <li class="dumpcheck__item">
+              <div class="dumpcheck__name">
+                <strong>${escapeHtml(item.name || "Unnamed location")}</strong> ${cost}
+                ${Number.isFinite(miles) ? `<span class="muted small">${miles.toFixed(1)} mi</span>` : ""}
+              </div>
+              ${broad ? `<div class="muted small">Listed as ${escapeHtml(Materials.labelFor(Materials.categoryOf(materialId)))}. Confirm they take ${escapeHtml(label.toLowerCase())}.</div>` : ""}
+              ${except ? `<div class="small"><strong>Except:</strong> ${escapeHtml(except)}</div>` : ""}
+              ${item.hours ? `<div class="small"><strong>Hours:</strong> ${escapeHtml(item.hours)}</div>` : ""}
+              ${item.rules ? `<div class="small"><strong>Rules:</strong> ${escapeHtml(item.rules)}</div>` : ""}
+              ${facilityId ? `<a class="link small" href="/facility/${encodeURIComponent(facilityId)}/">Facility page</a>` : ""}
+            </li>
+          `;
+        })
+        .join("")}</ol>`
+    : `<p class="muted small">No site on this page lists ${escapeHtml(label.toLowerCase())}. Try "Include nearby cities", or check the city's bulk pickup and special collection programs.</p>`;
+
+  const rejectsHtml = result.rejects.length
+    ? `
+      <h4 class="dumpcheck__heading">Won't take it from you (${result.rejects.length})</h4>
+      <ul class="dumpcheck__list dumpcheck__list--rejects">${result.rejects
+        .map(({ item, reason }) => `<li><strong>${escapeHtml(item.name || "Unnamed location")}</strong> <span class="muted small">${escapeHtml(reason)}</span></li>`)
+        .join("")}</ul>
+    `
+    : "";
+
+  return `
+    <h3 class="dumpcheck__title">${
+      result.accepts.length
+        ? `Yes: ${result.accepts.length} place${result.accepts.length === 1 ? "" : "s"} here take ${escapeHtml(label.toLowerCase())}`
+        : `No listed drop-off for ${escapeHtml(label.toLowerCase())} here`
+    }</h3>
+    ${handlingHtml}
+    ${result.accepts.length ? `<p class="muted small">Ranked by sites that name it outright, then free for you, then distance from the city center.</p>` : ""}
+    ${acceptsHtml}
+    ${rejectsHtml}
+  `;
+}
+
+function buildDumpWizard({ resultsEl, getRows, cityCenter }) {
+  const Materials = window.Materials;
+  if (!Materials || typeof Materials.acceptanceOf !== "function") return null;
+
+  let materialId = "";
+
+  const wrap = document.createElement("details");
+  wrap.className = "trip dumpcheck";
+  wrap.id = "dumpCheck";
+  wrap.setAttribute("aria-label", "Can I dump this?");
+
+  wrap.innerHTML = `
+    <summary class="trip__summary">Can I dump this? <span class="muted small">Item, residency, vehicle</span></summary>
+    <form class="trip__body" data-dumpcheck-form>
+      <fieldset class="dumpcheck__step">
+        <legend class="small"><strong>1. What is it?</strong></legend>
+        <input type="text" data-dumpcheck-item placeholder="e.g. old couch, paint cans, car battery" autocomplete="off" />
+        <div class="dumpcheck__suggestions" data-dumpcheck-suggestions aria-live="polite"></div>
+      </fieldset>
+      <fieldset class="dumpcheck__step">
+        <legend class="small"><strong>2. Do you live here?</strong></legend>
+        <label class="check small"><input type="radio" name="dumpcheckResident" value="1" checked /> Yes, I'm a resident</label>
+        <label class="check small"><input type="radio" name="dumpcheckResident" value="0" /> No</label>
+      </fieldset>
+      <fieldset class="dumpcheck__step">
+        <legend class="small"><strong>3. What are you driving?</strong></legend>
+        <select data-dumpcheck-vehicle style="width:auto">
+          ${WIZARD_VEHICLES.map((v) => `<option value="${v.key}">${escapeHtml(v.label)}</option>`).join("")}
+        </select>
+      </fieldset>
+      <div class="trip__controls">
+        <button type="submit" class="btn btn--primary">Check</button>
+      </div>
+      <div class="trip__plan" data-dumpcheck-output aria-live="polite"></div>
+    </form>
+  `;
+
+  const form = wrap.querySelector("[data-dumpcheck-form]");
+  const itemInput = wrap.querySelector("[data-dumpcheck-item]");
+  const suggestionsEl = wrap.querySelector("[data-dumpcheck-suggestions]");
+  const vehicleSelect = wrap.querySelector("[data-dumpcheck-vehicle]");
+  const output = wrap.querySelector("[data-dumpcheck-output]");
+
+  function renderSuggestions() {
+    const text = itemInput.value.trim();
+    const ids = text ? Materials.specificIdsInText(text, { partial: true }) : [];
+    // One match answers on its own. Several ("pool chemicals": hazardous waste or paint) wait for a pick,
+    // since the first in taxonomy order is often the less careful answer.
+    if (!ids.includes(materialId)) materialId = ids.length === 1 ? ids[0] : "";
+
+    if (!text) {
+      suggestionsEl.innerHTML = "";
+      return;
+    }
+    const buttons = ids
+      .slice(0, 6)
+      .map(
+        (id) => `<button type="button" class="trip__material" data-dumpcheck-pick="${escapeHtml(id)}"
+                   aria-pressed="${id === materialId ? "true" : "false"}">${escapeHtml(Materials.labelFor(id))}</button>`
+      )
+      .join("");
+    const hint = ids.length > 1 && !materialId ? `<span class="muted small">Which one is it?</span> ` : "";
+    suggestionsEl.innerHTML = ids.length
+      ? `${hint}${buttons}`
+      : `<span class="muted small">We don't recognize that yet. Try a simpler word, like "couch", "paint" or "tires".</span>`;
+  }
+
+  function run() {
+    if (!materialId) {
+      const several = suggestionsEl.querySelectorAll("[data-dumpcheck-pick]").length > 1;
+      output.innerHTML = several
+        ? `<p class="muted small">That could be more than one thing. Pick the closest match above.</p>`
+        : `<p class="muted small">Type what you want to get rid of, then pick the closest match.</p>`;
+      return;
+    }
+    const resident = wrap.querySelector('input[name="dumpcheckResident"]:checked')?.value !== "0";
+    const result = checkMaterial(getRows(), materialId, { resident, vehicle: vehicleSelect.value, origin: cityCenter });
+    output.innerHTML = renderWizardAnswer(result, materialId);
+  }
+
+  itemInput.addEventListener("input", renderSuggestions);
+
+  suggestionsEl.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-dumpcheck-pick]");
+    if (!btn) return;
+    materialId = btn.getAttribute("data-dumpcheck-pick") || "";
+    renderSuggestions();
+    run();
+  });
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    run();
   });
 
   resultsEl.parentNode.insertBefore(wrap, resultsEl);
 
-  return { setTypeOptions, setFeatureChips, setMaterialsCounts, setCounts, root: wrap };
+  return { run, root: wrap };
 }
 
 /** =========================
@@ -1380,9 +2218,21 @@ function renderDetailsPanel(item, id) {
   `;
 }
 
+// Compare toggle (compare.js wires the click); only facilities with a record under /data/facilities/
+function renderCompareToggle(item, facilityId) {
+  if (!facilityId || !window.Compare) return "";
+  const on = window.Compare.has(facilityId);
+  return `
+        <button type="button" class="btn btn--ghost" style="padding:8px 12px"
+                data-compare-toggle="${escapeHtml(facilityId)}" aria-pressed="${on ? "true" : "false"}"
+                data-compare-name="${escapeHtml(item.name || "")}" data-compare-type="${escapeHtml(item.type || "")}"
+                data-compare-address="${escapeHtml(item.address || "")}">${on ? "✓ Comparing" : "Compare"}</button>`;
+}
+
 function renderCard(item) {
   const norm = normalizeType(item.type);
   const typeBadge = renderTypeBadge(norm.key);
+  const hoursBadges = renderHoursBadges(item);
   const nearbyMeta = item.__isNearby
     ? `<p class="muted small" style="margin-top:4px"><strong>Nearby:</strong> ${escapeHtml(item.__nearbyCityLabel || titleCaseFromSlug(item.__nearbyCitySlug || ""))}${Number.isFinite(item.__nearbyDistanceMi) ? ` (${item.__nearbyDistanceMi.toFixed(1)} mi)` : ""}</p>`
     : "";
@@ -1404,10 +2254,11 @@ function renderCard(item) {
 
   return `
     <article class="card" data-id="${dataId}">
-      <div class="card__kicker">${typeBadge}</div>
+      <div class="card__kicker">${typeBadge}${hoursBadges ? ` ${hoursBadges}` : ""}</div>
       <h3>${escapeHtml(item.name || "Unnamed location")}</h3>
       ${nearbyMeta}
       ${item.address ? `<p class="card__meta">${escapeHtml(item.address)}</p>` : ""}
+      ${renderEstimateLine(item)}
 
       <div style="display:flex; gap:12px; margin-top:10px; flex-wrap:wrap; align-items:center">
         <a class="link" href="${mapsUrl}" target="_blank" rel="noopener">Directions</a>
@@ -1415,6 +2266,7 @@ function renderCard(item) {
         <button type="button" class="btn btn--ghost" data-details-toggle="${dataId}" style="padding:8px 12px">
           Details
         </button>
+        ${renderCompareToggle(item, facilityId)}
       </div>
 
       ${detailsPanel}
@@ -1506,7 +2358,7 @@ async function loadCityData() {
   let nearbyRowsCache = [];
   let nearbyLoaded = false;
   let nearbyLoadPromise = null;
-  let currentFilterState = { type: "all", flags: new Set(), materials: new Set() };
+  let currentFilterState = { type: "all", flags: new Set(), materials: new Set(), openNow: false };
   let applySeq = 0;
 
   async function ensureNearbyLoaded() {
@@ -1606,6 +2458,7 @@ async function loadCityData() {
       type: filterState?.type || "all",
       flags: new Set(filterState?.flags || []),
       materials: new Set(filterState?.materials || []),
+      openNow: !!filterState?.openNow,
     };
 
     if (nearbyPilotEnabled && includeNearbyCities) {
@@ -1614,7 +2467,19 @@ async function loadCityData() {
 
     const scopedRows = getScopeRows();
 
+    // Evaluated on every pass so a long-open tab doesn't keep stale open/closed state
+    const now = new Date();
+    const openNowRows = new Set();
+    let rowsWithHours = 0;
+    scopedRows.forEach((it) => {
+      const status = evaluateHoursSpec(it.hours_spec, now).status;
+      if (status !== "unknown") rowsWithHours += 1;
+      if (status === "open") openNowRows.add(it);
+    });
+
     const filtered = scopedRows.filter((it) => {
+      if (currentFilterState.openNow && !openNowRows.has(it)) return false;
+
       if (currentFilterState.type && currentFilterState.type !== "all") {
         if (it.__typeKey !== currentFilterState.type) return false;
       }
@@ -1640,9 +2505,18 @@ async function loadCityData() {
       return true;
     });
 
+    const feeState = feeCalc ? feeCalc.getState() : null;
+    filtered.forEach((it) => {
+      it.__estimate = feeState ? window.FeeEstimator.estimate(it.fee_schedule, feeState) : null;
+    });
+    const ordered = feeState && feeState.sortByCost
+      ? filtered.slice().sort((a, b) => window.FeeEstimator.compareEstimates(a.__estimate, b.__estimate))
+      : filtered;
+
     if (seq !== applySeq) return;
+    filterBar.setOpenNowCount(openNowRows.size, rowsWithHours);
     filterBar.setCounts(filtered.length, scopedRows.length);
-    render(filtered);
+    render(ordered);
     attachHandlers(resultsEl, mapCtl);
   }
 
@@ -1657,6 +2531,7 @@ async function loadCityData() {
     materials: new Set(
       Array.from(queryInitial.materials || []).filter((m) => allowedMaterials.has(m))
     ),
+    openNow: !!queryInitial.openNow,
   };
 
   const filterBar = buildFilterBar({
@@ -1665,6 +2540,23 @@ async function loadCityData() {
     initialState: effectiveInitial,
   });
 
+  const hasFeeSchedules = !!window.FeeEstimator && enrichedCity.some((it) => window.FeeEstimator.hasRates(it.fee_schedule));
+  const feeCalc = hasFeeSchedules
+    ? buildFeeCalculator({ resultsEl, onChange: () => applyFilters(currentFilterState) })
+    : null;
+
+  buildDumpWizard({
+    resultsEl,
+    getRows: getScopeRows,
+    cityCenter: cityCenterFromItems(enrichedCity),
+  });
+
+  const tripPlanner = buildTripPlanner({
+    resultsEl,
+    getRows: getScopeRows,
+    cityCenter: cityCenterFromItems(enrichedCity),
+  });
+
   filterBar.setTypeOptions(initialFacets.typeOptions);
   filterBar.setMaterialsCounts(initialFacets.materialCounts);
   filterBar.setFeatureChips(initialFacets.featureCounts);
@@ -1713,8 +2605,15 @@ async function loadCityData() {
     type: effectiveInitial.type,
     flags: new Set(effectiveInitial.flags),
     materials: new Set(effectiveInitial.materials),
+    openNow: effectiveInitial.openNow,
   });
 
+  // Shared trip link: show the plan, not the top of the page
+  if (tripPlanner && tripPlanner.hasInitialPlan) {
+    tripPlanner.run();
+    scrollToWithNavOffset(tripPlanner.root, { extraOffset: 12, behavior: "auto" });
+  }
+
   alignResultsAnchor(resultsEl);
 }
 
@@ -0,0 +1,553 @@
+// compare.js
+// Facility comparison: a "Compare" toggle on city result cards (city.js) and facility pages (facility.js)
+// collects up to four facilities, and /compare/ shows them side by side.
+//
+// The picks live in localStorage, so they survive moving between city and facility pages. Each pick is a
+// small snapshot ({ id, name, type, address }) for the tray; the compare page loads the full records from
+// /data/facilities/{id}.json. /compare/?ids=a,b shows those facilities instead of the saved picks.
+//
+// Toggle buttons are plain markup, wired here by delegation:
+//   <button type="button" data-compare-toggle="{id}" data-compare-name="..." data-compare-type="..."
+//           data-compare-address="...">Compare</button>
+// Their label and aria-pressed follow the saved picks on every page.
+
+(function () {
+  const STORAGE_KEY = "junkscout_compare_v1";
+  const MAX_ITEMS = 4;
+  const COMPARE_PATH = "/compare/";
+
+  const listeners = [];
+
+  function escapeHtml(str = "") {
+    return String(str).replace(/[&<>"']/g, (m) => ({
+      "&": "&amp;",
+      "<": "&lt;",
+      ">": "&gt;",
+      '"': "&quot;",
+      "'": "&#039;",
+    }[m]));
+  }
+
+  function typeLabel(type) {
+    const t = String(type || "").toLowerCase();
+    if (t.includes("landfill")) return "Landfill";
+    if (t.includes("transfer")) return "Transfer station";
+    if (t.includes("recycl")) return "Recycling";
+    if (t.includes("hazard")) return "Hazardous waste";
+    if (t.includes("dumpster")) return "Public dumpster";
+    return "Drop-off site";
+  }
+
+  function track(eventName, payload) {
+    try {
+      window.JunkScoutAnalytics?.track(eventName, payload);
+    } catch {
+      // analytics is optional
+    }
+  }
+
+  /** =========================
+   * Saved picks
+   * ========================= */
+
+  function read() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+      return Array.isArray(parsed)
+        ? parsed.filter((x) => x && typeof x.id === "string" && x.id).slice(0, MAX_ITEMS)
+        : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function write(items) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(items.slice(0, MAX_ITEMS)));
+    } catch {
+      // private mode / storage full: the picks just won't persist
+    }
+    notify();
+  }
+
+  function list() {
+    return read();
+  }
+
+  function has(id) {
+    return read().some((x) => x.id === id);
+  }
+
+  function snapshot(item) {
+    return {
+      id: String(item.id || "").trim(),
+      name: String(item.name || "").trim() || "Unnamed location",
+      type: String(item.type || "").trim(),
+      address: String(item.address || "").trim(),
+    };
+  }
+
+  // "added", "removed" or "full" (already MAX_ITEMS picks; nothing changed); "" without an id
+  function toggle(item) {
+    const entry = snapshot(item || {});
+    if (!entry.id) return "";
+
+    const items = read();
+    if (items.some((x) => x.id === entry.id)) {
+      write(items.filter((x) => x.id !== entry.id));
+      track("compare_remove", { facility_id: entry.id });
+      return "removed";
+    }
+    if (items.length >= MAX_ITEMS) return "full";
+
+    write([...items, entry]);
+    track("compare_add", { facility_id: entry.id, count: items.length + 1 });
+    return "added";
+  }
+
+  function remove(id) {
+    write(read().filter((x) => x.id !== id));
+  }
+
+  function clear() {
+    write([]);
+  }
+
+  function onChange(fn) {
+    if (typeof fn === "function") listeners.push(fn);
+  }
+
+  function notify() {
+    const items = read();
+    syncButtons(items);
+    renderTray(items);
+    listeners.forEach((fn) => {
+      try {
+        fn(items);
+      } catch (err) {
+        console.warn("[compare.js] listener failed:", err);
+      }
+    });
+  }
+
+  function compareUrl(items) {
+    const ids = (items || read()).map((x) => x.id);
+    return ids.length ? `${COMPARE_PATH}?ids=${ids.map(encodeURIComponent).join(",")}` : COMPARE_PATH;
+  }
+
+  /** =========================
+   * Toggle buttons + tray
+   * ========================= */
+
+  function syncButtons(items = read()) {
+    const ids = new Set(items.map((x) => x.id));
+    document.querySelectorAll("[data-compare-toggle]").forEach((btn) => {
+      const id = btn.getAttribute("data-compare-toggle") || "";
+      const on = ids.has(id);
+      btn.setAttribute("aria-pressed", on ? "true" : "false");
+      btn.textContent = on ? "✓ Comparing" : "Compare";
+    });
+  }
+
+  function flashFull(btn) {
+    const tray = document.getElementById("compareTray");
+    const note = tray && tray.querySelector("[data-compare-note]");
+    if (note) note.textContent = `You can compare up to ${MAX_ITEMS} facilities. Remove one first.`;
+    if (btn) {
+      btn.textContent = `Max ${MAX_ITEMS}`;
+      setTimeout(() => syncButtons(), 1500);
+    }
+  }
+
+  function wireToggleButtons() {
+    document.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-compare-toggle]");
+      if (!btn) return;
+      e.preventDefault();
+
+      const result = toggle({
+        id: btn.getAttribute("data-compare-toggle"),
+        name: btn.getAttribute("data-compare-name"),
+        type: btn.getAttribute("data-compare-type"),
+        address: btn.getAttribute("data-compare-address"),
+      });
+      if (result === "full") flashFull(btn);
+    });
+  }
+
+  function renderTray(items = read()) {
+    // The compare page is the comparison; no tray there
+    if (document.getElementById("compareTable")) return;
+
+    let tray = document.getElementById("compareTray");
+    if (!items.length) {
+      if (tray) tray.hidden = true;
+      return;
+    }
+
+    if (!tray) {
+      tray = document.createElement("div");
+      tray.id = "compareTray";
+      tray.className = "compare-tray";
+      tray.setAttribute("role", "region");
+      tray.setAttribute("aria-label", "Facilities to compare");
+      document.body.appendChild(tray);
+
+      tray.addEventListener("click", (e) => {
+        const removeBtn = e.target.closest("[data-compare-remove]");
+        if (removeBtn) remove(removeBtn.getAttribute("data-compare-remove") || "");
+        if (e.target.closest("[data-compare-clear]")) clear();
+      });
+    }
+
+    tray.hidden = false;
+    tray.innerHTML = `
+      <div class="compare-tray__inner">
+        <strong class="compare-tray__title">Compare (${items.length}/${MAX_ITEMS})</strong>
+        <ul class="compare-tray__list">
+          ${items
+            .map(
+              (x) => `<li class="compare-tray__item">
+                <span>${escapeHtml(x.name)}</span>
+                <button type="button" class="compare-tray__remove" data-compare-remove="${escapeHtml(x.id)}"
+                        aria-label="Remove ${escapeHtml(x.name)} from comparison">×</button>
+              </li>`
+            )
+            .join("")}
+        </ul>
+        <div class="compare-tray__actions">
+          ${
+            items.length > 1
+              ? `<a class="btn btn--primary" href="${escapeHtml(compareUrl(items))}">Open comparison</a>`
+              : `<span class="muted small">Add another facility to compare.</span>`
+          }
+          <button type="button" class="btn btn--ghost" data-compare-clear>Clear</button>
+        </div>
+        <p class="muted small compare-tray__note" data-compare-note></p>
+      </div>
+    `;
+  }
+
+  /** =========================
+   * Compare page (/compare/)
+   * ========================= */
+
+  function idsFromQuery() {
+    const raw = new URLSearchParams(window.location.search).get("ids") || "";
+    const seen = new Set();
+    return raw
+      .split(",")
+      .map((x) => x.trim())
+      .filter((x) => /^[a-z0-9_-]+$/i.test(x))
+      .filter((x) => (seen.has(x) ? false : (seen.add(x), true)))
+      .slice(0, MAX_ITEMS);
+  }
+
+  async function loadRecord(entry) {
+    try {
+      const res = await fetch(`/data/facilities/${encodeURIComponent(entry.id)}.json`, { cache: "no-store" });
+      if (!res.ok) throw new Error(`Failed to load facility ${entry.id} (${res.status})`);
+      return { ...(await res.json()), id: entry.id };
+    } catch (err) {
+      console.warn("[compare.js]", err);
+      return { ...entry, __missing: true };
+    }
+  }
+
+  function distanceMiles(lat1, lng1, lat2, lng2) {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const R = 3958.8;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a =
+      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+      Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  function mapsUrl(f) {
+    if (f.address) return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(f.address)}`;
+    if (typeof f.lat === "number" && typeof f.lng === "number") {
+      return `https://www.google.com/maps/search/?api=1&query=${f.lat},${f.lng}`;
+    }
+    return "";
+  }
+
+  function textList(values) {
+    const items = (Array.isArray(values) ? values : []).map((x) => String(x).trim()).filter(Boolean);
+    return items.length ? `<ul class="compare__list">${items.map((x) => `<li>${escapeHtml(x)}</li>`).join("")}</ul>` : "";
+  }
+
+  // "Free for residents: 2 visits/month, up to 2,000 lbs per visit"
+  function residentFreeText(schedule) {
+    const rf = schedule && typeof schedule === "object" ? schedule.resident_free : null;
+    if (!rf || typeof rf !== "object") return "";
+    const limits = [];
+    if (rf.visits_per_month) limits.push(`${rf.visits_per_month} visit${rf.visits_per_month === 1 ? "" : "s"}/month`);
+    if (rf.visits_per_day) limits.push(`${rf.visits_per_day} visit${rf.visits_per_day === 1 ? "" : "s"}/day`);
+    if (rf.max_lbs_per_visit) limits.push(`up to ${Number(rf.max_lbs_per_visit).toLocaleString("en-US")} lbs per visit`);
+    if (Array.isArray(rf.vehicles) && rf.vehicles.length) limits.push(`${rf.vehicles.join(", ")} only`);
+    const who = String(rf.who || "").trim() || "residents";
+    return `Free for ${who}${limits.length ? `: ${limits.join(", ")}` : ""}`;
+  }
+
+  function pickupEstimateText(schedule) {
+    const estimator = window.FeeEstimator;
+    if (!estimator || !schedule || typeof schedule !== "object") return "";
+    const est = estimator.estimate(schedule, { load: "pickup" });
+    return est.amount === null && !est.free ? "" : `Pickup bed: ${estimator.formatEstimate(est)}`;
+  }
+
+  function materialIds(f) {
+    return window.Materials ? new Set(window.Materials.materialIdsFor(f)) : new Set();
+  }
+
+  // Rows of the table. value(f, ctx) -> { html, key }; key is what "differs" compares (defaults to the html)
+  const ROWS = [
+    {
+      label: "Type",
+      value: (f) => ({ html: escapeHtml(f.type_label || typeLabel(f.type)) }),
+    },
+    {
+      label: "Address",
+      value: (f) => {
+        const url = mapsUrl(f);
+        return {
+          key: f.address || "",
+          html: `${f.address ? escapeHtml(f.address) : `<span class="muted">Not listed</span>`}${
+            url ? `<div><a class="link" href="${escapeHtml(url)}" target="_blank" rel="noopener">Directions</a></div>` : ""
+          }`,
+        };
+      },
+    },
+    {
+      label: "Distance",
+      distance: true,
+      value: (f, ctx) => {
+        if (!ctx.origin) return { key: "", html: `<span class="muted">Use your location to see distance</span>` };
+        if (typeof f.lat !== "number" || typeof f.lng !== "number") return { key: "", html: `<span class="muted">Unknown</span>` };
+        const miles = distanceMiles(ctx.origin.lat, ctx.origin.lng, f.lat, f.lng);
+        return { key: miles.toFixed(1), html: `${miles.toFixed(1)} mi` };
+      },
+    },
+    {
+      label: "Hours",
+      value: (f) => ({ key: f.hours || "", html: f.hours ? escapeHtml(f.hours) : `<span class="muted">Not listed</span>` }),
+    },
+    {
+      label: "Fees",
+      value: (f) => {
+        const estimate = pickupEstimateText(f.fee_schedule);
+        const html = [f.fees ? escapeHtml(f.fees) : "", estimate ? `<div class="muted small">${escapeHtml(estimate)}</div>` : ""]
+          .filter(Boolean)
+          .join("");
+        return { key: `${f.fees || ""}|${estimate}`, html: html || `<span class="muted">Not listed</span>` };
+      },
+    },
+    {
+      label: "Residency rules",
+      value: (f) => {
+        const free = residentFreeText(f.fee_schedule);
+        const html = [f.rules ? escapeHtml(f.rules) : "", free ? `<div class="muted small">${escapeHtml(free)}</div>` : ""]
+          .filter(Boolean)
+          .join("");
+        return { key: `${f.rules || ""}|${free}`, html: html || `<span class="muted">Not listed</span>` };
+      },
+    },
+    {
+      label: "Accepted",
+      value: (f) => ({ html: textList(f.accepted_materials) || `<span class="muted">Not listed</span>` }),
+    },
+    {
+      label: "Not accepted",
+      value: (f) => ({ html: textList(f.not_accepted) || `<span class="muted">Not listed</span>` }),
+    },
+    {
+      label: "Verified",
+      value: (f) => ({ key: f.verified_date || "", html: f.verified_date ? escapeHtml(f.verified_date) : `<span class="muted">Not verified</span>` }),
+    },
+    {
+      label: "Source",
+      value: (f) => {
+        const src = String(f.source || f.website || f.osm_url || "").trim();
+        if (!/^https?:\/\//i.test(src)) return { key: "", html: `<span class="muted">None</span>` };
+        let host = src;
+        try {
+          host = new URL(src).hostname.replace(/^www\./, "");
+        } catch {
+          // keep the raw url
+        }
+        return { key: src, html: `<a class="link" href="${escapeHtml(src)}" target="_blank" rel="noopener">${escapeHtml(host)}</a>` };
+      },
+    },
+  ];
+
+  // One ✓/– row per top-level material category any of the facilities takes
+  function materialRows(records) {
+    if (!window.Materials) return [];
+    const sets = records.map(materialIds);
+    return window.Materials.CATEGORIES.filter((id) => sets.some((set) => set.has(id))).map((id) => ({
+      label: window.Materials.labelFor(id),
+      material: true,
+      value: (f, ctx) => {
+        const on = sets[ctx.index].has(id);
+        return { key: on ? "1" : "0", html: on ? `<span class="compare__yes" aria-label="Yes">✓</span>` : `<span class="compare__no" aria-label="No">–</span>` };
+      },
+    }));
+  }
+
+  function rowHtml(row, records, ctx) {
+    const cells = records.map((f, index) => row.value(f, { ...ctx, index }));
+    const keys = new Set(cells.map((c) => (c.key !== undefined ? c.key : c.html)));
+    const differs = records.length > 1 && keys.size > 1;
+    return `
+      <tr class="${differs ? "compare__row compare__row--diff" : "compare__row"}"${row.distance ? " data-compare-distance" : ""}>
+        <th scope="row">${escapeHtml(row.label)}${differs ? ` <span class="compare__diffnote">differs</span>` : ""}</th>
+        ${cells.map((c) => `<td>${c.html}</td>`).join("")}
+      </tr>
+    `;
+  }
+
+  function renderTable(tableEl, records, ctx) {
+    const head = records
+      .map(
+        (f) => `
+        <th scope="col">
+          <a class="compare__name" href="/facility/${encodeURIComponent(f.id)}/">${escapeHtml(f.name || "Unnamed location")}</a>
+          ${f.__missing ? `<div class="muted small">Details couldn't be loaded.</div>` : ""}
+          <button type="button" class="compare-tray__remove" data-compare-page-remove="${escapeHtml(f.id)}"
+                  aria-label="Remove ${escapeHtml(f.name || "facility")} from comparison">×</button>
+        </th>`
+      )
+      .join("");
+
+    const materials = materialRows(records);
+    tableEl.innerHTML = `
+      <thead><tr><td></td>${head}</tr></thead>
+      <tbody>
+        ${ROWS.map((row) => rowHtml(row, records, ctx)).join("")}
+        ${
+          materials.length
+            ? `<tr class="compare__section"><th scope="rowgroup" colspan="${records.length + 1}">Materials</th></tr>
+               ${materials.map((row) => rowHtml(row, records, ctx)).join("")}`
+            : ""
+        }
+      </tbody>
+    `;
+  }
+
+  async function mountComparePage() {
+    const tableEl = document.getElementById("compareTable");
+    if (!tableEl) return;
+
+    const statusEl = document.getElementById("compareStatus");
+    const diffOnlyEl = document.getElementById("compareDiffOnly");
+    const locateBtn = document.getElementById("compareLocate");
+    const wrapEl = document.getElementById("compareWrap");
+
+    const fromQuery = idsFromQuery();
+    const saved = read();
+    let entries = fromQuery.length
+      ? fromQuery.map((id) => saved.find((x) => x.id === id) || { id, name: "", type: "", address: "" })
+      : saved;
+
+    const setStatus = (text) => {
+      if (statusEl) statusEl.textContent = text;
+    };
+
+    if (entries.length === 0) {
+      if (wrapEl) wrapEl.hidden = true;
+      setStatus("Nothing to compare yet. Tap “Compare” on up to four facilities in a city's results or on facility pages.");
+      return;
+    }
+
+    setStatus("Loading facilities…");
+    let records = await Promise.all(entries.map(loadRecord));
+    const ctx = { origin: null };
+
+    const draw = () => {
+      if (!records.length) {
+        if (wrapEl) wrapEl.hidden = true;
+        setStatus("Nothing to compare yet. Tap “Compare” on up to four facilities in a city's results or on facility pages.");
+        return;
+      }
+      if (wrapEl) wrapEl.hidden = false;
+      setStatus(
+        records.length === 1
+          ? "Add another facility to compare side by side."
+          : `Comparing ${records.length} facilities. Highlighted rows differ.`
+      );
+      renderTable(tableEl, records, ctx);
+    };
+    draw();
+    track("compare_view", { count: records.length });
+
+    tableEl.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-compare-page-remove]");
+      if (!btn) return;
+      const id = btn.getAttribute("data-compare-page-remove") || "";
+      records = records.filter((f) => f.id !== id);
+      entries = entries.filter((x) => x.id !== id);
+      remove(id);
+      if (fromQuery.length && window.history?.replaceState) {
+        window.history.replaceState(null, "", compareUrl(entries));
+      }
+      draw();
+    });
+
+    if (diffOnlyEl) {
+      diffOnlyEl.addEventListener("change", () => {
+        tableEl.classList.toggle("compare__table--diffonly", diffOnlyEl.checked);
+      });
+    }
+
+    if (locateBtn) {
+      if (!navigator.geolocation) {
+        locateBtn.hidden = true;
+      } else {
+        locateBtn.addEventListener("click", () => {
+          locateBtn.disabled = true;
+          locateBtn.textContent = "Finding you…";
+          navigator.geolocation.getCurrentPosition(
+            (pos) => {
+              ctx.origin = { lat: pos.coords.latitude, lng: pos.coords.longitude };
+              locateBtn.textContent = "Distance from you";
+              draw();
+            },
+            () => {
+              locateBtn.disabled = false;
+              locateBtn.textContent = "Use my location";
+              setStatus("Couldn't access your location. Distances are hidden.");
+            },
+            { enableHighAccuracy: false, timeout: 10000, maximumAge: 300000 }
+          );
+        });
+      }
+    }
+  }
+
+  window.Compare = {
+    MAX_ITEMS,
+    list,
+    has,
+    toggle,
+    remove,
+    clear,
+    onChange,
+    syncButtons: () => syncButtons(),
+    compareUrl: () => compareUrl(),
+  };
+
+  document.addEventListener("DOMContentLoaded", () => {
+    wireToggleButtons();
+    syncButtons();
+    renderTray();
+    mountComparePage();
+  });
+
+  // Picks made in another tab
+  window.addEventListener("storage", (e) => {
+    if (e.key === STORAGE_KEY) notify();
+  });
+})();
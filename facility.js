@@ -1,6 +1,7 @@
 // facility.js
 // Loads /data/facilities/{id}.json and renders into the facility template.
 // Also renders manual facility badges from /data/facility-badges.json when present.
+// The Compare button is handled by compare.js once the facility id is on it.
 
 function titleCaseFromSlug(slug = "") {
   return slug
@@ -35,36 +36,6 @@ function typeLabel(type) {
   return "Drop-off site";
 }
 
-function isFacilityInCity(f, citySlug) {
-  const wanted = String(citySlug || "").toLowerCase().trim();
-  if (!wanted) return false;
-
-  const appears = Array.isArray(f?.appears_in) ? f.appears_in : [];
-  const inCity = appears.some((x) => String(x?.city || "").toLowerCase() === wanted);
-  if (inCity) return true;
-
-  const addr = String(f?.address || "").toLowerCase();
-  if (addr.includes(wanted)) return true;
-
-  return false;
-}
-
-function isHoustonFacility(f) {
-  return isFacilityInCity(f, "houston");
-}
-
-function isDallasFacility(f) {
-  return isFacilityInCity(f, "dallas");
-}
-
-function isAustinFacility(f) {
-  return isFacilityInCity(f, "austin");
-}
-
-function isSanAntonioFacility(f) {
-  return isFacilityInCity(f, "san antonio");
-}
-
 function badgeLabel(key) {
   const map = {
     free_to_residents: "Free to residents",
@@ -197,6 +168,76 @@ function injectVerifiedSection(html) {
   aboutEl.parentNode.insertBefore(wrap, aboutEl.nextSibling);
 }
 
+function mountFeeCalculator(f) {
+  const estimator = window.FeeEstimator;
+  const aboutEl = document.getElementById("facilityAbout");
+  if (!estimator || !aboutEl || !f || !estimator.hasRates(f.fee_schedule)) return;
+  if (document.getElementById("feeCalculator")) return;
+
+  const wrap = document.createElement("section");
+  wrap.id = "feeCalculator";
+  wrap.className = "seo-copy";
+  wrap.setAttribute("aria-label", "Cost estimate");
+  wrap.style.marginTop = "18px";
+
+  const loadOptions = estimator.LOAD_SIZES
+    .map((size) => `<option value="${escapeHtml(size.key)}">${escapeHtml(size.label)}</option>`)
+    .join("");
+  const itemFields = estimator.ITEMS
+    .map(
+      (item) => `
+        <label class="small" style="display:grid; gap:4px">
+          <span style="font-weight:700">${escapeHtml(item.label)}</span>
+          <input type="number" min="0" max="20" value="0" data-fee-item="${escapeHtml(item.key)}" style="width:72px" />
+        </label>`
+    )
+    .join("");
+  const payment = estimator.paymentMethodsText(f.fee_schedule);
+
+  wrap.innerHTML = `
+    <h2>Estimate your cost</h2>
+    <div style="display:flex; flex-wrap:wrap; gap:12px; align-items:flex-end; margin-top:10px">
+      <label class="small" style="display:grid; gap:4px">
+        <span style="font-weight:700">Load size</span>
+        <select data-fee-load style="width:auto">${loadOptions}</select>
+      </label>
+      ${itemFields}
+      <label class="check small"><input type="checkbox" data-fee-resident checked /> I'm a local resident</label>
+    </div>
+    <p style="margin-top:12px"><strong>Estimated cost:</strong> <span data-fee-result></span></p>
+    ${payment ? `<p class="muted small">Payment: ${escapeHtml(payment)}</p>` : ""}
+    <p class="muted small">Estimates use posted rates only and typical load weights. Confirm with the facility before you drive.</p>
+  `;
+
+  const resultEl = wrap.querySelector("[data-fee-result]");
+  const loadEl = wrap.querySelector("[data-fee-load]");
+  const residentEl = wrap.querySelector("[data-fee-resident]");
+  const itemEls = Array.from(wrap.querySelectorAll("[data-fee-item]"));
+
+  function update() {
+    const items = {};
+    itemEls.forEach((el) => {
+      const n = Math.max(0, Math.min(20, Number(el.value) || 0));
+      if (n > 0) items[el.getAttribute("data-fee-item")] = n;
+    });
+    const est = estimator.estimate(f.fee_schedule, {
+      load: loadEl.value,
+      items,
+      resident: residentEl.checked,
+    });
+    const notes = (est.notes || []).join(" · ");
+    resultEl.textContent = `${estimator.formatEstimate(est)}${notes ? ` (${notes})` : ""}`;
+  }
+
+  loadEl.addEventListener("change", update);
+  residentEl.addEventListener("change", update);
+  itemEls.forEach((el) => el.addEventListener("input", update));
+  update();
+
+  const anchor = document.getElementById("verifiedDetails") || aboutEl;
+  anchor.parentNode.insertBefore(wrap, anchor.nextSibling);
+}
+
 async function loadFacility() {
   const id = getFacilityIdFromPath();
   if (!id) return;
@@ -219,11 +260,10 @@ async function loadFacility() {
     const webEl = document.getElementById("facilityWebsite");
     const srcEl = document.getElementById("facilitySource");
     const ctaEl = document.getElementById("facilityCta");
+    const compareEl = document.getElementById("facilityCompare");
     const citiesEl = document.getElementById("facilityCities");
     const aboutEl = document.getElementById("facilityAbout");
 
-    const houBtn = document.getElementById("houstonRulesBtn");
-
     const name = f.name || "Unnamed site";
     const type = typeLabel(f.type);
     const address = f.address || "Address not provided";
@@ -262,6 +302,15 @@ async function loadFacility() {
       srcEl.style.display = "none";
     }
 
+    if (compareEl && window.Compare) {
+      compareEl.setAttribute("data-compare-toggle", id);
+      compareEl.setAttribute("data-compare-name", name);
+      compareEl.setAttribute("data-compare-type", f.type || "");
+      compareEl.setAttribute("data-compare-address", f.address || "");
+      compareEl.style.display = "inline-flex";
+      window.Compare.syncButtons();
+    }
+
     if (aboutEl) {
       aboutEl.innerHTML =
         `This location is listed as a <strong>${escapeHtml(type)}</strong>. ` +
@@ -302,20 +351,7 @@ async function loadFacility() {
     // ✅ Manual-rich section
     const verifiedHtml = renderVerifiedSection(f);
     if (verifiedHtml) injectVerifiedSection(verifiedHtml);
-
-    // Modal trigger (UI-only)
-    const isHouston = isHoustonFacility(f);
-    const isDallas = isDallasFacility(f);
-    const isAustin = isAustinFacility(f);
-    const isSanAntonio = isSanAntonioFacility(f);
-    window.__isHoustonFacility = isHouston;
-    window.__isDallasFacility = isDallas;
-    window.__isAustinFacility = isAustin;
-    window.__isSanAntonioFacility = isSanAntonio;
-
-    if (houBtn) {
-      houBtn.style.display = (isHouston || isDallas || isAustin || isSanAntonio) ? "inline-flex" : "none";
-    }
+    mountFeeCalculator(f);
   } catch (err) {
     console.error(err);
   }
@@ -0,0 +1,151 @@
+// fee-estimator.js
+// Per-load cost estimates from a facility's structured `fee_schedule`.
+// Shared by city.js (sortable estimates in the results list) and facility.js (calculator box).
+
+(function () {
+  // Rough typical weights; only used to turn per-ton rates into a ballpark number.
+  const LOAD_SIZES = [
+    { key: "car", label: "Car or SUV", lbs: 300 },
+    { key: "pickup", label: "Pickup bed", lbs: 800 },
+    { key: "trailer", label: "Small trailer", lbs: 1500 },
+  ];
+
+  const ITEMS = [
+    { key: "tire", label: "Tires" },
+    { key: "mattress", label: "Mattresses" },
+    { key: "appliance", label: "Appliances" },
+  ];
+
+  const PAYMENT_LABELS = {
+    cash: "cash",
+    credit: "credit card",
+    debit: "debit card",
+    check: "check",
+    account: "pre-arranged account",
+  };
+
+  function toAmount(v) {
+    const n = Number(v);
+    return v !== null && v !== undefined && v !== "" && Number.isFinite(n) ? n : null;
+  }
+
+  function loadSizeFor(key) {
+    return LOAD_SIZES.find((x) => x.key === key) || LOAD_SIZES[0];
+  }
+
+  function hasSchedule(schedule) {
+    return !!schedule && typeof schedule === "object";
+  }
+
+  // A schedule worth a calculator: at least one posted dollar amount. Most schedules only record who
+  // gets in free, and a calculator over one says "No posted rate" for everyone else.
+  function hasRates(schedule) {
+    if (!hasSchedule(schedule)) return false;
+    const amounts = [
+      ...(Array.isArray(schedule.per_load) ? schedule.per_load : []).map((row) => row && row.amount),
+      ...(Array.isArray(schedule.item_surcharges) ? schedule.item_surcharges : []).map((row) => row && row.amount),
+      schedule.per_ton && schedule.per_ton.rate,
+    ];
+    return amounts.some((v) => toAmount(v) !== null);
+  }
+
+  function residentFreeApplies(schedule, loadKey) {
+    const rf = schedule.resident_free;
+    if (!rf || typeof rf !== "object") return false;
+    const vehicles = Array.isArray(rf.vehicles) ? rf.vehicles : [];
+    return vehicles.length === 0 || vehicles.includes(loadKey);
+  }
+
+  function baseCharge(schedule, load) {
+    const perLoad = Array.isArray(schedule.per_load) ? schedule.per_load : [];
+    const loadRow =
+      perLoad.find((row) => row && row.vehicle === load.key && toAmount(row.amount) !== null) ||
+      perLoad.find((row) => row && (row.vehicle === "any" || !row.vehicle) && toAmount(row.amount) !== null);
+    if (loadRow) return toAmount(loadRow.amount);
+
+    const perTon = schedule.per_ton;
+    const rate = toAmount(perTon && perTon.rate);
+    if (rate === null) return null;
+
+    let lbs = load.lbs;
+    const increment = toAmount(perTon.increment_lbs);
+    if (increment) lbs = Math.ceil(lbs / increment) * increment;
+
+    const minimumTons = toAmount(perTon.minimum_tons);
+    const tons = Math.max(lbs / 2000, minimumTons || 0);
+    return Math.max(rate * tons, toAmount(perTon.minimum) || 0);
+  }
+
+  // Returns { amount, free, partial, notes } where amount is null when the schedule
+  // doesn't carry enough numbers for this load.
+  function estimate(schedule, { load = "car", items = {}, resident = false } = {}) {
+    if (!hasSchedule(schedule)) return { amount: null, free: false, partial: false, notes: [] };
+
+    const size = loadSizeFor(load);
+    const notes = [];
+    let partial = false;
+    let base;
+    let free = false;
+
+    if (resident && residentFreeApplies(schedule, size.key)) {
+      base = 0;
+      free = true;
+      const rf = schedule.resident_free;
+      if (rf.who) notes.push(`Free for ${rf.who}`);
+      if (toAmount(rf.visits_per_month)) notes.push(`up to ${rf.visits_per_month} visits/month`);
+      if (toAmount(rf.visits_per_day)) notes.push(`${rf.visits_per_day} load/day`);
+      if (toAmount(rf.max_lbs_per_visit)) notes.push(`max ${rf.max_lbs_per_visit} lb/visit`);
+    } else {
+      base = baseCharge(schedule, size);
+    }
+
+    if (base === null) return { amount: null, free: false, partial: false, notes };
+
+    let total = base;
+    const surcharges = Array.isArray(schedule.item_surcharges) ? schedule.item_surcharges : [];
+    for (const item of ITEMS) {
+      const count = Number(items[item.key]) || 0;
+      if (count <= 0) continue;
+      const row = surcharges.find((x) => x && x.item === item.key);
+      const amount = toAmount(row && row.amount);
+      if (amount === null) {
+        partial = true;
+        continue;
+      }
+      total += amount * count;
+    }
+
+    if (partial) notes.push("some items not priced");
+
+    return { amount: Math.round(total * 100) / 100, free: free && total === 0, partial, notes };
+  }
+
+  function formatEstimate(result) {
+    if (!result || result.amount === null) return "No posted rate";
+    if (result.free) return "Free";
+    const text = `$${result.amount.toFixed(2).replace(/\.00$/, "")}`;
+    return result.partial ? `${text}+` : `~${text}`;
+  }
+
+  function paymentMethodsText(schedule) {
+    const methods = hasSchedule(schedule) && Array.isArray(schedule.payment_methods) ? schedule.payment_methods : [];
+    return methods.map((m) => PAYMENT_LABELS[m] || m).join(", ");
+  }
+
+  // Ascending by amount; facilities with no estimate go last.
+  function compareEstimates(a, b) {
+    const av = a && a.amount !== null && a.amount !== undefined ? a.amount : Infinity;
+    const bv = b && b.amount !== null && b.amount !== undefined ? b.amount : Infinity;
+    return av - bv;
+  }
+
+  window.FeeEstimator = {
+    LOAD_SIZES,
+    ITEMS,
+    hasRates,
+    estimate,
+    formatEstimate,
+    paymentMethodsText,
+    compareEstimates,
+  };
+})();
@@ -1,134 +1,9 @@
 ﻿// houston-modal.js
-// City rules modal for Houston, Dallas, Austin, and San Antonio.
-// Kept under the same filename to avoid template churn.
+// City rules modal for any city with a rules profile (data/manual/<state>/rules/<city>.json).
+// The page generators embed the profile as <script type="application/json" id="cityRulesProfile">;
+// pages without one get no button.
 
 (function () {
-  const PROFILES = {
-    houston: {
-      key: "houston",
-      buttonLabel: "Houston rules & fees",
-      title: "How dumping works in Houston",
-      subhead: "Quick, plain-language rules people usually need before driving out.",
-      bullets: [
-        "Some sites are free for Houston residents with valid ID and proof of address.",
-        "Private landfills and transfer stations typically charge by load or weight.",
-        "City-run sites may reject commercial loads.",
-        "Accepted materials vary by site and can change without notice."
-      ],
-      tipTitle: "Tip",
-      tipBody: "Call 3-1-1 to confirm rules, hours, and accepted materials before driving.",
-      sourceLabel: "Official source",
-      sourceUrl: "https://www.houstontx.gov/solidwaste/",
-      links: [
-        {
-          label: "Neighborhood depositories and recycling centers",
-          url: "https://www.houstontx.gov/solidwaste/dropoff.html"
-        },
-        {
-          label: "Environmental Service Centers (household hazardous waste)",
-          url: "https://www.houstontx.gov/solidwaste/esc.html"
-        },
-        {
-          label: "Recycling locations and map",
-          url: "https://www.houstontx.gov/solidwaste/recycling_map.html"
-        }
-      ],
-      footer: "Based on City of Houston guidance. Always confirm before visiting."
-    },
-    dallas: {
-      key: "dallas",
-      buttonLabel: "Dallas rules & fees",
-      title: "How dumping works in Dallas",
-      subhead: "Quick rules to help you choose the right site before you load up.",
-      bullets: [
-        "Dallas has both city and private disposal options with different rules.",
-        "Transfer stations and landfills usually charge based on material and load size.",
-        "Some city services are resident-focused and may require proof of address.",
-        "Accepted and rejected materials can differ across locations."
-      ],
-      tipTitle: "Tip",
-      tipBody: "Call 3-1-1 before driving to confirm current hours and eligibility.",
-      sourceLabel: "Official source",
-      sourceUrl: "https://dallascityhall.com/departments/sanitation/Pages/default.aspx",
-      links: [
-        {
-          label: "Dallas Sanitation and Services",
-          url: "https://dallascityhall.com/departments/sanitation/Pages/default.aspx"
-        },
-        {
-          label: "Dallas electronics recycling information",
-          url: "https://dallascityhall.com/departments/sanitation/Pages/electronic_waste.aspx"
-        }
-      ],
-      footer: "Based on City of Dallas guidance. Always confirm before visiting."
-    },
-    austin: {
-      key: "austin",
-      buttonLabel: "Austin rules & fees",
-      title: "How dumping works in Austin",
-      subhead: "Quick rules to help you choose the right drop-off option before driving.",
-      bullets: [
-        "Austin-area options include city, county, and private facilities.",
-        "Some services are resident-focused and may require ID or proof of address.",
-        "Transfer stations and landfills usually charge by load size or material type.",
-        "Accepted materials and hours can change, so confirm before you go."
-      ],
-      tipTitle: "Tip",
-      tipBody: "Call 3-1-1 to confirm city-run Austin Resource Recovery options before loading up.",
-      sourceLabel: "Official source",
-      sourceUrl: "https://www.austintexas.gov/dropoff",
-      links: [
-        {
-          label: "Austin Recycle & Reuse Drop-off Center",
-          url: "https://www.austintexas.gov/dropoff"
-        },
-        {
-          label: "Austin Resource Recovery",
-          url: "https://www.austintexas.gov/department/austin-resource-recovery"
-        }
-      ],
-      footer: "Based on City of Austin guidance. Always confirm before visiting."
-    },
-    "san-antonio": {
-      key: "san-antonio",
-      buttonLabel: "San Antonio rules & fees",
-      title: "How dumping works in San Antonio",
-      subhead: "Quick rules to help you choose the right drop-off option before driving.",
-      bullets: [
-        "San Antonio options include city drop-off, county services, and private facilities.",
-        "Some resident-focused services may require proof of address and ID.",
-        "Transfer stations and landfills usually charge based on load size and materials.",
-        "Accepted items and schedules can change, so confirm before you go."
-      ],
-      tipTitle: "Tip",
-      tipBody: "Use 3-1-1 and city resources to confirm bulky waste and hazardous waste rules before loading up.",
-      sourceLabel: "Official source",
-      sourceUrl: "https://www.sa.gov/Directory/Departments/SWMD",
-      links: [
-        {
-          label: "San Antonio Solid Waste Management",
-          url: "https://www.sa.gov/Directory/Departments/SWMD"
-        },
-        {
-          label: "Bulky waste collection centers",
-          url: "https://www.sa.gov/Directory/Departments/SWMD/Bulky"
-        },
-        {
-          label: "Household hazardous waste",
-          url: "https://www.sa.gov/Directory/Departments/SWMD/HHW"
-        }
-      ],
-      footer: "Based on San Antonio guidance. Always confirm before visiting."
-    }
-  };
-
-  const CITY_PATH_TO_PROFILE = {
-    "/texas/houston": "houston",
-    "/texas/dallas": "dallas",
-    "/texas/austin": "austin",
-    "/texas/san-antonio": "san-antonio"
-  };
-
   function escapeHtml(str = "") {
     return String(str).replace(/[&<>"']/g, (m) => ({
       "&": "&amp;",
@@ -139,31 +14,15 @@
     }[m]));
   }
 
-  function normalizePath(pathname = "") {
-    const p = String(pathname || "").trim().toLowerCase();
-    if (!p) return "/";
-    const clean = p.replace(/\/+$/, "");
-    return clean || "/";
-  }
-
-  function profileKeyFromCurrentPath() {
-    const key = CITY_PATH_TO_PROFILE[normalizePath(window.location.pathname)];
-    return key || "";
-  }
-
-  function getProfileByKey(profileKey) {
-    return PROFILES[String(profileKey || "").toLowerCase()] || null;
-  }
-
-  function resolveActiveProfile() {
-    const cityProfile = getProfileByKey(profileKeyFromCurrentPath());
-    if (cityProfile) return cityProfile;
-
-    if (window.__isHoustonFacility) return PROFILES.houston;
-    if (window.__isDallasFacility) return PROFILES.dallas;
-    if (window.__isAustinFacility) return PROFILES.austin;
-    if (window.__isSanAntonioFacility) return PROFILES["san-antonio"];
-    return null;
+  function readEmbeddedProfile() {
+    const el = document.getElementById("cityRulesProfile");
+    if (!el) return null;
+    try {
+      const profile = JSON.parse(el.textContent || "");
+      return profile && typeof profile === "object" && profile.title ? profile : null;
+    } catch {
+      return null;
+    }
   }
 
   function injectStylesOnce() {
@@ -334,19 +193,21 @@
       <div class="hrm-body">
         <ul class="hrm-bullets">${bullets}</ul>
 
+        ${profile.tip?.body ? `
         <div class="hrm-tip">
-          <strong>${escapeHtml(profile.tipTitle || "Tip")}</strong>
-          <p>${escapeHtml(profile.tipBody || "")}</p>
-        </div>
+          <strong>${escapeHtml(profile.tip.title || "Tip")}</strong>
+          <p>${escapeHtml(profile.tip.body)}</p>
+        </div>` : ""}
 
         <div class="hrm-links">
-          <a href="${escapeHtml(profile.sourceUrl || "#")}" target="_blank" rel="noopener">
-            ${escapeHtml(profile.sourceLabel || "Official source")} ->
+          <a href="${escapeHtml(profile.source?.url || "#")}" target="_blank" rel="noopener">
+            ${escapeHtml(profile.source?.label || "Official source")} ->
           </a>
         </div>
 
+        ${links ? `
         <div class="hrm-sub" style="margin-top:10px">More official links:</div>
-        <ul class="hrm-more">${links}</ul>
+        <ul class="hrm-more">${links}</ul>` : ""}
       </div>
 
       <div class="hrm-foot">${escapeHtml(profile.footer || "")}</div>
@@ -372,16 +233,9 @@
     modal.querySelector(".hrm-close")?.focus();
   }
 
-  function mountButton({ container, isHouston, isDallas, isAustin, isSanAntonio, profileKey } = {}) {
-    if (!container) return;
-
-    const resolved =
-      getProfileByKey(profileKey) ||
-      (isSanAntonio ? PROFILES["san-antonio"] : null) ||
-      (isAustin ? PROFILES.austin : null) ||
-      (isDallas ? PROFILES.dallas : null) ||
-      (isHouston ? PROFILES.houston : null);
-    if (!resolved) return;
+  function mountButton({ container, profile } = {}) {
+    const resolved = profile || readEmbeddedProfile();
+    if (!container || !resolved) return;
 
     injectStylesOnce();
     if (container.querySelector("[data-hrm-btn='1']")) return;
@@ -390,7 +244,7 @@
     btn.type = "button";
     btn.className = "hrm-btn";
     btn.setAttribute("data-hrm-btn", "1");
-    btn.textContent = resolved.buttonLabel;
+    btn.textContent = resolved.button_label;
     btn.addEventListener("click", () => buildModal(resolved));
     container.appendChild(btn);
   }
@@ -401,32 +255,31 @@
     if (btn.__hrmBound) return;
     btn.__hrmBound = true;
 
-    const profile = resolveActiveProfile();
+    const profile = readEmbeddedProfile();
     if (!profile) {
       btn.style.display = "none";
       return;
     }
 
     injectStylesOnce();
-    btn.textContent = profile.buttonLabel;
+    btn.textContent = profile.button_label;
     btn.style.display = "inline-flex";
     btn.addEventListener("click", () => buildModal(profile));
 
-    const activeCityProfile = getProfileByKey(profileKeyFromCurrentPath());
-    if (!activeCityProfile) return;
+    // City pages open the modal once per city on the first visit.
+    if (profile.page !== "city") return;
 
-    const seenKey = `hrm_seen_${activeCityProfile.key}_city`;
+    const seenKey = `hrm_seen_${profile.state}_${profile.city}_city`;
     if (!localStorage.getItem(seenKey)) {
       localStorage.setItem(seenKey, "1");
-      setTimeout(() => buildModal(activeCityProfile), 600);
+      setTimeout(() => buildModal(profile), 600);
     }
   }
 
-  window.HoustonRulesModal = {
+  window.CityRulesModal = {
     mountButton,
-    open(profileKey = "") {
-      const profile = getProfileByKey(profileKey) || resolveActiveProfile();
-      buildModal(profile);
+    open(profile = null) {
+      buildModal(profile || readEmbeddedProfile());
     }
   };
 
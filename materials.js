@@ -0,0 +1,308 @@
+// materials.js
+// Material taxonomy: the canonical material ids a facility's free-text `accepted_materials` map to.
+// The build writes them onto every facility record as `normalized_materials`
+// (scripts/build-normalized-materials.js), and every consumer reads the same rules:
+// city.js (material filters and ?material=), app.js (facility and material search),
+// scripts/build-search-index.js (materials per facility in the search index),
+// scripts/build-research-report.js (material stats),
+// scripts/generate-city-pages.js (material landing pages such as /texas/houston/tires/) and
+// city.js's trip planner and "Can I dump this?" wizard (acceptanceOf: which facilities take or refuse a material).
+//
+// Taxonomy entry:
+//   id        canonical id, stored in normalized_materials and used in URLs
+//   label     display name; top-level labels are the city page's material filters
+//   parent    id of the category a material rolls up to (a record that takes mattresses takes bulk items)
+//   synonyms  phrases that name the material. They match at the start of a word, so "tire" matches
+//             "tires" and "batter" matches "battery", but "tin" doesn't fire inside "austin"
+//   exclude   phrases that look like a synonym but aren't this material ("cooking oil" isn't motor oil).
+//             They are cut out of the text before the synonyms are tried
+//   aliases   extra slugs accepted for ?material= (construction, c-and-d, chemicals)
+//   handling  how to pack and haul it safely; city.js's "Can I dump this?" wizard shows it with the answer
+
+(function (root) {
+  const MATERIALS = [
+    {
+      id: "household-trash",
+      label: "Household Trash",
+      synonyms: ["household trash", "household garbage", "household waste", "residential trash", "garbage", "trash", "solid waste"],
+      exclude: ["hazardous waste"],
+    },
+    {
+      id: "recycling",
+      label: "Recycling",
+      synonyms: ["recycl", "bottles", "cans"],
+      exclude: ["aerosol cans", "paint cans"],
+    },
+    { id: "cardboard", label: "Cardboard & Paper", parent: "recycling", synonyms: ["cardboard", "paper", "newspaper", "magazine"] },
+    { id: "plastics", label: "Plastics", parent: "recycling", synonyms: ["plastic"] },
+    { id: "glass", label: "Glass", parent: "recycling", synonyms: ["glass"] },
+    {
+      id: "scrap-metal",
+      label: "Scrap Metal",
+      parent: "recycling",
+      synonyms: ["scrap metal", "metal", "aluminum", "tin can", "steel"],
+    },
+    {
+      id: "tires",
+      label: "Tires",
+      synonyms: ["tire"],
+      handling: "Sites often cap tires per visit and charge per tire. Tires on rims and truck or tractor tires may cost more or be refused.",
+    },
+    {
+      id: "yard-waste",
+      label: "Yard Waste & Tree Debris",
+      synonyms: ["yard", "tree", "brush", "limb", "green waste", "grass", "leaves", "leaf"],
+      aliases: ["brush"],
+    },
+    {
+      id: "bulk-items",
+      label: "Bulk Items & Furniture",
+      synonyms: ["bulk", "household goods"],
+      aliases: ["bulky", "bulk"],
+    },
+    { id: "furniture", label: "Furniture", parent: "bulk-items", synonyms: ["furniture", "couch", "sofa"] },
+    { id: "mattresses", label: "Mattresses", parent: "bulk-items", synonyms: ["mattress", "box spring"] },
+    {
+      id: "construction-debris",
+      label: "Construction & Demolition Debris",
+      synonyms: ["construction", "demolition", "c&d", "c & d", "debris", "building materials", "concrete", "drywall", "shingles"],
+      exclude: ["yard debris", "tree debris", "brush debris", "vegetative debris"],
+      aliases: ["construction", "c-and-d"],
+    },
+    {
+      id: "hazardous-waste",
+      label: "Hazardous Waste",
+      synonyms: [
+        "hazard", "hhw", "pesticide", "herbicide", "fertilizer", "chemical", "cleaner", "pool chemical",
+        "gasoline", "fuel", "solvent", "aerosol", "antifreeze", "automotive fluids", "asbestos",
+      ],
+      exclude: ["non-hazardous", "nonhazardous"],
+      aliases: ["hazardous"],
+      handling:
+        "Keep products in their original labeled containers, closed and upright, and never mix them. Household hazardous waste sites usually turn away business waste.",
+    },
+    {
+      id: "motor-oil",
+      label: "Used Motor Oil",
+      synonyms: ["used motor oil", "used oil", "motor oil", "oil filter", "oil"],
+      exclude: ["cooking oil", "vegetable oil", "cooking grease"],
+      aliases: ["used-motor-oil", "oil"],
+      handling: "Bring oil in a sealed, leak-proof container, not mixed with antifreeze, gas or water. Drain oil filters before drop-off.",
+    },
+    {
+      id: "batteries",
+      label: "Batteries",
+      synonyms: ["batter"],
+      handling: "Tape the ends of lithium and 9-volt batteries or bag each one. Car batteries go upright and must not be leaking.",
+    },
+    {
+      id: "paint",
+      label: "Paint & Chemicals",
+      synonyms: ["paint", "stain", "thinner", "chemical"],
+      aliases: ["paint-chemicals", "chemicals"],
+      handling:
+        "Keep lids on and labels readable. Dried-out latex paint can often go in the trash; oil-based paint, stains and thinners need a hazardous waste site.",
+    },
+    {
+      id: "propane",
+      label: "Propane",
+      synonyms: ["propane"],
+      handling: "Close the valve and keep the tank upright in a ventilated part of the vehicle. Many sites take only camping cylinders and 20 lb grill tanks.",
+    },
+    {
+      id: "mercury",
+      label: "Mercury Items",
+      synonyms: ["mercury", "thermometer", "thermostat"],
+      handling: "Seal thermometers, thermostats and broken bulbs in a jar or zip bag. Never vacuum spilled mercury.",
+    },
+    {
+      id: "appliances",
+      label: "Appliances",
+      synonyms: [
+        "appliance", "refrigerator", "fridge", "freezer", "washer", "washing machine", "dryer", "dishwasher",
+        "stove", "oven", "water heater", "air conditioner", "white goods",
+      ],
+      handling: "Fridges, freezers and AC units hold refrigerant. Expect a removal fee, or proof it was recovered, at most sites.",
+    },
+    {
+      id: "electronics",
+      label: "Electronics",
+      synonyms: ["electronic", "e-waste", "tv", "television", "computer", "laptop"],
+      aliases: ["e-waste"],
+    },
+  ];
+
+  const BY_ID = new Map(MATERIALS.map((m) => [m.id, m]));
+
+  // Top-level categories in filter order
+  const CATEGORIES = MATERIALS.filter((m) => !m.parent).map((m) => m.id);
+  const MATERIAL_ORDER = CATEGORIES.map((id) => BY_ID.get(id).label);
+
+  // Material landing pages: /<state>/<city>/<slug>/ lists the city's facilities that take `material`.
+  // `title` heads the page ("Tire Disposal in Houston, TX"); `noun` fills the copy ("drop off old tires").
+  // Household Trash has no page of its own: that is what the city page already answers.
+  const MATERIAL_PAGES = [
+    { slug: "tires", material: "tires", title: "Tire Disposal", noun: "old tires" },
+    { slug: "mattresses", material: "bulk-items", title: "Mattress & Furniture Disposal", noun: "mattresses and furniture" },
+    { slug: "yard-waste", material: "yard-waste", title: "Yard Waste & Brush Drop-Off", noun: "yard waste and brush" },
+    { slug: "construction-debris", material: "construction-debris", title: "Construction Debris Disposal", noun: "construction and demolition debris" },
+    { slug: "appliances", material: "appliances", title: "Appliance Disposal", noun: "old appliances" },
+    { slug: "electronics", material: "electronics", title: "Electronics Recycling", noun: "electronics" },
+    { slug: "recycling", material: "recycling", title: "Recycling Drop-Off", noun: "recyclables" },
+    { slug: "hazardous-waste", material: "hazardous-waste", title: "Hazardous Waste Drop-Off", noun: "household hazardous waste" },
+    { slug: "paint", material: "paint", title: "Paint & Chemical Disposal", noun: "paint and household chemicals" },
+    { slug: "motor-oil", material: "motor-oil", title: "Used Motor Oil Recycling", noun: "used motor oil" },
+    { slug: "batteries", material: "batteries", title: "Battery Recycling", noun: "batteries" },
+    { slug: "propane", material: "propane", title: "Propane Tank Disposal", noun: "propane tanks" },
+    { slug: "mercury", material: "mercury", title: "Mercury Disposal", noun: "thermometers and other mercury items" },
+  ];
+
+  const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\&-]/g, "\\$&");
+
+  // Phrases only count at the start of a word; an excluded phrase is cut out up to the end of its last word
+  const RULES = MATERIALS.map((m) => ({
+    id: m.id,
+    synonyms: m.synonyms.map((phrase) => new RegExp(`(^|[^a-z0-9])${escapeRegExp(phrase)}`)),
+    words: m.synonyms.flatMap((phrase) => phrase.split(" ")),
+    exclude: (m.exclude || []).map((phrase) => new RegExp(`(^|[^a-z0-9])${escapeRegExp(phrase)}[a-z0-9]*`, "g")),
+  }));
+
+  // id plus the categories above it, top first
+  function lineage(id) {
+    const out = [];
+    for (let m = BY_ID.get(id); m && !out.includes(m.id); m = BY_ID.get(m.parent)) out.unshift(m.id);
+    return out;
+  }
+
+  function inTaxonomyOrder(ids) {
+    const set = new Set(ids.flatMap(lineage));
+    return MATERIALS.map((m) => m.id).filter((id) => set.has(id));
+  }
+
+  // Ids named in free text, with their parent categories.
+  // partial: the last word may still be half-typed ("matt" -> mattresses), as in an autocomplete.
+  function materialIdsInText(text, { partial = false } = {}) {
+    const s = String(text || "").toLowerCase();
+    const words = s.match(/[a-z0-9&-]+/g) || [];
+    const last = partial && words.length ? words[words.length - 1] : "";
+    const found = [];
+    for (const rule of RULES) {
+      const cleaned = rule.exclude.reduce((acc, rx) => acc.replace(rx, " "), s);
+      // An excluded phrase takes its last word with it: "paint cans" is not a half-typed "cans"
+      const typing = last.length >= 3 && new RegExp(`(^|[^a-z0-9&-])${escapeRegExp(last)}[^a-z0-9&-]*$`).test(cleaned);
+      if (rule.synonyms.some((rx) => rx.test(cleaned))) found.push(rule.id);
+      else if (typing && rule.words.some((w) => w.startsWith(last))) found.push(rule.id);
+    }
+    return inTaxonomyOrder(found);
+  }
+
+  // Ids for a list of accepted-materials entries; each entry is matched on its own
+  function materialIdsInList(list) {
+    const entries = Array.isArray(list) ? list : [];
+    return inTaxonomyOrder(entries.flatMap((entry) => materialIdsInText(entry)));
+  }
+
+  // A record's material ids: the normalized_materials the build wrote, else matched from accepted_materials
+  function materialIdsFor(item) {
+    if (Array.isArray(item?.normalized_materials) && item.normalized_materials.length) {
+      return inTaxonomyOrder(item.normalized_materials.map(String).filter((id) => BY_ID.has(id)));
+    }
+    return materialIdsInList(item?.accepted_materials);
+  }
+
+  // Ids an entry names most specifically: "mattress" -> mattresses (not bulk-items), "bulk items" -> bulk-items
+  function specificIdsInText(text, options) {
+    const ids = materialIdsInText(text, options);
+    return ids.filter((id) => !ids.some((other) => BY_ID.get(other)?.parent === id));
+  }
+
+  // Handling note for a material or, failing that, the category above it
+  function handlingFor(id) {
+    const hit = lineage(id).reverse().map((x) => BY_ID.get(x)).find((m) => m && m.handling);
+    return hit ? hit.handling : "";
+  }
+
+  // Whether a record takes material `id`:
+  //   accepted  its accepted_materials name the material, or name the category above it without naming any
+  //             material in that category (then `broad` is true: "bulky waste" -> probably mattresses)
+  //   rejected  a not_accepted entry names the material or its category, and accepted_materials don't name
+  //             the material itself
+  //   reason    that not_accepted entry: why it's rejected, or the exception to an accepted material
+  //             ("Tires with rims" on a record that takes tires)
+  function acceptanceOf(item, id) {
+    const m = BY_ID.get(id);
+    if (!m) return { accepted: false, broad: false, rejected: false, reason: "" };
+
+    const refusedBy = (Array.isArray(item?.not_accepted) ? item.not_accepted : []).find((entry) => {
+      const named = specificIdsInText(entry);
+      return named.includes(id) || (m.parent && named.includes(m.parent));
+    });
+    const reason = refusedBy ? String(refusedBy).trim() : "";
+    const namedAccepted = (Array.isArray(item?.accepted_materials) ? item.accepted_materials : []).some((entry) =>
+      specificIdsInText(entry).includes(id)
+    );
+    if (reason && !namedAccepted) return { accepted: false, broad: false, rejected: true, reason };
+
+    const ids = materialIdsFor(item);
+    if (ids.includes(id)) return { accepted: true, broad: false, rejected: false, reason };
+
+    const broad =
+      !!m.parent &&
+      ids.includes(m.parent) &&
+      !MATERIALS.some((other) => other.parent === m.parent && ids.includes(other.id));
+    return { accepted: broad, broad, rejected: false, reason: broad ? reason : "" };
+  }
+
+
+  function labelFor(id) {
+    return BY_ID.get(id)?.label || String(id || "");
+  }
+
+  // Top-level category id of any material id
+  function categoryOf(id) {
+    return lineage(id)[0] || "";
+  }
+
+  // A ?material= value, material page slug, id, alias or label -> its material id ("" when unknown)
+  function resolveMaterial(value) {
+    const key = String(value || "").trim().toLowerCase();
+    if (!key) return "";
+    if (BY_ID.has(key)) return key;
+    const hit = MATERIALS.find((m) => (m.aliases || []).includes(key) || m.label.toLowerCase() === key);
+    if (hit) return hit.id;
+    return MATERIAL_PAGES.find((page) => page.slug === key)?.material || "";
+  }
+
+  // Category labels a record belongs to: the city page's material filters and the search index
+  function normalizeMaterialsFromAccepted(item) {
+    const categories = new Set(materialIdsFor(item).map(categoryOf));
+    return CATEGORIES.filter((id) => categories.has(id)).map(labelFor);
+  }
+
+  // Category labels named in a search ("old mattress", "paint cans")
+  function materialsInText(text, options) {
+    const categories = new Set(materialIdsInText(text, options).map(categoryOf));
+    return CATEGORIES.filter((id) => categories.has(id)).map(labelFor);
+  }
+
+  const api = {
+    MATERIALS,
+    CATEGORIES,
+    MATERIAL_ORDER,
+    MATERIAL_PAGES,
+    materialIdsInText,
+    materialIdsInList,
+    materialIdsFor,
+    specificIdsInText,
+    acceptanceOf,
+    handlingFor,
+    labelFor,
+    categoryOf,
+    resolveMaterial,
+    normalizeMaterialsFromAccepted,
+    materialsInText,
+  };
+
+  if (typeof module !== "undefined" && module.exports) module.exports = api;
+  else root.Materials = api;
+})(typeof window !== "undefined" ? window : this);
@@ -0,0 +1,159 @@
+// scripts/apply-facility-overrides.js
+// Layers hand-verified fields from ./data/manual/facility-overrides.json onto generated facility records,
+// so TCEQ/OSM-derived facilities (which have no hours, fees or materials) can be enriched without
+// creating a separate manual city file.
+//
+// Usage (CMD):
+//   node scripts/apply-facility-overrides.js
+//
+// Run it after import-regulatory.js, build-facilities.js and the manual facility builds; those rewrite
+// the records from scratch, so the overrides are re-applied on every build.
+//
+// Input:
+//   ./data/manual/facility-overrides.json   { "<facility_id>": { fees, hours, rules, ... } }
+//                                           (./data/manual/facility-overrides.example.json shows a full
+//                                           entry; it is never read here)
+//   ./data/facilities/_aliases.json         (retired id -> canonical id)
+//
+// Output (updated in place):
+//   ./data/facilities/<id>.json
+//   ./data/facilities/index.json           (matching entries)
+//   ./data/<state>/<city>.json             (matching city payload rows)
+//
+// An override that sets prose `hours` without its own `hours_spec` gets one parsed from those hours
+// (./hours-spec.js), so "Open now" follows the override instead of the replaced hours.
+//
+// Each overridden record gets provenance:
+//   "overrides": { "file": "data/manual/facility-overrides.json", "fields": ["fees", "hours", ...] }
+//
+// Override keys that no longer match a facility (missing, or retired via _aliases.json) are reported
+// and skipped.
+
+const fs = require("fs");
+const path = require("path");
+const { parseHours, timezoneFor } = require("./hours-spec");
+
+const OVERRIDES_PATH = path.join(".", "data", "manual", "facility-overrides.json");
+const OVERRIDES_LABEL = "data/manual/facility-overrides.json";
+const FACILITIES_DIR = path.join(".", "data", "facilities");
+const INDEX_PATH = path.join(FACILITIES_DIR, "index.json");
+const ALIASES_PATH = path.join(FACILITIES_DIR, "_aliases.json");
+const STATES = ["texas", "california", "arizona", "georgia", "florida", "illinois", "north-carolina", "washington"];
+
+function safeReadJson(p, fallback = null) {
+  try {
+    if (!fs.existsSync(p)) return fallback;
+    return JSON.parse(fs.readFileSync(p, "utf-8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJson(p, obj) {
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  fs.writeFileSync(p, JSON.stringify(obj, null, 2), "utf-8");
+}
+
+// place: { state, city } for the timezone; records fall back to their first appears_in entry
+function applyOverride(record, override, place = record.appears_in?.[0]) {
+  const fields = Object.keys(override).sort();
+  const next = { ...record };
+  for (const key of fields) next[key] = override[key];
+  if (fields.includes("hours") && !fields.includes("hours_spec")) {
+    next.hours_spec = parseHours(override.hours, timezoneFor(place?.state, place?.city));
+  }
+  next.overrides = { file: OVERRIDES_LABEL, fields };
+  return next;
+}
+
+function rowId(row) {
+  return String(row?.facility_id || row?.id || "").trim();
+}
+
+function run() {
+  const overrides = safeReadJson(OVERRIDES_PATH, null);
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    console.log(`ℹ️ No overrides to apply (${OVERRIDES_PATH} missing or not an object).`);
+    return;
+  }
+
+  const aliases = safeReadJson(ALIASES_PATH, {}) || {};
+  const active = new Map();
+  const stale = [];
+
+  for (const [id, override] of Object.entries(overrides)) {
+    if (!override || typeof override !== "object" || Object.keys(override).length === 0) continue;
+
+    if (aliases[id]) {
+      stale.push(`${id} is retired; merged into ${aliases[id]} (move the override to that key)`);
+      continue;
+    }
+    if (!fs.existsSync(path.join(FACILITIES_DIR, `${id}.json`))) {
+      stale.push(`${id} has no facility record`);
+      continue;
+    }
+    active.set(id, override);
+  }
+
+  // Facility records
+  for (const [id, override] of active) {
+    const p = path.join(FACILITIES_DIR, `${id}.json`);
+    const record = safeReadJson(p, null);
+    if (!record) {
+      stale.push(`${id} facility record is unreadable`);
+      active.delete(id);
+      continue;
+    }
+    writeJson(p, applyOverride(record, override));
+  }
+
+  // index.json entries (generate-facility-pages.js reads these first)
+  const index = safeReadJson(INDEX_PATH, null);
+  if (Array.isArray(index)) {
+    let touched = 0;
+    const updated = index.map((row) => {
+      const override = active.get(rowId(row));
+      if (!override) return row;
+      touched += 1;
+      return applyOverride(row, override);
+    });
+    if (touched > 0) writeJson(INDEX_PATH, updated);
+  }
+
+  // City payload rows (city.js renders these)
+  let cityFiles = 0;
+  for (const state of STATES) {
+    const dir = path.join(".", "data", state);
+    if (!fs.existsSync(dir)) continue;
+
+    for (const name of fs.readdirSync(dir)) {
+      if (!name.endsWith(".json") || name.startsWith("_")) continue;
+      const p = path.join(dir, name);
+      const rows = safeReadJson(p, null);
+      if (!Array.isArray(rows)) continue;
+
+      let touched = false;
+      const updated = rows.map((row) => {
+        const override = active.get(rowId(row));
+        if (!override) return row;
+        touched = true;
+        return applyOverride(row, override, { state, city: name.replace(/\.json$/, "") });
+      });
+
+      if (touched) {
+        writeJson(p, updated);
+        cityFiles += 1;
+      }
+    }
+  }
+
+  console.log(`✅ Applied ${active.size} facility override(s) from ${OVERRIDES_PATH}`);
+  console.log(`   City payload files updated: ${cityFiles}`);
+
+  if (stale.length > 0) {
+    console.log(`\n⚠️ Stale override keys (${stale.length}):`);
+    for (const s of stale) console.log(`   - ${s}`);
+  }
+}
+
+run();
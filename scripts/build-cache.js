@@ -0,0 +1,107 @@
+// scripts/build-cache.js
+// Content-hash build manifest shared by the page generators.
+//
+// Each generated page is recorded as:
+//   "<output path>": { "inputs": "<sha1 of everything the page is rendered from>", "output": "<sha1 of the html>" }
+//
+// A page is regenerated when its input hash changed, or when the file on disk no longer matches the
+// recorded output hash (deleted, hand-edited, or replaced by a git checkout). `--force` skips the check.
+//
+// Manifest: ./.build-cache/manifest.json (local only, gitignored; a missing manifest means a full rebuild)
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const MANIFEST_PATH = path.join(".", ".build-cache", "manifest.json");
+
+function sha1(text) {
+  return crypto.createHash("sha1").update(text).digest("hex");
+}
+
+// Accepts strings and JSON-serializable values; order matters.
+function hashInputs(...parts) {
+  return sha1(parts.map((p) => (typeof p === "string" ? p : JSON.stringify(p === undefined ? null : p))).join("\u0000"));
+}
+
+function hashFile(filePath) {
+  try {
+    return sha1(fs.readFileSync(filePath));
+  } catch {
+    return "";
+  }
+}
+
+// The generator's own source plus every local module it requires, followed transitively (../materials.js,
+// ./rules-profiles.js, ...), so editing a shared helper invalidates the pages rendered with it.
+// Call it after the generator's top-level requires; node_modules are left to package-lock.json.
+function hashModuleTree(mod) {
+  const files = new Set();
+  const visit = (m) => {
+    if (!m || files.has(m.filename) || m.filename.split(path.sep).includes("node_modules")) return;
+    files.add(m.filename);
+    (m.children || []).forEach(visit);
+  };
+  visit(mod);
+
+  return hashInputs(
+    ...Array.from(files)
+      .sort()
+      .map((f) => [path.relative(".", f).split(path.sep).join("/"), hashFile(f)])
+  );
+}
+
+function readManifest() {
+  try {
+    if (!fs.existsSync(MANIFEST_PATH)) return {};
+    const parsed = JSON.parse(fs.readFileSync(MANIFEST_PATH, "utf-8"));
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function openBuildCache({ force = false } = {}) {
+  const entries = readManifest();
+  const stats = { written: 0, unchanged: 0 };
+
+  function key(outFile) {
+    return path.relative(".", outFile).split(path.sep).join("/");
+  }
+
+  function isFresh(outFile, inputsHash) {
+    if (force) return false;
+    const entry = entries[key(outFile)];
+    if (!entry || entry.inputs !== inputsHash) return false;
+    return hashFile(outFile) === entry.output;
+  }
+
+  // Writes the page (creating its directory) and records it.
+  function write(outFile, html, inputsHash) {
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, html, "utf-8");
+    entries[key(outFile)] = { inputs: inputsHash, output: sha1(Buffer.from(html, "utf-8")) };
+    stats.written += 1;
+  }
+
+  function skip() {
+    stats.unchanged += 1;
+  }
+
+  function save() {
+    const sorted = {};
+    for (const k of Object.keys(entries).sort()) sorted[k] = entries[k];
+    fs.mkdirSync(path.dirname(MANIFEST_PATH), { recursive: true });
+    fs.writeFileSync(MANIFEST_PATH, JSON.stringify(sorted, null, 2), "utf-8");
+  }
+
+  return { isFresh, write, skip, save, stats };
+}
+
+module.exports = {
+  MANIFEST_PATH,
+  hashInputs,
+  hashFile,
+  hashModuleTree,
+  openBuildCache,
+};
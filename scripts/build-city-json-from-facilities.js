@@ -6,15 +6,27 @@
  *  2) /scripts/cities-texas.json   (city index list used by generate-city-pages.js)
  *
  * Source of truth: /data/facilities/*.json
+ *
+ * City names are resolved against the Texas gazetteer (scripts/gazetteer.js, ./data/gazetteer/texas.csv):
+ * facilities land in the canonical place's bucket, names that match no place are skipped and listed in
+ * /data/texas/_unresolved-cities.json, and city files left under a slug that is not a place of its own
+ * (adj-killeen.json, worth.json) are removed. A removed slug with a published page is recorded in the slug
+ * history as renamed to its place (scripts/redirects.js); the prune step then deletes the page and writes
+ * the _redirects rule. Without a gazetteer the address heuristics below decide.
  */
 
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
+const { loadGazetteer } = require("./gazetteer");
+const { readSlugHistory, saveSlugHistory, recordRedirect } = require("./redirects");
 
 const FACILITIES_DIR = path.join(".", "data", "facilities");
 const OUT_STATE_DIR = path.join(".", "data", "texas");
 const OUT_CITY_LIST = path.join(".", "scripts", "cities-texas.json");
+const OUT_UNRESOLVED = path.join(OUT_STATE_DIR, "_unresolved-cities.json");
+const MANUAL_DIR = path.join(".", "data", "manual", "texas");
+const NOT_CITY_FILES = new Set(["cities.json", "index.json"]);
 
 /** ---------- helpers ---------- */
 
@@ -30,6 +42,12 @@ function slugifyCity(city) {
     .replace(/^-+|-+$/g, "");
 }
 
+function todayLocal() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
 function hashId(input) {
   return crypto.createHash("sha1").update(String(input)).digest("hex").slice(0, 12);
 }
@@ -145,6 +163,34 @@ function pickFacilityCity(fac) {
   return cityChunk;
 }
 
+/**
+ * Place named at the end of an address's city chunk. Registry addresses have no comma before the city
+ * ("3820 SAM RAYBURN HWY MELISSA TX"), so the street comes along; the city is the words just before "TX",
+ * which keeps a street named after a place (Sam Rayburn) from winning. Falls back to the gazetteer's own
+ * matching for chunks that don't end in a place.
+ */
+function resolveAddressCity(address, gazetteer) {
+  const words = extractCityFromAddress(address).split(/\s+/).filter(Boolean);
+  for (let start = 0; start < words.length; start++) {
+    const hit = gazetteer.resolve(words.slice(start).join(" "));
+    if (hit && (hit.match === "exact" || hit.match === "alias")) return hit;
+  }
+  return gazetteer.resolve(words.join(" "));
+}
+
+/**
+ * Canonical place for a facility: its Texas appears_in city when that names a place, else the city part of its
+ * address, else its appears_in city cleaned up ("adj-killeen" -> killeen). null when nothing resolves.
+ */
+function resolveFacilityCity(fac, gazetteer) {
+  const tx = Array.isArray(fac.appears_in) ? fac.appears_in.find((x) => x && x.state === "texas" && x.city) : null;
+  const mapped = tx ? gazetteer.resolve(tx.city) : null;
+  if (mapped && (mapped.match === "exact" || mapped.match === "alias")) return mapped;
+
+  const fromAddress = resolveAddressCity(fac.address, gazetteer);
+  return fromAddress || mapped;
+}
+
 function pickState(f) {
   // Your facility JSONs largely don't carry a state; default TX.
   return cleanStr(f.state) || cleanStr(f.address_state) || "TX";
@@ -183,13 +229,10 @@ function normalizeFacilityToCityLocation(f) {
   // Must have coords
   if (lat == null || lng == null) return null;
 
-  // City: from appears_in or address
+  // City: from appears_in or address (checked by the caller)
   let city = pickFacilityCity(f);
   city = stripDirectionalPrefix(city);
 
-  // Must have city + must look like a city
-  if (!city || isClearlyNotACity(city)) return null;
-
   // Only Texas
   const st = cleanStr(state).toUpperCase();
   if (st && st !== "TX" && st !== "TEXAS") return null;
@@ -272,6 +315,11 @@ function run() {
 
   const facilities = readAllFacilities();
   const cityMap = new Map(); // slug -> { cityName, items: [], seenIds:Set, seenSignatures:Set }
+  const gazetteer = loadGazetteer("texas");
+  const unresolved = new Map(); // raw city slug -> { city, facilities, sample_ids }
+
+  if (gazetteer) console.log(`ℹ️ Resolving cities against ${gazetteer.file} (${gazetteer.size} places)`);
+  else console.log("⚠️ No Texas gazetteer in data/gazetteer; using address heuristics only.");
 
   let skippedBad = 0;
 
@@ -282,13 +330,31 @@ function run() {
       continue;
     }
 
-    const cityName = cleanStr(normalized.city);
-    const slug = slugifyCity(cityName);
+    let cityName = cleanStr(normalized.city);
+    let slug = slugifyCity(cityName);
     if (!slug) {
       skippedBad++;
       continue;
     }
 
+    if (gazetteer) {
+      const hit = resolveFacilityCity(f, gazetteer);
+      if (!hit) {
+        const entry = unresolved.get(slug) || { city: cityName, facilities: 0, sample_ids: [] };
+        entry.facilities += 1;
+        if (entry.sample_ids.length < 3 && !entry.sample_ids.includes(normalized.facility_id)) {
+          entry.sample_ids.push(normalized.facility_id);
+        }
+        unresolved.set(slug, entry);
+        continue;
+      }
+      slug = hit.slug;
+      cityName = hit.place.name;
+    } else if (isClearlyNotACity(cityName)) {
+      skippedBad++;
+      continue;
+    }
+
     if (!cityMap.has(slug)) {
       cityMap.set(slug, {
         cityName,
@@ -327,6 +393,28 @@ function run() {
     fs.writeFileSync(outFile, JSON.stringify(bucket.items, null, 2));
   }
 
+  // City files under a slug that is not a place of its own; manual cities keep theirs
+  const removed = [];
+  const history = readSlugHistory();
+  let renamed = 0;
+  if (gazetteer) {
+    for (const file of fs.readdirSync(OUT_STATE_DIR)) {
+      if (!/^[a-z0-9-]+\.json$/.test(file) || NOT_CITY_FILES.has(file)) continue;
+      const slug = file.replace(/\.json$/, "");
+      if (cityMap.has(slug) || gazetteer.resolve(slug)?.slug === slug) continue;
+      if (fs.existsSync(path.join(MANUAL_DIR, file))) continue;
+      fs.unlinkSync(path.join(OUT_STATE_DIR, file));
+      removed.push(slug);
+
+      const place = gazetteer.resolve(slug)?.slug;
+      if (place && cityMap.has(place) && fs.existsSync(path.join("texas", slug, "index.html"))) {
+        const date = todayLocal();
+        if (recordRedirect(history, `/texas/${slug}/`, `/texas/${place}/`, { kind: "city", reason: "renamed", date })) renamed++;
+      }
+    }
+    if (renamed) saveSlugHistory(history);
+  }
+
   // Write cities list for page gen
   const cityList = Array.from(cityMap.entries())
     .map(([slug, bucket]) => ({
@@ -339,8 +427,23 @@ function run() {
   fs.mkdirSync(path.dirname(OUT_CITY_LIST), { recursive: true });
   fs.writeFileSync(OUT_CITY_LIST, JSON.stringify(cityList, null, 2));
 
+  if (gazetteer) {
+    const rows = Array.from(unresolved.entries())
+      .map(([slug, entry]) => ({ slug, ...entry }))
+      .sort((a, b) => b.facilities - a.facilities || a.slug.localeCompare(b.slug));
+    const gazetteerFile = gazetteer.file.split(path.sep).join("/");
+    fs.writeFileSync(OUT_UNRESOLVED, JSON.stringify({ state: "texas", gazetteer: gazetteerFile, unresolved: rows }, null, 2));
+  }
+
   console.log(`✅ Built ${cityList.length} Texas cities`);
-  console.log(`ℹ️ Skipped ${skippedBad} facilities (bad city/address)\n`);
+  console.log(`ℹ️ Skipped ${skippedBad} facilities (bad city/address)`);
+  if (gazetteer) {
+    const count = Array.from(unresolved.values()).reduce((n, x) => n + x.facilities, 0);
+    console.log(`ℹ️ Skipped ${count} facilities in ${unresolved.size} names the gazetteer doesn't know → ${OUT_UNRESOLVED}`);
+    if (removed.length) console.log(`🧹 Removed ${removed.length} city files that are not places: ${removed.join(", ")}`);
+    if (renamed) console.log(`↪️ Recorded ${renamed} renamed city slugs in the slug history`);
+  }
+  console.log("");
 }
 
 run();
@@ -0,0 +1,57 @@
+// scripts/build-facility-aliases.js
+// Collapses duplicate listings of the same facility and writes the alias manifest, so the changelog and
+// the page generators that run after it agree on which ids are retired.
+//
+// Usage (CMD):
+//   node scripts/build-facility-aliases.js
+//
+// Reads:
+//   ./data/facilities/index.json, ./data/facilities/f_manual_*.json and the records the city payloads
+//   in ./data/<state>/ reference (see ./facility-records.js)
+//
+// Writes:
+//   ./data/facilities/_aliases.json   (retired id -> canonical id)
+//   ./_redirects                      (regenerated so the aliases are served as 301s)
+//
+// An alias whose record is no longer among the loaded records (a stale import file, or a row its city
+// payload dropped) keeps its entry while the canonical facility is still there, so its URL goes on
+// redirecting to the same page instead of falling back to a hub.
+
+const fs = require("fs");
+const { ALIAS_MANIFEST_PATH, loadFacilityRecords, writeAliasManifest } = require("./facility-records");
+
+function safeReadJson(p, fallback = null) {
+  try {
+    if (!fs.existsSync(p)) return fallback;
+    return JSON.parse(fs.readFileSync(p, "utf-8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function run() {
+  const previous = safeReadJson(ALIAS_MANIFEST_PATH, {}) || {};
+  const { facilities, aliasEntries } = loadFacilityRecords("all");
+  if (facilities.length === 0) {
+    console.error("❌ No facility records found.");
+    process.exit(1);
+  }
+
+  const loaded = new Set(facilities.map((f) => String(f.id || "").trim()));
+  for (const entry of aliasEntries) loaded.add(entry.aliasId);
+  const kept = Object.entries(previous)
+    .filter(([aliasId, canonicalId]) => !loaded.has(aliasId) && loaded.has(canonicalId))
+    .map(([aliasId, canonicalId]) => ({ aliasId, canonicalId }));
+
+  const manifest = writeAliasManifest([...aliasEntries, ...kept]);
+  const ids = Object.keys(manifest);
+  const added = ids.filter((id) => previous[id] !== manifest[id]).length;
+  const dropped = Object.keys(previous).filter((id) => !manifest[id]).length;
+
+  console.log(
+    `✅ Wrote ${ALIAS_MANIFEST_PATH}: ${ids.length} alias(es) for ${facilities.length} facilities ` +
+      `(${added} new or retargeted, ${kept.length} kept for records no longer loaded, ${dropped} dropped).`
+  );
+}
+
+run();
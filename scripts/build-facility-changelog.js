@@ -0,0 +1,415 @@
+// scripts/build-facility-changelog.js
+// Diffs the facility records in ./data/facilities against the snapshot from the previous build and
+// records what changed: added, removed and modified facilities with field-level diffs.
+//
+// Usage (CMD):
+//   node scripts/build-facility-changelog.js                     (diff against the last snapshot, dated today)
+//   node scripts/build-facility-changelog.js --date 2026-03-05   (date the changes explicitly)
+//
+// Reads:
+//   ./data/facilities/f_*.json
+//   ./data/facilities/_aliases.json             (retired id -> canonical id)
+//   ./data/facility-history/_snapshot.json      (tracked fields of every facility at the previous build)
+//
+// Writes:
+//   ./data/facility-history/_snapshot.json
+//   ./data/facility-history/changelog.json      (machine-readable, latest build with changes)
+//   ./data/facility-history/changelog.md        (human-readable report of the same)
+//   ./data/facility-history/<id>.json           (per-facility history, newest event first)
+//
+// _aliases.json is written by the aliases stage (build-facility-aliases.js) before this one runs, so a
+// duplicate that appears in the same build is folded into its canonical ID rather than logged as added.
+// Retired IDs are folded into their canonical ID: a facility whose ID was retired since the last build
+// is reported as merged into the canonical facility, not as removed, and a canonical facility that is
+// new this build inherits the retired facility's history and is diffed against its old record.
+//
+// Permit data is compared as one "regulatory" block (./regulatory.js), so records that still carry the
+// old "tceq" block and re-imported ones with "regulatory" diff field by field instead of as a new permit.
+//
+// A top-level field that no snapshot record has yet is new in the schema: it goes into the snapshot without
+// being reported, and later builds diff it like any other field. Empty values and objects of empty values ({ "per_load": [] }) count as missing.
+//
+// The first run (no snapshot) only records the baseline.
+
+const fs = require("fs");
+const path = require("path");
+const { regulatoryOf } = require("./regulatory");
+
+const FACILITIES_DIR = path.join("data", "facilities");
+const ALIASES_PATH = path.join(FACILITIES_DIR, "_aliases.json");
+const HISTORY_DIR = path.join("data", "facility-history");
+const SNAPSHOT_PATH = path.join(HISTORY_DIR, "_snapshot.json");
+const CHANGELOG_JSON_PATH = path.join(HISTORY_DIR, "changelog.json");
+const CHANGELOG_MD_PATH = path.join(HISTORY_DIR, "changelog.md");
+
+// Not part of the diff: the id itself, override provenance, hours_spec (derived from hours) and
+// normalized_materials (derived from accepted_materials).
+const IGNORED_FIELDS = new Set(["id", "overrides", "hours_spec", "normalized_materials"]);
+
+// Field -> words used in summaries ("hours and fees changed"). Unlisted fields use their own name.
+const FIELD_LABELS = {
+  name: "name",
+  slug: "name",
+  type: "facility type",
+  address: "address",
+  lat: "location",
+  lng: "location",
+  phone: "phone",
+  website: "website",
+  hours: "hours",
+  fees: "fees",
+  fee_schedule: "fees",
+  rules: "rules",
+  accepted_materials: "accepted materials",
+  not_accepted: "accepted materials",
+  verified_date: "verification date",
+  source: "source",
+  osm_url: "source",
+  appears_in: "cities served",
+  regulatory: "permit status",
+};
+
+const MAX_EVENTS = 25;
+
+function readFlag(args, name) {
+  const prefix = `--${name}=`;
+  const inline = args.find((a) => a.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+  const i = args.indexOf(`--${name}`);
+  if (i !== -1 && args[i + 1] && !args[i + 1].startsWith("--")) return args[i + 1];
+  return "";
+}
+
+function safeReadJson(p, fallback = null) {
+  try {
+    if (!fs.existsSync(p)) return fallback;
+    return JSON.parse(fs.readFileSync(p, "utf-8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJson(p, obj) {
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  fs.writeFileSync(p, JSON.stringify(obj, null, 2) + "\n", "utf-8");
+}
+
+function writeText(p, text) {
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  fs.writeFileSync(p, text, "utf-8");
+}
+
+function todayLocal() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function isPlainObject(v) {
+  return Boolean(v) && typeof v === "object" && !Array.isArray(v);
+}
+
+// Stable JSON for comparisons (object key order doesn't count as a change).
+function canonicalJson(v) {
+  if (Array.isArray(v)) return `[${v.map(canonicalJson).join(",")}]`;
+  if (isPlainObject(v)) {
+    return `{${Object.keys(v)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(v[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(v === undefined ? null : v);
+}
+
+// An object of empty values ({ "per_load": [], "resident_free": null }) is a default, not data.
+function isEmpty(v) {
+  if (isPlainObject(v)) return Object.values(v).every(isEmpty);
+  return v === undefined || v === null || v === "" || (Array.isArray(v) && v.length === 0);
+}
+
+// id -> canonical id, following chains; retired ids that loop resolve to themselves.
+function makeResolver(aliases) {
+  return (id) => {
+    let cur = id;
+    const seen = new Set([cur]);
+    while (aliases[cur] && !seen.has(aliases[cur])) {
+      cur = aliases[cur];
+      seen.add(cur);
+    }
+    return cur;
+  };
+}
+
+// Also applied to snapshot entries, which may predate the regulatory block.
+function tracked(record) {
+  const out = {};
+  for (const key of Object.keys(record).sort()) {
+    if (IGNORED_FIELDS.has(key) || isEmpty(record[key])) continue;
+    if (key === "regulatory" || key === "tceq") {
+      out.regulatory = regulatoryOf(record);
+      continue;
+    }
+    out[key] = record[key];
+  }
+  return out;
+}
+
+function readCurrentFacilities(aliases) {
+  const byId = {};
+  for (const name of fs.readdirSync(FACILITIES_DIR).sort()) {
+    if (!/^f_.*\.json$/.test(name)) continue;
+    const record = safeReadJson(path.join(FACILITIES_DIR, name), null);
+    const id = String(record?.id || "").trim();
+    if (!id || aliases[id]) continue; // retired ids are represented by their canonical record
+    byId[id] = tracked(record);
+  }
+  return byId;
+}
+
+// Top-level fields no snapshot record carries. These are new in the schema (fee_schedule when it was
+// introduced), so filling them in across the board is not a change to any one facility.
+function newSchemaFields(previous, current) {
+  const known = new Set(Object.values(previous).flatMap((record) => Object.keys(record)));
+  const added = new Set();
+  for (const record of Object.values(current)) {
+    for (const key of Object.keys(record)) if (!known.has(key)) added.add(key);
+  }
+  return added;
+}
+
+// [{ field, before, after }] using dotted paths into nested objects (regulatory.status, fee_schedule.per_ton.rate).
+function diffRecords(before, after, prefix = "", skipFields = new Set()) {
+  const changes = [];
+  const keys = Array.from(new Set([...Object.keys(before || {}), ...Object.keys(after || {})])).sort();
+
+  for (const key of keys) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (!prefix && (IGNORED_FIELDS.has(key) || skipFields.has(key))) continue;
+    const a = before?.[key];
+    const b = after?.[key];
+    if (canonicalJson(isEmpty(a) ? null : a) === canonicalJson(isEmpty(b) ? null : b)) continue;
+
+    if (isPlainObject(a) && isPlainObject(b)) {
+      changes.push(...diffRecords(a, b, field));
+    } else {
+      changes.push({ field, before: isEmpty(a) ? null : a, after: isEmpty(b) ? null : b });
+    }
+  }
+  return changes;
+}
+
+function joinWords(words) {
+  if (words.length <= 1) return words.join("");
+  return `${words.slice(0, -1).join(", ")} and ${words[words.length - 1]}`;
+}
+
+function labelFor(field) {
+  const top = field.split(".")[0];
+  return FIELD_LABELS[top] || top.replace(/_/g, " ");
+}
+
+function summarize(event) {
+  if (event.kind === "added") return "listing added";
+  if (event.kind === "removed") return event.merged_into ? "merged into another listing" : "listing removed";
+
+  const labels = Array.from(new Set((event.changes || []).map((c) => labelFor(c.field))));
+  if (event.kind === "merged") {
+    return labels.length ? `merged with a duplicate listing; ${joinWords(labels)} changed` : "merged with a duplicate listing";
+  }
+  return `${joinWords(labels)} changed`;
+}
+
+function formatValue(v) {
+  if (v === null || v === undefined) return "(none)";
+  const text = typeof v === "string" ? v : JSON.stringify(v);
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
+
+function nameOf(record, id) {
+  return String(record?.name || "").trim() || id;
+}
+
+function buildChanges({ previous, current, resolve, schemaFields = new Set() }) {
+  const added = [];
+  const removed = [];
+  const modified = [];
+
+  // Previous ids that are gone now, grouped by the canonical id they were folded into.
+  const retiredInto = new Map();
+  for (const id of Object.keys(previous)) {
+    if (current[id]) continue;
+    const canonical = resolve(id);
+    if (canonical !== id && current[canonical]) {
+      if (!retiredInto.has(canonical)) retiredInto.set(canonical, []);
+      retiredInto.get(canonical).push(id);
+    } else {
+      removed.push({ id, name: nameOf(previous[id], id) });
+    }
+  }
+
+  for (const id of Object.keys(current).sort()) {
+    const retired = retiredInto.get(id) || [];
+    const before = previous[id] || (retired.length ? previous[retired[0]] : null);
+
+    if (!before) {
+      added.push({ id, name: nameOf(current[id], id) });
+      continue;
+    }
+
+    const changes = diffRecords(before, current[id], "", schemaFields);
+    if (retired.length === 0 && changes.length === 0) continue;
+
+    const entry = { id, name: nameOf(current[id], id), changes };
+    if (retired.length) entry.merged_from = retired;
+    if (retired.length && !previous[id]) entry.inherits_history = retired[0];
+    modified.push(entry);
+  }
+
+  for (const [canonical, retired] of retiredInto) {
+    for (const id of retired) removed.push({ id, name: nameOf(previous[id], id), merged_into: canonical });
+  }
+
+  const byName = (a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id);
+  return { added: added.sort(byName), removed: removed.sort(byName), modified: modified.sort(byName) };
+}
+
+function historyPath(id) {
+  return path.join(HISTORY_DIR, `${id}.json`);
+}
+
+function readHistory(id) {
+  const history = safeReadJson(historyPath(id), null);
+  return history && Array.isArray(history.events) ? history : { id, events: [] };
+}
+
+function recordEvent(id, event, inheritFrom = "") {
+  const history = readHistory(id);
+  const inherited = inheritFrom ? readHistory(inheritFrom).events : [];
+  const full = { date: event.date, kind: event.kind, summary: summarize(event), ...event };
+  const events = [full, ...history.events, ...inherited].slice(0, MAX_EVENTS);
+  writeJson(historyPath(id), { id, events });
+}
+
+function writeHistories(changes, date) {
+  for (const row of changes.added) recordEvent(row.id, { date, kind: "added" });
+
+  for (const row of changes.modified) {
+    const event = { date, kind: row.merged_from ? "merged" : "modified" };
+    if (row.merged_from) event.merged_from = row.merged_from;
+    if (row.changes.length) event.changes = row.changes;
+    recordEvent(row.id, event, row.inherits_history || "");
+  }
+
+  for (const row of changes.removed) {
+    const event = { date, kind: "removed" };
+    if (row.merged_into) event.merged_into = row.merged_into;
+    recordEvent(row.id, event);
+  }
+}
+
+function buildMarkdown(changelog) {
+  const lines = [
+    `# Facility changes ${changelog.date}`,
+    "",
+    `Compared against the snapshot from ${changelog.previous_date || "an unknown date"}.`,
+    "",
+    `- Added: ${changelog.added.length}`,
+    `- Removed: ${changelog.removed.length}`,
+    `- Modified: ${changelog.modified.length}`,
+  ];
+
+  if (changelog.added.length) {
+    lines.push("", "## Added", "");
+    for (const row of changelog.added) lines.push(`- ${row.name} (\`${row.id}\`)`);
+  }
+
+  if (changelog.removed.length) {
+    lines.push("", "## Removed", "");
+    for (const row of changelog.removed) {
+      const merged = row.merged_into ? `, merged into \`${row.merged_into}\`` : "";
+      lines.push(`- ${row.name} (\`${row.id}\`${merged})`);
+    }
+  }
+
+  if (changelog.modified.length) {
+    lines.push("", "## Modified", "");
+    for (const row of changelog.modified) {
+      const merged = row.merged_from ? `, merged from ${row.merged_from.map((id) => `\`${id}\``).join(", ")}` : "";
+      lines.push(`### ${row.name} (\`${row.id}\`${merged})`, "");
+      for (const c of row.changes) {
+        lines.push(`- \`${c.field}\`: ${formatValue(c.before)} → ${formatValue(c.after)}`);
+      }
+      lines.push("");
+    }
+  }
+
+  return lines.join("\n").trimEnd() + "\n";
+}
+
+function run() {
+  const args = process.argv.slice(2);
+  const date = readFlag(args, "date") || todayLocal();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    console.error(`❌ --date must be YYYY-MM-DD (got "${date}")`);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(FACILITIES_DIR)) {
+    console.error(`❌ Facilities directory not found: ${FACILITIES_DIR}`);
+    process.exit(1);
+  }
+
+  const aliases = safeReadJson(ALIASES_PATH, {}) || {};
+  const resolve = makeResolver(aliases);
+  const current = readCurrentFacilities(aliases);
+  const snapshot = safeReadJson(SNAPSHOT_PATH, null);
+
+  if (!snapshot || !isPlainObject(snapshot.facilities)) {
+    writeJson(SNAPSHOT_PATH, { date, facilities: current });
+    console.log(`ℹ️ No previous snapshot; recorded a baseline of ${Object.keys(current).length} facilities.`);
+    return;
+  }
+
+  const previous = {};
+  for (const [id, record] of Object.entries(snapshot.facilities)) {
+    if (isPlainObject(record)) previous[id] = tracked(record);
+  }
+
+  const schemaFields = newSchemaFields(previous, current);
+  const changes = buildChanges({ previous, current, resolve, schemaFields });
+  const total = changes.added.length + changes.removed.length + changes.modified.length;
+
+  if (total === 0) {
+    // Still record new fields, so the next build diffs them like any other field.
+    if (schemaFields.size) writeJson(SNAPSHOT_PATH, { date, facilities: current });
+    const fields = schemaFields.size ? ` (recorded new field(s): ${Array.from(schemaFields).sort().join(", ")})` : "";
+    console.log(`✅ No facility changes since ${snapshot.date || "the last snapshot"}${fields}.`);
+    return;
+  }
+
+  const changelog = {
+    date,
+    previous_date: snapshot.date || null,
+    summary: {
+      added: changes.added.length,
+      removed: changes.removed.length,
+      modified: changes.modified.length,
+    },
+    added: changes.added,
+    removed: changes.removed,
+    modified: changes.modified.map(({ inherits_history, ...row }) => row),
+  };
+
+  writeHistories(changes, date);
+  writeJson(CHANGELOG_JSON_PATH, changelog);
+  writeText(CHANGELOG_MD_PATH, buildMarkdown(changelog));
+  writeJson(SNAPSHOT_PATH, { date, facilities: current });
+
+  console.log(
+    `✅ Facility changes since ${snapshot.date || "the last snapshot"}: ` +
+      `${changes.added.length} added, ${changes.removed.length} removed, ${changes.modified.length} modified.`
+  );
+  console.log(`   Report: ${CHANGELOG_MD_PATH}`);
+}
+
+run();
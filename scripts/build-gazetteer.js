@@ -0,0 +1,170 @@
+// scripts/build-gazetteer.js
+// Writes the canonical places list that scripts/gazetteer.js loads, one file per state in
+// ./planning/state_registry.json. Run it again only to refresh the place data; the output is committed.
+//
+// Usage (CMD):
+//   node scripts/build-gazetteer.js
+//   node scripts/build-gazetteer.js texas
+//
+// Sources (GeoNames extracts shipped as devDependencies, CC BY 4.0):
+//   cities-with-1000/cities1000.txt   populated places of 1,000+ people: name, centroid, county code, population
+//   zipcodes-us/data/US.txt           postal codes: place name, county and centroid per ZIP. Post-office places
+//                                     missing from cities1000 (towns like Sudan or Texline) are added with the
+//                                     mean centroid of their ZIPs and no population.
+//
+// Output:
+//   ./data/gazetteer/<state>.csv      name, kind, county, population, lat, lng
+//
+// kind is "place" for a cities1000 row and "locality" for a post-office name. Sections of a city, historical
+// and abandoned places are left out. RENAMED applies official renames the extracts predate.
+
+const fs = require("fs");
+const path = require("path");
+
+const STATE_REGISTRY_PATH = path.join("planning", "state_registry.json");
+const OUT_DIR = path.join("data", "gazetteer");
+
+const CITIES_FILE = require("cities-with-1000").file;
+const POSTAL_FILE = path.join(path.dirname(require.resolve("zipcodes-us")), "..", "data", "US.txt");
+
+// GeoNames feature codes that are not places of their own
+const SKIPPED_FEATURES = new Set(["PPLX", "PPLH", "PPLQ", "PPLW", "PPLCH"]);
+
+const RENAMED = {
+  TX: { "Fort Hood": "Fort Cavazos" },
+};
+
+function safeReadJson(filePath, fallback = null) {
+  try {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function slugify(s) {
+  return String(s || "")
+    .trim()
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function csvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function round(n, decimals = 4) {
+  const f = 10 ** decimals;
+  return Math.round(n * f) / f;
+}
+
+function readLines(filePath) {
+  return fs
+    .readFileSync(filePath, "utf-8")
+    .split(/\r?\n/)
+    .filter(Boolean)
+    .map((line) => line.split("\t"));
+}
+
+// "TX" -> Map(slug -> place) from the postal file, plus the county names by GeoNames county code.
+function readPostalPlaces(abbrev, renamed) {
+  const places = new Map();
+  const counties = new Map();
+
+  for (const cols of readLines(POSTAL_FILE)) {
+    const [country, , placeName, , stateCode, countyName, countyCode, , , lat, lng] = cols;
+    if (country !== "US" || stateCode !== abbrev) continue;
+    if (countyCode && countyName) counties.set(countyCode, countyName);
+
+    const name = renamed[placeName] || placeName;
+    const slug = slugify(name);
+    const la = Number(lat);
+    const ln = Number(lng);
+    if (!slug || !Number.isFinite(la) || !Number.isFinite(ln)) continue;
+
+    if (!places.has(slug)) places.set(slug, { name, counties: new Map(), lats: [], lngs: [] });
+    const place = places.get(slug);
+    place.lats.push(la);
+    place.lngs.push(ln);
+    if (countyName) place.counties.set(countyName, (place.counties.get(countyName) || 0) + 1);
+  }
+
+  return { places, counties };
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function buildState(state, abbrev) {
+  const renamed = RENAMED[abbrev] || {};
+  const { places: postal, counties } = readPostalPlaces(abbrev, renamed);
+  const rows = new Map(); // slug -> row
+
+  for (const cols of readLines(CITIES_FILE)) {
+    const [, rawName, , , lat, lng, featureClass, featureCode, country, , stateCode, countyCode, , , population] = cols;
+    if (country !== "US" || stateCode !== abbrev || featureClass !== "P" || SKIPPED_FEATURES.has(featureCode)) continue;
+
+    const name = renamed[rawName] || rawName;
+    const slug = slugify(name);
+    if (!slug) continue;
+
+    const row = {
+      name,
+      kind: "place",
+      county: counties.get(countyCode) || "",
+      population: Number(population) || null,
+      lat: round(Number(lat)),
+      lng: round(Number(lng)),
+    };
+    const prev = rows.get(slug);
+    if (!prev || (row.population || 0) > (prev.population || 0)) rows.set(slug, row);
+  }
+
+  let localities = 0;
+  for (const [slug, place] of postal) {
+    if (rows.has(slug)) continue;
+    const county = Array.from(place.counties.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] || "";
+    rows.set(slug, {
+      name: place.name,
+      kind: "locality",
+      county,
+      population: null,
+      lat: round(mean(place.lats)),
+      lng: round(mean(place.lngs)),
+    });
+    localities += 1;
+  }
+
+  const sorted = Array.from(rows.values()).sort((a, b) => a.name.localeCompare(b.name));
+  const lines = ["name,kind,county,population,lat,lng"];
+  for (const r of sorted) {
+    lines.push([r.name, r.kind, r.county, r.population ?? "", r.lat, r.lng].map(csvCell).join(","));
+  }
+
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  const outPath = path.join(OUT_DIR, `${state}.csv`);
+  fs.writeFileSync(outPath, `${lines.join("\n")}\n`, "utf-8");
+  console.log(`✅ Wrote ${outPath} (${sorted.length} places, ${localities} from postal names only)`);
+}
+
+function run() {
+  const only = String(process.argv[2] || "").toLowerCase().trim();
+  const registry = safeReadJson(STATE_REGISTRY_PATH, {});
+  const states = (Array.isArray(registry?.states) ? registry.states : [])
+    .filter((s) => s?.state_slug && s?.state)
+    .filter((s) => !only || s.state_slug === only);
+
+  if (states.length === 0) {
+    console.error(`❌ No state${only ? ` "${only}"` : "s"} in ${STATE_REGISTRY_PATH}`);
+    process.exit(1);
+  }
+
+  for (const s of states) buildState(s.state_slug, String(s.state).toUpperCase());
+}
+
+run();
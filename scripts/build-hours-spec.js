@@ -0,0 +1,149 @@
+// scripts/build-hours-spec.js
+// Parses the free-text `hours` on manual city facilities into a structured `hours_spec`
+// that city.js can evaluate ("Open now", "Closes at 5:00 PM", "Opens Tue 9 AM").
+// The parser itself lives in ./hours-spec.js.
+//
+// Usage (CMD):
+//   node scripts/build-hours-spec.js                 (every manual city)
+//   node scripts/build-hours-spec.js texas           (every manual city in a state)
+//   node scripts/build-hours-spec.js texas houston   (one city)
+//
+// Input / output (updated in place):
+//   ./data/manual/<state>/<city>.json
+//   ./data/manual/<state>/<city>.geocoded.json   (when present)
+//
+// hours_spec shape:
+//   {
+//     source: "prose" | "manual",      // "manual" specs are hand-authored and never overwritten
+//     status: "parsed" | "partial" | "unparsed",
+//     timezone: "America/Chicago",
+//     weekly:  [{ days: ["mon", ...], open: "08:00", close: "17:00" }],
+//     monthly: [{ days: ["sat"], weeks: [1, 3], open: "09:00", close: "15:00" }],   // -1 = last week
+//     last_entry: [{ days: ["mon", ...], time: "16:30" }],  // days omitted = every open day
+//     closed_days: ["sun"],
+//     closed_holidays: true,
+//     appointment_required: false
+//   }
+
+const fs = require("fs");
+const path = require("path");
+const { parseHours, timezoneFor } = require("./hours-spec");
+
+const stateArg = String(process.argv[2] || "").toLowerCase();
+const cityArg = String(process.argv[3] || "").toLowerCase();
+
+const MANUAL_BASE = path.join(".", "data", "manual");
+
+function safeReadJson(p) {
+  try {
+    if (!fs.existsSync(p)) return null;
+    return JSON.parse(fs.readFileSync(p, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+// Hand-edited manual files end with a newline, generated ones don't; keep whichever the file had
+function writeJson(p, obj, trailingNewline = false) {
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  fs.writeFileSync(p, JSON.stringify(obj, null, 2) + (trailingNewline ? "\n" : ""), "utf-8");
+}
+
+// Same facility in <city>.json and <city>.geocoded.json; the geocoder keeps name and address as they were
+function facilityKey(item) {
+  return `${String(item?.name || "").trim().toLowerCase()}|${String(item?.address || "").trim().toLowerCase()}`;
+}
+
+// Returns the hand-authored specs in the file by facility key, or null when the file is missing or invalid.
+// handAuthored: for the geocoded copy, the specs from <city>.json; they replace whatever the copy carries.
+function applyToFile(filePath, state, city, counts, handAuthored = null) {
+  const manual = safeReadJson(filePath);
+  if (!manual || !Array.isArray(manual.facilities)) return null;
+
+  const timezone = timezoneFor(state, city);
+  const seen = new Map();
+
+  manual.facilities = manual.facilities.map((item) => {
+    const key = facilityKey(item);
+    if (handAuthored?.has(key)) return { ...item, hours_spec: handAuthored.get(key) };
+
+    if (!handAuthored && item?.hours_spec?.source === "manual") {
+      counts.manual += 1;
+      seen.set(key, item.hours_spec);
+      return item;
+    }
+
+    const hoursSpec = parseHours(item?.hours, timezone);
+    counts[hoursSpec.status] += 1;
+    return { ...item, hours_spec: hoursSpec };
+  });
+
+  writeJson(filePath, manual, fs.readFileSync(filePath, "utf-8").endsWith("\n"));
+  return seen;
+}
+
+function listManualCities() {
+  if (!fs.existsSync(MANUAL_BASE)) return [];
+
+  const states = stateArg
+    ? [stateArg]
+    : fs
+        .readdirSync(MANUAL_BASE, { withFileTypes: true })
+        .filter((d) => d.isDirectory())
+        .map((d) => d.name);
+
+  const out = [];
+  for (const state of states) {
+    const dir = path.join(MANUAL_BASE, state);
+    if (!fs.existsSync(dir)) continue;
+
+    const cities = cityArg
+      ? [cityArg]
+      : fs
+          .readdirSync(dir)
+          .filter((f) => /^[a-z0-9-]+\.json$/.test(f))
+          .map((f) => f.replace(/\.json$/, ""));
+
+    cities.forEach((city) => out.push({ state, city }));
+  }
+  return out;
+}
+
+function run() {
+  const targets = listManualCities();
+  if (targets.length === 0) {
+    console.error("❌ No manual city files found.");
+    console.error("   Usage: node scripts/build-hours-spec.js [state] [city]");
+    process.exit(1);
+  }
+
+  let cityCount = 0;
+
+  for (const { state, city } of targets) {
+    const counts = { parsed: 0, partial: 0, unparsed: 0, manual: 0 };
+    const rawPath = path.join(MANUAL_BASE, state, `${city}.json`);
+    const geocodedPath = path.join(MANUAL_BASE, state, `${city}.geocoded.json`);
+
+    const handAuthored = applyToFile(rawPath, state, city, counts);
+    if (!handAuthored) {
+      console.warn(`⚠️ Skipped missing or invalid manual file: ${rawPath}`);
+      continue;
+    }
+
+    // Keep the geocoded copy in step (build-manual-facilities.js prefers it), hand-authored specs
+    // included; don't double count
+    if (fs.existsSync(geocodedPath)) {
+      applyToFile(geocodedPath, state, city, { parsed: 0, partial: 0, unparsed: 0, manual: 0 }, handAuthored);
+    }
+
+    cityCount += 1;
+    console.log(
+      `✅ ${state}/${city}: parsed ${counts.parsed}, partial ${counts.partial}, unparsed ${counts.unparsed}` +
+        (counts.manual ? `, hand-authored ${counts.manual}` : "")
+    );
+  }
+
+  console.log(`\nhours_spec updated for ${cityCount} manual city file(s).`);
+}
+
+run();
@@ -132,7 +132,11 @@ function run() {
 
       // Your rich manual fields (facility.js will render these)
       hours: item.hours || "",
+      // Structured schedule from scripts/build-hours-spec.js (city.js evaluates "Open now")
+      hours_spec: item.hours_spec || undefined,
       fees: item.fees || "",
+      // Typed fee model authored in the manual file (fee-estimator.js reads it)
+      fee_schedule: item.fee_schedule || undefined,
       rules: item.rules || "",
       accepted_materials: Array.isArray(item.accepted_materials) ? item.accepted_materials : [],
       not_accepted: Array.isArray(item.not_accepted) ? item.not_accepted : [],
@@ -154,6 +158,7 @@ function run() {
       lng: typeof item.lng === "number" ? item.lng : undefined,
       geocode_match: item.geocode_match || undefined,
       geocode_source: item.geocode_source || undefined,
+      geocode_confidence: item.geocode_confidence || undefined,
     };
 
     // Clean undefined keys
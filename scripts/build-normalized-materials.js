@@ -0,0 +1,120 @@
+// scripts/build-normalized-materials.js
+// Writes `normalized_materials` (material ids from the taxonomy in ./materials.js) onto every facility record,
+// so the city filters, search index, research stats and material landing pages all read the same answer
+// instead of re-matching free text their own way.
+//
+// Usage (CMD):
+//   node scripts/build-normalized-materials.js
+//
+// Run it after apply-facility-overrides.js: overrides can replace accepted_materials, and the facility and
+// city payload builds rewrite the records from scratch, so the ids are re-derived on every build.
+//
+// Input / output (updated in place):
+//   ./data/facilities/f_*.json
+//   ./data/facilities/index.json           (entries)
+//   ./data/<state>/<city>.json             (city payload rows)
+//
+// normalized_materials is derived from accepted_materials alone, with each material's parent categories
+// ("mattress" -> ["bulk-items", "mattresses"]). Records that name no known material get no field.
+// Hand-edited manual city files are left alone; city.js matches their accepted_materials with the same rules.
+
+const fs = require("fs");
+const path = require("path");
+const { materialIdsInList } = require("../materials");
+
+const FACILITIES_DIR = path.join(".", "data", "facilities");
+const INDEX_PATH = path.join(FACILITIES_DIR, "index.json");
+const STATES = ["texas", "california", "arizona", "georgia", "florida", "illinois", "north-carolina", "washington"];
+
+function safeReadJson(p, fallback = null) {
+  try {
+    if (!fs.existsSync(p)) return fallback;
+    return JSON.parse(fs.readFileSync(p, "utf-8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJson(p, obj) {
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  fs.writeFileSync(p, JSON.stringify(obj, null, 2), "utf-8");
+}
+
+// The record with normalized_materials set (or removed); the same object when nothing changed
+function withNormalizedMaterials(record, counts) {
+  if (!record || typeof record !== "object") return record;
+  const ids = materialIdsInList(record.accepted_materials);
+  const current = Array.isArray(record.normalized_materials) ? record.normalized_materials : null;
+  if (ids.length) counts.withMaterials += 1;
+  else if (Array.isArray(record.accepted_materials) && record.accepted_materials.length) counts.unmatched += 1;
+
+  if (ids.length === 0 && !current) return record;
+  if (current && JSON.stringify(current) === JSON.stringify(ids)) return record;
+
+  const next = { ...record };
+  if (ids.length) next.normalized_materials = ids;
+  else delete next.normalized_materials;
+  return next;
+}
+
+// Rewrites one JSON array file; returns the number of rows that changed
+function updateRows(p, counts) {
+  const rows = safeReadJson(p, null);
+  if (!Array.isArray(rows)) return 0;
+  let changed = 0;
+  const updated = rows.map((row) => {
+    const next = withNormalizedMaterials(row, counts);
+    if (next !== row) changed += 1;
+    return next;
+  });
+  if (changed > 0) writeJson(p, updated);
+  return changed;
+}
+
+function run() {
+  if (!fs.existsSync(FACILITIES_DIR)) {
+    console.error(`❌ Facilities directory not found: ${FACILITIES_DIR}`);
+    process.exit(1);
+  }
+
+  const counts = { withMaterials: 0, unmatched: 0 };
+  let records = 0;
+  let changedRecords = 0;
+
+  // Facility records
+  for (const name of fs.readdirSync(FACILITIES_DIR).sort()) {
+    if (!/^f_.*\.json$/.test(name)) continue;
+    const p = path.join(FACILITIES_DIR, name);
+    const record = safeReadJson(p, null);
+    if (!record) continue;
+    records += 1;
+    const next = withNormalizedMaterials(record, counts);
+    if (next !== record) {
+      writeJson(p, next);
+      changedRecords += 1;
+    }
+  }
+
+  // index.json entries (generate-facility-pages.js reads these first)
+  const indexChanged = updateRows(INDEX_PATH, { withMaterials: 0, unmatched: 0 });
+
+  // City payload rows (city.js and the city page generator render these)
+  let cityFiles = 0;
+  for (const state of STATES) {
+    const dir = path.join(".", "data", state);
+    if (!fs.existsSync(dir)) continue;
+
+    for (const name of fs.readdirSync(dir).sort()) {
+      if (!name.endsWith(".json") || name.startsWith("_")) continue;
+      if (updateRows(path.join(dir, name), { withMaterials: 0, unmatched: 0 }) > 0) cityFiles += 1;
+    }
+  }
+
+  console.log(`✅ normalized_materials on ${counts.withMaterials} of ${records} facility record(s)`);
+  console.log(`   Records updated: ${changedRecords}, index.json entries: ${indexChanged}, city payload files: ${cityFiles}`);
+  if (counts.unmatched > 0) {
+    console.log(`ℹ️ ${counts.unmatched} record(s) list accepted_materials that match no material in materials.js`);
+  }
+}
+
+run();
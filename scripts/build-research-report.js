@@ -1,6 +1,7 @@
 const fs = require("fs");
 const path = require("path");
 const PDFDocument = require("pdfkit");
+const { materialIdsFor, materialIdsInList } = require("../materials");
 
 const BASE_URL = "https://junkscout.io";
 const REPORT_SLUG = "public-waste-access-report-2026";
@@ -17,6 +18,9 @@ const DATE_MODIFIED = process.env.REPORT_DATE || new Date().toISOString().slice(
 const FACILITIES_DIR = path.join("data", "facilities");
 const CITY_DATA_STATES = ["texas", "california"];
 
+// Material ids (materials.js) that count as a hazardous materials policy
+const HAZARDOUS_POLICY_MATERIALS = ["hazardous-waste", "paint", "batteries"];
+
 function safeReadJson(filePath, fallback = null) {
   try {
     if (!fs.existsSync(filePath)) return fallback;
@@ -55,11 +59,9 @@ function toTextLower(parts) {
     .toLowerCase();
 }
 
-function toMaterialText(record) {
-  return toTextLower([
-    ...coerceArray(record.accepted_materials),
-    ...coerceArray(record.not_accepted),
-  ]);
+// Material ids a record mentions at all, accepted or not
+function mentionedMaterialIds(record) {
+  return materialIdsInList([...coerceArray(record.accepted_materials), ...coerceArray(record.not_accepted)]);
 }
 
 function hasHttpUrl(value) {
@@ -271,19 +273,13 @@ function computeStats(records, stateForCityCount = "", cityForCityCount = "", al
     return visitLimitPatterns.some((rx) => rx.test(text));
   }).length;
 
-  const acceptsTires = records.filter((r) => {
-    const text = toTextLower(coerceArray(r.accepted_materials));
-    return /\btire(s)?\b/i.test(text);
-  }).length;
+  const acceptsTires = records.filter((r) => materialIdsFor(r).includes("tires")).length;
 
-  const mentionsCandD = records.filter((r) => {
-    const text = toMaterialText(r);
-    return /(c\s*&\s*d|construction|demolition|debris|c and d)/i.test(text);
-  }).length;
+  const mentionsCandD = records.filter((r) => mentionedMaterialIds(r).includes("construction-debris")).length;
 
   const mentionsHazardousPolicy = records.filter((r) => {
-    const text = toMaterialText(r);
-    return /(hazard|hhw|paint|chemical|battery|batteries|solvent|fuel|asbestos|pesticide)/i.test(text);
+    const ids = mentionedMaterialIds(r);
+    return HAZARDOUS_POLICY_MATERIALS.some((id) => ids.includes(id));
   }).length;
 
   return {
@@ -0,0 +1,388 @@
+// scripts/build-search-index.js
+// Builds the single compact index behind the homepage search (app.js): the autocomplete (cities, city aliases,
+// facility names, ZIPs), "use my location", counties, typo-tolerant city names and street addresses all resolve
+// against it in the browser, and the browser ranks facilities by distance itself, so no geocoding service is
+// involved. city.js reads the facility rows for its neighbour-city fallback.
+//
+// Usage (CMD):
+//   node scripts/build-search-index.js
+//
+// Input:
+//   ./data/facilities/f_*.json            (aliased ids skipped, rows without coordinates skipped)
+//   ./facility/<id>/index.html            (only facilities with a generated page are listed)
+//   ./scripts/cities-<state>.json         (live city pages)
+//   ./data/<state>/_city-centroids.json   (city centre; falls back to the mean of the city's facilities)
+//   ./data/redirects/slug-history.json    (retired city slugs -> city aliases)
+//   ./data/gazetteer/<state>.aliases.json (optional; more city aliases)
+//   ./data/geocoding/zip-centroids.*      (optional; ZIPs within ZIP_RADIUS_MILES of a live city are added to
+//                                          the ZIPs found in facility addresses)
+//   ./data/geocoding/county-centroids.*   (optional; county centre, else the mean of the county's facilities)
+//
+// Output:
+//   ./data/search/index.<hash>.json       (hash = first 8 hex chars of the body's sha256; served immutable, see
+//                                          ./_headers, and older index files are deleted)
+//   {
+//     "version": 4,
+//     "material_names": ["Household Trash", "Recycling", ...],
+//     "facility_fields": ["id", "name", "type", "lat", "lng", "state", "city", "hours", "operator", "address", "materials"],
+//     "facilities": [["f_000478a5dd44", "Waco Landfill", "landfill", 31.4764, -97.2581, "texas", "waco", "", "", "", []],
+//                    ["f_0a1b2c3d4e5f", "Westside Recycling", "recycling", ..., "citysite.gov", "12 Elm St, ...", [1, 2]], ...],
+//     "city_fields": ["state", "city", "name", "lat", "lng"],
+//     "cities": [["texas", "waco", "Waco", 31.55, -97.15], ...],
+//     "alias_fields": ["state", "name", "city"],
+//     "aliases": [["texas", "W Waco", "waco"], ...],
+//     "zip_fields": ["zip", "lat", "lng"],
+//     "zips": [["76705", 31.6247, -97.1021], ...],
+//     "county_fields": ["state", "name", "lat", "lng"],
+//     "counties": [["texas", "McLennan", 31.55, -97.2], ...]
+//   }
+//   ./data/search/manifest.json           { "version": 4, "file": "/data/search/index.<hash>.json", "hash": "<hash>" }
+//                                          (fetched without caching; the one search file whose name never changes)
+// Rows are arrays to keep the file small; city is "" when the facility's city has no live page. operator is the
+// record's `operator`, else its website's host name. materials are indexes into material_names, the categories
+// materials.js derives from accepted_materials (the same vocabulary as the city page filters).
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { parseAddress } = require("./geocoders/address");
+const { distanceMiles } = require("./geocoders/distance");
+const { findTableFile, readTable, toCoord } = require("./geocoders/tables");
+const zipCentroids = require("./geocoders/zip-centroids");
+const { readSlugHistory, resolveTarget } = require("./redirects");
+const { regulatoryOf, regulatoryState } = require("./regulatory");
+const { MATERIAL_ORDER, normalizeMaterialsFromAccepted } = require("../materials");
+
+const FACILITIES_DIR = path.join("data", "facilities");
+const ALIASES_PATH = path.join(FACILITIES_DIR, "_aliases.json");
+const LEGACY_PATH = path.join(FACILITIES_DIR, "_nearby.json");
+const OUT_DIR = path.join("data", "search");
+const MANIFEST_PATH = path.join(OUT_DIR, "manifest.json");
+const GAZETTEER_DIR = path.join("data", "gazetteer");
+const SCRIPTS_DIR = "scripts";
+const STATE_REGISTRY_PATH = path.join("planning", "state_registry.json");
+
+const INDEX_VERSION = 4;
+const HOURS_MAX_CHARS = 80;
+const ZIP_RADIUS_MILES = 60;
+
+const COUNTY_COLUMNS = {
+  state: ["usps", "state", "state_abbr"],
+  name: ["name", "county"],
+  lat: ["lat", "latitude", "intptlat"],
+  lng: ["lng", "lon", "longitude", "intptlong"],
+};
+
+function safeReadJson(p, fallback = null) {
+  try {
+    if (!fs.existsSync(p)) return fallback;
+    return JSON.parse(fs.readFileSync(p, "utf-8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function cleanStr(v) {
+  return String(v || "").replace(/\s+/g, " ").trim();
+}
+
+function round4(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+function validCoords(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && (lat || lng);
+}
+
+function shortHours(hours) {
+  const text = cleanStr(hours);
+  if (text.length <= HOURS_MAX_CHARS) return text;
+  return `${text.slice(0, HOURS_MAX_CHARS - 1).replace(/[\s,;]+\S*$/, "")}…`;
+}
+
+// "TX" -> "texas" from the rollout state registry
+function readStateSlugs() {
+  const registry = safeReadJson(STATE_REGISTRY_PATH, {});
+  const map = new Map();
+  for (const s of Array.isArray(registry?.states) ? registry.states : []) {
+    if (s?.state && s?.state_slug) map.set(String(s.state).toUpperCase(), String(s.state_slug));
+  }
+  return map;
+}
+
+// "HARRIS", "Harris County" -> "Harris"; "MCLENNAN" -> "McLennan"
+function countyName(raw) {
+  return cleanStr(raw)
+    .replace(/\s+(county|parish)$/i, "")
+    .toLowerCase()
+    .replace(/\b([a-z])/g, (c) => c.toUpperCase())
+    .replace(/\bMc([a-z])/g, (_, c) => `Mc${c.toUpperCase()}`);
+}
+
+function mean(points) {
+  return [points.reduce((s, p) => s + p[0], 0) / points.length, points.reduce((s, p) => s + p[1], 0) / points.length];
+}
+
+function addPoint(map, key, lat, lng) {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push([lat, lng]);
+}
+
+// "texas|harris" -> { lat, lng } from data/geocoding/county-centroids.*
+function readCountyCentroids(stateSlugs) {
+  const file = findTableFile("county-centroids");
+  const map = new Map();
+  if (!file) return map;
+  for (const row of readTable(file, COUNTY_COLUMNS)) {
+    const state = stateSlugs.get(String(row.state).toUpperCase());
+    const lat = toCoord(row.lat, 90);
+    const lng = toCoord(row.lng, 180);
+    if (state && lat !== null && lng !== null) map.set(`${state}|${countyName(row.name).toLowerCase()}`, { lat, lng });
+  }
+  return map;
+}
+
+// state -> Map(city slug -> display name) for every city with a generated page
+function readLiveCities() {
+  const out = new Map();
+  const files = fs
+    .readdirSync(SCRIPTS_DIR)
+    .filter((name) => /^cities-[a-z-]+\.json$/.test(name) && !name.includes(".from-"))
+    .sort();
+
+  for (const file of files) {
+    const state = file.replace(/^cities-|\.json$/g, "");
+    const list = safeReadJson(path.join(SCRIPTS_DIR, file), []);
+    const cities = new Map();
+    for (const entry of Array.isArray(list) ? list : []) {
+      const city = cleanStr(entry?.city).toLowerCase();
+      if (!city || !fs.existsSync(path.join(state, city, "index.html"))) continue;
+      const name = cleanStr(String(entry?.query || "").split(",")[0]) || city;
+      cities.set(city, name);
+    }
+    if (cities.size) out.set(state, cities);
+  }
+  return out;
+}
+
+function readFacilities(aliases) {
+  const out = [];
+  for (const name of fs.readdirSync(FACILITIES_DIR).sort()) {
+    if (!/^f_.*\.json$/.test(name)) continue;
+    const record = safeReadJson(path.join(FACILITIES_DIR, name), null);
+    if (!record?.id || aliases[record.id]) continue;
+    out.push(record);
+  }
+  return out;
+}
+
+// "https://www.republicservices.com/locations/..." -> "republicservices.com"
+function websiteHost(url) {
+  try {
+    return new URL(String(url || "")).hostname.replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+function titleCaseFromSlug(slug) {
+  return String(slug || "")
+    .split("-")
+    .filter(Boolean)
+    .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+    .join(" ");
+}
+
+// [state, name, city] for every retired city slug (slug history) and gazetteer alias that lands on a live city
+function readCityAliases(liveCities) {
+  const rows = new Map();
+  const add = (state, aliasSlug, city) => {
+    if (!liveCities.get(state)?.has(city) || liveCities.get(state).has(aliasSlug)) return;
+    rows.set(`${state}/${aliasSlug}`, [state, titleCaseFromSlug(aliasSlug), city]);
+  };
+
+  const history = readSlugHistory();
+  for (const [from, entry] of Object.entries(history.redirects)) {
+    if (entry?.kind !== "city") continue;
+    const [state, aliasSlug] = from.split("/").filter(Boolean);
+    const [toState, city] = resolveTarget(history, from).split("/").filter(Boolean);
+    if (state && aliasSlug && toState === state) add(state, aliasSlug, city);
+  }
+
+  for (const state of liveCities.keys()) {
+    const aliases = safeReadJson(path.join(GAZETTEER_DIR, `${state}.aliases.json`), {}) || {};
+    for (const [aliasSlug, city] of Object.entries(aliases)) add(state, aliasSlug, String(city || ""));
+  }
+
+  return Array.from(rows.values()).sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+}
+
+// Deletes index files from earlier builds and the pre-hash data/facilities/_nearby.json.
+function removeStaleIndexes(keep) {
+  const removed = [];
+  for (const name of fs.readdirSync(OUT_DIR)) {
+    if (/^index\.[0-9a-f]+\.json$/.test(name) && name !== keep) {
+      fs.unlinkSync(path.join(OUT_DIR, name));
+      removed.push(name);
+    }
+  }
+  if (fs.existsSync(LEGACY_PATH)) {
+    fs.unlinkSync(LEGACY_PATH);
+    removed.push(LEGACY_PATH);
+  }
+  return removed;
+}
+
+function run() {
+  if (!fs.existsSync(FACILITIES_DIR)) {
+    console.error(`❌ Facilities directory not found: ${FACILITIES_DIR}`);
+    process.exit(1);
+  }
+
+  const aliases = safeReadJson(ALIASES_PATH, {}) || {};
+  const stateSlugs = readStateSlugs();
+  const liveCities = readLiveCities();
+  const cityPoints = new Map(); // "state/city" -> [lat, lng][]
+  const zipPoints = new Map(); // "77022" -> [lat, lng][]
+  const countyPoints = new Map(); // "texas|Harris" -> [lat, lng][]
+
+  const facilities = [];
+  let noPage = 0;
+  let noCoords = 0;
+
+  for (const f of readFacilities(aliases)) {
+    const lat = Number(f.lat);
+    const lng = Number(f.lng);
+    if (!validCoords(lat, lng)) {
+      noCoords += 1;
+      continue;
+    }
+
+    // Every located facility places its ZIP and county, page or not.
+    const address = parseAddress(f.address);
+    const addressState = stateSlugs.get(address.state) || "";
+    if (address.zip) addPoint(zipPoints, address.zip, lat, lng);
+    const county = countyName(regulatoryOf(f)?.county);
+    const countyState = addressState || regulatoryState(f) || cleanStr(f.appears_in?.[0]?.state).toLowerCase();
+    if (county && countyState) addPoint(countyPoints, `${countyState}|${county}`, lat, lng);
+
+    if (!fs.existsSync(path.join("facility", f.id, "index.html"))) {
+      noPage += 1;
+      continue;
+    }
+
+    const home = (Array.isArray(f.appears_in) ? f.appears_in : []).find((x) =>
+      liveCities.get(cleanStr(x?.state).toLowerCase())?.has(cleanStr(x?.city).toLowerCase())
+    );
+    const state = cleanStr(home?.state || f.appears_in?.[0]?.state).toLowerCase() || addressState;
+    const city = home ? cleanStr(home.city).toLowerCase() : "";
+
+    if (city) {
+      const key = `${state}/${city}`;
+      if (!cityPoints.has(key)) cityPoints.set(key, []);
+      cityPoints.get(key).push([lat, lng]);
+    }
+
+    facilities.push([
+      f.id,
+      cleanStr(f.name),
+      cleanStr(f.type),
+      round4(lat),
+      round4(lng),
+      state,
+      city,
+      shortHours(f.hours),
+      cleanStr(f.operator) || websiteHost(f.website),
+      cleanStr(f.address),
+      normalizeMaterialsFromAccepted(f).map((m) => MATERIAL_ORDER.indexOf(m)).filter((i) => i >= 0),
+    ]);
+  }
+
+  const cities = [];
+  for (const [state, names] of liveCities) {
+    const centroids = safeReadJson(path.join("data", state, "_city-centroids.json"), {}) || {};
+    for (const [city, name] of names) {
+      let lat = Number(centroids[city]?.lat);
+      let lng = Number(centroids[city]?.lng);
+      if (!validCoords(lat, lng)) {
+        const points = cityPoints.get(`${state}/${city}`) || [];
+        if (!points.length) continue;
+        [lat, lng] = mean(points);
+      }
+      cities.push([state, city, name, round4(lat), round4(lng)]);
+    }
+  }
+  cities.sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+
+  const zipRows = new Map();
+  for (const [zip, points] of zipPoints) zipRows.set(zip, mean(points));
+  const table = zipCentroids.loadTable();
+  for (const [zip, c] of table) {
+    if (cities.some((row) => distanceMiles(c.lat, c.lng, row[3], row[4]) <= ZIP_RADIUS_MILES)) {
+      zipRows.set(zip, [c.lat, c.lng]); // the table's centroid beats the mean of a few facilities
+    }
+  }
+  const zips = Array.from(zipRows.entries())
+    .map(([zip, [lat, lng]]) => [zip, round4(lat), round4(lng)])
+    .sort((a, b) => a[0].localeCompare(b[0]));
+
+  const countyCentroids = readCountyCentroids(stateSlugs);
+  const counties = Array.from(countyPoints.entries())
+    .map(([key, points]) => {
+      const [state, name] = key.split("|");
+      const centroid = countyCentroids.get(`${state}|${name.toLowerCase()}`);
+      const [lat, lng] = centroid ? [centroid.lat, centroid.lng] : mean(points);
+      return [state, name, round4(lat), round4(lng)];
+    })
+    .sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+
+  const cityAliases = readCityAliases(liveCities);
+
+  const sections = [
+    [
+      "facility_fields",
+      ["id", "name", "type", "lat", "lng", "state", "city", "hours", "operator", "address", "materials"],
+      "facilities",
+      facilities,
+    ],
+    ["city_fields", ["state", "city", "name", "lat", "lng"], "cities", cities],
+    ["alias_fields", ["state", "name", "city"], "aliases", cityAliases],
+    ["zip_fields", ["zip", "lat", "lng"], "zips", zips],
+    ["county_fields", ["state", "name", "lat", "lng"], "counties", counties],
+  ];
+
+  // One row per line: small enough to ship, still readable in a diff.
+  const body = [
+    "{",
+    `  "version": ${INDEX_VERSION},`,
+    `  "material_names": ${JSON.stringify(MATERIAL_ORDER)},`,
+    sections
+      .map(([fieldsKey, fields, rowsKey, rows]) =>
+        [
+          `  "${fieldsKey}": ${JSON.stringify(fields)},`,
+          `  "${rowsKey}": [\n${rows.map((row) => `    ${JSON.stringify(row)}`).join(",\n")}\n  ]`,
+        ].join("\n")
+      )
+      .join(",\n"),
+    "}",
+  ].join("\n");
+
+  const hash = crypto.createHash("sha256").update(body).digest("hex").slice(0, 8);
+  const fileName = `index.${hash}.json`;
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  fs.writeFileSync(path.join(OUT_DIR, fileName), `${body}\n`, "utf-8");
+  const manifest = { version: INDEX_VERSION, file: `/data/search/${fileName}`, hash };
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + "\n", "utf-8");
+  const removed = removeStaleIndexes(fileName);
+
+  const kb = (Buffer.byteLength(body) / 1024).toFixed(0);
+  console.log(
+    `✅ Search index: ${facilities.length} facilities, ${cities.length} cities, ${cityAliases.length} aliases, ` +
+      `${zips.length} ZIPs, ${counties.length} counties (${kb} KB) -> ${path.join(OUT_DIR, fileName)}`
+  );
+  if (removed.length) console.log(`ℹ️ Removed stale index files: ${removed.join(", ")}`);
+  if (!table.size) console.log("ℹ️ No data/geocoding/zip-centroids table; ZIPs come from facility addresses only.");
+  console.log(`ℹ️ Skipped ${noCoords} without coordinates and ${noPage} without a facility page`);
+}
+
+run();
@@ -8,6 +8,12 @@
  * - Reject junk slugs that come from address fragments.
  * - Preserve known real cities from trusted seed list.
  *
+ * With a Texas gazetteer (./data/gazetteer/texas.*, see scripts/gazetteer.js) a slug is accepted only when
+ * it names a gazetteer place (or a manual city). A slug that resolves to another place is rejected as
+ * "retired" (build-city-json-from-facilities.js removes its file and records the redirect); a slug that
+ * resolves to nothing is rejected as "unresolved". The blocked segment/pattern gate below only applies when
+ * the state has no gazetteer.
+ *
  * Outputs:
  * - ./scripts/cities-texas.json
  * - ./data/texas/cities.json
@@ -16,6 +22,7 @@
 
 const fs = require("fs");
 const path = require("path");
+const { loadGazetteer } = require("./gazetteer");
 
 const STATE = "texas";
 const DATA_DIR = path.join(".", "data", STATE);
@@ -238,9 +245,14 @@ function build() {
     ...Array.from(HARD_INCLUDE),
   ]);
 
+  const manualSlugs = readManualSlugs();
+  const gazetteer = loadGazetteer(STATE);
+  if (gazetteer) console.log(`Resolving slugs against ${gazetteer.file} (${gazetteer.size} places).`);
+
   const files = fs
     .readdirSync(DATA_DIR)
     .filter((name) => name.toLowerCase().endsWith(".json"))
+    .filter((name) => !name.startsWith("_"))
     .filter((name) => !IGNORE.has(name.toLowerCase()));
 
   const cities = [];
@@ -255,7 +267,19 @@ function build() {
       continue;
     }
 
-    if (!slugLooksLikeCity(slug, trustedSlugs)) {
+    let place = null;
+    if (gazetteer && !manualSlugs.has(slug) && !HARD_INCLUDE.has(slug)) {
+      const hit = gazetteer.resolve(slug);
+      if (!hit) {
+        rejected.push({ slug, reason: "unresolved" });
+        continue;
+      }
+      if (hit.slug !== slug) {
+        rejected.push({ slug, reason: "retired", canonical: hit.slug });
+        continue;
+      }
+      place = hit.place;
+    } else if (!gazetteer && !slugLooksLikeCity(slug, trustedSlugs)) {
       rejected.push({ slug, reason: "slug_failed_quality_gate" });
       continue;
     }
@@ -276,13 +300,13 @@ function build() {
       continue;
     }
 
-    const cityName = titleCaseFromSlug(slug);
+    const cityName = place ? place.name : titleCaseFromSlug(slug);
 
     cities.push({
       state: STATE,
       city: slug,
       query: `${cityName}, Texas`,
-      confidence: trustedSlugs.has(slug) ? "trusted" : "heuristic",
+      confidence: place ? "gazetteer" : trustedSlugs.has(slug) ? "trusted" : "heuristic",
     });
   }
 
@@ -299,6 +323,7 @@ function build() {
     accepted_count: cities.length,
     rejected_count: rejected.length,
     trusted_seed_count: trustedSlugs.size,
+    gazetteer: gazetteer ? gazetteer.file.split(path.sep).join("/") : null,
     accepted: cities,
     rejected,
   });
@@ -0,0 +1,315 @@
+// scripts/build.js
+// Single build orchestrator. Discovers every manual city under ./data/manual/<state>/<city>.json and
+// every page state under ./scripts/cities-<state>.json, then runs the pipeline stages in dependency order.
+//
+// Usage (CMD):
+//   node scripts/build.js                                   (full build)
+//   node scripts/build.js --state texas                     (one state)
+//   node scripts/build.js --state texas --city houston      (one city; "texas houston" also works)
+//   node scripts/build.js --stage manual,city-pages         (only these stages)
+//   node scripts/build.js --state texas --dry-run           (print the plan, run nothing)
+//   node scripts/build.js --force                           (rewrite every page, ignoring the build manifest)
+//   node scripts/build.js --material-min 5                  (material landing pages need 5+ facilities, default 3)
+//
+// City and facility pages are incremental: the generators skip pages whose inputs are unchanged
+// (see scripts/build-cache.js), so a full build after editing one manual file only rewrites that city's pages.
+//
+// Stages (in order):
+//   texas-data      TX city payloads, facility records and city list from imported facility data
+//   hours           structured hours_spec for manual cities
+//   validate        JSON Schema check of manual and facility data (stops the build on errors)
+//   manual          build-manual-facilities.js for each manual city
+//   overrides       facility-overrides.json layer
+//   materials       normalized_materials (material ids from materials.js) on every facility record
+//   aliases         duplicate listings collapsed into ./data/facilities/_aliases.json (before the changelog reads it)
+//   validate-facilities  the facility half of validate again, on the records the stages above rewrote
+//   changelog       facility changelog and per-facility history (diff against the previous build)
+//   county-pages    /<state>/<county>-county/ pages and the county manifest (state builds only)
+//   type-pages      /<state>/landfills/ and the other facility-type pages (state builds only)
+//   hubs            state hub pages
+//   city-pages      city pages per state (or per city)
+//   facility-pages  facility pages per state (or per city)
+//   research        research report (full builds only)
+//   prune           remove stale generated pages
+//   search-index    hashed search index for the homepage autocomplete and "Use my location" search
+//   sitemap         sitemap.xml
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const MANUAL_BASE = path.join(".", "data", "manual");
+const SCRIPTS_DIR = path.join(".", "scripts");
+
+const STAGES = [
+  "texas-data",
+  "hours",
+  "validate",
+  "manual",
+  "overrides",
+  "materials",
+  "aliases",
+  "validate-facilities",
+  "changelog",
+  "county-pages",
+  "type-pages",
+  "hubs",
+  "city-pages",
+  "facility-pages",
+  "research",
+  "prune",
+  "search-index",
+  "sitemap",
+];
+
+// A failure in these stops the build; other steps record the failure and carry on.
+const CRITICAL_STAGES = new Set(["texas-data", "hours", "validate", "validate-facilities"]);
+
+function readFlag(args, name) {
+  const prefix = `--${name}=`;
+  const inline = args.find((a) => a.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+  const i = args.indexOf(`--${name}`);
+  if (i !== -1 && args[i + 1] && !args[i + 1].startsWith("--")) return args[i + 1];
+  return "";
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const flagValues = new Set();
+  for (const name of ["state", "city", "stage", "material-min"]) {
+    const i = args.indexOf(`--${name}`);
+    if (i !== -1 && args[i + 1]) flagValues.add(i + 1);
+  }
+  const positional = args.filter((a, i) => !a.startsWith("--") && !flagValues.has(i));
+
+  const stageList = readFlag(args, "stage")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    state: (readFlag(args, "state") || positional[0] || "").trim().toLowerCase(),
+    city: (readFlag(args, "city") || positional[1] || "").trim().toLowerCase(),
+    stages: stageList,
+    dryRun: args.includes("--dry-run"),
+    force: args.includes("--force"),
+    materialMin: readFlag(args, "material-min").trim(),
+  };
+}
+
+function listDirs(base) {
+  if (!fs.existsSync(base)) return [];
+  return fs
+    .readdirSync(base, { withFileTypes: true })
+    .filter((d) => d.isDirectory())
+    .map((d) => d.name)
+    .sort();
+}
+
+// [{ state, city }] for every hand-edited manual city file (not .geocoded / .resolved)
+function discoverManualCities() {
+  const out = [];
+  for (const state of listDirs(MANUAL_BASE)) {
+    for (const name of fs.readdirSync(path.join(MANUAL_BASE, state)).sort()) {
+      const m = name.match(/^([a-z0-9-]+)\.json$/);
+      if (m) out.push({ state, city: m[1] });
+    }
+  }
+  return out;
+}
+
+function discoverPageStates() {
+  return fs
+    .readdirSync(SCRIPTS_DIR)
+    .map((name) => name.match(/^cities-([a-z-]+)\.json$/))
+    .filter(Boolean)
+    .map((m) => m[1])
+    .sort();
+}
+
+function resolveScope(opts) {
+  const manualCities = discoverManualCities();
+  const pageStates = discoverPageStates();
+  const knownStates = new Set([...pageStates, ...manualCities.map((x) => x.state)]);
+
+  let state = opts.state;
+  if (opts.city && !state) {
+    const matches = manualCities.filter((x) => x.city === opts.city);
+    if (matches.length !== 1) {
+      const hint = matches.length ? ` (found in ${matches.map((x) => x.state).join(", ")})` : "";
+      throw new Error(`--city ${opts.city} needs --state${hint}`);
+    }
+    state = matches[0].state;
+  }
+
+  if (state && !knownStates.has(state)) {
+    throw new Error(`Unknown state "${state}". Known: ${Array.from(knownStates).sort().join(", ")}`);
+  }
+
+  return {
+    full: !state,
+    state,
+    city: opts.city,
+    pageStates: state ? pageStates.filter((s) => s === state) : pageStates,
+    manualCities: manualCities.filter((x) => (!state || x.state === state) && (!opts.city || x.city === opts.city)),
+  };
+}
+
+// Returns { steps: [{ stage, label, script, args }], notes: [{ stage, reason }] }
+function planStages(scope, { force = false, materialMin = "" } = {}) {
+  const steps = [];
+  const notes = [];
+  const add = (stage, label, script, args = []) => steps.push({ stage, label, script, args });
+  const skip = (stage, reason) => notes.push({ stage, reason });
+  const scopeArgs = scope.full ? [] : scope.city ? [scope.state, scope.city] : [scope.state];
+  const forceArgs = force ? ["--force"] : [];
+
+  if (scope.full || (scope.state === "texas" && !scope.city)) {
+    add("texas-data", "texas city payloads", "scripts/build-city-json-from-facilities.js");
+    add("texas-data", "texas facility records", "scripts/build-facilities.js", ["texas"]);
+    add("texas-data", "texas city list", "scripts/build-texas-city-list.js");
+  } else {
+    skip("texas-data", scope.city ? "single-city build" : "not a Texas build");
+  }
+
+  add("hours", "hours_spec", "scripts/build-hours-spec.js", scopeArgs);
+  add("validate", "data validation", "scripts/validate-data.js", scopeArgs);
+
+  if (scope.manualCities.length === 0) skip("manual", "no manual city files in scope");
+  for (const { state, city } of scope.manualCities) {
+    add("manual", `${state}/${city}`, "scripts/build-manual-facilities.js", [state, city]);
+  }
+
+  add("overrides", "facility overrides", "scripts/apply-facility-overrides.js");
+  add("materials", "normalized materials", "scripts/build-normalized-materials.js");
+  // Before the changelog: a duplicate that appeared this build is folded into its canonical id, not logged as added
+  add("aliases", "facility aliases", "scripts/build-facility-aliases.js");
+  // validate ran on the records as texas-data left them; manual, overrides and materials have rewritten them since
+  add("validate-facilities", "facility data validation", "scripts/validate-data.js", ["--facilities"]);
+  add("changelog", "facility changelog", "scripts/build-facility-changelog.js");
+
+  // Before hubs and city pages: both read the county manifest this writes
+  if (scope.city) skip("county-pages", "single-city build");
+  else if (scope.pageStates.length === 0) skip("county-pages", `no scripts/cities-${scope.state}.json`);
+  for (const state of scope.city ? [] : scope.pageStates) {
+    add("county-pages", state, "scripts/generate-county-pages.js", [state, ...forceArgs]);
+  }
+
+  // After county pages: type pages group sites by the county manifest
+  if (scope.city) skip("type-pages", "single-city build");
+  else if (scope.pageStates.length === 0) skip("type-pages", `no scripts/cities-${scope.state}.json`);
+  for (const state of scope.city ? [] : scope.pageStates) {
+    add("type-pages", state, "scripts/generate-type-pages.js", [state, ...forceArgs]);
+  }
+
+  add("hubs", "state hubs", "scripts/generate-state-hubs.js");
+
+  if (scope.pageStates.length === 0) {
+    skip("city-pages", `no scripts/cities-${scope.state}.json`);
+    skip("facility-pages", `no scripts/cities-${scope.state}.json`);
+  }
+  for (const state of scope.pageStates) {
+    const label = scope.city ? `${state}/${scope.city}` : state;
+    add("city-pages", label, "scripts/generate-city-pages.js", [
+      ...(scope.city ? [state, scope.city] : [state]),
+      ...forceArgs,
+      ...(materialMin ? [`--material-min=${materialMin}`] : []),
+    ]);
+  }
+  for (const state of scope.pageStates) {
+    const label = scope.city ? `${state}/${scope.city}` : state;
+    add("facility-pages", label, "scripts/generate-facility-pages.js", [
+      ...(scope.city ? [state, "--city", scope.city] : [state]),
+      ...forceArgs,
+    ]);
+  }
+
+  if (scope.full) add("research", "research report", "scripts/build-research-report.js");
+  else skip("research", "scoped build");
+
+  add("prune", "stale pages", "scripts/prune-generated-pages.js", ["--apply"]);
+  add("search-index", "search index", "scripts/build-search-index.js");
+  add("sitemap", "sitemap", "scripts/generate-sitemap.js");
+
+  return { steps, notes };
+}
+
+function runStep(step, index, total, dryRun) {
+  const cmd = ["node", step.script, ...step.args].join(" ");
+  console.log(`\n[${index}/${total}] ${step.stage}: ${step.label}`);
+  console.log(`  ${cmd}`);
+  if (dryRun) return "planned";
+
+  const result = spawnSync("node", [step.script, ...step.args], { stdio: "inherit", shell: false });
+  return result.status === 0 ? "built" : "failed";
+}
+
+function printSummary(results, notes, dryRun) {
+  const count = (status) => results.filter((r) => r.status === status).length;
+
+  console.log("\nBuild summary:");
+  for (const r of results) {
+    const mark = { built: "✅", planned: "📝", failed: "❌", skipped: "⏭️" }[r.status];
+    const why = r.reason ? ` (${r.reason})` : "";
+    console.log(`  ${mark} ${r.status.padEnd(7)} ${r.stage}: ${r.label}${why}`);
+  }
+  for (const n of notes) console.log(`  ⏭️ skipped ${n.stage} (${n.reason})`);
+
+  if (dryRun) {
+    console.log(`\nTotals -> planned: ${count("planned")}, skipped: ${count("skipped") + notes.length}`);
+    return;
+  }
+  console.log(
+    `\nTotals -> built: ${count("built")}, skipped: ${count("skipped") + notes.length}, failed: ${count("failed")}`
+  );
+}
+
+function run() {
+  const opts = parseArgs(process.argv);
+
+  const unknown = opts.stages.filter((s) => !STAGES.includes(s));
+  if (unknown.length) {
+    console.error(`❌ Unknown stage(s): ${unknown.join(", ")}`);
+    console.error(`   Stages: ${STAGES.join(", ")}`);
+    process.exit(1);
+  }
+
+  let scope;
+  try {
+    scope = resolveScope(opts);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+
+  const plan = planStages(scope, { force: opts.force, materialMin: opts.materialMin });
+  const selected = opts.stages.length ? new Set(opts.stages) : null;
+  const steps = plan.steps.filter((s) => !selected || selected.has(s.stage));
+  const notes = plan.notes.filter((n) => !selected || selected.has(n.stage));
+  for (const stage of STAGES) {
+    if (selected && !selected.has(stage)) notes.push({ stage, reason: "not in --stage" });
+  }
+
+  const where = scope.full ? "all states" : scope.city ? `${scope.state}/${scope.city}` : scope.state;
+  console.log(`Build: ${where}${opts.dryRun ? " (dry run)" : ""}${opts.force ? " (forced)" : ""}`);
+  console.log(`Manual cities in scope: ${scope.manualCities.length}`);
+
+  const results = [];
+  let halted = "";
+  steps.forEach((step, i) => {
+    if (halted) {
+      results.push({ ...step, status: "skipped", reason: `${halted} failed` });
+      return;
+    }
+    const status = runStep(step, i + 1, steps.length, opts.dryRun);
+    results.push({ ...step, status });
+    if (status === "failed" && CRITICAL_STAGES.has(step.stage)) halted = step.stage;
+  });
+
+  printSummary(results, notes, opts.dryRun);
+
+  if (results.some((r) => r.status === "failed")) process.exit(1);
+}
+
+run();
@@ -0,0 +1,236 @@
+// scripts/check-facility-coordinates.js
+// Reports facilities whose coordinates fall outside the city or county their record claims.
+//
+// Usage (CMD):
+//   node scripts/check-facility-coordinates.js
+//   node scripts/check-facility-coordinates.js --state texas
+//   node scripts/check-facility-coordinates.js --city-miles 10 --county-miles 30
+//
+// Claimed city: the city in the address ("..., Houston, TX 77022", or "... HOUSTON TX 77078" for registry
+// addresses), checked against ./data/<state>/_city-centroids.json.
+// Claimed county: regulatory.county (or the old tceq.county), checked against ./data/geocoding/county-centroids.csv
+// (state, name, lat, lng) or the Census county gazetteer renamed to county-centroids.txt. Without that file
+// the county check is skipped.
+//
+// A facility is flagged when it sits further than --city-miles (default 15) from its city's centroid or
+// --county-miles (default 40) from its county's centroid. Each entry carries geocode_source and
+// geocode_confidence, so ZIP-centroid guesses can be told apart from address matches.
+//
+// A latitude or longitude of 0 (or out of range) is a placeholder, not a position: those facilities are
+// listed under missing_coordinates rather than measured from (0, 0).
+//
+// Writes:
+//   ./data/geocoding/_coordinate-report.json
+
+const fs = require("fs");
+const path = require("path");
+const { parseAddress } = require("./geocoders/address");
+const { distanceMiles } = require("./geocoders/distance");
+const { findTableFile, readTable, toCoord } = require("./geocoders/tables");
+const { regulatoryOf } = require("./regulatory");
+
+const FACILITIES_DIR = path.join("data", "facilities");
+const ALIASES_PATH = path.join(FACILITIES_DIR, "_aliases.json");
+const STATE_REGISTRY_PATH = path.join("planning", "state_registry.json");
+const REPORT_PATH = path.join("data", "geocoding", "_coordinate-report.json");
+
+const COUNTY_COLUMNS = {
+  state: ["usps", "state", "state_abbr"],
+  name: ["name", "county"],
+  lat: ["lat", "latitude", "intptlat"],
+  lng: ["lng", "lon", "longitude", "intptlong"],
+};
+
+function readFlag(args, name) {
+  const prefix = `--${name}=`;
+  const inline = args.find((a) => a.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+  const i = args.indexOf(`--${name}`);
+  if (i !== -1 && args[i + 1] && !args[i + 1].startsWith("--")) return args[i + 1];
+  return "";
+}
+
+function safeReadJson(p, fallback = null) {
+  try {
+    if (!fs.existsSync(p)) return fallback;
+    return JSON.parse(fs.readFileSync(p, "utf-8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function slugify(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function countyKey(stateAbbrev, name) {
+  const county = String(name || "")
+    .toLowerCase()
+    .replace(/\b(county|parish)\b/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+  return `${String(stateAbbrev || "").toUpperCase()}|${county}`;
+}
+
+// "TX" -> "texas" from the rollout state registry
+function readStateSlugs() {
+  const registry = safeReadJson(STATE_REGISTRY_PATH, {});
+  const map = new Map();
+  for (const s of Array.isArray(registry?.states) ? registry.states : []) {
+    if (s?.state && s?.state_slug) map.set(String(s.state).toUpperCase(), String(s.state_slug));
+  }
+  return map;
+}
+
+function readCountyCentroids() {
+  const file = findTableFile("county-centroids");
+  const map = new Map();
+  if (!file) return { file: "", map };
+
+  for (const row of readTable(file, COUNTY_COLUMNS)) {
+    const lat = toCoord(row.lat, 90);
+    const lng = toCoord(row.lng, 180);
+    if (lat !== null && lng !== null) map.set(countyKey(row.state, row.name), { lat, lng });
+  }
+  return { file, map };
+}
+
+const cityCentroidCache = new Map();
+function cityCentroids(state) {
+  if (!cityCentroidCache.has(state)) {
+    cityCentroidCache.set(state, safeReadJson(path.join("data", state, "_city-centroids.json"), {}) || {});
+  }
+  return cityCentroidCache.get(state);
+}
+
+// City slug the address names, if that city has a centroid.
+function claimedCity(address, centroids) {
+  const parsed = parseAddress(address);
+  const fromCommas = slugify(parsed.city);
+  if (fromCommas && centroids[fromCommas]) return fromCommas;
+
+  // "5755 OATES RD HOUSTON TX 77078": try the last one to four words before the state code.
+  const words = String(address || "")
+    .replace(/[,\s]+[A-Za-z]{2}\.?(?:\s+\d{5}(?:-\d{4})?)?\s*$/, "")
+    .split(/[\s,]+/)
+    .filter(Boolean);
+  for (let n = Math.min(4, words.length - 1); n >= 1; n--) {
+    const slug = slugify(words.slice(-n).join(" "));
+    if (centroids[slug]) return slug;
+  }
+  return "";
+}
+
+function readFacilities(aliases) {
+  const out = [];
+  for (const name of fs.readdirSync(FACILITIES_DIR).sort()) {
+    if (!/^f_.*\.json$/.test(name)) continue;
+    const record = safeReadJson(path.join(FACILITIES_DIR, name), null);
+    if (!record?.id || aliases[record.id]) continue;
+    out.push(record);
+  }
+  return out;
+}
+
+function run() {
+  const args = process.argv.slice(2);
+  const stateFilter = readFlag(args, "state").toLowerCase();
+  const cityMiles = Number(readFlag(args, "city-miles") || 15);
+  const countyMiles = Number(readFlag(args, "county-miles") || 40);
+
+  if (!fs.existsSync(FACILITIES_DIR)) {
+    console.error(`❌ Facilities directory not found: ${FACILITIES_DIR}`);
+    process.exit(1);
+  }
+
+  const aliases = safeReadJson(ALIASES_PATH, {}) || {};
+  const stateSlugs = readStateSlugs();
+  const counties = readCountyCentroids();
+
+  const stats = { checked: 0, no_coordinates: 0, city_checked: 0, county_checked: 0 };
+  const flagged = [];
+  const missing = [];
+
+  for (const f of readFacilities(aliases)) {
+    const parsed = parseAddress(f.address);
+    const stateAbbrev = parsed.state;
+    const state = stateSlugs.get(stateAbbrev) || String(f.appears_in?.[0]?.state || "").toLowerCase();
+    if (stateFilter && state !== stateFilter) continue;
+
+    stats.checked += 1;
+    const lat = toCoord(f.lat, 90);
+    const lng = toCoord(f.lng, 180);
+    if (lat === null || lng === null) {
+      stats.no_coordinates += 1;
+      missing.push({ id: f.id, name: f.name || "", address: f.address || "", lat: f.lat ?? null, lng: f.lng ?? null });
+      continue;
+    }
+
+    const base = {
+      id: f.id,
+      name: f.name || "",
+      address: f.address || "",
+      lat,
+      lng,
+      geocode_source: f.geocode_source || null,
+      geocode_confidence: f.geocode_confidence || null,
+    };
+
+    const centroids = state ? cityCentroids(state) : {};
+    const city = claimedCity(f.address, centroids);
+    if (city) {
+      stats.city_checked += 1;
+      const d = distanceMiles(lat, lng, centroids[city].lat, centroids[city].lng);
+      if (d > cityMiles) flagged.push({ ...base, check: "city", claimed: `${state}/${city}`, distance_mi: Number(d.toFixed(1)) });
+    }
+
+    const county = regulatoryOf(f)?.county || "";
+    const centroid = county && stateAbbrev ? counties.map.get(countyKey(stateAbbrev, county)) : null;
+    if (centroid) {
+      stats.county_checked += 1;
+      const d = distanceMiles(lat, lng, centroid.lat, centroid.lng);
+      if (d > countyMiles) flagged.push({ ...base, check: "county", claimed: county, distance_mi: Number(d.toFixed(1)) });
+    }
+  }
+
+  flagged.sort((a, b) => b.distance_mi - a.distance_mi || a.id.localeCompare(b.id));
+
+  const report = {
+    thresholds: { city_miles: cityMiles, county_miles: countyMiles },
+    county_table: counties.file ? counties.file.split(path.sep).join("/") : null,
+    ...stats,
+    flagged_count: flagged.length,
+    flagged,
+    missing_coordinates: missing,
+  };
+
+  fs.mkdirSync(path.dirname(REPORT_PATH), { recursive: true });
+  fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2));
+
+  console.log(
+    `✅ Checked ${stats.checked} facilities (${stats.city_checked} against a city, ${stats.county_checked} against a county; ` +
+      `${stats.no_coordinates} without coordinates).`
+  );
+  if (!counties.file) console.log("ℹ️ No data/geocoding/county-centroids table; county check skipped.");
+  if (flagged.length) {
+    console.log(`⚠️ ${flagged.length} outside their claimed city or county:`);
+    for (const x of flagged.slice(0, 15)) {
+      const grade = x.geocode_confidence ? `, ${x.geocode_confidence}` : "";
+      console.log(`   ${x.id} ${x.name}: ${x.distance_mi} mi from ${x.check} ${x.claimed}${grade}`);
+    }
+    if (flagged.length > 15) console.log(`   ...and ${flagged.length - 15} more`);
+  }
+  const placeholders = missing.filter((x) => x.lat !== null || x.lng !== null);
+  if (placeholders.length) {
+    console.log(`ℹ️ ${placeholders.length} with placeholder coordinates (0 or out of range), listed under missing_coordinates:`);
+    for (const x of placeholders.slice(0, 15)) console.log(`   ${x.id} ${x.name}: ${x.lat}, ${x.lng}`);
+    if (placeholders.length > 15) console.log(`   ...and ${placeholders.length - 15} more`);
+  }
+  console.log(`📄 Report: ${REPORT_PATH}`);
+}
+
+run();
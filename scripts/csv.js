@@ -0,0 +1,87 @@
+// scripts/csv.js
+// Minimal delimited-text parser shared by the importers and the local geocoding tables.
+// Handles quoted delimiters/newlines, which is good enough for typical government exports.
+//
+//   const { parseCsv } = require("./csv");
+//   const { headers, rows } = parseCsv(text);                     (comma-separated)
+//   const { headers, rows } = parseCsv(text, { delimiter: "\t" }); (Census gazetteer .txt files)
+//
+// rows are objects keyed by header; missing cells are "".
+
+function parseCsv(csvText, { delimiter = "," } = {}) {
+  const rows = [];
+  let row = [];
+  let cur = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < csvText.length; i++) {
+    const ch = csvText[i];
+    const next = csvText[i + 1];
+
+    if (inQuotes) {
+      if (ch === '"' && next === '"') {
+        cur += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cur += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+      continue;
+    }
+
+    if (ch === delimiter) {
+      row.push(cur);
+      cur = "";
+      continue;
+    }
+
+    if (ch === "\n") {
+      row.push(cur);
+      rows.push(row);
+      row = [];
+      cur = "";
+      continue;
+    }
+
+    if (ch === "\r") continue;
+
+    cur += ch;
+  }
+
+  // last cell
+  row.push(cur);
+  rows.push(row);
+
+  const headers = rows[0].map((h) => h.replace(/^﻿/, "").trim());
+  const out = [];
+
+  for (let r = 1; r < rows.length; r++) {
+    const values = rows[r];
+    if (!values || values.length === 1 && values[0] === "") continue;
+
+    const obj = {};
+    for (let c = 0; c < headers.length; c++) {
+      obj[headers[c]] = values[c] ?? "";
+    }
+    out.push(obj);
+  }
+
+  return { headers, rows: out };
+}
+
+// Tab-separated when the header line has tabs and no commas (Census gazetteer files), else comma.
+function sniffDelimiter(text) {
+  const firstLine = String(text || "").split("\n", 1)[0];
+  return firstLine.includes("\t") && !firstLine.includes(",") ? "\t" : ",";
+}
+
+module.exports = {
+  parseCsv,
+  sniffDelimiter,
+};
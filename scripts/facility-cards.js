@@ -0,0 +1,149 @@
+// scripts/facility-cards.js
+// Facility types and the static result cards shared by the page generators (city, material, county and
+// facility-type pages), so a landfill gets the same badge and card wherever it is listed.
+//
+// The cards are for crawlers and no-JS visitors: city.js replaces the contents of #results with the
+// interactive list once it loads.
+//
+// FACILITY_TYPE_PAGES: the state-wide pages generate-type-pages.js writes, /<state>/<slug>/ (/texas/landfills/).
+//   slug   URL segment; never a city slug (the generator skips a page whose slug is a live city)
+//   type   normalizeType() label of the facilities the page lists
+//   title  heads the page ("Landfills in Texas")
+//   noun   [singular, plural] for the copy
+
+const FACILITY_TYPE_PAGES = [
+  { slug: "landfills", type: "Landfill", title: "Landfills", noun: ["landfill", "landfills"] },
+  { slug: "transfer-stations", type: "Transfer", title: "Transfer Stations", noun: ["transfer station", "transfer stations"] },
+  {
+    slug: "household-hazardous-waste",
+    type: "Hazardous",
+    title: "Household Hazardous Waste Drop-Off",
+    noun: ["household hazardous waste site", "household hazardous waste sites"],
+  },
+  { slug: "recycling-centers", type: "Recycling", title: "Recycling Centers", noun: ["recycling center", "recycling centers"] },
+];
+
+const TYPE_NOUNS = {
+  Landfill: ["landfill", "landfills"],
+  Transfer: ["transfer station", "transfer stations"],
+  Recycling: ["recycling center", "recycling centers"],
+  Hazardous: ["hazardous waste site", "hazardous waste sites"],
+  "Public dumpster": ["public dumpster", "public dumpsters"],
+  "Drop-off": ["drop-off site", "drop-off sites"],
+};
+
+function escapeHtml(value = "") {
+  return String(value).replace(/[&<>"']/g, (ch) => {
+    if (ch === "&") return "&amp;";
+    if (ch === "<") return "&lt;";
+    if (ch === ">") return "&gt;";
+    if (ch === '"') return "&quot;";
+    return "&#39;";
+  });
+}
+
+function toNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeType(rawType) {
+  const t = String(rawType || "").toLowerCase();
+  if (t.includes("landfill")) return { label: "Landfill", badgeClass: "badge--orange" };
+  if (t.includes("transfer")) return { label: "Transfer", badgeClass: "badge--orange" };
+  if (t.includes("recycl")) return { label: "Recycling", badgeClass: "badge--blue" };
+  if (t.includes("hazard")) return { label: "Hazardous", badgeClass: "badge--orange" };
+  if (t.includes("dumpster")) return { label: "Public dumpster", badgeClass: "badge--gray" };
+  if (t.includes("depository")) return { label: "Drop-off", badgeClass: "badge--blue" };
+  return { label: "Drop-off", badgeClass: "badge--gray" };
+}
+
+// "2 landfills, 1 transfer station and 3 drop-off sites"
+function describeFacilityTypes(items) {
+  const counts = new Map();
+  for (const item of items) {
+    const label = normalizeType(item?.type).label;
+    counts.set(label, (counts.get(label) || 0) + 1);
+  }
+  const parts = Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([label, n]) => `${n} ${(TYPE_NOUNS[label] || TYPE_NOUNS["Drop-off"])[n === 1 ? 0 : 1]}`);
+  return parts.length > 1 ? `${parts.slice(0, -1).join(", ")} and ${parts[parts.length - 1]}` : parts.join("");
+}
+
+function mapsUrlForItem(item) {
+  const address = String(item?.address || "").trim();
+  const lat = toNumber(item?.lat ?? item?.latitude);
+  const lng = toNumber(item?.lng ?? item?.lon ?? item?.longitude);
+
+  if (address) {
+    return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(address)}`;
+  }
+  if (lat !== null && lng !== null) {
+    return `https://www.google.com/maps/search/?api=1&query=${lat},${lng}`;
+  }
+  return "";
+}
+
+// options.limit: cards to render (default 12)
+// options.badges: item -> extra badge html after the type badge (the county pages' "County-run")
+function buildInitialResultsHtml(items = [], options = {}) {
+  const requestedLimit = Number(options?.limit);
+  const limit = Number.isFinite(requestedLimit) && requestedLimit > 0 ? Math.floor(requestedLimit) : 12;
+  const badges = typeof options?.badges === "function" ? options.badges : () => "";
+  const slice = Array.isArray(items) ? items.slice(0, limit) : [];
+  if (slice.length === 0) return `<p class="muted">No locations found.</p>`;
+
+  return slice
+    .map((item) => {
+      const name = escapeHtml(item?.name || "Unnamed location");
+      const address = String(item?.address || "").trim();
+      const facilityId = String(item?.facility_id || item?.id || "").trim();
+      const facilityHref = facilityId ? `/facility/${encodeURIComponent(facilityId)}/` : "";
+      const mapsUrl = mapsUrlForItem(item);
+      const rawSourceUrl = String(item?.source || item?.website || item?.osm_url || "").trim();
+      const sourceUrl =
+        /^https?:\/\//i.test(rawSourceUrl) && rawSourceUrl.toLowerCase() !== "https://osm"
+          ? rawSourceUrl
+          : "";
+
+      const t = normalizeType(item?.type);
+      const badgeHtml = `<span class="badge ${t.badgeClass}">${escapeHtml(t.label)}</span>${badges(item) || ""}`;
+
+      const accepted = Array.isArray(item?.accepted_materials) ? item.accepted_materials : [];
+      const acceptedSummary =
+        accepted.length > 0
+          ? `<p class="card__meta">Accepts: ${escapeHtml(accepted.slice(0, 3).join(", "))}</p>`
+          : "";
+
+      const verified = String(item?.verified_date || "").trim();
+      const verifiedLine = verified
+        ? `<p class="card__meta">Verified ${escapeHtml(verified)}</p>`
+        : "";
+
+      return `
+        <article class="card">
+          <div class="card__kicker">${badgeHtml}</div>
+          <h3>${name}</h3>
+          ${address ? `<p class="card__meta">${escapeHtml(address)}</p>` : ""}
+          ${acceptedSummary}
+          ${verifiedLine}
+          <div style="display:flex; gap:12px; margin-top:10px; flex-wrap:wrap; align-items:center">
+            ${mapsUrl ? `<a class="link" href="${escapeHtml(mapsUrl)}" target="_blank" rel="noopener">Directions</a>` : ""}
+            ${facilityHref ? `<a class="link" href="${facilityHref}">Facility page</a>` : ""}
+            ${sourceUrl ? `<a class="link" href="${escapeHtml(sourceUrl)}" target="_blank" rel="noopener">Source</a>` : ""}
+          </div>
+        </article>
+      `.trim();
+    })
+    .join("\n");
+}
+
+module.exports = {
+  FACILITY_TYPE_PAGES,
+  TYPE_NOUNS,
+  normalizeType,
+  describeFacilityTypes,
+  mapsUrlForItem,
+  buildInitialResultsHtml,
+};
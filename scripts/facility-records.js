@@ -0,0 +1,351 @@
+// scripts/facility-records.js
+// Loads the facility records that get pages and collapses duplicate listings of the same place into one
+// canonical record; the retired ids become the aliases in ./data/facilities/_aliases.json.
+//
+//   const { loadFacilityRecords, writeAliasManifest } = require("./facility-records");
+//
+// Two records are the same place when their names match and their addresses match or their coordinates
+// are within 0.15 mi. The record with the most complete data (manual records first) keeps its id and
+// absorbs the others' missing fields.
+//
+// build-facility-aliases.js writes the manifest before the changelog stage so the changelog, overrides
+// and page generators all read the same aliases; generate-facility-pages.js only reads the collapsed records.
+
+const fs = require("fs");
+const path = require("path");
+const { readSlugHistory, writeRedirectsFile } = require("./redirects");
+
+const FACILITIES_DIR = path.join("data", "facilities");
+const ALIAS_MANIFEST_PATH = path.join(FACILITIES_DIR, "_aliases.json");
+const CITY_DATA_STATES = ["texas", "california", "arizona", "georgia", "florida", "illinois", "north-carolina", "washington"];
+
+function safeReadJson(filePath, fallback = null) {
+  try {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function cleanSlug(value = "") {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "-")
+    .replace(/[^a-z0-9-]/g, "")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+function coerceArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function cleanString(value) {
+  return String(value || "").trim();
+}
+
+function toNum(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function isValidCoordPair(lat, lng) {
+  if (lat === null || lng === null) return false;
+  if (lat < -90 || lat > 90) return false;
+  if (lng < -180 || lng > 180) return false;
+  if (Math.abs(lat) < 0.000001 && Math.abs(lng) < 0.000001) return false;
+  return true;
+}
+
+function getCoordsFromRecord(record) {
+  const lat = toNum(record?.lat ?? record?.latitude);
+  const lng = toNum(record?.lng ?? record?.lon ?? record?.longitude);
+  if (!isValidCoordPair(lat, lng)) return { lat: null, lng: null };
+  return { lat, lng };
+}
+
+function toRadians(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+function distanceMiles(lat1, lng1, lat2, lng2) {
+  if (!isValidCoordPair(lat1, lng1) || !isValidCoordPair(lat2, lng2)) return null;
+
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+      Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  const earthRadiusMi = 3958.8;
+  return earthRadiusMi * c;
+}
+
+function normalizeComparableText(value = "") {
+  return cleanString(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function facilitiesRepresentSamePlace(a, b) {
+  const nameA = normalizeComparableText(a?.name || "");
+  const nameB = normalizeComparableText(b?.name || "");
+  if (!nameA || !nameB || nameA !== nameB) return false;
+
+  const addressA = normalizeComparableText(a?.address || "");
+  const addressB = normalizeComparableText(b?.address || "");
+  if (addressA && addressB && addressA === addressB) return true;
+
+  const coordsA = getCoordsFromRecord(a);
+  const coordsB = getCoordsFromRecord(b);
+  if (coordsA.lat !== null && coordsA.lng !== null && coordsB.lat !== null && coordsB.lng !== null) {
+    const distanceMi = distanceMiles(coordsA.lat, coordsA.lng, coordsB.lat, coordsB.lng);
+    if (Number.isFinite(distanceMi) && distanceMi <= 0.15) return true;
+  }
+
+  return false;
+}
+
+function mergeUniqueStringArrays(a = [], b = []) {
+  const out = [];
+  const seen = new Set();
+
+  for (const val of [...coerceArray(a), ...coerceArray(b)]) {
+    const s = cleanString(val);
+    if (!s) continue;
+    const k = s.toLowerCase();
+    if (seen.has(k)) continue;
+    seen.add(k);
+    out.push(s);
+  }
+
+  return out;
+}
+
+function mergeAppearsIn(a = [], b = []) {
+  const out = [];
+  const seen = new Set();
+
+  for (const row of [...coerceArray(a), ...coerceArray(b)]) {
+    const state = cleanSlug(row?.state || "");
+    const city = cleanSlug(row?.city || "");
+    if (!state && !city) continue;
+    const key = `${state}/${city}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({ state, city });
+  }
+
+  return out;
+}
+
+function mergeFacilityRecords(base, incoming) {
+  const out = { ...base };
+  const next = incoming || {};
+
+  const preferWhenMissing = [
+    "name",
+    "slug",
+    "type",
+    "type_label",
+    "address",
+    "website",
+    "osm_url",
+    "source",
+    "phone",
+    "hours",
+    "fees",
+    "rules",
+    "verified_date",
+  ];
+
+  for (const key of preferWhenMissing) {
+    if (!cleanString(out[key]) && cleanString(next[key])) out[key] = next[key];
+  }
+
+  const outCoords = getCoordsFromRecord(out);
+  const nextCoords = getCoordsFromRecord(next);
+  out.lat = outCoords.lat;
+  out.lng = outCoords.lng;
+  if (out.lat === null && nextCoords.lat !== null) out.lat = nextCoords.lat;
+  if (out.lng === null && nextCoords.lng !== null) out.lng = nextCoords.lng;
+
+  out.accepted_materials = mergeUniqueStringArrays(out.accepted_materials, next.accepted_materials);
+  out.not_accepted = mergeUniqueStringArrays(out.not_accepted, next.not_accepted);
+  out.appears_in = mergeAppearsIn(out.appears_in, next.appears_in);
+
+  return out;
+}
+
+function facilityPreferenceScore(record) {
+  let score = 0;
+  const id = cleanString(record?.id || "");
+  if (/^f_manual_/i.test(id)) score += 40;
+  if (cleanString(record?.source || "")) score += 16;
+  if (cleanString(record?.verified_date || "")) score += 12;
+  if (cleanString(record?.phone || "")) score += 6;
+  if (cleanString(record?.hours || "")) score += 6;
+  if (cleanString(record?.fees || "")) score += 5;
+  if (cleanString(record?.rules || "")) score += 5;
+  if (cleanString(record?.address || "")) score += 8;
+  if (cleanString(record?.website || "")) score += 4;
+
+  const coords = getCoordsFromRecord(record);
+  if (coords.lat !== null && coords.lng !== null) score += 4;
+
+  score += Math.min(6, coerceArray(record?.accepted_materials).length);
+  score += Math.min(4, coerceArray(record?.not_accepted).length);
+  return score;
+}
+
+function collapseDuplicateFacilities(records) {
+  const groups = [];
+  const sorted = [...coerceArray(records)].sort((a, b) => {
+    const scoreDiff = facilityPreferenceScore(b) - facilityPreferenceScore(a);
+    if (scoreDiff !== 0) return scoreDiff;
+    return cleanString(a?.id || "").localeCompare(cleanString(b?.id || ""));
+  });
+
+  for (const record of sorted) {
+    const id = cleanString(record?.id || "");
+    if (!id) continue;
+
+    const group = groups.find((entry) => facilitiesRepresentSamePlace(record, entry.facility));
+    if (!group) {
+      groups.push({ facility: { ...record, id }, aliases: [] });
+      continue;
+    }
+
+    group.facility = mergeFacilityRecords(group.facility, record);
+    group.aliases.push({ ...record, id });
+  }
+
+  return {
+    facilities: groups.map((group) => group.facility),
+    aliasEntries: groups.flatMap((group) =>
+      group.aliases.map((aliasRecord) => ({
+        aliasId: cleanString(aliasRecord.id),
+        aliasRecord,
+        canonicalId: cleanString(group.facility?.id || ""),
+        canonicalRecord: group.facility,
+      }))
+    ),
+  };
+}
+
+function writeAliasManifest(aliasEntries) {
+  const manifest = {};
+  for (const entry of coerceArray(aliasEntries)) {
+    if (!entry?.aliasId || !entry?.canonicalId || entry.aliasId === entry.canonicalId) continue;
+    manifest[entry.aliasId] = entry.canonicalId;
+  }
+  fs.writeFileSync(ALIAS_MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`, "utf-8");
+
+  // Aliases are served as 301s from _redirects; the alias stub pages only cover hosts that ignore it.
+  writeRedirectsFile(readSlugHistory());
+  return manifest;
+}
+
+function readCityReferencedFacilityIds(states) {
+  const ids = new Set();
+  for (const state of states) {
+    const dataDir = path.join("data", state);
+    if (!fs.existsSync(dataDir)) continue;
+
+    const files = fs
+      .readdirSync(dataDir)
+      .filter((f) => f.toLowerCase().endsWith(".json"))
+      .filter((f) => !f.startsWith("_"))
+      .filter((f) => f.toLowerCase() !== "cities.json");
+
+    for (const file of files) {
+      const parsed = safeReadJson(path.join(dataDir, file), null);
+      const rows = Array.isArray(parsed)
+        ? parsed
+        : (parsed && typeof parsed === "object" && Array.isArray(parsed.facilities) ? parsed.facilities : []);
+
+      for (const row of rows) {
+        const id = cleanString(row?.facility_id || row?.id || "");
+        if (id) ids.add(id);
+      }
+    }
+  }
+
+  return ids;
+}
+
+// state: one state slug, or "all" for every state with city data. Reads index.json, the manual records and
+// the records the state's city payloads reference. Returns { facilities, aliasEntries }.
+function loadFacilityRecords(state = "all") {
+  if (!fs.existsSync(FACILITIES_DIR)) return { facilities: [], aliasEntries: [] };
+
+  const byId = new Map();
+
+  function upsert(record) {
+    const id = String(record?.id || "").trim();
+    if (!id) return;
+
+    if (!byId.has(id)) {
+      byId.set(id, { ...record, id });
+      return;
+    }
+    byId.set(id, mergeFacilityRecords(byId.get(id), record));
+  }
+
+  const indexPath = path.join(FACILITIES_DIR, "index.json");
+  const fromIndex = safeReadJson(indexPath, null);
+  if (Array.isArray(fromIndex) && fromIndex.length > 0) {
+    fromIndex
+      .filter((x) => x && typeof x === "object")
+      .forEach((record) => upsert(record));
+  }
+
+  const manualFiles = fs
+    .readdirSync(FACILITIES_DIR)
+    .filter((f) => /^f_manual_.*\.json$/i.test(f))
+    .sort((a, b) => a.localeCompare(b));
+
+  manualFiles
+    .map((f) => safeReadJson(path.join(FACILITIES_DIR, f), null))
+    .filter((x) => x && typeof x === "object")
+    .forEach((record) => upsert(record));
+
+  const states = state && state !== "all" ? [state] : CITY_DATA_STATES;
+  const referencedIds = readCityReferencedFacilityIds(states);
+  for (const id of referencedIds) {
+    if (byId.has(id)) continue;
+    const fullPath = path.join(FACILITIES_DIR, `${id}.json`);
+    const parsed = safeReadJson(fullPath, null);
+    if (parsed && typeof parsed === "object") upsert(parsed);
+  }
+
+  if (byId.size === 0) {
+    const allFiles = fs
+      .readdirSync(FACILITIES_DIR)
+      .filter((f) => f.endsWith(".json") && f.toLowerCase() !== "index.json")
+      .sort((a, b) => a.localeCompare(b));
+
+    allFiles
+      .map((f) => safeReadJson(path.join(FACILITIES_DIR, f), null))
+      .filter((x) => x && typeof x === "object")
+      .forEach((record) => upsert(record));
+  }
+
+  return collapseDuplicateFacilities(Array.from(byId.values()));
+}
+
+module.exports = {
+  ALIAS_MANIFEST_PATH,
+  CITY_DATA_STATES,
+  getCoordsFromRecord,
+  distanceMiles,
+  normalizeComparableText,
+  facilitiesRepresentSamePlace,
+  collapseDuplicateFacilities,
+  loadFacilityRecords,
+  writeAliasManifest,
+};
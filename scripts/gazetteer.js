@@ -0,0 +1,214 @@
+// scripts/gazetteer.js
+// Canonical places per state (incorporated cities, towns, villages and CDPs). The city-list builders resolve
+// raw city names and slugs against it, so address fragments like "adj-killeen" or "avenue-p-lubbock" land on
+// the real place instead of becoming their own city page.
+//
+// Source (first file present):
+//   ./data/gazetteer/<state>.csv            name, kind, county, population, lat, lng (written by build-gazetteer.js)
+//   ./data/gazetteer/<state>.txt            Census Gazetteer places file (NAME "Killeen city", INTPTLAT, INTPTLONG);
+//                                           county/population columns are read when the file has them
+//   ./data/gazetteer/<state>.aliases.json   optional { "mt-pleasant": "mount-pleasant" } for names the rules can't fix
+//
+// Usage:
+//   const { loadGazetteer } = require("./gazetteer");
+//   const gazetteer = loadGazetteer("texas");   // null when the state has no gazetteer file
+//   gazetteer.resolve("adj-killeen")            // { slug: "killeen", place, match: "cleaned" }
+//   gazetteer.resolve("antonio")                // { slug: "san-antonio", place, match: "fragment" }
+//   gazetteer.resolve("city")                   // null (ambiguous)
+//
+// match is "exact", "alias", "cleaned" (state words, repeats and street fragments stripped) or "fragment"
+// (the tail of exactly one place name).
+
+const fs = require("fs");
+const path = require("path");
+const { readTable } = require("./geocoders/tables");
+
+const GAZETTEER_DIR = path.join("data", "gazetteer");
+const STATE_REGISTRY_PATH = path.join("planning", "state_registry.json");
+
+const COLUMNS = {
+  name: ["name", "place", "place_name"],
+  kind: ["kind", "type", "lsad_name"],
+  county: ["county", "county_name", "counties"],
+  population: ["population", "pop", "pop2020", "p1_001n", "popestimate2023", "popestimate"],
+  lat: ["lat", "latitude", "intptlat"],
+  lng: ["lng", "lon", "longitude", "intptlong"],
+  usps: ["usps", "state_abbr"],
+};
+
+// Census NAME suffixes -> kind. Lower case only, so "Bay City" keeps its name.
+const KIND_SUFFIXES = [
+  [/\s+city$/, "city"],
+  [/\s+town$/, "town"],
+  [/\s+village$/, "village"],
+  [/\s+CDP$/, "cdp"],
+];
+
+// Incorporated places win a slug collision with a CDP of the same name. build-gazetteer.js rows are
+// "place" (1,000+ people) or "locality" (post-office name only).
+const KIND_RANK = { city: 0, town: 1, village: 2, cdp: 3, place: 4, locality: 5 };
+
+const MAX_WINDOW = 4;
+
+function safeReadJson(p, fallback = null) {
+  try {
+    if (!fs.existsSync(p)) return fallback;
+    return JSON.parse(fs.readFileSync(p, "utf-8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function slugify(s) {
+  return String(s || "")
+    .trim()
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function stateAbbrev(state) {
+  const registry = safeReadJson(STATE_REGISTRY_PATH, {});
+  const entry = (Array.isArray(registry?.states) ? registry.states : []).find((s) => s?.state_slug === state);
+  return String(entry?.state || "").toUpperCase();
+}
+
+function gazetteerFile(state) {
+  for (const ext of [".csv", ".txt", ".tsv"]) {
+    const p = path.join(GAZETTEER_DIR, `${state}${ext}`);
+    if (fs.existsSync(p)) return p;
+  }
+  return "";
+}
+
+function toNumber(value) {
+  const text = String(value || "").replace(/,/g, "").trim();
+  if (!text) return null;
+  const n = Number(text);
+  return Number.isFinite(n) ? n : null;
+}
+
+function splitKind(rawName, rawKind) {
+  let name = String(rawName || "").trim();
+  let kind = String(rawKind || "").trim().toLowerCase();
+  for (const [pattern, suffixKind] of KIND_SUFFIXES) {
+    if (pattern.test(name)) {
+      name = name.replace(pattern, "");
+      kind = kind || suffixKind;
+      break;
+    }
+  }
+  return { name, kind: kind === "census designated place" ? "cdp" : kind || "city" };
+}
+
+function readPlaces(state, file) {
+  const abbrev = stateAbbrev(state);
+  const places = [];
+
+  for (const row of readTable(file, COLUMNS, { optional: ["kind", "county", "population", "lat", "lng", "usps"] })) {
+    if (row.usps && abbrev && row.usps.toUpperCase() !== abbrev) continue; // national Census file
+    const { name, kind } = splitKind(row.name, row.kind);
+    const slug = slugify(name);
+    if (!slug) continue;
+
+    places.push({
+      slug,
+      name,
+      kind,
+      county: row.county || null,
+      population: toNumber(row.population),
+      lat: toNumber(row.lat),
+      lng: toNumber(row.lng),
+    });
+  }
+  return places;
+}
+
+function better(a, b) {
+  const rank = (KIND_RANK[a.kind] ?? 9) - (KIND_RANK[b.kind] ?? 9);
+  if (rank !== 0) return rank < 0;
+  return (a.population || 0) > (b.population || 0);
+}
+
+// Tokens with state words removed and repeats collapsed to their last occurrence, where the city sits in an
+// address fragment: "alvin-texas-alvin" -> ["alvin"], "blanca-sierra-blanca" -> ["sierra", "blanca"].
+function cleanTokens(slug, stateWords) {
+  const tokens = slug.split("-").filter((token) => token && !stateWords.has(token));
+  return tokens.filter((token, i) => tokens.indexOf(token, i + 1) === -1);
+}
+
+function loadGazetteer(state) {
+  const s = String(state || "").toLowerCase().trim();
+  const file = gazetteerFile(s);
+  if (!file) return null;
+
+  const bySlug = new Map();
+  for (const place of readPlaces(s, file)) {
+    const prev = bySlug.get(place.slug);
+    if (!prev || better(place, prev)) bySlug.set(place.slug, place);
+  }
+
+  const aliases = safeReadJson(path.join(GAZETTEER_DIR, `${s}.aliases.json`), {}) || {};
+  const stateWords = new Set([...s.split("-"), stateAbbrev(s).toLowerCase()].filter(Boolean));
+
+  // "antonio" -> ["san-antonio"]: place slugs by every multi-word tail
+  const byTail = new Map();
+  for (const slug of bySlug.keys()) {
+    const tokens = slug.split("-");
+    for (let i = 1; i < tokens.length; i++) {
+      const tail = tokens.slice(i).join("-");
+      if (!byTail.has(tail)) byTail.set(tail, []);
+      byTail.get(tail).push(slug);
+    }
+  }
+
+  function hit(slug, match) {
+    return { slug, place: bySlug.get(slug), match };
+  }
+
+  function resolve(raw) {
+    const slug = slugify(raw);
+    if (!slug) return null;
+    if (bySlug.has(slug)) return hit(slug, "exact");
+    if (aliases[slug] && bySlug.has(aliases[slug])) return hit(aliases[slug], "alias");
+
+    const tokens = cleanTokens(slug, stateWords);
+    const cleaned = tokens.join("-");
+    if (bySlug.has(cleaned)) return hit(cleaned, "cleaned");
+    if (aliases[cleaned] && bySlug.has(aliases[cleaned])) return hit(aliases[cleaned], "alias");
+
+    // Longest run of tokens that names a place; ties go to the run at the end, where the
+    // city usually sits in an address fragment, then to the larger place.
+    for (let len = Math.min(MAX_WINDOW, tokens.length - 1); len >= 1; len--) {
+      const found = [];
+      for (let start = tokens.length - len; start >= 0; start--) {
+        const candidate = tokens.slice(start, start + len).join("-");
+        if (bySlug.has(candidate)) found.push({ slug: candidate, atEnd: start + len === tokens.length });
+      }
+      if (found.length) {
+        found.sort(
+          (a, b) => Number(b.atEnd) - Number(a.atEnd) || (bySlug.get(b.slug).population || 0) - (bySlug.get(a.slug).population || 0)
+        );
+        return hit(found[0].slug, "cleaned");
+      }
+    }
+
+    const tails = byTail.get(cleaned) || [];
+    if (tails.length === 1) return hit(tails[0], "fragment");
+
+    return null;
+  }
+
+  return {
+    state: s,
+    file,
+    size: bySlug.size,
+    places: bySlug,
+    resolve,
+  };
+}
+
+module.exports = {
+  loadGazetteer,
+};
@@ -13,27 +13,35 @@
  *   node scripts/generate-cities.js california
  *
  * Env:
- *   SKIP_OSM=1   -> skip Overpass/Nominatim entirely (includes reverse geocode)
+ *   SKIP_OSM=1            -> skip Overpass/Nominatim entirely (reverse geocoding falls back to
+ *                            the local _city-centroids.json lookup)
+ *   GEOCODE_CACHE_ONLY=1  -> reverse geocode from the cache and local tables only (no network)
  */
 
 const fs = require("fs");
 const path = require("path");
+const { createGeocoder } = require("./geocoders");
 
 const OUTPUT_BASE = "./data";
 const FACILITIES_DIR = "./data/facilities";
 
 const OVERPASS_URL = "https://overpass.kumi.systems/api/interpreter";
 const NOMINATIM_URL = "https://nominatim.openstreetmap.org/search";
-const NOMINATIM_REVERSE_URL = "https://nominatim.openstreetmap.org/reverse";
 
 const STATE = (process.argv[2] || "texas").toLowerCase();
 const CITY_LIST_PATH = `./scripts/cities-${STATE}.json`;
 
 const SKIP_OSM = String(process.env.SKIP_OSM || "").trim() === "1";
+const GEOCODE_CACHE_ONLY = String(process.env.GEOCODE_CACHE_ONLY || "").trim() === "1";
 
-// Reverse-geocode cache (critical to avoid hammering Nominatim)
+// Reverse geocoding (lat/lng -> city). The cache is critical to avoid hammering Nominatim.
 const REVERSE_CACHE_PATH = `./scripts/reverse-cache-${STATE}.json`;
-let reverseCache = safeReadJson(REVERSE_CACHE_PATH, {});
+const geocoder = createGeocoder({
+  backends: [],
+  reverseBackends: SKIP_OSM ? ["city-centroids"] : ["nominatim", "city-centroids"],
+  cacheOnly: GEOCODE_CACHE_ONLY,
+  reverseCachePath: REVERSE_CACHE_PATH,
+});
 
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
@@ -239,69 +247,10 @@ async function geocodeToBbox(query) {
   };
 }
 
-// Reverse geocode helpers (lat/lng -> city)
-function safeNum(x) {
-  const n = Number(x);
-  return Number.isFinite(n) ? n : null;
-}
-
-function reverseKey(lat, lng) {
-  const la = safeNum(lat);
-  const lo = safeNum(lng);
-  if (la == null || lo == null) return null;
-  return `${la.toFixed(4)},${lo.toFixed(4)}`; // 4dp = cache-friendly
-}
-
-function saveReverseCache() {
-  try {
-    fs.writeFileSync(REVERSE_CACHE_PATH, JSON.stringify(reverseCache, null, 2));
-  } catch {
-    // ignore cache write errors
-  }
-}
-
-async function reverseGeocodeCity(lat, lng) {
-  const la = safeNum(lat);
-  const lo = safeNum(lng);
-  if (la == null || lo == null) return null;
-
-  const url =
-    `${NOMINATIM_REVERSE_URL}?format=json&lat=${encodeURIComponent(la)}` +
-    `&lon=${encodeURIComponent(lo)}&zoom=10&addressdetails=1`;
-
-  const res = await fetch(url, {
-    headers: {
-      "User-Agent": "JunkScout/1.0 (local script)",
-      Accept: "application/json",
-    },
-  });
-
-  if (!res.ok) return null;
-
-  const data = await res.json().catch(() => null);
-  const a = data?.address || {};
-  const city = a.city || a.town || a.village || a.hamlet || a.municipality || null;
-  const out = cleanStr(city) || null;
-  return out;
-}
-
 async function cityFromLatLng(lat, lng) {
-  const k = reverseKey(lat, lng);
-  if (!k) return null;
-
-  if (Object.prototype.hasOwnProperty.call(reverseCache, k)) {
-    const v = reverseCache[k];
-    return v ? v : null;
-  }
-
-  const city = await reverseGeocodeCity(lat, lng);
-  reverseCache[k] = city || ""; // cache negative results too
-  saveReverseCache();
-
-  // be polite to Nominatim
-  await sleep(1100);
-
-  return city || null;
+  const city = await geocoder.reverse(lat, lng, { state: STATE });
+  geocoder.save();
+  return city;
 }
 
 async function fetchOverpassByBbox(bbox) {
@@ -457,8 +406,8 @@ async function buildCityMapFromFacilities_TexasOnly() {
       if (fromAddr && isLikelyCityName(fromAddr)) {
         cityName = fromAddr;
         usedAddrCity++;
-      } else if (!SKIP_OSM) {
-        // SKIP_OSM disables ALL nominatim usage (search + reverse)
+      } else {
+        // SKIP_OSM limits this to the local city-centroid lookup
         const fromReverse = await cityFromLatLng(raw.lat, raw.lng);
         if (fromReverse && isLikelyCityName(fromReverse)) {
           cityName = fromReverse;
@@ -495,7 +444,7 @@ async function buildCityMapFromFacilities_TexasOnly() {
     `ℹ️ Facilities city cleanup: used raw.city=${usedRawCity}, address=${usedAddrCity}, reverse=${usedReverseCity}, skipped(no city)=${skippedNoCity}`
   );
   if (SKIP_OSM) {
-    console.log("ℹ️ Note: SKIP_OSM=1 disables reverse-geocoding too, so city recovery will be weaker.");
+    console.log("ℹ️ Note: SKIP_OSM=1 limits reverse-geocoding to local city centroids, so city recovery will be weaker.");
   }
 
   return cityMap;
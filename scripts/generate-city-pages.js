@@ -1,18 +1,42 @@
 ﻿const fs = require("fs");
 const path = require("path");
+const { hashInputs, hashModuleTree, openBuildCache } = require("./build-cache");
+const { readRulesProfile, injectRulesProfile } = require("./rules-profiles");
+const { MATERIAL_PAGES, materialIdsFor, labelFor } = require("../materials");
+const { normalizeType, describeFacilityTypes, buildInitialResultsHtml } = require("./facility-cards");
 
 // Usage:
 //   node scripts/generate-city-pages.js texas
 //   node scripts/generate-city-pages.js california
 //   node scripts/generate-city-pages.js texas houston
-const STATE_ARG = String(process.argv[2] || "texas").trim().toLowerCase();
-const CITY_FILTER_ARG = String(process.argv[3] || "").trim().toLowerCase();
+//   node scripts/generate-city-pages.js texas --force   (ignore the build manifest and rewrite every page)
+//   node scripts/generate-city-pages.js texas --material-min=5   (material pages need 5+ facilities, default 3)
+//
+// Besides /<state>/<city>/, every city gets a material landing page such as /texas/houston/tires/ for each
+// material in materials.js MATERIAL_PAGES that at least --material-min of its facilities accept. Thinner
+// combinations stay a filter on the city page (?material=tires). The pages written are listed in
+// ./data/<state>/_material-pages.json for the sitemap and the prune step.
+//
+// Cities placed in a county by generate-county-pages.js (./data/<state>/_county-pages.json) get the county in
+// their breadcrumb (Home > Texas > Harris County > Houston) and a back link to /<state>/<county>-county/.
+const POSITIONAL_ARGS = process.argv.slice(2).filter((a) => !a.startsWith("--"));
+const STATE_ARG = String(POSITIONAL_ARGS[0] || "texas").trim().toLowerCase();
+const CITY_FILTER_ARG = String(POSITIONAL_ARGS[1] || "").trim().toLowerCase();
+const FORCE = process.argv.includes("--force");
+const MATERIAL_MIN_ARG = process.argv.find((a) => a.startsWith("--material-min="));
+const DEFAULT_MATERIAL_MIN_FACILITIES = 3;
+const MATERIAL_MIN_FACILITIES = MATERIAL_MIN_ARG
+  ? Math.max(1, Math.floor(Number(MATERIAL_MIN_ARG.split("=")[1]) || DEFAULT_MATERIAL_MIN_FACILITIES))
+  : DEFAULT_MATERIAL_MIN_FACILITIES;
 
 const CITY_LIST_PATH = path.join("scripts", `cities-${STATE_ARG}.json`);
 const TEMPLATE_PATH = "city-template.html";
 const OUTPUT_BASE = ".";
 const NEIGHBORS_PATH = path.join("data", STATE_ARG, "_neighbors.json");
+const MATERIAL_MANIFEST_PATH = path.join("data", STATE_ARG, "_material-pages.json");
+const COUNTY_MANIFEST_PATH = path.join("data", STATE_ARG, "_county-pages.json");
 const CURATED_BASE = path.join("data", "manual");
+const CITY_CONTENT_BASE = path.join("data", "content");
 const CITY_DATA_BASE = "data";
 const BASE_URL = "https://junkscout.io";
 
@@ -46,36 +70,24 @@ function stateAbbrevFromSlug(stateSlug = "") {
   return state.toUpperCase();
 }
 
-function isHoustonCity(state, city) {
-  return String(state || "").toLowerCase() === "texas" && String(city || "").toLowerCase() === "houston";
+// Hand-edited landing copy for anchor cities: ./data/content/<state>/<city>.json
+// (shape: data/schemas/city-content.schema.json). Enhanced cities without a file get buildGenericCityContent().
+function getCityContent(state, city) {
+  const contentPath = path.join(CITY_CONTENT_BASE, state, `${city}.json`);
+  const content = safeReadJson(contentPath, null);
+  if (!content || typeof content !== "object" || Array.isArray(content)) return null;
+  return content;
 }
 
-function isDallasCity(state, city) {
-  return String(state || "").toLowerCase() === "texas" && String(city || "").toLowerCase() === "dallas";
-}
-
-function isMiamiCity(state, city) {
-  return String(state || "").toLowerCase() === "florida" && String(city || "").toLowerCase() === "miami";
-}
-
-function isAustinCity(state, city) {
-  return String(state || "").toLowerCase() === "texas" && String(city || "").toLowerCase() === "austin";
-}
-
-function isSanAntonioCity(state, city) {
-  return String(state || "").toLowerCase() === "texas" && String(city || "").toLowerCase() === "san-antonio";
-}
-
-function isLosAngelesCity(state, city) {
-  return String(state || "").toLowerCase() === "california" && String(city || "").toLowerCase() === "los-angeles";
-}
-
-function isSanFranciscoCity(state, city) {
-  return String(state || "").toLowerCase() === "california" && String(city || "").toLowerCase() === "san-francisco";
-}
-
-function isAtlantaCity(state, city) {
-  return String(state || "").toLowerCase() === "georgia" && String(city || "").toLowerCase() === "atlanta";
+// city slug -> { slug, name } of its county page, from the manifest generate-county-pages.js writes
+function readCityCounties() {
+  const manifest = safeReadJson(COUNTY_MANIFEST_PATH, {}) || {};
+  const counties = manifest.counties && typeof manifest.counties === "object" ? manifest.counties : {};
+  const map = new Map();
+  for (const [city, slug] of Object.entries(manifest.cities || {})) {
+    if (counties[slug]) map.set(city, { slug, name: `${counties[slug].name} County` });
+  }
+  return map;
 }
 
 function hasCuratedManualData(state, city) {
@@ -87,7 +99,7 @@ function isEnhancedManualCity(state, city) {
 }
 
 function shouldBlendCuratedWithData(state, city) {
-  if (isHoustonCity(state, city)) return false;
+  if (getCityContent(state, city)?.blend_city_data === false) return false;
   if (!hasCuratedManualData(state, city)) return false;
   return getDataFileItems(state, city).length > 0;
 }
@@ -107,31 +119,6 @@ function toNumber(value) {
   return Number.isFinite(n) ? n : null;
 }
 
-function mapsUrlForItem(item) {
-  const address = String(item?.address || "").trim();
-  const lat = toNumber(item?.lat ?? item?.latitude);
-  const lng = toNumber(item?.lng ?? item?.lon ?? item?.longitude);
-
-  if (address) {
-    return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(address)}`;
-  }
-  if (lat !== null && lng !== null) {
-    return `https://www.google.com/maps/search/?api=1&query=${lat},${lng}`;
-  }
-  return "";
-}
-
-function normalizeType(rawType) {
-  const t = String(rawType || "").toLowerCase();
-  if (t.includes("landfill")) return { label: "Landfill", badgeClass: "badge--orange" };
-  if (t.includes("transfer")) return { label: "Transfer", badgeClass: "badge--orange" };
-  if (t.includes("recycl")) return { label: "Recycling", badgeClass: "badge--blue" };
-  if (t.includes("hazard")) return { label: "Hazardous", badgeClass: "badge--orange" };
-  if (t.includes("dumpster")) return { label: "Public dumpster", badgeClass: "badge--gray" };
-  if (t.includes("depository")) return { label: "Drop-off", badgeClass: "badge--blue" };
-  return { label: "Drop-off", badgeClass: "badge--gray" };
-}
-
 function normalizeKeyText(value = "") {
   return String(value || "")
     .toLowerCase()
@@ -317,57 +304,6 @@ function cityHasRenderableData(state, city) {
   return Array.isArray(items) && items.length > 0;
 }
 
-function buildInitialResultsHtml(items = [], options = {}) {
-  const requestedLimit = Number(options?.limit);
-  const limit = Number.isFinite(requestedLimit) && requestedLimit > 0 ? Math.floor(requestedLimit) : 12;
-  const slice = Array.isArray(items) ? items.slice(0, limit) : [];
-  if (slice.length === 0) return `<p class="muted">No locations found.</p>`;
-
-  return slice
-    .map((item) => {
-      const name = escapeHtml(item?.name || "Unnamed location");
-      const address = String(item?.address || "").trim();
-      const facilityId = String(item?.facility_id || item?.id || "").trim();
-      const facilityHref = facilityId ? `/facility/${encodeURIComponent(facilityId)}/` : "";
-      const mapsUrl = mapsUrlForItem(item);
-      const rawSourceUrl = String(item?.source || item?.website || item?.osm_url || "").trim();
-      const sourceUrl =
-        /^https?:\/\//i.test(rawSourceUrl) && rawSourceUrl.toLowerCase() !== "https://osm"
-          ? rawSourceUrl
-          : "";
-
-      const t = normalizeType(item?.type);
-      const badgeHtml = `<span class="badge ${t.badgeClass}">${escapeHtml(t.label)}</span>`;
-
-      const accepted = Array.isArray(item?.accepted_materials) ? item.accepted_materials : [];
-      const acceptedSummary =
-        accepted.length > 0
-          ? `<p class="card__meta">Accepts: ${escapeHtml(accepted.slice(0, 3).join(", "))}</p>`
-          : "";
-
-      const verified = String(item?.verified_date || "").trim();
-      const verifiedLine = verified
-        ? `<p class="card__meta">Verified ${escapeHtml(verified)}</p>`
-        : "";
-
-      return `
-        <article class="card">
-          <div class="card__kicker">${badgeHtml}</div>
-          <h3>${name}</h3>
-          ${address ? `<p class="card__meta">${escapeHtml(address)}</p>` : ""}
-          ${acceptedSummary}
-          ${verifiedLine}
-          <div style="display:flex; gap:12px; margin-top:10px; flex-wrap:wrap; align-items:center">
-            ${mapsUrl ? `<a class="link" href="${escapeHtml(mapsUrl)}" target="_blank" rel="noopener">Directions</a>` : ""}
-            ${facilityHref ? `<a class="link" href="${facilityHref}">Facility page</a>` : ""}
-            ${sourceUrl ? `<a class="link" href="${escapeHtml(sourceUrl)}" target="_blank" rel="noopener">Source</a>` : ""}
-          </div>
-        </article>
-      `.trim();
-    })
-    .join("\n");
-}
-
 function injectInitialResults(html, resultsHtml) {
   const regex = /(<section class="cards" id="results"[^>]*>)[\s\S]*?(<\/section>)/i;
   if (regex.test(html)) {
@@ -376,49 +312,16 @@ function injectInitialResults(html, resultsHtml) {
   return html;
 }
 
-function buildMeta({ state, city }) {
+function buildMeta({ state, city, content }) {
   const cityName = titleCaseFromSlug(city);
   const stateAbbrev = stateAbbrevFromSlug(state);
   let title = `${cityName}, ${stateAbbrev} Trash Dump, Transfer Stations & Landfills | JunkScout`;
   let description =
     `Public dumps, landfills, transfer stations, and recycling drop-offs near ${cityName}, ${stateAbbrev} with rules and accepted materials when available.`;
 
-  if (isHoustonCity(state, city)) {
-    title = "Houston Trash Dump, Transfer Stations & Landfills | JunkScout";
-    description =
-      "Compare Houston dump, landfill, transfer station, and recycling drop-off options with fees, hours, resident rules, and accepted materials.";
-  } else if (isDallasCity(state, city)) {
-    title = "Dallas Trash Dump, Transfer Stations & Landfills | JunkScout";
-    description =
-      "Compare Dallas dump, landfill, transfer station, and recycling drop-off options with fees, hours, resident rules, and accepted materials.";
-  } else if (isMiamiCity(state, city)) {
-    title = "Miami Trash Dump, Transfer Stations & Landfills | JunkScout";
-    description =
-      "Compare Miami-Dade trash and recycling centers, home chemical collection sites, and nearby disposal options with hours, resident rules, and accepted materials.";
-  } else if (isAustinCity(state, city)) {
-    title = "Austin Trash Dump, Transfer Stations & Landfills | JunkScout";
-    description =
-      "Compare Austin dump, landfill, transfer station, and recycling drop-off options with fees, hours, resident rules, and accepted materials.";
-  } else if (isSanAntonioCity(state, city)) {
-    title = "San Antonio Trash Dump, Transfer Stations & Landfills | JunkScout";
-    description =
-      "Compare San Antonio dump, landfill, transfer station, and recycling drop-off options with fees, hours, resident rules, and accepted materials.";
-  } else if (isLosAngelesCity(state, city)) {
-    title = "Los Angeles Trash Dump, Transfer Stations & Landfills | JunkScout";
-    description =
-      "Compare Los Angeles dump, landfill, transfer station, and recycling drop-off options with fees, hours, resident rules, and accepted materials.";
-  } else if (isSanFranciscoCity(state, city)) {
-    title = "San Francisco Trash Dump, Transfer Stations & Landfills | JunkScout";
-    description =
-      "Compare San Francisco dump, landfill, transfer station, and recycling drop-off options with fees, hours, resident rules, and accepted materials.";
-  } else if (isAtlantaCity(state, city)) {
-    title = "Atlanta Trash Dump, Transfer Stations & Landfills | JunkScout";
-    description =
-      "Compare Atlanta dump, landfill, transfer station, and recycling drop-off options with fees, hours, resident rules, and accepted materials.";
-  } else if (isEnhancedManualCity(state, city)) {
-    title = `${cityName} Trash Dump, Transfer Stations & Landfills | JunkScout`;
-    description =
-      `Compare ${cityName} dump, landfill, transfer station, and recycling drop-off options with fees, hours, resident rules, and accepted materials.`;
+  if (content) {
+    title = `${content.title} | JunkScout`;
+    description = content.description;
   }
 
   const canonicalPath = `/${state}/${city}/`;
@@ -434,16 +337,10 @@ function buildMeta({ state, city }) {
   };
 }
 
-function buildJsonLd({ state, city, meta }) {
-  const cityName = titleCaseFromSlug(city);
-  const stateName = titleCaseFromSlug(state);
-  const stateAbbrev = stateAbbrevFromSlug(state);
-
-  const url = meta.canonicalUrl;
-  const stateUrl = `${BASE_URL}/${state}/`;
+// Organization and WebSite nodes shared by every page's JSON-LD graph.
+function buildSiteGraph() {
   const siteUrl = `${BASE_URL}/`;
-
-  const graph = [
+  return [
     {
       "@type": "Organization",
       "@id": `${siteUrl}#org`,
@@ -465,13 +362,43 @@ function buildJsonLd({ state, city, meta }) {
         "query-input": "required name=search_term_string",
       },
     },
+  ];
+}
+
+function buildFaqGraphNode(url, faq) {
+  return {
+    "@type": "FAQPage",
+    "@id": `${url}#faq`,
+    mainEntity: faq.map((entry) => ({
+      "@type": "Question",
+      name: entry.question,
+      acceptedAnswer: {
+        "@type": "Answer",
+        text: entry.answer,
+      },
+    })),
+  };
+}
+
+function buildJsonLd({ state, city, meta, content, county = null }) {
+  const cityName = titleCaseFromSlug(city);
+  const stateName = titleCaseFromSlug(state);
+  const stateAbbrev = stateAbbrevFromSlug(state);
+
+  const url = meta.canonicalUrl;
+  const stateUrl = `${BASE_URL}/${state}/`;
+  const siteUrl = `${BASE_URL}/`;
+
+  const graph = [
+    ...buildSiteGraph(),
     {
       "@type": "BreadcrumbList",
       "@id": `${url}#breadcrumb`,
       itemListElement: [
         { "@type": "ListItem", position: 1, name: "Home", item: siteUrl },
         { "@type": "ListItem", position: 2, name: stateName, item: stateUrl },
-        { "@type": "ListItem", position: 3, name: cityName, item: url },
+        ...(county ? [{ "@type": "ListItem", position: 3, name: county.name, item: `${BASE_URL}/${state}/${county.slug}/` }] : []),
+        { "@type": "ListItem", position: county ? 4 : 3, name: cityName, item: url },
       ],
     },
     {
@@ -499,331 +426,8 @@ function buildJsonLd({ state, city, meta }) {
     },
   ];
 
-  if (isHoustonCity(state, city)) {
-    graph.push({
-      "@type": "FAQPage",
-      "@id": `${url}#faq`,
-      mainEntity: [
-        {
-          "@type": "Question",
-          name: "Where can I dump trash in Houston today?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Houston residents usually start with City of Houston depositories or recycling centers for household cleanup, use Environmental Service Centers for paint and chemicals, and compare private transfer or landfill options for heavier paid loads.",
-          },
-        },
-        {
-          "@type": "Question",
-          name: "Where can I drop off trash for free in Houston?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Some Houston city and county programs are free for eligible residents with valid ID and proof of address, but they usually limit visit counts, load types, or accepted materials.",
-          },
-        },
-        {
-          "@type": "Question",
-          name: "What do Houston transfer stations and landfills charge?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Transfer station and landfill fees usually vary by load size, weight, and material type. Check the listing source links and confirm current rates before driving.",
-          },
-        },
-        {
-          "@type": "Question",
-          name: "Are there landfills near Houston that accept large loads?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Yes. Houston-area options such as Atascocita, Fairbanks, and private transfer facilities can take larger paid loads, but material rules and pricing vary by site.",
-          },
-        },
-      ],
-    });
-  } else if (isDallasCity(state, city)) {
-    graph.push({
-      "@type": "FAQPage",
-      "@id": `${url}#faq`,
-      mainEntity: [
-        {
-          "@type": "Question",
-          name: "Where can I dump trash in Dallas today?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Dallas residents usually compare the three city transfer stations and McCommas Bluff Landfill for household self-haul loads, then use the Dallas County home chemical collection center for paint, batteries, and other hazardous household items.",
-          },
-        },
-        {
-          "@type": "Question",
-          name: "Where can I drop off trash for free in Dallas?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Dallas residents in passenger cars, pickups, and trailers under 15 feet hauling waste from their residence can use city landfill and transfer station services at no charge with valid ID and proof of residency.",
-          },
-        },
-        {
-          "@type": "Question",
-          name: "What do Dallas transfer stations and landfills charge?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Fees vary by load size, material type, and facility policy. Check source links and verify before you drive.",
-          },
-        },
-      ],
-    });
-  } else if (isMiamiCity(state, city)) {
-    graph.push({
-      "@type": "FAQPage",
-      "@id": `${url}#faq`,
-      mainEntity: [
-        {
-          "@type": "Question",
-          name: "Where can I dump trash in Miami today?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Eligible Miami-Dade residents usually use neighborhood trash and recycling centers for bulky household cleanup, yard cuttings, and small construction debris, then use the county home chemical centers for paint, batteries, bulbs, and electronics.",
-          },
-        },
-        {
-          "@type": "Question",
-          name: "Where can I drop off trash for free in Miami?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Miami-Dade neighborhood centers and home chemical centers are resident services tied to eligible waste-fee customers or Miami-Dade residents, not general public landfills. Bring valid Florida ID and confirm the county rules before visiting.",
-          },
-        },
-        {
-          "@type": "Question",
-          name: "Are Miami trash and recycling centers open daily?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Yes. Miami-Dade lists neighborhood trash and recycling centers as open daily from 7 a.m. to 5:30 p.m., while the home chemical centers run Wednesday through Sunday from 9 a.m. to 5 p.m.",
-          },
-        },
-      ],
-    });
-  } else if (isAustinCity(state, city)) {
-    graph.push({
-      "@type": "FAQPage",
-      "@id": `${url}#faq`,
-      mainEntity: [
-        {
-          "@type": "Question",
-          name: "Where can I dump trash in Austin today?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Austin has city, county, and private options including recycling drop-offs, transfer stations, and landfill access depending on your load.",
-          },
-        },
-        {
-          "@type": "Question",
-          name: "Where can I drop off trash for free in Austin?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Some Austin-area services include resident-focused or low-cost options for specific materials. Always confirm current rules, fees, and accepted items before visiting.",
-          },
-        },
-        {
-          "@type": "Question",
-          name: "What do Austin transfer stations and landfills charge?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Fees vary by load size, material type, and facility policy. Check the source links and call ahead for current pricing.",
-          },
-        },
-      ],
-    });
-  } else if (isSanAntonioCity(state, city)) {
-    graph.push({
-      "@type": "FAQPage",
-      "@id": `${url}#faq`,
-      mainEntity: [
-        {
-          "@type": "Question",
-          name: "Where can I dump trash in San Antonio today?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Most San Antonio residents start with the city's bulky waste collection centers for household cleanup, use the Culebra HHW site or city HHW events for paint and chemicals, and compare private options such as TDS Starcrest or Covel Gardens when they need paid transfer or landfill disposal.",
-          },
-        },
-        {
-          "@type": "Question",
-          name: "Where can I drop off trash for free in San Antonio?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "San Antonio bulky drop-off and household hazardous waste services are free for eligible solid waste customers who show a recent CPS Energy bill with the environmental fee plus photo ID. Free landfill days also exist, but only on select city event dates.",
-          },
-        },
-        {
-          "@type": "Question",
-          name: "What do San Antonio transfer stations and landfills charge?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Private San Antonio disposal sites usually charge by material category, weight, or load type, while city-run bulky and HHW programs use eligibility rules instead of a standard public gate fee. Check the source link on each listing before you drive.",
-          },
-        },
-      ],
-    });
-  } else if (isLosAngelesCity(state, city)) {
-    graph.push({
-      "@type": "FAQPage",
-      "@id": `${url}#faq`,
-      mainEntity: [
-        {
-          "@type": "Question",
-          name: "Where can I dump trash in Los Angeles today?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Los Angeles-area residents typically compare S.A.F.E. centers for household hazardous waste or e-waste, South Gate or Puente Hills for transfer-station access, and regional landfill options such as Scholl Canyon or Sunshine Canyon depending on the load.",
-          },
-        },
-        {
-          "@type": "Question",
-          name: "Where can I drop off trash for free in Los Angeles?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Los Angeles household hazardous waste programs and some residential recycling programs can be free for eligible household quantities, while most transfer stations and landfills charge by load size or weight. Some S.A.F.E. locations have limited schedules or e-waste-only rules, so confirm eligibility before visiting.",
-          },
-        },
-        {
-          "@type": "Question",
-          name: "What do Los Angeles transfer stations and landfills charge?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Fees vary by load size, material type, and operator policy. Check source links and verify rates before you drive.",
-          },
-        },
-      ],
-    });
-  } else if (isSanFranciscoCity(state, city)) {
-    graph.push({
-      "@type": "FAQPage",
-      "@id": `${url}#faq`,
-      mainEntity: [
-        {
-          "@type": "Question",
-          name: "Where can I dump trash in San Francisco today?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "San Francisco has city-focused and regional options including transfer stations, recycling centers, and nearby landfill access depending on load type and rules.",
-          },
-        },
-        {
-          "@type": "Question",
-          name: "Where can I drop off trash for free in San Francisco?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Some San Francisco-area services are resident-focused and may offer low-cost or no-cost drop-off for specific items. Confirm eligibility, limits, and current rules before visiting.",
-          },
-        },
-        {
-          "@type": "Question",
-          name: "What do San Francisco transfer stations and landfills charge?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Fees vary by load size, material type, and operator policy. Check source links and verify current pricing before you drive.",
-          },
-        },
-      ],
-    });
-  } else if (isAtlantaCity(state, city)) {
-    graph.push({
-      "@type": "FAQPage",
-      "@id": `${url}#faq`,
-      mainEntity: [
-        {
-          "@type": "Question",
-          name: "Where can I dump trash in Atlanta today?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Atlanta has a mix of city, county, nonprofit, and private options including transfer stations, landfill access, hard-to-recycle drop-offs, and recycling centers depending on your load.",
-          },
-        },
-        {
-          "@type": "Question",
-          name: "Where can I recycle or drop off specialty items in Atlanta?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Atlanta-area residents often use CHaRM sites, city recycling events, and municipal recycling centers for paint, batteries, electronics, glass, tires, and specialty materials. Confirm the current accepted-items list before visiting.",
-          },
-        },
-        {
-          "@type": "Question",
-          name: "What do Atlanta transfer stations and landfills charge?",
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              "Fees vary by facility, load type, and residency rules. Check source links and confirm rates, eligibility, and accepted materials before you drive.",
-          },
-        },
-      ],
-    });
-  } else if (isEnhancedManualCity(state, city)) {
-    graph.push({
-      "@type": "FAQPage",
-      "@id": `${url}#faq`,
-      mainEntity: [
-        {
-          "@type": "Question",
-          name: `Where can I dump trash in ${cityName} today?`,
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              `${cityName} has a mix of public drop-off sites, transfer stations, landfills, recycling centers, and specialty programs depending on your load. Use the city guide to compare source-linked options before you drive.`,
-          },
-        },
-        {
-          "@type": "Question",
-          name: `Are there free or resident-only dump options in ${cityName}?`,
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              `Some ${cityName}-area services are resident-focused and may offer free or lower-cost drop-off for specific materials. Always confirm proof-of-address rules, item limits, and current eligibility before arrival.`,
-          },
-        },
-        {
-          "@type": "Question",
-          name: `What do ${cityName} transfer stations and landfills charge?`,
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              `Fees vary by load size, material type, operator, and residency. Check the source links for each facility and verify the latest rates before you drive.`,
-          },
-        },
-        {
-          "@type": "Question",
-          name: `What materials can I bring to a drop-off site in ${cityName}?`,
-          acceptedAnswer: {
-            "@type": "Answer",
-            text:
-              `Accepted materials vary by site and can include household trash, yard waste, construction debris, recyclables, tires, electronics, paint, batteries, and other specialty items. Always confirm the posted acceptance list before visiting.`,
-          },
-        },
-      ],
-    });
-  }
+  const faq = Array.isArray(content?.faq) ? content.faq : [];
+  if (faq.length > 0) graph.push(buildFaqGraphNode(url, faq));
 
   const json = JSON.stringify({ "@context": "https://schema.org", "@graph": graph }, null, 2);
   return `<script type="application/ld+json">\n${json}\n</script>`;
@@ -864,6 +468,7 @@ function injectBodySeed(html, state, city, options = {}) {
 
   if (options.enhancedCity) attrs.push(`data-enhanced-city="1"`);
   if (options.blendCuratedWithData) attrs.push(`data-blend-curated-with-data="1"`);
+  if (options.material) attrs.push(`data-material="${escapeHtml(options.material)}"`);
 
   return html.replace("<body>", `<body ${attrs.join(" ")}>`);
 }
@@ -912,7 +517,7 @@ function normalizeQuickStartType(rawType = "") {
   };
 }
 
-function buildGenericQuickStartBlock({ state, city, items }) {
+function buildGenericQuickStartTiles(items) {
   const priorityOrder = [
     "hazardous-waste",
     "recycling",
@@ -928,13 +533,84 @@ function buildGenericQuickStartBlock({ state, city, items }) {
     if (!byKey.has(quickType.key)) byKey.set(quickType.key, quickType);
   }
 
-  const cards = priorityOrder
+  return priorityOrder
     .map((key) => byKey.get(key))
     .filter(Boolean)
-    .slice(0, 4);
+    .slice(0, 4)
+    .map((card) => ({ title: card.title, meta: card.meta, type: card.key }));
+}
+
+// Same shape as a ./data/content/<state>/<city>.json file, templated from the city name.
+function buildGenericCityContent({ state, city, items }) {
+  const cityName = titleCaseFromSlug(city);
+  const stateName = titleCaseFromSlug(state);
+
+  return {
+    title: `${cityName} Trash Dump, Transfer Stations & Landfills`,
+    description:
+      `Compare ${cityName} dump, landfill, transfer station, and recycling drop-off options with fees, hours, resident rules, and accepted materials.`,
+    heading: `Where to dump trash in ${cityName}, ${stateName}`,
+    answer:
+      `Find public landfills, transfer stations, and recycling drop-offs in ${cityName}, ${stateName}, with hours, rules, and accepted materials when available.`,
+    subhead: `Need to dump trash in ${cityName} fast? Start with these verified options and confirm rules before you drive.`,
+    quick_start: buildGenericQuickStartTiles(items),
+    page_faq: {
+      where: { question: `Where can I dump trash in ${cityName} today?` },
+      free: {
+        question: `Where can I drop off trash for free in ${cityName}?`,
+        answer:
+          `Some ${cityName}-area services are resident-focused and may offer free or lower-cost drop-off for specific materials, while private transfer stations and landfills usually charge by load size or material type.`,
+      },
+    },
+    faq: [
+      {
+        question: `Where can I dump trash in ${cityName} today?`,
+        answer:
+          `${cityName} has a mix of public drop-off sites, transfer stations, landfills, recycling centers, and specialty programs depending on your load. Use the city guide to compare source-linked options before you drive.`,
+      },
+      {
+        question: `Are there free or resident-only dump options in ${cityName}?`,
+        answer:
+          `Some ${cityName}-area services are resident-focused and may offer free or lower-cost drop-off for specific materials. Always confirm proof-of-address rules, item limits, and current eligibility before arrival.`,
+      },
+      {
+        question: `What do ${cityName} transfer stations and landfills charge?`,
+        answer:
+          `Fees vary by load size, material type, operator, and residency. Check the source links for each facility and verify the latest rates before you drive.`,
+      },
+      {
+        question: `What materials can I bring to a drop-off site in ${cityName}?`,
+        answer:
+          `Accepted materials vary by site and can include household trash, yard waste, construction debris, recyclables, tires, electronics, paint, batteries, and other specialty items. Always confirm the posted acceptance list before visiting.`,
+      },
+    ],
+  };
+}
+
+// Body copy is plain text; **text** renders as <strong>text</strong>.
+function renderCopy(text = "") {
+  return escapeHtml(text).replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>");
+}
+
+function formatReviewDate(isoDate = "") {
+  const m = String(isoDate).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return String(isoDate);
+  const months = [
+    "January", "February", "March", "April", "May", "June",
+    "July", "August", "September", "October", "November", "December",
+  ];
+  return `${months[Number(m[2]) - 1]} ${Number(m[3])}, ${m[1]}`;
+}
 
+function buildQuickStartBlock({ state, city, tiles }) {
+  const cards = Array.isArray(tiles) ? tiles : [];
   if (cards.length === 0) return "";
 
+  const hrefFor = (card) =>
+    card.anchor
+      ? `/${state}/${city}/#${card.anchor}`
+      : `/${state}/${city}/?type=${card.type}#results`;
+
   return `
 <section class="quickstart" aria-label="Start here">
   <div class="quickstart__head">
@@ -944,7 +620,7 @@ function buildGenericQuickStartBlock({ state, city, items }) {
     ${cards
       .map(
         (card) => `
-    <a class="quickstart__item" href="/${escapeHtml(state)}/${escapeHtml(city)}/?type=${escapeHtml(card.key)}#results">
+    <a class="quickstart__item" href="${escapeHtml(hrefFor(card))}">
       <span class="quickstart__title">${escapeHtml(card.title)}</span>
       <span class="quickstart__meta">${escapeHtml(card.meta)}</span>
       <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
@@ -956,41 +632,79 @@ function buildGenericQuickStartBlock({ state, city, items }) {
 `.trim();
 }
 
-function injectGenericEnhancedIntentCopy(html, { state, city, items }) {
-  const cityName = titleCaseFromSlug(city);
-  const stateName = titleCaseFromSlug(state);
-  const quickStartBlock = buildGenericQuickStartBlock({ state, city, items });
+function buildGuideReviewBlock(cityName, review) {
+  if (!review?.last_reviewed || !review?.sources) return "";
+  return `
+<section class="report__box" aria-label="${escapeHtml(cityName)} guide review" style="margin-top:12px">
+  <h2 style="margin:0; font-size:22px">${escapeHtml(cityName)} guide review</h2>
+  <p class="muted" style="margin-top:8px">Last reviewed ${escapeHtml(formatReviewDate(review.last_reviewed))} using ${renderCopy(review.sources)}.</p>
+</section>
+`.trim();
+}
 
-  let output = html;
-  output = output.replace(
-    /(<h1 id="cityTitle">)[\s\S]*?(<\/h1>)/,
-    `$1Where to dump trash in ${escapeHtml(cityName)}, ${escapeHtml(stateName)}$2`
-  );
-  output = output.replace(
-    /(<p class="subhead" id="cityAnswer">)[\s\S]*?(<\/p>)/,
-    `$1Find public landfills, transfer stations, and recycling drop-offs in ${escapeHtml(cityName)}, ${escapeHtml(stateName)}, with hours, rules, and accepted materials when available.$2`
-  );
-  output = output.replace(
-    /(<p class="muted" id="citySubhead"[^>]*>)[\s\S]*?(<\/p>)/,
-    `$1Need to dump trash in ${escapeHtml(cityName)} fast? Start with these verified options and confirm rules before you drive.$2${quickStartBlock ? `\n${quickStartBlock}` : ""}`
-  );
-  output = output.replace(
-    /(<span id="cityNameInline">)[\s\S]*?(<\/span>)/,
-    `$1${escapeHtml(cityName)}$2`
-  );
-  output = output.replace(
-    /(<h2 id="faqDumpWhere">)[\s\S]*?(<\/h2>)/,
-    `$1Where can I dump trash in ${escapeHtml(cityName)} today?$2`
-  );
-  output = output.replace(
-    /(<h2 id="faqDumpFree">)[\s\S]*?(<\/h2>)/,
-    `$1Where can I drop off trash for free in ${escapeHtml(cityName)}?$2`
-  );
-  output = output.replace(
-    /(<p id="faqDumpFreeBody">)[\s\S]*?(<\/p>)/,
-    `$1Some ${escapeHtml(cityName)}-area services are resident-focused and may offer free or lower-cost drop-off for specific materials, while private transfer stations and landfills usually charge by load size or material type.$2`
+// Replaces the inner html of the first match; the pattern must capture the opening and closing tags.
+function replaceInner(html, pattern, inner) {
+  return html.replace(pattern, (match, open, close) => `${open}${inner}${close}`);
+}
+
+// Renames one of the template's generic SEO sections and optionally swaps its paragraph.
+function replaceSeoSection(html, templateHeading, section) {
+  if (!section?.heading) return html;
+  const headingTag = `<h2>${templateHeading}</h2>`;
+  const start = html.indexOf(headingTag);
+  if (start === -1) return html;
+
+  let rest = html.slice(start + headingTag.length);
+  if (section.body) rest = replaceInner(rest, /^(\s*<p>)[\s\S]*?(<\/p>)/, renderCopy(section.body));
+  return `${html.slice(0, start)}<h2>${escapeHtml(section.heading)}</h2>${rest}`;
+}
+
+function injectCityCopy(html, { state, city, content }) {
+  const cityName = content.name || titleCaseFromSlug(city);
+  const pageFaq = content.page_faq || {};
+  const blocks = [
+    buildQuickStartBlock({ state, city, tiles: content.quick_start }),
+    buildGuideReviewBlock(cityName, content.review),
+  ].filter(Boolean);
+
+  let out = html;
+  out = replaceInner(out, /(<h1[^>]*id="cityTitle"[^>]*>)[\s\S]*?(<\/h1>)/i, escapeHtml(content.heading || content.title));
+  out = replaceInner(out, /(<p[^>]*id="cityAnswer"[^>]*>)[\s\S]*?(<\/p>)/i, renderCopy(content.answer || content.description));
+  out = out.replace(
+    /(<p[^>]*id="citySubhead"[^>]*>)[\s\S]*?(<\/p>)/i,
+    (match, open, close) => `${open}${renderCopy(content.subhead)}${close}${blocks.length ? `\n${blocks.join("\n")}` : ""}`
   );
-  return output;
+
+  if (content.intro) {
+    out = replaceInner(out, /(<section class="seo-copy" style="margin-top:26px">\s*<p>)[\s\S]*?(<\/p>)/i, renderCopy(content.intro));
+  }
+  out = replaceInner(out, /(<span id="cityNameInline">)[\s\S]*?(<\/span>)/, escapeHtml(cityName));
+
+  if (pageFaq.where?.answer) {
+    out = replaceInner(out, /(<h2[^>]*id="faqDumpWhere"[^>]*>[\s\S]*?<\/h2>\s*<p>)[\s\S]*?(<\/p>)/i, renderCopy(pageFaq.where.answer));
+  }
+  if (pageFaq.where?.question) {
+    out = replaceInner(out, /(<h2[^>]*id="faqDumpWhere"[^>]*>)[\s\S]*?(<\/h2>)/i, escapeHtml(pageFaq.where.question));
+  }
+  if (pageFaq.free?.question) {
+    out = replaceInner(out, /(<h2[^>]*id="faqDumpFree"[^>]*>)[\s\S]*?(<\/h2>)/i, escapeHtml(pageFaq.free.question));
+  }
+  if (pageFaq.free?.answer) {
+    out = replaceInner(out, /(<p[^>]*id="faqDumpFreeBody"[^>]*>)[\s\S]*?(<\/p>)/i, renderCopy(pageFaq.free.answer));
+  }
+
+  out = replaceSeoSection(out, "What items are typically accepted?", content.accepted);
+  out = replaceSeoSection(out, "Fees, hours, and resident requirements", content.fees);
+
+  const guide = Array.isArray(content.guide) ? content.guide : [];
+  if (guide.length > 0) {
+    const guideHtml = guide
+      .map((section) => `<h2>${escapeHtml(section.heading)}</h2>\n        <p>${renderCopy(section.body)}</p>\n\n        `)
+      .join("");
+    out = out.replace(/<!-- NEARBY:START -->/i, () => `${guideHtml}<!-- NEARBY:START -->`);
+  }
+
+  return out;
 }
 
 function buildNearbyHtml({ state, city, neighborsMap, validCitySet }) {
@@ -1061,17 +775,24 @@ function injectNearby(html, nearbyHtml) {
   return html.replace("</body>", `\n${nearbyHtml}\n</body>`);
 }
 
-function buildStateHubLinkHtml(state) {
-  const stateName = titleCaseFromSlug(state);
+// Material pages link back to their city page instead of the state hub; city pages in a county also link
+// up to the county page.
+function buildStateHubLinkHtml(state, city = "", county = null) {
+  const links = city
+    ? [`<a class="cityhub__backlink" href="/${escapeHtml(state)}/${escapeHtml(city)}/">&larr; All ${escapeHtml(titleCaseFromSlug(city))} drop-off options</a>`]
+    : [`<a class="cityhub__backlink" href="/${escapeHtml(state)}/">&larr; Back to ${escapeHtml(titleCaseFromSlug(state))} cities</a>`];
+  if (county && !city) {
+    links.push(`<a class="cityhub__backlink" href="/${escapeHtml(state)}/${escapeHtml(county.slug)}/">All of ${escapeHtml(county.name)}</a>`);
+  }
   return `
 <div class="cityhub__backnav">
-  <a class="cityhub__backlink" href="/${escapeHtml(state)}/">&larr; Back to ${escapeHtml(stateName)} cities</a>
+  ${links.join("\n  ")}
 </div>
 `.trim();
 }
 
-function injectStateHubLink(html, state) {
-  const stateHtml = buildStateHubLinkHtml(state);
+function injectStateHubLink(html, state, city = "", county = null) {
+  const stateHtml = buildStateHubLinkHtml(state, city, county);
   const markerRegex = /<!--\s*STATEHUBLINK:START\s*-->[\s\S]*?<!--\s*STATEHUBLINK:END\s*-->/;
 
   if (markerRegex.test(html)) {
@@ -1156,814 +877,187 @@ function injectCuratedOverlay(html, state, city) {
   return `${html}\n${scriptTag}\n`;
 }
 
-function injectHoustonIntentCopy(html) {
-  let out = html;
-  const quickStartBlock = `
-<section class="quickstart" aria-label="Start here">
-  <div class="quickstart__head">
-    <div class="quickstart__titleline">Start here</div>
-  </div>
-  <div class="quickstart__grid">
-    <a class="quickstart__item" href="/texas/houston/?type=recycling#results">
-      <span class="quickstart__title">Free resident drop-off</span>
-      <span class="quickstart__meta">City depositories and recycling centers</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/texas/houston/?type=transfer#results">
-      <span class="quickstart__title">Transfer stations</span>
-      <span class="quickstart__meta">Paid mixed loads and general debris</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/texas/houston/?type=landfill#results">
-      <span class="quickstart__title">Landfills</span>
-      <span class="quickstart__meta">Large loads and heavy disposal</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/texas/houston/?type=hazardous-waste#results">
-      <span class="quickstart__title">Household hazardous waste</span>
-      <span class="quickstart__meta">Paint, chemicals, oil, and batteries</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-  </div>
-</section>
-<section class="report__box" aria-label="Houston guide review" style="margin-top:12px">
-  <h2 style="margin:0; font-size:22px">Houston guide review</h2>
-  <p class="muted" style="margin-top:8px">Last reviewed March 5, 2026 using City of Houston depository, recycling, reuse, and Environmental Service Center pages plus Harris County Precinct 4, WM, and Waste Connections sources.</p>
-</section>
-`.trim();
-
-  out = out.replace(
-    /(<h1[^>]*id="cityTitle"[^>]*>)[\s\S]*?(<\/h1>)/i,
-    "$1Houston Trash Dump, Transfer Stations & Landfills$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="cityAnswer"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Compare Houston dump, landfill, transfer station, and recycling drop-off options with fees, hours, resident rules, and accepted materials.$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="citySubhead"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Need to know where to dump trash in Houston fast? Start with resident drop-off and recycling centers, then move to paid transfer or landfill options for heavier loads.$2\n" + quickStartBlock
-  );
+// [{ slug, material, title, noun, items }] for each material page the city qualifies for, in MATERIAL_PAGES order.
+function materialPagesForCity(items) {
+  return MATERIAL_PAGES
+    .map((page) => ({
+      ...page,
+      items: items.filter((item) => materialIdsFor(item).includes(page.material)),
+    }))
+    .filter((page) => page.items.length >= MATERIAL_MIN_FACILITIES);
+}
 
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpWhere"[^>]*>)[\s\S]*?(<\/h2>)/i,
-    "$1Where can I dump trash in Houston today?$2"
-  );
+function buildMaterialFaq({ cityName, page }) {
+  const names = page.items.map((item) => String(item?.name || "").trim()).filter(Boolean);
+  const firstNames = names.slice(0, 3);
+  const more = names.length - firstNames.length;
+  const freeCount = page.items.filter((item) => /\bfree\b/i.test(String(item?.fees || ""))).length;
 
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpWhere"[^>]*>[\s\S]*?<\/h2>\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1Houston residents usually compare city neighborhood depositories for household cleanup, recycling centers for sorted materials, private transfer stations for mixed paid loads, and landfill options for heavier disposal. For paint, oil, batteries, and household chemicals, start with the Environmental Service Centers listed above rather than a standard trash site.$2"
-  );
+  return [
+    {
+      question: `Where can I get rid of ${page.noun} in ${cityName}?`,
+      answer:
+        `Start with ${firstNames.join(", ")}${more > 0 ? `, or one of the ${more} other listed sites` : ""}. ` +
+        "Call ahead: some sites cap how much they take per visit or only serve residents.",
+    },
+    {
+      question: `Is ${page.title.toLowerCase()} free in ${cityName}?`,
+      answer:
+        freeCount === page.items.length
+          ? `All ${freeCount} listed sites mention free drop-off, usually for residents with proof of address and within a per-visit limit.`
+          : freeCount > 0
+            ? `${freeCount} of the ${page.items.length} listed sites mention free drop-off, usually for residents with proof of address. The others charge by item or by load.`
+            : `None of the ${page.items.length} listed sites mention free drop-off for ${page.noun}. Expect a charge by item or by load, and check each listing's fees before you go.`,
+    },
+  ];
+}
 
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpFree"[^>]*>)[\s\S]*?(<\/h2>)/i,
-    "$1Where can I drop off trash for free in Houston?$2"
-  );
+function buildMaterialMeta({ state, city, page }) {
+  const cityName = titleCaseFromSlug(city);
+  const stateAbbrev = stateAbbrevFromSlug(state);
+  const title = `${page.title} in ${cityName}, ${stateAbbrev} | JunkScout`;
+  const description =
+    `Where to take ${page.noun} in ${cityName}, ${stateAbbrev}: ${describeFacilityTypes(page.items)}, ` +
+    "with hours, fees and source links.";
+  const canonicalPath = `/${state}/${city}/${page.slug}/`;
+  const canonicalUrl = `${BASE_URL}${canonicalPath}`;
 
-  out = out.replace(
-    /(<p[^>]*id="faqDumpFreeBody"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Some Houston city and county programs offer free resident drop-off with ID and proof of address, while private transfer stations and landfills usually charge by load size or weight. Free access usually comes with visit caps, homeowner-only rules, or tighter material limits.$2"
-  );
+  return {
+    title,
+    description,
+    canonicalPath,
+    canonicalUrl,
+    ogTitle: title,
+    ogDesc: description,
+  };
+}
 
-  out = out.replace(
-    "<h2>What items are typically accepted?</h2>",
-    "<h2>Houston transfer stations and recycling centers: what they accept</h2>"
-  );
+function buildMaterialJsonLd({ state, city, page, meta, faq, county = null }) {
+  const cityName = titleCaseFromSlug(city);
+  const url = meta.canonicalUrl;
+  const siteUrl = `${BASE_URL}/`;
 
-  out = out.replace(
-    "<h2>Fees, hours, and resident requirements</h2>",
-    "<h2>Houston landfill and transfer station fees, hours, and rules</h2>"
-  );
+  const graph = [
+    ...buildSiteGraph(),
+    {
+      "@type": "BreadcrumbList",
+      "@id": `${url}#breadcrumb`,
+      itemListElement: [
+        { "@type": "ListItem", position: 1, name: "Home", item: siteUrl },
+        { "@type": "ListItem", position: 2, name: titleCaseFromSlug(state), item: `${BASE_URL}/${state}/` },
+        ...(county ? [{ "@type": "ListItem", position: 3, name: county.name, item: `${BASE_URL}/${state}/${county.slug}/` }] : []),
+        { "@type": "ListItem", position: county ? 4 : 3, name: cityName, item: `${BASE_URL}/${state}/${city}/` },
+        { "@type": "ListItem", position: county ? 5 : 4, name: page.title, item: url },
+      ],
+    },
+    {
+      "@type": "ItemList",
+      "@id": `${url}#facilities`,
+      name: `${page.title} in ${cityName}`,
+      numberOfItems: page.items.length,
+      itemListElement: page.items.map((item, i) => {
+        const facilityId = String(item?.facility_id || item?.id || "").trim();
+        return {
+          "@type": "ListItem",
+          position: i + 1,
+          name: String(item?.name || "Unnamed location"),
+          ...(facilityId ? { url: `${BASE_URL}/facility/${encodeURIComponent(facilityId)}/` } : {}),
+        };
+      }),
+    },
+    {
+      "@type": "WebPage",
+      "@id": `${url}#webpage`,
+      name: meta.title,
+      description: meta.description,
+      url,
+      isPartOf: { "@id": `${siteUrl}#website` },
+      mainEntity: { "@id": `${url}#facilities` },
+      breadcrumb: { "@id": `${url}#breadcrumb` },
+    },
+    buildFaqGraphNode(url, faq),
+  ];
 
-  out = out.replace(
-    /(<section class="seo-copy" style="margin-top:26px">\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1Compare public and private Houston disposal options with source links, hours, rules, and accepted materials so you can choose the right site before you drive.$2"
-  );
+  const json = JSON.stringify({ "@context": "https://schema.org", "@graph": graph }, null, 2);
+  return `<script type="application/ld+json">\n${json}\n</script>`;
+}
 
-  out = out.replace(
-    /(<h2>Houston transfer stations and recycling centers: what they accept<\/h2>\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1Houston city sites split by use case. Neighborhood depositories handle household trash, bulky cleanup, yard waste, and some recyclables. Recycling centers focus on sorted material streams such as bottles, cans, cardboard, motor oil, and tires. Private transfer and landfill sites are better fits for heavier mixed loads, brush, or construction debris.$2"
-  );
+// Heading, answer, intro and FAQ copy for /<state>/<city>/<material>/. The template's generic sections stay.
+function injectMaterialCopy(html, { state, city, page, faq }) {
+  const cityName = titleCaseFromSlug(city);
+  const stateAbbrev = stateAbbrevFromSlug(state);
+  const count = page.items.length;
+  const [where, free] = faq;
 
-  out = out.replace(
-    /(<h2>Houston landfill and transfer station fees, hours, and rules<\/h2>\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1Expect Houston transfer stations and landfills to charge by weight, vehicle class, or load type, while city-run sites are usually resident-only and free with ID and proof of address. Visit caps, covered-load rules, and hazardous-waste restrictions are common, so checking the source link first usually saves a wasted trip.$2"
+  let out = html;
+  out = replaceInner(out, /(<h1[^>]*id="cityTitle"[^>]*>)[\s\S]*?(<\/h1>)/i, escapeHtml(`${page.title} in ${cityName}, ${stateAbbrev}`));
+  out = replaceInner(
+    out,
+    /(<p[^>]*id="cityAnswer"[^>]*>)[\s\S]*?(<\/p>)/i,
+    escapeHtml(
+      `${count} ${count === 1 ? "place" : "places"} near ${cityName} ${count === 1 ? "takes" : "take"} ${page.noun}: ` +
+        `${describeFacilityTypes(page.items)}.`
+    )
   );
-
-  out = out.replace(
-    /<!-- NEARBY:START -->/i,
-    `<h2>Best Houston option by load type</h2>
-        <p>
-          Use a <strong>city depository</strong> for household cleanup, yard waste, mattresses, and bulky items if you qualify as a Houston resident. Use a
-          <strong>recycling center</strong> for sorted recyclables and used motor oil, an <strong>Environmental Service Center</strong> for paint, batteries, and chemicals,
-          a <strong>transfer station</strong> for faster paid unloading of mixed debris, and a <strong>landfill</strong> when you have a larger disposal load or construction-heavy material.
-        </p>
-
-        <h2>Before you drive to a Houston drop-off site</h2>
-        <p>
-          Houston rules change sharply by operator. City-run sites ask for Texas ID and matching proof of address, county dumpster sites are homeowner-only, and private landfill or transfer operators set their own fees and material screens. If you have paint, oil, chemicals, or batteries, do not assume a standard trash site will take them.
-        </p>
-
-        <!-- NEARBY:START -->`
+  out = replaceInner(
+    out,
+    /(<p[^>]*id="citySubhead"[^>]*>)[\s\S]*?(<\/p>)/i,
+    escapeHtml(`Confirm fees, residency rules and load limits for ${page.noun} before you drive out.`)
   );
-
+  out = replaceInner(
+    out,
+    /(<section class="seo-copy" style="margin-top:26px">\s*<p>)[\s\S]*?(<\/p>)/i,
+    `Looking for somewhere to take <strong>${escapeHtml(page.noun)}</strong> in ${escapeHtml(cityName)}? ` +
+      `These are the listed sites whose accepted materials include ${escapeHtml(labelFor(page.material).toLowerCase())}. ` +
+      `For everything else, see the full <a class="link" href="/${escapeHtml(state)}/${escapeHtml(city)}/">${escapeHtml(cityName)} guide</a>.`
+  );
+  out = replaceInner(out, /(<span id="cityNameInline">)[\s\S]*?(<\/span>)/, escapeHtml(cityName));
+  out = replaceInner(out, /(<h2[^>]*id="faqDumpWhere"[^>]*>[\s\S]*?<\/h2>\s*<p>)[\s\S]*?(<\/p>)/i, escapeHtml(where.answer));
+  out = replaceInner(out, /(<h2[^>]*id="faqDumpWhere"[^>]*>)[\s\S]*?(<\/h2>)/i, escapeHtml(where.question));
+  out = replaceInner(out, /(<h2[^>]*id="faqDumpFree"[^>]*>)[\s\S]*?(<\/h2>)/i, escapeHtml(free.question));
+  out = replaceInner(out, /(<p[^>]*id="faqDumpFreeBody"[^>]*>)[\s\S]*?(<\/p>)/i, escapeHtml(free.answer));
   return out;
 }
 
-function injectDallasIntentCopy(html) {
-  let out = html;
-  const quickStartBlock = `
-<section class="quickstart" aria-label="Start here">
-  <div class="quickstart__head">
-    <div class="quickstart__titleline">Start here</div>
-  </div>
-  <div class="quickstart__grid">
-    <a class="quickstart__item" href="/texas/dallas/?type=recycling#results">
-      <span class="quickstart__title">Recycling drop-off</span>
-      <span class="quickstart__meta">Electronics and resident recycling options</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/texas/dallas/?type=transfer#results">
-      <span class="quickstart__title">Transfer stations</span>
-      <span class="quickstart__meta">Dallas resident self-haul options</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/texas/dallas/?type=landfill#results">
-      <span class="quickstart__title">Landfills</span>
-      <span class="quickstart__meta">McCommas Bluff and larger loads</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/texas/dallas/?type=hazardous-waste#results">
-      <span class="quickstart__title">Household chemicals</span>
-      <span class="quickstart__meta">Paint, oil, batteries, and cleaners</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-  </div>
-</section>
-<section class="report__box" aria-label="Dallas guide review" style="margin-top:12px">
-  <h2 style="margin:0; font-size:22px">Dallas guide review</h2>
-  <p class="muted" style="margin-top:8px">Last reviewed March 6, 2026 using Dallas Sanitation landfill, transfer station, and electronics recycling pages plus the Dallas County home chemical collection page.</p>
-</section>
-`.trim();
-
-  out = out.replace(
-    /(<h1[^>]*id="cityTitle"[^>]*>)[\s\S]*?(<\/h1>)/i,
-    "$1Dallas Trash Dump, Transfer Stations & Landfills$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="cityAnswer"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Compare Dallas dump, landfill, transfer station, and recycling drop-off options with fees, hours, resident rules, and accepted materials.$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="citySubhead"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Need to dump trash in Dallas fast? Start with Dallas transfer stations or McCommas Bluff, then use the county home chemical center for paint, oil, batteries, and other hazardous items.$2\n" + quickStartBlock
-  );
-
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpWhere"[^>]*>)[\s\S]*?(<\/h2>)/i,
-    "$1Where can I dump trash in Dallas today?$2"
-  );
-
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpWhere"[^>]*>[\s\S]*?<\/h2>\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1Dallas residents usually start with the three city transfer stations or McCommas Bluff for household cleanup. Electronics can go to McCommas Bluff or the city transfer stations, while paint, batteries, cleaners, and other hazardous items belong at the Dallas County Home Chemical Collection Center.$2"
-  );
-
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpFree"[^>]*>)[\s\S]*?(<\/h2>)/i,
-    "$1Where can I drop off trash for free in Dallas?$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="faqDumpFreeBody"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Dallas residents hauling waste from their residence in passenger cars, pickups, and trailers under 15 feet can use city landfill and transfer station services at no charge with valid ID and proof of residency. Dallas County household chemicals have their own eligibility rules and schedules, so confirm the listing first.$2"
-  );
-
-  out = out.replace(
-    "<h2>What items are typically accepted?</h2>",
-    "<h2>Dallas transfer stations and recycling centers: what they accept</h2>"
-  );
-
-  out = out.replace(
-    "<h2>Fees, hours, and resident requirements</h2>",
-    "<h2>Dallas landfill and transfer station fees, hours, and rules</h2>"
-  );
-
-  out = out.replace(
-    /(<section class="seo-copy" style="margin-top:26px">\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1Compare Dallas disposal options with source links, hours, resident rules, and accepted materials so you can choose the right site before you drive.$2"
-  );
-
-  out = out.replace(
-    /(<h2>Dallas transfer stations and recycling centers: what they accept<\/h2>\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1Dallas transfer stations and McCommas Bluff cover most resident cleanup needs, including household waste, brush, furniture, tires, and recyclables, while the city's electronics recycling program handles TVs, monitors, computers, printers, and other approved devices. Household chemicals, automotive fluids, and similar hazardous items should go to the Dallas County home chemical center instead of a standard trash site.$2"
-  );
-
-  out = out.replace(
-    /(<h2>Dallas landfill and transfer station fees, hours, and rules<\/h2>\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1Dallas city drop-off is structured around residency. McCommas Bluff runs earlier and later hours for larger loads, Bachman also serves small commercial customers, and Fair Oaks and Westmoreland have short weekday resident windows. Always bring current ID, proof of Dallas residency, and confirm whether your load belongs at the city site or the county chemical program.$2"
-  );
-
-  out = out.replace(
-    /<!-- NEARBY:START -->/i,
-    `<h2>Best Dallas option by load type</h2>
-        <p>
-          Use a <strong>Dallas transfer station</strong> for most resident self-haul cleanup, <strong>McCommas Bluff Landfill</strong> for larger disposal loads,
-          <strong>Dallas electronics recycling</strong> for TVs and computers, and the <strong>Dallas County Home Chemical Collection Center</strong> for paint,
-          batteries, cleaners, pesticides, and other hazardous household items.
-        </p>
-
-        <h2>Before you drive to a Dallas drop-off site</h2>
-        <p>
-          Dallas resident access depends on documentation and vehicle type. The city expects a current driver's license and proof of Dallas residency, the county
-          chemical center has participating-city rules, and oversize or commercial loads can push you into a different fee structure. Checking the source link
-          first usually prevents a wasted trip.
-        </p>
-
-        <!-- NEARBY:START -->`
-  );
-
-  return out;
-}
-
-function injectMiamiIntentCopy(html) {
-  let out = html;
-  const quickStartBlock = `
-<section class="quickstart" aria-label="Start here">
-  <div class="quickstart__head">
-    <div class="quickstart__titleline">Start here</div>
-  </div>
-  <div class="quickstart__grid">
-    <a class="quickstart__item" href="/florida/miami/?type=transfer#results">
-      <span class="quickstart__title">Neighborhood TRCs</span>
-      <span class="quickstart__meta">Bulky trash, yard waste, and small debris loads</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/florida/miami/?type=hazardous-waste#results">
-      <span class="quickstart__title">Home chemical centers</span>
-      <span class="quickstart__meta">Paint, batteries, bulbs, and electronics</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/florida/miami/?type=transfer#results">
-      <span class="quickstart__title">Used oil and electronics</span>
-      <span class="quickstart__meta">Only certain county TRCs accept them</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/florida/miami/#faqDumpFree">
-      <span class="quickstart__title">County resident rules</span>
-      <span class="quickstart__meta">Florida ID and service-area eligibility matter</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-  </div>
-</section>
-<section class="report__box" aria-label="Miami guide review" style="margin-top:12px">
-  <h2 style="margin:0; font-size:22px">Miami guide review</h2>
-  <p class="muted" style="margin-top:8px">Last reviewed March 6, 2026 using Miami-Dade's neighborhood trash and recycling center service page plus the county spring-cleaning home chemical collection guidance.</p>
-</section>
-`.trim();
-
-  out = out.replace(
-    /(<h1[^>]*id="cityTitle"[^>]*>)[\s\S]*?(<\/h1>)/i,
-    "$1Miami Trash Dump, Transfer Stations & Landfills$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="cityAnswer"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Compare Miami-Dade trash and recycling centers, home chemical collection sites, and nearby disposal options with hours, resident rules, and accepted materials.$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="citySubhead"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Need to dump trash in Miami fast? Start with Miami-Dade neighborhood TRCs for bulky cleanup and the home chemical centers for paint, batteries, electronics, and chemicals.$2\n" + quickStartBlock
-  );
-
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpWhere"[^>]*>)[\s\S]*?(<\/h2>)/i,
-    "$1Where can I dump trash in Miami today?$2"
-  );
-
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpWhere"[^>]*>[\s\S]*?<\/h2>\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1Most Miami household drop-off traffic goes to Miami-Dade Neighborhood Trash and Recycling Centers, which handle bulky cleanup, yard cuttings, and small construction debris for eligible residents. Use the county home chemical collection centers for paint, cleaners, batteries, bulbs, and home electronics instead of a standard trash site.$2"
-  );
-
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpFree"[^>]*>)[\s\S]*?(<\/h2>)/i,
-    "$1Where can I drop off trash for free in Miami?$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="faqDumpFreeBody"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Miami-Dade neighborhood centers and home chemical centers are resident services, not general public landfills. Eligible customers usually do not pay a standard gate fee, but they do need valid Florida ID tied to an eligible waste-fee account, and oversize vehicles must use county landfill options instead.$2"
-  );
-
-  out = out.replace(
-    "<h2>What items are typically accepted?</h2>",
-    "<h2>Miami trash and recycling centers: what they accept</h2>"
-  );
-
-  out = out.replace(
-    "<h2>Fees, hours, and resident requirements</h2>",
-    "<h2>Miami drop-off hours, resident rules, and county limits</h2>"
-  );
-
-  out = out.replace(
-    /(<section class="seo-copy" style="margin-top:26px">\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1Compare Miami-Dade neighborhood centers and home chemical drop-off sites with source links, hours, resident rules, and accepted materials so you can choose the right option before you drive.$2"
-  );
-
-  out = out.replace(
-    /(<h2>Miami trash and recycling centers: what they accept<\/h2>\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1Miami-Dade TRCs focus on bulky household cleanup, yard cuttings, and construction debris loads up to three cubic yards. Some centers also take used motor oil, used electronics, cardboard, tires, or white goods, while the county home chemical centers handle household cleaners, paint thinners, fertilizers, batteries, bulbs, and laptops.$2"
-  );
-
-  out = out.replace(
-    /(<h2>Miami drop-off hours, resident rules, and county limits<\/h2>\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1Miami-Dade lists neighborhood TRCs as open daily from 7:00 AM to 5:30 PM and the home chemical centers as open Wednesday through Sunday from 9:00 AM to 5:00 PM. Florida ID is scanned against the county waste-fee customer database, oversize vehicles are not allowed at TRCs, and regular garbage, food, and kitchen waste are prohibited there.$2"
-  );
-
-  out = out.replace(
-    /<!-- NEARBY:START -->/i,
-    `<h2>Best Miami option by load type</h2>
-        <p>
-          Use a <strong>Miami-Dade neighborhood TRC</strong> for bulky household cleanup, tree and yard cuttings, and smaller construction debris loads,
-          then use a <strong>home chemical collection center</strong> for paint, cleaners, batteries, bulbs, and many household electronics. If your vehicle
-          is oversize or your load falls outside TRC rules, Miami-Dade directs you to county landfill options with per-ton pricing.
-        </p>
-
-        <h2>Before you drive to a Miami drop-off site</h2>
-        <p>
-          In Miami, eligibility matters as much as distance. The county scans Florida ID against an eligible waste-fee account, some centers have special
-          rules for tires, white goods, mattresses, or electronics, and regular garbage or kitchen waste are not accepted at the neighborhood TRCs. Check
-          the source link first so you arrive at the right center with the right load.
-        </p>
-
-        <!-- NEARBY:START -->`
-  );
-
-  return out;
-}
-
-function injectAustinIntentCopy(html) {
-  let out = html;
-  const quickStartBlock = `
-<section class="quickstart" aria-label="Start here">
-  <div class="quickstart__head">
-    <div class="quickstart__titleline">Start here</div>
-  </div>
-  <div class="quickstart__grid">
-    <a class="quickstart__item" href="/texas/austin/?type=recycling#results">
-      <span class="quickstart__title">Recycling drop-off</span>
-      <span class="quickstart__meta">City and private recycling options</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/texas/austin/?type=transfer#results">
-      <span class="quickstart__title">Transfer stations</span>
-      <span class="quickstart__meta">Mixed loads and faster unload</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/texas/austin/?type=landfill#results">
-      <span class="quickstart__title">Landfills</span>
-      <span class="quickstart__meta">Large loads and heavy disposal</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/texas/austin/?type=hazardous-waste#results">
-      <span class="quickstart__title">Hazardous waste options</span>
-      <span class="quickstart__meta">Special handling and appointment rules</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-  </div>
-</section>
-`.trim();
-
-  out = out.replace(
-    /(<h1[^>]*id="cityTitle"[^>]*>)[\s\S]*?(<\/h1>)/i,
-    "$1Austin Trash Dump, Transfer Stations & Landfills$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="cityAnswer"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Compare Austin dump, landfill, transfer station, and recycling drop-off options with fees, hours, resident rules, and accepted materials.$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="citySubhead"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Need to dump trash in Austin fast? Start with these verified options and confirm rules before you drive.$2\n" + quickStartBlock
-  );
-
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpWhere"[^>]*>)[\s\S]*?(<\/h2>)/i,
-    "$1Where can I dump trash in Austin today?$2"
-  );
-
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpFree"[^>]*>)[\s\S]*?(<\/h2>)/i,
-    "$1Where can I drop off trash for free in Austin?$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="faqDumpFreeBody"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Some Austin-area facilities offer resident-focused or lower-cost drop-off options, while private transfer stations and landfills usually charge by load size or material type.$2"
-  );
-
-  out = out.replace(
-    "<h2>What items are typically accepted?</h2>",
-    "<h2>Austin transfer stations and recycling centers: what they accept</h2>"
-  );
-
-  out = out.replace(
-    "<h2>Fees, hours, and resident requirements</h2>",
-    "<h2>Austin landfill and transfer station fees, hours, and rules</h2>"
-  );
-
-  return out;
-}
-
-function injectSanAntonioIntentCopy(html) {
-  let out = html;
-  const quickStartBlock = `
-<section class="quickstart" aria-label="Start here">
-  <div class="quickstart__head">
-    <div class="quickstart__titleline">Start here</div>
-  </div>
-  <div class="quickstart__grid">
-    <a class="quickstart__item" href="/texas/san-antonio/?type=transfer#results">
-      <span class="quickstart__title">Free resident bulky drop-off</span>
-      <span class="quickstart__meta">City self-haul cleanup centers</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/texas/san-antonio/?type=hazardous-waste#results">
-      <span class="quickstart__title">Household hazardous waste</span>
-      <span class="quickstart__meta">Paint, chemicals, oil, and batteries</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/texas/san-antonio/?type=recycling#results">
-      <span class="quickstart__title">Brush and recycling drop-off</span>
-      <span class="quickstart__meta">Brush-only loads and green waste</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/texas/san-antonio/?type=landfill#results">
-      <span class="quickstart__title">Paid landfill and transfer</span>
-      <span class="quickstart__meta">Private daily disposal options</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-  </div>
-</section>
-<section class="report__box" aria-label="San Antonio guide review" style="margin-top:12px">
-  <h2 style="margin:0; font-size:22px">San Antonio guide review</h2>
-  <p class="muted" style="margin-top:8px">Last reviewed March 6, 2026 using San Antonio Solid Waste bulky, HHW, brush, and landfill pages plus WM, Texas Disposal Systems, and the city service guide.</p>
-</section>
-`.trim();
-
-  out = out.replace(
-    /(<h1[^>]*id="cityTitle"[^>]*>)[\s\S]*?(<\/h1>)/i,
-    "$1San Antonio Trash Dump, Transfer Stations & Landfills$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="cityAnswer"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Compare San Antonio dump, landfill, transfer station, and recycling drop-off options with fees, hours, resident rules, and accepted materials.$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="citySubhead"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Need to dump trash in San Antonio fast? Start with city bulky drop-off if you pay the environmental fee, use the HHW program for paint and chemicals, and move to paid landfill or transfer options only when your load falls outside city rules.$2\n" + quickStartBlock
-  );
-
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpWhere"[^>]*>)[\s\S]*?(<\/h2>)/i,
-    "$1Where can I dump trash in San Antonio today?$2"
-  );
-
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpFree"[^>]*>)[\s\S]*?(<\/h2>)/i,
-    "$1Where can I drop off trash for free in San Antonio?$2"
-  );
-
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpWhere"[^>]*>[\s\S]*?<\/h2>\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1Most San Antonio household cleanup runs through the four city bulky waste collection centers, with the Culebra HHW drop-off site and scheduled HHW events handling paint, batteries, oil, and household chemicals. When you have construction debris, larger mixed loads, or a load that does not qualify for city drop-off, compare TDS Starcrest and Covel Gardens before you drive.$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="faqDumpFreeBody"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1San Antonio's best free options are city-run and eligibility-based, not open-public gate sites. If you are a Solid Waste Management customer with a recent CPS Energy bill showing the environmental fee and matching photo ID, bulky drop-off and HHW services can be free. Free landfill days exist too, but only on select event dates.$2"
-  );
-
-  out = out.replace(
-    "<h2>What items are typically accepted?</h2>",
-    "<h2>San Antonio transfer stations and recycling centers: what they accept</h2>"
-  );
-
-  out = out.replace(
-    "<h2>Fees, hours, and resident requirements</h2>",
-    "<h2>San Antonio landfill and transfer station fees, hours, and rules</h2>"
-  );
-
-  out = out.replace(
-    /(<section class="seo-copy" style="margin-top:26px">\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1Compare San Antonio disposal options with source links, hours, resident rules, and accepted materials so you can choose the right site before you drive.$2"
-  );
-
-  out = out.replace(
-    /(<h2>San Antonio transfer stations and recycling centers: what they accept<\/h2>\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1San Antonio splits self-haul by program. City bulky centers handle household cleanup, furniture, appliances, tires, and smaller construction debris for eligible residents, while the brush sites take tree limbs, leaves, and other green waste only. Household hazardous waste, paint, oil, batteries, and similar materials belong at the Culebra HHW site or one of the city's scheduled HHW events instead of a standard trash drop-off.$2"
-  );
-
-  out = out.replace(
-    /(<h2>San Antonio landfill and transfer station fees, hours, and rules<\/h2>\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1San Antonio's city-run drop-off system is built around eligibility, not walk-up public gate fees. You usually need a recent CPS Energy bill showing the environmental fee plus matching photo ID. Private sites such as TDS Starcrest and Covel Gardens charge by material class, weight, or load type, and free landfill access only appears on select city event dates, so the source link on each card matters.$2"
-  );
+// Pills to the city's material pages; on a material page, to the other ones.
+function buildMaterialLinksHtml({ state, city, pages, current = "" }) {
+  const links = pages.filter((page) => page.slug !== current);
+  if (links.length === 0) return "";
 
-  out = out.replace(
-    /<!-- NEARBY:START -->/i,
-    `<h2>Best San Antonio option by load type</h2>
-        <p>
-          Use a <strong>city bulky waste collection center</strong> for general household cleanup if you qualify as a San Antonio solid waste customer.
-          Use a <strong>brush recycling center</strong> for limbs and leaves, a <strong>city HHW site or HHW event</strong> for paint, chemicals, batteries, and automotive fluids,
-          a <strong>transfer station</strong> for faster unloading of paid mixed debris, and a <strong>landfill</strong> when you have a larger disposal or construction-heavy load.
-        </p>
-
-        <h2>Before you drive to a San Antonio drop-off site</h2>
-        <p>
-          San Antonio rules change sharply by program. City sites usually require a recent CPS Energy bill with the environmental fee plus photo ID, brush and bulky loads are screened differently,
-          and free landfill access is only available on certain city event dates. If you have paint, oil, batteries, or chemicals, do not assume a bulky site or landfill will take them.
-        </p>
-
-        <!-- NEARBY:START -->`
-  );
-
-  return out;
-}
-
-function injectLosAngelesIntentCopy(html) {
-  let out = html;
-  const quickStartBlock = `
-<section class="quickstart" aria-label="Start here">
-  <div class="quickstart__head">
-    <div class="quickstart__titleline">Start here</div>
-  </div>
-  <div class="quickstart__grid">
-    <a class="quickstart__item" href="/california/los-angeles/?type=hazardous-waste#results">
-      <span class="quickstart__title">Household hazardous waste</span>
-      <span class="quickstart__meta">S.A.F.E. centers and HHW drop-off</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/california/los-angeles/?type=transfer#results">
-      <span class="quickstart__title">Transfer stations</span>
-      <span class="quickstart__meta">Mixed loads and faster unload</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/california/los-angeles/?type=landfill#results">
-      <span class="quickstart__title">Landfills</span>
-      <span class="quickstart__meta">Large loads and heavy disposal</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/california/los-angeles/?type=recycling#results">
-      <span class="quickstart__title">Recycling drop-off</span>
-      <span class="quickstart__meta">Metals, cardboard, and common recyclables</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
+  const cityName = titleCaseFromSlug(city);
+  return `
+<section class="seo-copy" aria-label="Drop-off guides by material" style="margin-top:18px">
+  <h2>${current ? `More drop-off guides for ${escapeHtml(cityName)}` : `${escapeHtml(cityName)} drop-off guides by material`}</h2>
+  <div class="cityhub__grid" style="margin-top:10px">
+    ${links
+      .map((page) => `
+      <a class="cityhub__pill" href="/${escapeHtml(state)}/${escapeHtml(city)}/${escapeHtml(page.slug)}/">
+        ${escapeHtml(page.title)} <span class="muted" style="font-weight:600">&middot; ${page.items.length}</span>
+      </a>
+    `)
+      .join("")}
   </div>
 </section>
-<section class="report__box" aria-label="Los Angeles guide review" style="margin-top:12px">
-  <h2 style="margin:0; font-size:22px">Los Angeles guide review</h2>
-  <p class="muted" style="margin-top:8px">Last reviewed March 5, 2026 using LA Stormwater S.A.F.E. pages, LA County household hazardous waste pages, LACSD transfer and landfill pages, Glendale public works, Sunshine Canyon, and Burbank public works pages.</p>
-</section>
 `.trim();
-
-  out = out.replace(
-    /(<h1[^>]*id="cityTitle"[^>]*>)[\s\S]*?(<\/h1>)/i,
-    "$1Los Angeles Trash Dump, Transfer Stations & Landfills$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="cityAnswer"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Compare Los Angeles dump, landfill, transfer station, and recycling drop-off options with fees, hours, resident rules, and accepted materials.$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="citySubhead"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Need to dump trash in Los Angeles fast? Start with source-linked options and confirm rules before you drive.$2\n" + quickStartBlock
-  );
-
-  out = out.replace(
-    /(<section class="seo-copy" style="margin-top:26px">\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1Compare public and private Los Angeles disposal options with source links, hours, rules, and accepted materials so you can choose the right site before you drive.$2"
-  );
-
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpWhere"[^>]*>)[\s\S]*?(<\/h2>)/i,
-    "$1Where can I dump trash in Los Angeles today?$2"
-  );
-
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpWhere"[^>]*>[\s\S]*?<\/h2>\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1For mixed self-haul loads, Los Angeles-area residents usually compare South Gate or Puente Hills transfer-station access, while landfill-scale loads often route to sites such as Scholl Canyon or Sunshine Canyon. For paint, chemicals, batteries, oil, and e-waste, start with the S.A.F.E. centers listed above rather than a landfill, and check the source link because some sites have narrower schedules or e-waste-only rules.$2"
-  );
-
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpFree"[^>]*>)[\s\S]*?(<\/h2>)/i,
-    "$1Where can I drop off trash for free in Los Angeles?$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="faqDumpFreeBody"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Los Angeles household hazardous waste and e-waste programs are often free for household quantities, and some nearby municipal recycling programs offer low-cost or no-cost residential drop-off. Transfer stations and landfills usually charge by weight, load size, or material type, and some S.A.F.E. sites have narrower program scope than others.$2"
-  );
-
-  out = out.replace(
-    "<h2>What items are typically accepted?</h2>",
-    "<h2>Los Angeles transfer stations and recycling centers: what they accept</h2>"
-  );
-
-  out = out.replace(
-    /(<h2>Los Angeles transfer stations and recycling centers: what they accept<\/h2>\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1Los Angeles-area transfer stations typically handle mixed household trash, bulky items, and construction debris, while landfill and recycling rules split out loads such as clean dirt, concrete, cardboard, bottles and cans, used oil, and special recycling streams. Household hazardous waste, paint, batteries, and e-waste should go to a S.A.F.E. center instead of a landfill, and e-waste-only city sites should be treated as a separate category.$2"
-  );
-
-  out = out.replace(
-    "<h2>Fees, hours, and resident requirements</h2>",
-    "<h2>Los Angeles landfill and transfer station fees, hours, and rules</h2>"
-  );
-
-  out = out.replace(
-    /(<h2>Los Angeles landfill and transfer station fees, hours, and rules<\/h2>\s*<p>)[\s\S]*?(<\/p>)/i,
-    "$1Expect transfer stations and landfills to price by weight, vehicle class, or load type, while many hazardous-waste programs are resident-focused and ask for an address or other proof of eligibility. Covered-load rules, holiday schedules, and construction-debris restrictions are common, so the source link on each facility card matters.$2"
-  );
-
-  out = out.replace(
-    /<!-- NEARBY:START -->/i,
-    `<h2>Best Los Angeles option by load type</h2>
-        <p>
-          Use a <strong>S.A.F.E. center</strong> for paint, batteries, used oil, cleaners, and e-waste. Use a
-          <strong>transfer station</strong> for mixed self-haul loads you want off the truck fast. Use a
-          <strong>landfill</strong> for larger disposal loads, and use a <strong>recycling center</strong> when you already know the material stream is sortable.
-        </p>
-
-        <h2>Before you drive to a Los Angeles drop-off site</h2>
-        <p>
-          Los Angeles-area disposal rules split sharply by load type. Household hazardous waste, e-waste, and batteries have one set of rules; mixed trash and bulky items have another; and construction debris often has its own rate sheet and contamination rules. Some S.A.F.E. sites are temporary, temporarily closed, or limited to e-waste, so checking the source link first is usually worth the time.
-        </p>
-
-        <!-- NEARBY:START -->`
-  );
-
-  return out;
 }
 
-function injectSanFranciscoIntentCopy(html) {
-  let out = html;
-  const quickStartBlock = `
-<section class="quickstart" aria-label="Start here">
-  <div class="quickstart__head">
-    <div class="quickstart__titleline">Start here</div>
-  </div>
-  <div class="quickstart__grid">
-    <a class="quickstart__item" href="/california/san-francisco/?type=hazardous-waste#results">
-      <span class="quickstart__title">Household hazardous waste</span>
-      <span class="quickstart__meta">Appointment rules and resident-focused drop-off</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/california/san-francisco/?type=transfer#results">
-      <span class="quickstart__title">Transfer stations</span>
-      <span class="quickstart__meta">Mixed loads and faster unload</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/california/san-francisco/?type=landfill#results">
-      <span class="quickstart__title">Landfills</span>
-      <span class="quickstart__meta">Large loads and heavy disposal</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/california/san-francisco/?type=recycling#results">
-      <span class="quickstart__title">Recycling drop-off</span>
-      <span class="quickstart__meta">Metals, cardboard, and common recyclables</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-  </div>
-</section>
-`.trim();
-
-  out = out.replace(
-    /(<h1[^>]*id="cityTitle"[^>]*>)[\s\S]*?(<\/h1>)/i,
-    "$1San Francisco Trash Dump, Transfer Stations & Landfills$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="cityAnswer"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Compare San Francisco dump, landfill, transfer station, and recycling drop-off options with fees, hours, resident rules, and accepted materials.$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="citySubhead"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Need to dump trash in San Francisco fast? Start with these verified options and confirm rules before you drive.$2\n" + quickStartBlock
-  );
-
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpWhere"[^>]*>)[\s\S]*?(<\/h2>)/i,
-    "$1Where can I dump trash in San Francisco today?$2"
-  );
-
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpFree"[^>]*>)[\s\S]*?(<\/h2>)/i,
-    "$1Where can I drop off trash for free in San Francisco?$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="faqDumpFreeBody"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Some San Francisco-area services offer resident-focused or lower-cost drop-off options, while private transfer stations and landfills usually charge by load size or material type.$2"
-  );
-
-  out = out.replace(
-    "<h2>What items are typically accepted?</h2>",
-    "<h2>San Francisco transfer stations and recycling centers: what they accept</h2>"
-  );
-
-  out = out.replace(
-    "<h2>Fees, hours, and resident requirements</h2>",
-    "<h2>San Francisco landfill and transfer station fees, hours, and rules</h2>"
-  );
-
-  return out;
+function injectMaterialLinks(html, linksHtml) {
+  const markerRegex = /<!--\s*MATERIALLINKS:START\s*-->[\s\S]*?<!--\s*MATERIALLINKS:END\s*-->/;
+  return html.replace(markerRegex, () => `<!-- MATERIALLINKS:START -->\n${linksHtml}\n<!-- MATERIALLINKS:END -->`);
 }
 
-function injectAtlantaIntentCopy(html) {
-  let out = html;
-  const quickStartBlock = `
-<section class="quickstart" aria-label="Start here">
-  <div class="quickstart__head">
-    <div class="quickstart__titleline">Start here</div>
-  </div>
-  <div class="quickstart__grid">
-    <a class="quickstart__item" href="/georgia/atlanta/?type=hazardous-waste#results">
-      <span class="quickstart__title">Hard-to-recycle and HHW</span>
-      <span class="quickstart__meta">CHaRM sites, paint, batteries, and electronics</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/georgia/atlanta/?type=transfer#results">
-      <span class="quickstart__title">Transfer stations</span>
-      <span class="quickstart__meta">Mixed loads, county drop-off, and faster unload</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/georgia/atlanta/?type=landfill#results">
-      <span class="quickstart__title">Landfills</span>
-      <span class="quickstart__meta">Large loads and heavy disposal</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-    <a class="quickstart__item" href="/georgia/atlanta/?type=recycling#results">
-      <span class="quickstart__title">Recycling drop-off</span>
-      <span class="quickstart__meta">City events, municipal centers, and sorted materials</span>
-      <span class="quickstart__arrow" aria-hidden="true">&rsaquo;</span>
-    </a>
-  </div>
-</section>
-`.trim();
-
-  out = out.replace(
-    /(<h1[^>]*id="cityTitle"[^>]*>)[\s\S]*?(<\/h1>)/i,
-    "$1Atlanta Trash Dump, Transfer Stations & Landfills$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="cityAnswer"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Compare Atlanta dump, landfill, transfer station, and recycling drop-off options with fees, hours, resident rules, and accepted materials.$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="citySubhead"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Need to dump trash in Atlanta fast? Start with these verified options and confirm rules before you drive.$2\n" + quickStartBlock
-  );
-
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpWhere"[^>]*>)[\s\S]*?(<\/h2>)/i,
-    "$1Where can I dump trash in Atlanta today?$2"
-  );
-
-  out = out.replace(
-    /(<h2[^>]*id="faqDumpFree"[^>]*>)[\s\S]*?(<\/h2>)/i,
-    "$1Where can I recycle or drop off specialty items in Atlanta?$2"
-  );
-
-  out = out.replace(
-    /(<p[^>]*id="faqDumpFreeBody"[^>]*>)[\s\S]*?(<\/p>)/i,
-    "$1Atlanta-area residents use a mix of city events, CHaRM sites, county facilities, and municipal recycling centers depending on the material. Always confirm residency rules, accepted items, and current fees before visiting.$2"
-  );
-
-  out = out.replace(
-    "<h2>What items are typically accepted?</h2>",
-    "<h2>Atlanta transfer stations and recycling centers: what they accept</h2>"
-  );
-
-  out = out.replace(
-    "<h2>Fees, hours, and resident requirements</h2>",
-    "<h2>Atlanta landfill and transfer station fees, hours, and rules</h2>"
-  );
-
-  return out;
+// Merges this run's { city: [slugs] } into ./data/<state>/_material-pages.json. A single-city run only
+// replaces that city's entry; a state run rewrites the file.
+function writeMaterialManifest(pagesByCity) {
+  const previous = CITY_FILTER_ARG ? safeReadJson(MATERIAL_MANIFEST_PATH, {}) || {} : {};
+  const merged = { ...previous };
+  if (CITY_FILTER_ARG) delete merged[CITY_FILTER_ARG];
+  Object.assign(merged, pagesByCity);
+
+  const sorted = {};
+  for (const city of Object.keys(merged).sort()) sorted[city] = merged[city];
+  fs.mkdirSync(path.dirname(MATERIAL_MANIFEST_PATH), { recursive: true });
+  fs.writeFileSync(MATERIAL_MANIFEST_PATH, JSON.stringify(sorted, null, 2) + "\n", "utf-8");
 }
 
 function run() {
@@ -1985,6 +1079,10 @@ function run() {
     .replace(/<link\s+rel="canonical"[^>]*>\s*/i, "");
 
   const neighborsMap = safeReadJson(NEIGHBORS_PATH, {});
+  const cityCounties = readCityCounties();
+
+  const cache = openBuildCache({ force: FORCE });
+  const generatorHash = hashInputs(hashModuleTree(module), template);
 
   const filtered = cityList.filter((entry) => {
     const state = String(entry?.state || "").toLowerCase();
@@ -2031,6 +1129,9 @@ function run() {
       .filter(Boolean)
   );
 
+  const materialPagesByCity = {};
+  let materialPageTotal = 0;
+
   for (const entry of renderable) {
     const state = String(entry.state).toLowerCase();
     const city = String(entry.city).toLowerCase();
@@ -2038,58 +1139,101 @@ function run() {
     const cityItems = cityItemsByKey.get(key) || [];
     const citySource = citySourceByKey.get(key) || "none";
     const isEnhanced = isEnhancedManualCity(state, city);
+    const nearbyHtml = buildNearbyHtml({ state, city, neighborsMap, validCitySet });
+    const content =
+      getCityContent(state, city) || (isEnhanced ? buildGenericCityContent({ state, city, items: cityItems }) : null);
+    const rulesProfile = readRulesProfile(state, city);
+    const curated = getCuratedObject(state, city);
+    const materialPages = materialPagesForCity(cityItems);
+    const county = cityCounties.get(city) || null;
+    const bodySeed = { enhancedCity: isEnhanced, blendCuratedWithData: citySource === "curated_blend" };
+
+    if (materialPages.length > 0) materialPagesByCity[city] = materialPages.map((page) => page.slug);
+    materialPageTotal += materialPages.length;
+
+    for (const page of materialPages) {
+      const linksHtml = buildMaterialLinksHtml({ state, city, pages: materialPages, current: page.slug });
+      const pageFile = path.join(OUTPUT_BASE, state, city, page.slug, "index.html");
+      const pageHash = hashInputs(generatorHash, key, page, citySource, curated, rulesProfile, nearbyHtml, linksHtml, county);
+      if (cache.isFresh(pageFile, pageHash)) {
+        cache.skip();
+        continue;
+      }
+
+      const faq = buildMaterialFaq({ cityName: titleCaseFromSlug(city), page });
+      const meta = buildMaterialMeta({ state, city, page });
+
+      let pageHtml = template;
+      pageHtml = injectHeadMeta(pageHtml, meta);
+      pageHtml = injectJsonLd(pageHtml, buildMaterialJsonLd({ state, city, page, meta, faq, county }));
+      pageHtml = injectBodySeed(pageHtml, state, city, { ...bodySeed, material: page.slug });
+      pageHtml = injectInitialResults(pageHtml, buildInitialResultsHtml(page.items, { limit: page.items.length }));
+      pageHtml = injectStateHubLink(pageHtml, state, city);
+      pageHtml = injectMaterialLinks(pageHtml, linksHtml);
+      pageHtml = injectNearby(pageHtml, nearbyHtml);
+      pageHtml = injectCuratedOverlay(pageHtml, state, city);
+      pageHtml = injectRulesProfile(pageHtml, rulesProfile, "city");
+      pageHtml = injectMaterialCopy(pageHtml, { state, city, page, faq });
+
+      cache.write(pageFile, pageHtml, pageHash);
+      console.log(`Wrote material page: ${pageFile}`);
+    }
 
-    const meta = buildMeta({ state, city });
+    const outDir = path.join(OUTPUT_BASE, state, city);
+    const outFile = path.join(outDir, "index.html");
+    const materialLinksHtml = buildMaterialLinksHtml({ state, city, pages: materialPages });
+    const inputsHash = hashInputs(
+      generatorHash,
+      key,
+      cityItems,
+      citySource,
+      curated,
+      content,
+      rulesProfile,
+      nearbyHtml,
+      materialLinksHtml,
+      county
+    );
+    if (cache.isFresh(outFile, inputsHash)) {
+      cache.skip();
+      continue;
+    }
+
+    const meta = buildMeta({ state, city, content });
 
     let outputHtml = template;
     outputHtml = injectHeadMeta(outputHtml, meta);
-    outputHtml = injectJsonLd(outputHtml, buildJsonLd({ state, city, meta }));
-    outputHtml = injectBodySeed(outputHtml, state, city, {
-      enhancedCity: isEnhanced,
-      blendCuratedWithData: citySource === "curated_blend",
-    });
-    const initialResultsLimit = (isLosAngelesCity(state, city) || isHoustonCity(state, city) || isMiamiCity(state, city)) ? 15 : 12;
+    outputHtml = injectJsonLd(outputHtml, buildJsonLd({ state, city, meta, content, county }));
+    outputHtml = injectBodySeed(outputHtml, state, city, bodySeed);
+    const initialResultsLimit = content?.results_limit || 12;
     outputHtml = injectInitialResults(outputHtml, buildInitialResultsHtml(cityItems, { limit: initialResultsLimit }));
-    outputHtml = injectStateHubLink(outputHtml, state);
+    outputHtml = injectStateHubLink(outputHtml, state, "", county);
     outputHtml = injectPopularCities(outputHtml, state);
 
-    const nearbyHtml = buildNearbyHtml({ state, city, neighborsMap, validCitySet });
+    outputHtml = injectMaterialLinks(outputHtml, materialLinksHtml);
     outputHtml = injectNearby(outputHtml, nearbyHtml);
     outputHtml = injectCuratedOverlay(outputHtml, state, city);
+    outputHtml = injectRulesProfile(outputHtml, rulesProfile, "city");
 
-    if (isHoustonCity(state, city)) {
-      outputHtml = injectHoustonIntentCopy(outputHtml);
-    } else if (isDallasCity(state, city)) {
-      outputHtml = injectDallasIntentCopy(outputHtml);
-    } else if (isMiamiCity(state, city)) {
-      outputHtml = injectMiamiIntentCopy(outputHtml);
-    } else if (isAustinCity(state, city)) {
-      outputHtml = injectAustinIntentCopy(outputHtml);
-    } else if (isSanAntonioCity(state, city)) {
-      outputHtml = injectSanAntonioIntentCopy(outputHtml);
-    } else if (isLosAngelesCity(state, city)) {
-      outputHtml = injectLosAngelesIntentCopy(outputHtml);
-    } else if (isSanFranciscoCity(state, city)) {
-      outputHtml = injectSanFranciscoIntentCopy(outputHtml);
-    } else if (isAtlantaCity(state, city)) {
-      outputHtml = injectAtlantaIntentCopy(outputHtml);
-    } else if (isEnhanced) {
-      outputHtml = injectGenericEnhancedIntentCopy(outputHtml, { state, city, items: cityItems });
+    if (content) {
+      outputHtml = injectCityCopy(outputHtml, { state, city, content });
     }
 
-    const outDir = path.join(OUTPUT_BASE, state, city);
-    const outFile = path.join(outDir, "index.html");
-
-    fs.mkdirSync(outDir, { recursive: true });
-    fs.writeFileSync(outFile, outputHtml, "utf-8");
+    cache.write(outFile, outputHtml, inputsHash);
 
     console.log(`Wrote city page: ${outFile}`);
   }
 
+  cache.save();
+  writeMaterialManifest(materialPagesByCity);
+
   if (skippedNoData.length > 0) {
     console.log(`Skipped ${skippedNoData.length} city page(s) with no data.`);
   }
-  console.log(`Generated ${renderable.length} city page(s).`);
+  console.log(
+    `Generated ${cache.stats.written} page(s); ${cache.stats.unchanged} unchanged ` +
+      `(of ${renderable.length} city and ${materialPageTotal} material page(s), ${MATERIAL_MIN_FACILITIES}+ facilities each).`
+  );
 }
 
 run();
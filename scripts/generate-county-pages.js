@@ -0,0 +1,735 @@
+// scripts/generate-county-pages.js
+// County hub pages: /<state>/<county>-county/ (e.g. /texas/harris-county/) lists every site in the county,
+// county-run sites first, with the county's residency rules, a map, links down to the county's city pages
+// and back up to the state hub. The page is city-template.html with the county's sites embedded as the
+// curated overlay, so city.js renders the map, filters and cards exactly as on a city page.
+//
+// Usage (CMD):
+//   node scripts/generate-county-pages.js texas
+//   node scripts/generate-county-pages.js texas --force          (ignore the build manifest and rewrite every page)
+//   node scripts/generate-county-pages.js texas --county-min=5   (county pages need 5+ sites, default 3)
+//
+// Input:
+//   ./data/facilities/f_*.json               (regulatory.county / tceq.county; aliased ids skipped)
+//   ./scripts/cities-<state>.json            (live cities) and their payloads ./data/<state>/<city>.json,
+//                                            ./data/manual/<state>/<city>[.resolved].json
+//   ./data/gazetteer/<state>.*               (optional; a place's county column places its city)
+//   ./data/manual/<state>/rules/<county>-county.json
+//                                            (optional residency rules; shape: rules-profile.schema.json)
+//
+// Output:
+//   ./<state>/<county>-county/index.html
+//   ./data/<state>/_county-pages.json        { "counties": { "harris-county": { "name": "Harris", "cities": [...],
+//                                              "facilities": 12 } }, "cities": { "houston": "harris-county" } }
+//                                            read by the state hub, city pages (breadcrumb and back link),
+//                                            sitemap and prune step
+//
+// Which county a site is in:
+//   1) its own regulatory.county / tceq.county
+//   2) "<Name> County" in its name or operator (Harris County Precinct 4 sites), when that county is known
+//   3) otherwise the county of the city page that lists it
+// A city's counties come from the gazetteer, else from the counties of the permitted sites whose address is
+// in that city. Counties named by fewer than COUNTY_SHARE_MIN of those sites are dropped, and a city whose
+// sites scatter over more than MAX_CITY_COUNTIES counties (an address fragment, not a place) gets none. The
+// first county is the city's home county: the one its breadcrumb and back link point to.
+//
+// A county gets a page when it has at least --county-min sites and at least one live city page.
+// A site counts as county-run when its name, operator or source site names the county.
+
+const fs = require("fs");
+const path = require("path");
+const { hashInputs, hashModuleTree, openBuildCache } = require("./build-cache");
+const { regulatoryOf, permitText } = require("./regulatory");
+const { loadGazetteer } = require("./gazetteer");
+const { readRulesProfile } = require("./rules-profiles");
+const { describeFacilityTypes, buildInitialResultsHtml } = require("./facility-cards");
+
+const POSITIONAL_ARGS = process.argv.slice(2).filter((a) => !a.startsWith("--"));
+const STATE_ARG = String(POSITIONAL_ARGS[0] || "texas").trim().toLowerCase();
+const FORCE = process.argv.includes("--force");
+const COUNTY_MIN_ARG = process.argv.find((a) => a.startsWith("--county-min="));
+const DEFAULT_COUNTY_MIN_FACILITIES = 3;
+const COUNTY_MIN_FACILITIES = COUNTY_MIN_ARG
+  ? Math.max(1, Math.floor(Number(COUNTY_MIN_ARG.split("=")[1]) || DEFAULT_COUNTY_MIN_FACILITIES))
+  : DEFAULT_COUNTY_MIN_FACILITIES;
+
+const COUNTY_SHARE_MIN = 0.25;
+const MAX_CITY_COUNTIES = 4;
+const INITIAL_RESULTS_LIMIT = 30;
+
+const CITY_LIST_PATH = path.join("scripts", `cities-${STATE_ARG}.json`);
+const TEMPLATE_PATH = "city-template.html";
+const OUTPUT_BASE = ".";
+const FACILITIES_DIR = path.join("data", "facilities");
+const ALIASES_PATH = path.join(FACILITIES_DIR, "_aliases.json");
+const CURATED_BASE = path.join("data", "manual");
+const CITY_DATA_BASE = "data";
+const MANIFEST_PATH = path.join("data", STATE_ARG, "_county-pages.json");
+const BASE_URL = "https://junkscout.io";
+
+function safeReadJson(filePath, fallback = null) {
+  try {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function cleanStr(v) {
+  return String(v || "").replace(/\s+/g, " ").trim();
+}
+
+function slugify(s) {
+  return cleanStr(s)
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function titleCaseFromSlug(slug = "") {
+  return String(slug || "")
+    .split("-")
+    .filter(Boolean)
+    .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+    .join(" ");
+}
+
+function stateAbbrevFromSlug(stateSlug = "") {
+  const state = String(stateSlug || "").toLowerCase();
+  if (state === "texas") return "TX";
+  if (state === "california") return "CA";
+  if (state === "arizona") return "AZ";
+  if (state === "georgia") return "GA";
+  if (state === "florida") return "FL";
+  if (state === "illinois") return "IL";
+  if (state === "north-carolina") return "NC";
+  if (state === "washington") return "WA";
+  return state.toUpperCase();
+}
+
+function escapeHtml(value = "") {
+  return String(value).replace(/[&<>"']/g, (ch) => {
+    if (ch === "&") return "&amp;";
+    if (ch === "<") return "&lt;";
+    if (ch === ">") return "&gt;";
+    if (ch === '"') return "&quot;";
+    return "&#39;";
+  });
+}
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "HARRIS", "Harris County" -> "Harris"; "MCLENNAN" -> "McLennan"
+function countyName(raw) {
+  return cleanStr(raw)
+    .replace(/\s+(county|parish)$/i, "")
+    .toLowerCase()
+    .replace(/\b([a-z])/g, (c) => c.toUpperCase())
+    .replace(/\bMc([a-z])/g, (_, c) => `Mc${c.toUpperCase()}`);
+}
+
+// "Fort Bend" -> "fort-bend-county"
+function countyPageSlug(name) {
+  return `${slugify(name)}-county`;
+}
+
+function websiteHost(url) {
+  try {
+    return new URL(String(url || "")).hostname.replace(/^www\./, "").toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+function getCuratedObject(state, city) {
+  const resolvedPath = path.join(CURATED_BASE, state, `${city}.resolved.json`);
+  const rawPath = path.join(CURATED_BASE, state, `${city}.json`);
+  return safeReadJson(resolvedPath, null) || safeReadJson(rawPath, null);
+}
+
+function getCuratedItems(curated) {
+  if (!curated || typeof curated !== "object") return [];
+  const candidate =
+    curated.facilities ||
+    curated.locations ||
+    curated.items ||
+    curated.results ||
+    curated.data ||
+    null;
+
+  if (Array.isArray(candidate)) return candidate;
+  if (candidate && typeof candidate === "object") {
+    if (Array.isArray(candidate.list)) return candidate.list;
+    if (Array.isArray(candidate.items)) return candidate.items;
+    if (Array.isArray(candidate.results)) return candidate.results;
+  }
+  return [];
+}
+
+function getDataFileItems(state, city) {
+  const data = safeReadJson(path.join(CITY_DATA_BASE, state, `${city}.json`), null);
+  if (Array.isArray(data)) return data;
+  if (data && typeof data === "object" && Array.isArray(data.facilities)) return data.facilities;
+  return [];
+}
+
+function itemId(item) {
+  return cleanStr(item?.facility_id || item?.id);
+}
+
+// Same site listed twice (curated row and payload row, or two cities): keep the first
+function itemKey(item) {
+  const id = itemId(item);
+  if (id) return `id:${id}`;
+  return `sig:${slugify(item?.name)}|${slugify(item?.address)}`;
+}
+
+// Map city slug -> rows, for live cities with something to list
+function readLiveCities(state) {
+  const list = safeReadJson(CITY_LIST_PATH, []);
+  const cities = new Map();
+  for (const entry of Array.isArray(list) ? list : []) {
+    const city = cleanStr(entry?.city).toLowerCase();
+    if (!city || cleanStr(entry?.state).toLowerCase() !== state) continue;
+
+    const rows = new Map();
+    for (const item of [...getCuratedItems(getCuratedObject(state, city)), ...getDataFileItems(state, city)]) {
+      if (item && typeof item === "object" && !rows.has(itemKey(item))) rows.set(itemKey(item), item);
+    }
+    if (rows.size > 0) cities.set(city, Array.from(rows.values()));
+  }
+  return cities;
+}
+
+// Facility records with a county, minus retired aliases
+function readCountyRecords() {
+  const aliases = safeReadJson(ALIASES_PATH, {}) || {};
+  const records = [];
+  if (!fs.existsSync(FACILITIES_DIR)) return records;
+  for (const name of fs.readdirSync(FACILITIES_DIR).sort()) {
+    if (!/^f_.*\.json$/.test(name)) continue;
+    const record = safeReadJson(path.join(FACILITIES_DIR, name), null);
+    if (!record?.id || aliases[record.id]) continue;
+    const county = countyName(regulatoryOf(record)?.county);
+    if (county) records.push({ ...record, __county: county });
+  }
+  return records;
+}
+
+// Ids that have a facility page: index.json entries, manual records and anything a city page lists
+function readFacilityPageIds(liveCities) {
+  const ids = new Set();
+  const index = safeReadJson(path.join(FACILITIES_DIR, "index.json"), []);
+  for (const row of Array.isArray(index) ? index : []) if (row?.id) ids.add(String(row.id));
+  for (const rows of liveCities.values()) for (const row of rows) if (itemId(row)) ids.add(itemId(row));
+  return ids;
+}
+
+// "5755 OATES RD HOUSTON TX 77078" -> "houston" when the words before the state name a live city
+function addressCity(address, state, liveCities) {
+  const stateTail = new RegExp(`[,\\s]+(${escapeRegExp(stateAbbrevFromSlug(state))}|${escapeRegExp(titleCaseFromSlug(state))})\\b[\\s\\S]*$`, "i");
+  const words = slugify(cleanStr(address).replace(stateTail, "")).split("-").filter(Boolean);
+  for (let n = Math.min(3, words.length); n >= 1; n--) {
+    const slug = words.slice(-n).join("-");
+    if (liveCities.has(slug)) return slug;
+  }
+  return "";
+}
+
+// Map city slug -> county names, home county first
+function resolveCityCounties(state, liveCities, records) {
+  const out = new Map();
+  const gazetteer = loadGazetteer(state);
+
+  const votes = new Map(); // city -> Map(county -> sites)
+  for (const record of records) {
+    const city = addressCity(record.address, state, liveCities);
+    if (!city) continue;
+    if (!votes.has(city)) votes.set(city, new Map());
+    votes.get(city).set(record.__county, (votes.get(city).get(record.__county) || 0) + 1);
+  }
+
+  for (const city of liveCities.keys()) {
+    const place = gazetteer?.resolve(city)?.place;
+    const fromGazetteer = String(place?.county || "")
+      .split(/[;,|]/)
+      .map(countyName)
+      .filter(Boolean);
+    if (fromGazetteer.length) {
+      out.set(city, fromGazetteer);
+      continue;
+    }
+
+    const cityVotes = votes.get(city);
+    if (!cityVotes) continue;
+    const total = Array.from(cityVotes.values()).reduce((s, n) => s + n, 0);
+    const ranked = Array.from(cityVotes.entries())
+      .filter(([, n]) => n / total >= COUNTY_SHARE_MIN)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    if (ranked.length === 0 || cityVotes.size > MAX_CITY_COUNTIES) continue;
+    out.set(city, ranked.map(([county]) => county));
+  }
+  return out;
+}
+
+// "Harris County Precinct 4 ..." -> "Harris", when Harris is a known county
+function countyNamedIn(item, knownCounties) {
+  const text = `${cleanStr(item?.name)} ${cleanStr(item?.operator)}`;
+  for (const match of text.matchAll(/\b([A-Z][A-Za-z.' ]{1,30}?)\s+County\b/g)) {
+    const words = match[1].split(" ");
+    // "Waste Management Montgomery County" -> try "Montgomery", then longer names
+    for (let n = 1; n <= Math.min(3, words.length); n++) {
+      const name = countyName(words.slice(-n).join(" "));
+      if (knownCounties.has(name)) return name;
+    }
+  }
+  return "";
+}
+
+function isCountyRun(item, county) {
+  const text = `${cleanStr(item?.name)} ${cleanStr(item?.operator)} ${cleanStr(item?.type_label)}`;
+  if (new RegExp(`\\b${escapeRegExp(county)}\\s+county\\b`, "i").test(text)) return true;
+  const compact = slugify(county).replace(/-/g, "");
+  return [item?.source, item?.website].some((url) => {
+    const host = websiteHost(url);
+    return host.includes(`${compact}county`) || host.startsWith(`co.${compact}.`);
+  });
+}
+
+// A permitted site that no city page lists: enough for the map and the card, and no facility page link
+// unless it has one.
+function registryItem(record, hasPage) {
+  const permit = permitText(record);
+  const item = {
+    name: cleanStr(record.name),
+    type: cleanStr(record.type),
+    address: cleanStr(record.address),
+    lat: record.lat,
+    lng: record.lng,
+    rules: `Listed from the state permit registry${permit ? ` (${permit})` : ""}. Public drop-off isn't confirmed; call before visiting.`,
+  };
+  if (hasPage) item.id = record.id;
+  if (record.website) item.website = record.website;
+  return item;
+}
+
+// Map county name -> { name, slug, cities: Set, items: Map(key -> item) }
+function groupByCounty(state, liveCities, records, cityCounties, pageIds) {
+  const counties = new Map();
+  const bucket = (name) => {
+    if (!counties.has(name)) counties.set(name, { name, slug: countyPageSlug(name), cities: new Set(), items: new Map() });
+    return counties.get(name);
+  };
+  const knownCounties = new Set([...records.map((r) => r.__county), ...Array.from(cityCounties.values()).flat()]);
+  const recordById = new Map(records.map((r) => [r.id, r]));
+
+  for (const [city, names] of cityCounties) names.forEach((name) => bucket(name).cities.add(city));
+
+  for (const [city, rows] of liveCities) {
+    const home = (cityCounties.get(city) || [])[0] || "";
+    for (const row of rows) {
+      const county = recordById.get(itemId(row))?.__county || countyNamedIn(row, knownCounties) || home;
+      if (!county) continue;
+      const items = bucket(county).items;
+      if (!items.has(itemKey(row))) items.set(itemKey(row), row);
+    }
+  }
+
+  const listed = new Set(Array.from(liveCities.values()).flat().map(itemId).filter(Boolean));
+  for (const record of records) {
+    if (listed.has(record.id)) continue;
+    const item = registryItem(record, pageIds.has(record.id));
+    const items = bucket(record.__county).items;
+    if (!items.has(itemKey(item))) items.set(itemKey(item), item);
+  }
+
+  return counties;
+}
+
+// County-run sites, then sites with a facility page, then registry-only sites; by name within each
+function orderCountyItems(items, county) {
+  const rank = (item) => (isCountyRun(item, county) ? 0 : itemId(item) ? 1 : 2);
+  return items
+    .map((item) => ({ item, rank: rank(item) }))
+    .sort((a, b) => a.rank - b.rank || cleanStr(a.item.name).localeCompare(cleanStr(b.item.name)))
+    .map((x) => x.item);
+}
+
+// Residency rules: the county's rules profile, then what each county-run site says; generic copy when neither
+function buildResidencyHtml({ county, countyRun, profile }) {
+  const label = `${county.name} County`;
+  const parts = [];
+
+  if (profile) {
+    const links = [profile.source, ...(Array.isArray(profile.links) ? profile.links : [])]
+      .filter((link) => link?.url)
+      .map((link) => `<a class="link" href="${escapeHtml(link.url)}" target="_blank" rel="noopener">${escapeHtml(link.label || link.url)}</a>`);
+    parts.push(`<p class="muted">${escapeHtml(profile.subhead)}</p>`);
+    parts.push(`<ul>\n    ${profile.bullets.map((b) => `<li>${escapeHtml(b)}</li>`).join("\n    ")}\n  </ul>`);
+    if (profile.tip?.body) {
+      parts.push(`<p class="muted small"><strong>${escapeHtml(profile.tip.title || "Tip")}:</strong> ${escapeHtml(profile.tip.body)}</p>`);
+    }
+    if (links.length) parts.push(`<p class="small">${links.join(" &middot; ")}</p>`);
+  }
+
+  const withRules = countyRun.filter((item) => cleanStr(item.rules) || cleanStr(item.fees));
+  if (withRules.length) {
+    parts.push(`<h3>County-run sites</h3>`);
+    parts.push(
+      `<ul>\n    ${withRules
+        .map((item) => `<li><strong>${escapeHtml(item.name)}:</strong> ${escapeHtml([cleanStr(item.fees), cleanStr(item.rules)].filter(Boolean).join(" "))}</li>`)
+        .join("\n    ")}\n  </ul>`
+    );
+  }
+
+  if (parts.length === 0) {
+    parts.push(
+      `<p>County-run sites usually serve residents of ${escapeHtml(label)} and ask for a photo ID with a matching address. ` +
+        "City-run sites can be limited to that city's residents, and private landfills and transfer stations take anyone for a fee.</p>"
+    );
+  }
+
+  return `
+<section class="seo-copy" id="countyRules" aria-label="${escapeHtml(label)} residency rules" style="margin-top:18px">
+  <h2>Residency rules in ${escapeHtml(label)}</h2>
+  ${parts.join("\n  ")}
+</section>
+`.trim();
+}
+
+function buildCityLinksHtml({ state, county, cityLabels, cityCounts }) {
+  const cities = Array.from(county.cities).sort((a, b) => a.localeCompare(b));
+  if (cities.length === 0) return "";
+  return `
+<section class="seo-copy" aria-label="Cities in ${escapeHtml(county.name)} County" style="margin-top:18px">
+  <h2>City guides in ${escapeHtml(county.name)} County</h2>
+  <div class="cityhub__grid" style="margin-top:10px">
+    ${cities
+      .map((city) => `
+      <a class="cityhub__pill" href="/${escapeHtml(state)}/${escapeHtml(city)}/">
+        ${escapeHtml(cityLabels.get(city) || titleCaseFromSlug(city))} <span class="muted" style="font-weight:600">&middot; ${cityCounts.get(city) || 0}</span>
+      </a>
+    `)
+      .join("")}
+  </div>
+</section>
+`.trim();
+}
+
+function buildCountyFaq({ county, stateAbbrev, items, countyRun }) {
+  const label = `${county.name} County`;
+  const names = (countyRun.length ? countyRun : items).map((item) => cleanStr(item.name)).filter(Boolean);
+  const firstNames = names.slice(0, 3);
+  const freeCount = items.filter((item) => /\bfree\b/i.test(String(item?.fees || ""))).length;
+
+  return [
+    {
+      question: `Where is the dump in ${label}, ${stateAbbrev}?`,
+      answer:
+        `${items.length} sites are listed across ${label}: ${describeFacilityTypes(items)}. ` +
+        (countyRun.length
+          ? `The county runs ${countyRun.length}, including ${firstNames.join(", ")}.`
+          : `Start with ${firstNames.join(", ")}.`),
+    },
+    {
+      question: `Do I have to live in ${label} to use its dump sites?`,
+      answer:
+        (freeCount > 0
+          ? `${freeCount} of the listed sites mention free drop-off, usually for residents with a photo ID and proof of address. `
+          : "") +
+        "County- and city-run sites often serve residents only, while private landfills and transfer stations take anyone for a fee. Check each site's rules before you go.",
+    },
+  ];
+}
+
+function buildMeta({ state, county, items, cityCount }) {
+  const stateAbbrev = stateAbbrevFromSlug(state);
+  const title = `${county.name} County, ${stateAbbrev} Dumps, Landfills & Transfer Stations | JunkScout`;
+  const description =
+    `Where to dump trash in ${county.name} County, ${stateAbbrev}: ${describeFacilityTypes(items)}` +
+    `${cityCount > 0 ? ` across ${cityCount} ${cityCount === 1 ? "city" : "cities"}` : ""}, with residency rules, hours and fees.`;
+  const canonicalPath = `/${state}/${county.slug}/`;
+  const canonicalUrl = `${BASE_URL}${canonicalPath}`;
+
+  return {
+    title,
+    description,
+    canonicalPath,
+    canonicalUrl,
+    ogTitle: title,
+    ogDesc: description,
+  };
+}
+
+function buildJsonLd({ state, county, items, meta, faq }) {
+  const url = meta.canonicalUrl;
+  const siteUrl = `${BASE_URL}/`;
+  const stateName = titleCaseFromSlug(state);
+  const label = `${county.name} County`;
+
+  const graph = [
+    {
+      "@type": "Organization",
+      "@id": `${siteUrl}#org`,
+      name: "JunkScout",
+      url: siteUrl,
+    },
+    {
+      "@type": "WebSite",
+      "@id": `${siteUrl}#website`,
+      name: "JunkScout",
+      url: siteUrl,
+      publisher: { "@id": `${siteUrl}#org` },
+      potentialAction: {
+        "@type": "SearchAction",
+        target: {
+          "@type": "EntryPoint",
+          urlTemplate: `${BASE_URL}/?where={search_term_string}`,
+        },
+        "query-input": "required name=search_term_string",
+      },
+    },
+    {
+      "@type": "BreadcrumbList",
+      "@id": `${url}#breadcrumb`,
+      itemListElement: [
+        { "@type": "ListItem", position: 1, name: "Home", item: siteUrl },
+        { "@type": "ListItem", position: 2, name: stateName, item: `${BASE_URL}/${state}/` },
+        { "@type": "ListItem", position: 3, name: label, item: url },
+      ],
+    },
+    {
+      "@type": "AdministrativeArea",
+      "@id": `${url}#place`,
+      name: `${label}, ${stateName}`,
+      containedInPlace: { "@type": "State", name: stateName },
+    },
+    {
+      "@type": "ItemList",
+      "@id": `${url}#facilities`,
+      name: `Dumps, landfills and drop-off sites in ${label}`,
+      numberOfItems: items.length,
+      itemListElement: items.map((item, i) => {
+        const id = itemId(item);
+        return {
+          "@type": "ListItem",
+          position: i + 1,
+          name: cleanStr(item.name) || "Unnamed location",
+          ...(id ? { url: `${BASE_URL}/facility/${encodeURIComponent(id)}/` } : {}),
+        };
+      }),
+    },
+    {
+      "@type": "WebPage",
+      "@id": `${url}#webpage`,
+      name: meta.title,
+      description: meta.description,
+      url,
+      isPartOf: { "@id": `${siteUrl}#website` },
+      about: { "@id": `${url}#place` },
+      mainEntity: { "@id": `${url}#facilities` },
+      breadcrumb: { "@id": `${url}#breadcrumb` },
+    },
+    {
+      "@type": "FAQPage",
+      "@id": `${url}#faq`,
+      mainEntity: faq.map((entry) => ({
+        "@type": "Question",
+        name: entry.question,
+        acceptedAnswer: { "@type": "Answer", text: entry.answer },
+      })),
+    },
+  ];
+
+  const json = JSON.stringify({ "@context": "https://schema.org", "@graph": graph }, null, 2);
+  return `<script type="application/ld+json">\n${json}\n</script>`;
+}
+
+function injectHeadMeta(html, meta) {
+  const tags = `
+  <title>${escapeHtml(meta.title)}</title>
+  <meta name="description" content="${escapeHtml(meta.description)}" />
+  <link rel="canonical" href="${escapeHtml(meta.canonicalUrl)}" />
+
+  <meta property="og:type" content="website" />
+  <meta property="og:title" content="${escapeHtml(meta.ogTitle)}" />
+  <meta property="og:description" content="${escapeHtml(meta.ogDesc)}" />
+  <meta property="og:url" content="${escapeHtml(meta.canonicalUrl)}" />
+
+  <meta name="twitter:card" content="summary" />
+  <meta name="twitter:title" content="${escapeHtml(meta.ogTitle)}" />
+  <meta name="twitter:description" content="${escapeHtml(meta.ogDesc)}" />
+`;
+
+  return html.replace("</head>", `${tags}\n</head>`);
+}
+
+// Replaces the inner html of the first match; the pattern must capture the opening and closing tags.
+function replaceInner(html, pattern, inner) {
+  return html.replace(pattern, (match, open, close) => `${open}${inner}${close}`);
+}
+
+function replaceMarker(html, name, inner) {
+  const markerRegex = new RegExp(`<!--\\s*${name}:START\\s*-->[\\s\\S]*?<!--\\s*${name}:END\\s*-->`);
+  return html.replace(markerRegex, () => `<!-- ${name}:START -->\n${inner}\n<!-- ${name}:END -->`);
+}
+
+function renderCountyPage(template, { state, county, items, countyRun, profile, cityLabels, cityCounts }) {
+  const stateAbbrev = stateAbbrevFromSlug(state);
+  const label = `${county.name} County`;
+  const meta = buildMeta({ state, county, items, cityCount: county.cities.size });
+  const faq = buildCountyFaq({ county, stateAbbrev, items, countyRun });
+  const [where, free] = faq;
+  const overlay = JSON.stringify({ county: label, state: stateAbbrev, facilities: items }).replace(/</g, "\\u003c");
+
+  let html = template;
+  html = injectHeadMeta(html, meta);
+  html = replaceMarker(html, "JSONLD", buildJsonLd({ state, county, items, meta, faq }));
+  html = html.replace(
+    "<body>",
+    `<body data-state="${escapeHtml(state)}" data-city="${escapeHtml(county.slug)}" data-county="${escapeHtml(county.slug)}">`
+  );
+  html = html.replace(
+    /(<section class="cards" id="results"[^>]*>)[\s\S]*?(<\/section>)/i,
+    (match, open, close) => {
+      const cards = buildInitialResultsHtml(items, {
+        limit: INITIAL_RESULTS_LIMIT,
+        badges: (item) => (isCountyRun(item, county.name) ? ` <span class="badge badge--green">County-run</span>` : ""),
+      });
+      return `${open}\n${cards}\n${close}`;
+    }
+  );
+  html = replaceMarker(
+    html,
+    "STATEHUBLINK",
+    `<div class="cityhub__backnav">\n  <a class="cityhub__backlink" href="/${escapeHtml(state)}/">&larr; Back to ${escapeHtml(titleCaseFromSlug(state))} cities and counties</a>\n</div>`
+  );
+  html = replaceMarker(html, "COUNTYRULES", buildResidencyHtml({ county, countyRun, profile }));
+  html = replaceMarker(html, "COUNTYCITIES", buildCityLinksHtml({ state, county, cityLabels, cityCounts }));
+  html = html.replace("</body>", () => `<script id="CURATED:JSON" type="application/json">\n${overlay}\n</script>\n</body>`);
+
+  html = replaceInner(html, /(<h1[^>]*id="cityTitle"[^>]*>)[\s\S]*?(<\/h1>)/i, escapeHtml(`${label}, ${stateAbbrev} Dumps, Landfills & Drop-Off Sites`));
+  html = replaceInner(
+    html,
+    /(<p[^>]*id="cityAnswer"[^>]*>)[\s\S]*?(<\/p>)/i,
+    escapeHtml(
+      `${items.length} places across ${label}: ${describeFacilityTypes(items)}.` +
+        (countyRun.length ? ` ${countyRun.length} ${countyRun.length === 1 ? "is" : "are"} run by the county.` : "")
+    )
+  );
+  html = replaceInner(
+    html,
+    /(<p[^>]*id="citySubhead"[^>]*>)[\s\S]*?(<\/p>)/i,
+    escapeHtml(`County-run sites are listed first. Check the residency rules below before you drive out.`)
+  );
+  html = replaceInner(
+    html,
+    /(<section class="seo-copy" style="margin-top:26px">\s*<p>)[\s\S]*?(<\/p>)/i,
+    `Looking for a <strong>dump</strong>, <strong>landfill</strong> or <strong>transfer station</strong> in ${escapeHtml(label)}? ` +
+      "This page lists every site we know of in the county, including permitted sites that no city guide lists yet. " +
+      "City guides below cover each city's own drop-off rules."
+  );
+  html = replaceInner(html, /(<span id="cityNameInline">)[\s\S]*?(<\/span>)/, escapeHtml(label));
+  html = replaceInner(html, /(<h2[^>]*id="faqDumpWhere"[^>]*>[\s\S]*?<\/h2>\s*<p>)[\s\S]*?(<\/p>)/i, escapeHtml(where.answer));
+  html = replaceInner(html, /(<h2[^>]*id="faqDumpWhere"[^>]*>)[\s\S]*?(<\/h2>)/i, escapeHtml(where.question));
+  html = replaceInner(html, /(<h2[^>]*id="faqDumpFree"[^>]*>)[\s\S]*?(<\/h2>)/i, escapeHtml(free.question));
+  html = replaceInner(html, /(<p[^>]*id="faqDumpFreeBody"[^>]*>)[\s\S]*?(<\/p>)/i, escapeHtml(free.answer));
+  html = html.replace("<h2>About dumping in this city</h2>", () => `<h2>About dumping in ${escapeHtml(label)}</h2>`);
+  return { html, meta };
+}
+
+function writeManifest(pages, cityCounties) {
+  const counties = {};
+  for (const page of pages.sort((a, b) => a.slug.localeCompare(b.slug))) {
+    counties[page.slug] = { name: page.name, cities: page.cities, facilities: page.facilities };
+  }
+
+  // A city points at its home county's page, else the first of its other counties that has one
+  const cities = {};
+  for (const city of Array.from(cityCounties.keys()).sort()) {
+    const slug = cityCounties.get(city).map(countyPageSlug).find((s) => counties[s]);
+    if (slug) cities[city] = slug;
+  }
+
+  fs.mkdirSync(path.dirname(MANIFEST_PATH), { recursive: true });
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify({ counties, cities }, null, 2) + "\n", "utf-8");
+}
+
+function run() {
+  if (!fs.existsSync(CITY_LIST_PATH)) {
+    console.error(`❌ City list not found: ${CITY_LIST_PATH}`);
+    process.exit(1);
+  }
+
+  let template = fs.readFileSync(TEMPLATE_PATH, "utf-8");
+  template = template
+    .replace(/<title>.*?<\/title>\s*/i, "")
+    .replace(/<meta\s+name="description"[^>]*>\s*/i, "")
+    .replace(/<link\s+rel="canonical"[^>]*>\s*/i, "");
+
+  const liveCities = readLiveCities(STATE_ARG);
+  const records = readCountyRecords();
+  const cityCounties = resolveCityCounties(STATE_ARG, liveCities, records);
+  const counties = groupByCounty(STATE_ARG, liveCities, records, cityCounties, readFacilityPageIds(liveCities));
+
+  const gazetteer = loadGazetteer(STATE_ARG);
+  const cityLabels = new Map(
+    Array.from(liveCities.keys()).map((city) => [city, gazetteer?.resolve(city)?.place?.name || titleCaseFromSlug(city)])
+  );
+  const cityCounts = new Map(Array.from(liveCities.entries()).map(([city, rows]) => [city, rows.length]));
+
+  const cache = openBuildCache({ force: FORCE });
+  const generatorHash = hashInputs(hashModuleTree(module), template);
+  const pages = [];
+  const collisions = [];
+
+  for (const county of Array.from(counties.values()).sort((a, b) => a.slug.localeCompare(b.slug))) {
+    if (county.items.size < COUNTY_MIN_FACILITIES || county.cities.size === 0) continue;
+    if (liveCities.has(county.slug)) {
+      collisions.push(county.slug);
+      continue;
+    }
+
+    const items = orderCountyItems(Array.from(county.items.values()), county.name);
+    const countyRun = items.filter((item) => isCountyRun(item, county.name));
+    const profile = readRulesProfile(STATE_ARG, county.slug);
+    const cities = Array.from(county.cities).sort();
+    pages.push({ slug: county.slug, name: county.name, cities, facilities: items.length });
+
+    const outFile = path.join(OUTPUT_BASE, STATE_ARG, county.slug, "index.html");
+    const inputsHash = hashInputs(
+      generatorHash,
+      STATE_ARG,
+      county.slug,
+      items,
+      profile,
+      cities.map((city) => [city, cityLabels.get(city), cityCounts.get(city)])
+    );
+    if (cache.isFresh(outFile, inputsHash)) {
+      cache.skip();
+      continue;
+    }
+
+    const { html } = renderCountyPage(template, { state: STATE_ARG, county, items, countyRun, profile, cityLabels, cityCounts });
+    cache.write(outFile, html, inputsHash);
+    console.log(`Wrote county page: ${outFile}`);
+  }
+
+  cache.save();
+  writeManifest(pages, cityCounties);
+
+  if (collisions.length > 0) {
+    console.warn(`⚠️ Skipped ${collisions.length} county page(s) whose slug is a live city: ${collisions.join(", ")}`);
+  }
+  console.log(
+    `✅ Generated ${cache.stats.written} county page(s); ${cache.stats.unchanged} unchanged ` +
+      `(${pages.length} of ${counties.size} counties have ${COUNTY_MIN_FACILITIES}+ sites and a city page; ` +
+      `${cityCounties.size} of ${liveCities.size} cities placed in a county).`
+  );
+}
+
+run();
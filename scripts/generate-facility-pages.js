@@ -1,11 +1,22 @@
 ﻿const fs = require("fs");
 const path = require("path");
+const { hashInputs, hashModuleTree, openBuildCache } = require("./build-cache");
+const { findRulesProfile, injectRulesProfile } = require("./rules-profiles");
+const {
+  getCoordsFromRecord,
+  distanceMiles,
+  normalizeComparableText,
+  facilitiesRepresentSamePlace,
+  loadFacilityRecords,
+} = require("./facility-records");
 
 // Usage:
 //   node scripts/generate-facility-pages.js
 //   node scripts/generate-facility-pages.js texas
 //   node scripts/generate-facility-pages.js texas houston
 //   node scripts/generate-facility-pages.js texas --city houston
+//   node scripts/generate-facility-pages.js texas --force   (ignore the build manifest and rewrite every page)
+const FORCE = process.argv.includes("--force");
 const STATE_ARG = String(process.argv[2] || "texas").trim().toLowerCase();
 
 let CITY_FILTER_ARG = "";
@@ -20,11 +31,10 @@ if (third.startsWith("--city=")) {
 }
 
 const FACILITIES_DIR = path.join("data", "facilities");
-const ALIAS_MANIFEST_PATH = path.join(FACILITIES_DIR, "_aliases.json");
+const HISTORY_DIR = path.join("data", "facility-history");
 const TEMPLATE_PATH = "facility-template.html";
 const OUTPUT_BASE = ".";
 const BASE_URL = "https://junkscout.io";
-const CITY_DATA_STATES = ["texas", "california", "arizona", "georgia", "florida", "illinois", "north-carolina", "washington"];
 
 function safeReadJson(filePath, fallback = null) {
   try {
@@ -102,51 +112,6 @@ function cleanString(value) {
   return String(value || "").trim();
 }
 
-function toNum(value) {
-  const n = Number(value);
-  return Number.isFinite(n) ? n : null;
-}
-
-function isValidCoordPair(lat, lng) {
-  if (lat === null || lng === null) return false;
-  if (lat < -90 || lat > 90) return false;
-  if (lng < -180 || lng > 180) return false;
-  if (Math.abs(lat) < 0.000001 && Math.abs(lng) < 0.000001) return false;
-  return true;
-}
-
-function getCoordsFromRecord(record) {
-  const lat = toNum(record?.lat ?? record?.latitude);
-  const lng = toNum(record?.lng ?? record?.lon ?? record?.longitude);
-  if (!isValidCoordPair(lat, lng)) return { lat: null, lng: null };
-  return { lat, lng };
-}
-
-function toRadians(deg) {
-  return (deg * Math.PI) / 180;
-}
-
-function distanceMiles(lat1, lng1, lat2, lng2) {
-  if (!isValidCoordPair(lat1, lng1) || !isValidCoordPair(lat2, lng2)) return null;
-
-  const dLat = toRadians(lat2 - lat1);
-  const dLng = toRadians(lng2 - lng1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
-      Math.sin(dLng / 2) * Math.sin(dLng / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  const earthRadiusMi = 3958.8;
-  return earthRadiusMi * c;
-}
-
-function normalizeComparableText(value = "") {
-  return cleanString(value)
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, " ")
-    .trim();
-}
-
 function nearbyDedupKey(facility) {
   const name = normalizeComparableText(facility?.name || "");
   const address = normalizeComparableText(facility?.address || "");
@@ -156,194 +121,6 @@ function nearbyDedupKey(facility) {
   return `id:${cleanString(facility?.id || "")}`;
 }
 
-function facilitiesRepresentSamePlace(a, b) {
-  const nameA = normalizeComparableText(a?.name || "");
-  const nameB = normalizeComparableText(b?.name || "");
-  if (!nameA || !nameB || nameA !== nameB) return false;
-
-  const addressA = normalizeComparableText(a?.address || "");
-  const addressB = normalizeComparableText(b?.address || "");
-  if (addressA && addressB && addressA === addressB) return true;
-
-  const coordsA = getCoordsFromRecord(a);
-  const coordsB = getCoordsFromRecord(b);
-  if (coordsA.lat !== null && coordsA.lng !== null && coordsB.lat !== null && coordsB.lng !== null) {
-    const distanceMi = distanceMiles(coordsA.lat, coordsA.lng, coordsB.lat, coordsB.lng);
-    if (Number.isFinite(distanceMi) && distanceMi <= 0.15) return true;
-  }
-
-  return false;
-}
-
-function mergeUniqueStringArrays(a = [], b = []) {
-  const out = [];
-  const seen = new Set();
-
-  for (const val of [...coerceArray(a), ...coerceArray(b)]) {
-    const s = cleanString(val);
-    if (!s) continue;
-    const k = s.toLowerCase();
-    if (seen.has(k)) continue;
-    seen.add(k);
-    out.push(s);
-  }
-
-  return out;
-}
-
-function mergeAppearsIn(a = [], b = []) {
-  const out = [];
-  const seen = new Set();
-
-  for (const row of [...coerceArray(a), ...coerceArray(b)]) {
-    const state = cleanSlug(row?.state || "");
-    const city = cleanSlug(row?.city || "");
-    if (!state && !city) continue;
-    const key = `${state}/${city}`;
-    if (seen.has(key)) continue;
-    seen.add(key);
-    out.push({ state, city });
-  }
-
-  return out;
-}
-
-function mergeFacilityRecords(base, incoming) {
-  const out = { ...base };
-  const next = incoming || {};
-
-  const preferWhenMissing = [
-    "name",
-    "slug",
-    "type",
-    "type_label",
-    "address",
-    "website",
-    "osm_url",
-    "source",
-    "phone",
-    "hours",
-    "fees",
-    "rules",
-    "verified_date",
-  ];
-
-  for (const key of preferWhenMissing) {
-    if (!cleanString(out[key]) && cleanString(next[key])) out[key] = next[key];
-  }
-
-  const outCoords = getCoordsFromRecord(out);
-  const nextCoords = getCoordsFromRecord(next);
-  out.lat = outCoords.lat;
-  out.lng = outCoords.lng;
-  if (out.lat === null && nextCoords.lat !== null) out.lat = nextCoords.lat;
-  if (out.lng === null && nextCoords.lng !== null) out.lng = nextCoords.lng;
-
-  out.accepted_materials = mergeUniqueStringArrays(out.accepted_materials, next.accepted_materials);
-  out.not_accepted = mergeUniqueStringArrays(out.not_accepted, next.not_accepted);
-  out.appears_in = mergeAppearsIn(out.appears_in, next.appears_in);
-
-  return out;
-}
-
-function facilityPreferenceScore(record) {
-  let score = 0;
-  const id = cleanString(record?.id || "");
-  if (/^f_manual_/i.test(id)) score += 40;
-  if (cleanString(record?.source || "")) score += 16;
-  if (cleanString(record?.verified_date || "")) score += 12;
-  if (cleanString(record?.phone || "")) score += 6;
-  if (cleanString(record?.hours || "")) score += 6;
-  if (cleanString(record?.fees || "")) score += 5;
-  if (cleanString(record?.rules || "")) score += 5;
-  if (cleanString(record?.address || "")) score += 8;
-  if (cleanString(record?.website || "")) score += 4;
-
-  const coords = getCoordsFromRecord(record);
-  if (coords.lat !== null && coords.lng !== null) score += 4;
-
-  score += Math.min(6, coerceArray(record?.accepted_materials).length);
-  score += Math.min(4, coerceArray(record?.not_accepted).length);
-  return score;
-}
-
-function collapseDuplicateFacilities(records) {
-  const groups = [];
-  const sorted = [...coerceArray(records)].sort((a, b) => {
-    const scoreDiff = facilityPreferenceScore(b) - facilityPreferenceScore(a);
-    if (scoreDiff !== 0) return scoreDiff;
-    return cleanString(a?.id || "").localeCompare(cleanString(b?.id || ""));
-  });
-
-  for (const record of sorted) {
-    const id = cleanString(record?.id || "");
-    if (!id) continue;
-
-    const group = groups.find((entry) => facilitiesRepresentSamePlace(record, entry.facility));
-    if (!group) {
-      groups.push({ facility: { ...record, id }, aliases: [] });
-      continue;
-    }
-
-    group.facility = mergeFacilityRecords(group.facility, record);
-    group.aliases.push({ ...record, id });
-  }
-
-  return {
-    facilities: groups.map((group) => group.facility),
-    aliasEntries: groups.flatMap((group) =>
-      group.aliases.map((aliasRecord) => ({
-        aliasId: cleanString(aliasRecord.id),
-        aliasRecord,
-        canonicalId: cleanString(group.facility?.id || ""),
-        canonicalRecord: group.facility,
-      }))
-    ),
-  };
-}
-
-function writeAliasManifest(aliasEntries) {
-  const manifest = {};
-  for (const entry of coerceArray(aliasEntries)) {
-    if (!entry?.aliasId || !entry?.canonicalId || entry.aliasId === entry.canonicalId) continue;
-    manifest[entry.aliasId] = entry.canonicalId;
-  }
-  fs.writeFileSync(ALIAS_MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`, "utf-8");
-}
-
-function readCityReferencedFacilityIds() {
-  const states =
-    STATE_ARG && STATE_ARG !== "all"
-      ? [STATE_ARG]
-      : CITY_DATA_STATES;
-
-  const ids = new Set();
-  for (const state of states) {
-    const dataDir = path.join("data", state);
-    if (!fs.existsSync(dataDir)) continue;
-
-    const files = fs
-      .readdirSync(dataDir)
-      .filter((f) => f.toLowerCase().endsWith(".json"))
-      .filter((f) => !f.startsWith("_"))
-      .filter((f) => f.toLowerCase() !== "cities.json");
-
-    for (const file of files) {
-      const parsed = safeReadJson(path.join(dataDir, file), null);
-      const rows = Array.isArray(parsed)
-        ? parsed
-        : (parsed && typeof parsed === "object" && Array.isArray(parsed.facilities) ? parsed.facilities : []);
-
-      for (const row of rows) {
-        const id = cleanString(row?.facility_id || row?.id || "");
-        if (id) ids.add(id);
-      }
-    }
-  }
-
-  return ids;
-}
-
 function getAppearsIn(facility) {
   return Array.isArray(facility?.appears_in)
     ? facility.appears_in
@@ -749,7 +526,21 @@ function buildServerRenderedVerifiedHtml(facility) {
 `.trim();
 }
 
-function injectServerRenderedFacilityContent(html, facility, poolFacilities, state, city) {
+// Newest event from data/facility-history/<id>.json (written by build-facility-changelog.js).
+function readLatestHistoryEvent(id) {
+  const history = safeReadJson(path.join(HISTORY_DIR, `${id}.json`), null);
+  const latest = Array.isArray(history?.events) ? history.events[0] : null;
+  if (!latest || !cleanString(latest.date) || !cleanString(latest.summary)) return null;
+  return { date: cleanString(latest.date), kind: cleanString(latest.kind), summary: cleanString(latest.summary) };
+}
+
+function buildUpdatedLineHtml(event) {
+  if (!event) return "";
+  const text = event.kind === "added" ? `Added: ${event.date}` : `Updated: ${event.summary} on ${event.date}`;
+  return `<p class="muted small" id="facilityUpdated" style="margin-top:6px">${escapeHtml(text)}</p>`;
+}
+
+function injectServerRenderedFacilityContent(html, facility, poolFacilities, state, city, latestEvent = null) {
   const name = cleanString(facility?.name || "Unnamed site");
   const type = typeLabelDisplay(facility?.type);
   const address = cleanString(facility?.address || "Address not provided");
@@ -797,9 +588,16 @@ function injectServerRenderedFacilityContent(html, facility, poolFacilities, sta
     out = out.replace(/(<p id="facilityAbout"[\s\S]*?<\/p>)/i, `$1\n${verifiedHtml}`);
   }
 
+  const updatedHtml = buildUpdatedLineHtml(latestEvent);
+  if (updatedHtml) {
+    out = out.replace(/(<p id="facilityAbout"[\s\S]*?<\/p>)/i, (m) => `${m}\n${updatedHtml}`);
+  }
+
   return out;
 }
 
+// Fallback stub for an alias URL. Cloudflare Pages answers these with the 301 from _redirects before the
+// stub is ever served; the refresh + canonical only matter on hosts without redirect rules.
 function buildAliasFacilityPage(aliasEntry) {
   const canonicalId = cleanString(aliasEntry?.canonicalId || "");
   const canonicalRecord = aliasEntry?.canonicalRecord || {};
@@ -828,65 +626,6 @@ function buildAliasFacilityPage(aliasEntry) {
 `;
 }
 
-function loadFacilityRecords() {
-  if (!fs.existsSync(FACILITIES_DIR)) return { facilities: [], aliasEntries: [] };
-
-  const byId = new Map();
-
-  function upsert(record) {
-    const id = String(record?.id || "").trim();
-    if (!id) return;
-
-    if (!byId.has(id)) {
-      byId.set(id, { ...record, id });
-      return;
-    }
-    byId.set(id, mergeFacilityRecords(byId.get(id), record));
-  }
-
-  const indexPath = path.join(FACILITIES_DIR, "index.json");
-  const fromIndex = safeReadJson(indexPath, null);
-  if (Array.isArray(fromIndex) && fromIndex.length > 0) {
-    fromIndex
-      .filter((x) => x && typeof x === "object")
-      .forEach((record) => upsert(record));
-  }
-
-  const manualFiles = fs
-    .readdirSync(FACILITIES_DIR)
-    .filter((f) => /^f_manual_.*\.json$/i.test(f))
-    .sort((a, b) => a.localeCompare(b));
-
-  manualFiles
-    .map((f) => safeReadJson(path.join(FACILITIES_DIR, f), null))
-    .filter((x) => x && typeof x === "object")
-    .forEach((record) => upsert(record));
-
-  const referencedIds = readCityReferencedFacilityIds();
-  for (const id of referencedIds) {
-    if (byId.has(id)) continue;
-    const fullPath = path.join(FACILITIES_DIR, `${id}.json`);
-    const parsed = safeReadJson(fullPath, null);
-    if (parsed && typeof parsed === "object") upsert(parsed);
-  }
-
-  if (byId.size === 0) {
-    const allFiles = fs
-      .readdirSync(FACILITIES_DIR)
-      .filter((f) => f.endsWith(".json") && f.toLowerCase() !== "index.json")
-      .sort((a, b) => a.localeCompare(b));
-
-    allFiles
-      .map((f) => safeReadJson(path.join(FACILITIES_DIR, f), null))
-      .filter((x) => x && typeof x === "object")
-      .forEach((record) => upsert(record));
-  }
-
-  const collapsed = collapseDuplicateFacilities(Array.from(byId.values()));
-  writeAliasManifest(collapsed.aliasEntries);
-  return collapsed;
-}
-
 function run() {
   if (!fs.existsSync(FACILITIES_DIR)) {
     console.error(`Facilities directory not found: ${FACILITIES_DIR}`);
@@ -899,7 +638,7 @@ function run() {
     .replace(/<meta\s+name="description"[^>]*>\s*/i, "")
     .replace(/<link\s+rel="canonical"[^>]*>\s*/i, "");
 
-  const { facilities, aliasEntries } = loadFacilityRecords();
+  const { facilities, aliasEntries } = loadFacilityRecords(STATE_ARG);
   if (facilities.length === 0) {
     console.error("No facility records found.");
     process.exit(1);
@@ -932,40 +671,61 @@ function run() {
     );
   });
 
+  const cache = openBuildCache({ force: FORCE });
+  const generatorHash = hashInputs(hashModuleTree(module), template);
+
   for (const facility of filtered) {
     const id = String(facility.id).trim();
     const loc = pickPrimaryLocation(facility, STATE_ARG, CITY_FILTER_ARG);
     const state = cleanSlug(loc.state || STATE_ARG) || STATE_ARG;
     const city = cleanSlug(loc.city || "");
 
+    const outDir = path.join(OUTPUT_BASE, "facility", id);
+    const outFile = path.join(outDir, "index.html");
+    // The nearby block depends on the rest of the pool, so it is part of the page inputs.
+    const nearbyHtml = buildNearbyFacilitiesHtml({ facility, poolFacilities: filtered, state, city });
+    const rulesProfile = findRulesProfile([{ state, city }, ...getAppearsIn(facility)]);
+    const latestEvent = readLatestHistoryEvent(id);
+    const inputsHash = hashInputs(generatorHash, facility, state, city, nearbyHtml, rulesProfile, latestEvent);
+    if (cache.isFresh(outFile, inputsHash)) {
+      cache.skip();
+      continue;
+    }
+
     const meta = buildMeta({ facility, state, city });
 
     let outputHtml = template;
     outputHtml = injectHeadMeta(outputHtml, meta);
     outputHtml = injectJsonLd(outputHtml, buildJsonLd({ facility, meta, state }));
     outputHtml = injectBodySeed(outputHtml, state, city);
-    outputHtml = injectServerRenderedFacilityContent(outputHtml, facility, filtered, state, city);
-
-    const outDir = path.join(OUTPUT_BASE, "facility", id);
-    const outFile = path.join(outDir, "index.html");
+    outputHtml = injectServerRenderedFacilityContent(outputHtml, facility, filtered, state, city, latestEvent);
+    outputHtml = injectRulesProfile(outputHtml, rulesProfile, "facility");
 
-    fs.mkdirSync(outDir, { recursive: true });
-    fs.writeFileSync(outFile, outputHtml, "utf-8");
+    cache.write(outFile, outputHtml, inputsHash);
 
     console.log(`Wrote facility page: ${outFile}`);
   }
 
   for (const aliasEntry of filteredAliases) {
-    const outDir = path.join(OUTPUT_BASE, "facility", aliasEntry.aliasId);
-    const outFile = path.join(outDir, "index.html");
+    const outFile = path.join(OUTPUT_BASE, "facility", aliasEntry.aliasId, "index.html");
+    const html = buildAliasFacilityPage(aliasEntry);
+    const inputsHash = hashInputs(generatorHash, html);
+    if (cache.isFresh(outFile, inputsHash)) {
+      cache.skip();
+      continue;
+    }
 
-    fs.mkdirSync(outDir, { recursive: true });
-    fs.writeFileSync(outFile, buildAliasFacilityPage(aliasEntry), "utf-8");
+    cache.write(outFile, html, inputsHash);
 
     console.log(`Wrote facility alias page: ${outFile}`);
   }
 
-  console.log(`Generated ${filtered.length} facility page(s) and ${filteredAliases.length} alias page(s).`);
+  cache.save();
+
+  console.log(
+    `Generated ${cache.stats.written} facility/alias page(s); ${cache.stats.unchanged} unchanged ` +
+      `(of ${filtered.length} facility and ${filteredAliases.length} alias page(s)).`
+  );
 }
 
 run();
@@ -132,6 +132,26 @@ function cityHasRenderableData(state, city) {
   return false;
 }
 
+// { city: [material slugs] } written by generate-city-pages.js for /<state>/<city>/<material>/ pages
+function readMaterialPages(state) {
+  const data = safeReadJson(path.join(CITY_DATA_BASE, cleanSlug(state), "_material-pages.json"), {});
+  return data && typeof data === "object" && !Array.isArray(data) ? data : {};
+}
+
+// { counties: { "<county>-county": {...} } } written by generate-county-pages.js for /<state>/<county>-county/ pages
+function readCountyPages(state) {
+  const data = safeReadJson(path.join(CITY_DATA_BASE, cleanSlug(state), "_county-pages.json"), {});
+  const counties = data && typeof data.counties === "object" && data.counties ? data.counties : {};
+  return Object.keys(counties).map(cleanSlug).filter(Boolean).sort();
+}
+
+// { "landfills": {...} } written by generate-type-pages.js for /<state>/<type>/ pages
+function readTypePages(state) {
+  const data = safeReadJson(path.join(CITY_DATA_BASE, cleanSlug(state), "_type-pages.json"), {});
+  if (!data || typeof data !== "object" || Array.isArray(data)) return [];
+  return Object.keys(data).map(cleanSlug).filter(Boolean);
+}
+
 function readFacilityIdsFromPages() {
   if (!fs.existsSync(FACILITY_PAGES_DIR)) return [];
 
@@ -202,6 +222,9 @@ function run() {
   }
 
   let totalCities = 0;
+  let totalMaterialPages = 0;
+  let totalCountyPages = 0;
+  let totalTypePages = 0;
   let skippedCities = 0;
   for (const stateConfig of STATE_CITY_LISTS) {
     const stateSlug = cleanSlug(stateConfig.state);
@@ -209,7 +232,18 @@ function run() {
 
     add({ pathname: `/${stateSlug}/`, changefreq: "weekly", priority: "0.8" });
 
+    for (const county of readCountyPages(stateSlug)) {
+      totalCountyPages += 1;
+      add({ pathname: `/${stateSlug}/${county}/`, changefreq: "weekly", priority: "0.7" });
+    }
+
+    for (const type of readTypePages(stateSlug)) {
+      totalTypePages += 1;
+      add({ pathname: `/${stateSlug}/${type}/`, changefreq: "weekly", priority: "0.7" });
+    }
+
     const cities = readCityEntries(stateSlug, stateConfig.file);
+    const materialPages = readMaterialPages(stateSlug);
 
     for (const city of cities) {
       if (!cityHasRenderableData(city.state, city.city)) {
@@ -222,6 +256,17 @@ function run() {
         changefreq: "weekly",
         priority: "0.7",
       });
+
+      for (const material of Array.isArray(materialPages[city.city]) ? materialPages[city.city] : []) {
+        const slug = cleanSlug(material);
+        if (!slug) continue;
+        totalMaterialPages += 1;
+        add({
+          pathname: `/${city.state}/${city.city}/${slug}/`,
+          changefreq: "weekly",
+          priority: "0.6",
+        });
+      }
     }
   }
 
@@ -246,6 +291,9 @@ function run() {
   console.log(`Wrote ${OUT_PATH}`);
   console.log(`Cities included: ${totalCities}`);
   if (skippedCities > 0) console.log(`Cities skipped (no data): ${skippedCities}`);
+  console.log(`Material pages included: ${totalMaterialPages}`);
+  console.log(`County pages included: ${totalCountyPages}`);
+  console.log(`Type pages included: ${totalTypePages}`);
   console.log(`Facility pages included: ${facilityIds.length}`);
   console.log(`Total URLs: ${seen.size}`);
 }
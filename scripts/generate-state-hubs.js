@@ -1,5 +1,6 @@
 const fs = require("fs");
 const path = require("path");
+const { loadGazetteer } = require("./gazetteer");
 
 const STATES = [
   { slug: "texas", file: path.join("texas", "index.html") },
@@ -12,56 +13,6 @@ const STATES = [
   { slug: "washington", file: path.join("washington", "index.html") },
 ];
 
-const NOISE_PREFIX_TOKENS = new Set([
-  "business",
-  "railroad",
-  "railway",
-  "republic",
-  "aviation",
-  "wire",
-  "shady",
-  "creekview",
-  "hiawatha",
-  "dimmit",
-  "cottle",
-]);
-
-const NOISE_TOKENS = new Set([
-  "tx",
-  "texas",
-  "business",
-  "railroad",
-  "railway",
-  "republic",
-  "aviation",
-  "wire",
-  "way",
-  "trl",
-  "creekview",
-  "hiawatha",
-  "dimmit",
-  "cottle",
-]);
-
-const SINGLE_TOKEN_ALIAS = {
-  texas: {
-    antonio: "san-antonio",
-    arthur: "port-arthur",
-    christi: "corpus-christi",
-    braunfels: "new-braunfels",
-    paso: "el-paso",
-    worth: "fort-worth",
-  },
-};
-
-const SINGLE_TOKEN_DROP = {
-  texas: new Set(["city"]),
-};
-
-const FRAGMENT_SINGLE_TOKENS = {
-  texas: new Set(["antonio", "arthur", "christi", "braunfels", "paso", "worth"]),
-};
-
 function safeReadJson(filePath, fallback = null) {
   try {
     if (!fs.existsSync(filePath)) return fallback;
@@ -89,107 +40,7 @@ function titleCaseFromSlug(slug = "") {
     .join(" ");
 }
 
-function tokenizeSlug(slug = "") {
-  return String(slug || "")
-    .toLowerCase()
-    .split("-")
-    .filter(Boolean);
-}
-
-function hasRepeatedTokens(tokens = []) {
-  for (let i = 1; i < tokens.length; i += 1) {
-    if (tokens[i] === tokens[i - 1]) return true;
-  }
-  return new Set(tokens).size < tokens.length;
-}
-
-function normalizeTokens(tokens = []) {
-  const stripped = tokens.filter((t) => t !== "tx" && t !== "texas");
-  const collapsed = [];
-  for (const token of stripped) {
-    if (collapsed.length === 0 || collapsed[collapsed.length - 1] !== token) {
-      collapsed.push(token);
-    }
-  }
-
-  const deduped = [];
-  const seen = new Set();
-  for (const token of collapsed) {
-    if (seen.has(token)) continue;
-    seen.add(token);
-    deduped.push(token);
-  }
-  return deduped;
-}
-
-function isNoisyRawSlug(tokens = []) {
-  if (tokens.length >= 3) return true;
-  if (tokens.includes("tx") || tokens.includes("texas")) return true;
-  if (hasRepeatedTokens(tokens)) return true;
-  if (tokens[0] && NOISE_PREFIX_TOKENS.has(tokens[0])) return true;
-  return false;
-}
-
-function scoreSlug(slug = "") {
-  const tokens = tokenizeSlug(slug);
-  let score = 100;
-
-  if (tokens.includes("tx") || tokens.includes("texas")) score -= 25;
-  if (hasRepeatedTokens(tokens)) score -= 25;
-  if (tokens[0] && NOISE_PREFIX_TOKENS.has(tokens[0])) score -= 25;
-  if (tokens.length > 2) score -= (tokens.length - 2) * 8;
-
-  for (const token of tokens) {
-    if (NOISE_TOKENS.has(token)) score -= 6;
-  }
-
-  const fragmentSet = FRAGMENT_SINGLE_TOKENS.texas;
-  if (tokens.length === 1 && fragmentSet.has(tokens[0])) score -= 35;
-
-  return score;
-}
-
-function pickCanonicalSlug(rawSlug, rawSet, state) {
-  const raw = String(rawSlug || "").toLowerCase().trim();
-  if (!raw) return "";
-
-  const rawTokens = tokenizeSlug(raw);
-  const normalizedTokens = normalizeTokens(rawTokens);
-  const normalizedSlug = normalizedTokens.join("-");
-  const candidates = new Set([raw]);
-
-  const aliasMap = SINGLE_TOKEN_ALIAS[state] || {};
-  if (rawTokens.length === 1 && aliasMap[rawTokens[0]] && rawSet.has(aliasMap[rawTokens[0]])) {
-    return aliasMap[rawTokens[0]];
-  }
-
-  if (normalizedSlug && rawSet.has(normalizedSlug)) candidates.add(normalizedSlug);
-
-  if (isNoisyRawSlug(rawTokens) && normalizedTokens.length > 0) {
-    for (let len = Math.min(3, normalizedTokens.length); len >= 1; len -= 1) {
-      const suffix = normalizedTokens.slice(-len).join("-");
-      if (suffix && rawSet.has(suffix)) candidates.add(suffix);
-    }
-    for (let len = Math.min(3, normalizedTokens.length); len >= 1; len -= 1) {
-      const prefix = normalizedTokens.slice(0, len).join("-");
-      if (prefix && rawSet.has(prefix)) candidates.add(prefix);
-    }
-  }
-
-  const ranked = Array.from(candidates).sort((a, b) => {
-    const diff = scoreSlug(b) - scoreSlug(a);
-    if (diff !== 0) return diff;
-    const tokDiff = tokenizeSlug(a).length - tokenizeSlug(b).length;
-    if (tokDiff !== 0) return tokDiff;
-    return a.localeCompare(b);
-  });
-
-  const dropSet = SINGLE_TOKEN_DROP[state] || new Set();
-  const best = ranked.find((slug) => !dropSet.has(slug)) || "";
-  return best;
-}
-
-function getCitySlugsForState(state) {
+function getCitiesForState(state) {
   const listPath = path.join("scripts", `cities-${state}.json`);
   const list = safeReadJson(listPath, []);
   if (!Array.isArray(list)) return [];
@@ -202,20 +53,24 @@ function getCitySlugsForState(state) {
     rawSet.add(city);
   });
 
-  const cleaned = new Set();
+  // A slug that resolves to another listed place folds into it; slugs the gazetteer doesn't know (manual
+  // cities, states without a gazetteer) keep their own link.
+  const gazetteer = loadGazetteer(state);
+  const labels = new Map();
   for (const rawSlug of rawSet) {
-    const canonical = pickCanonicalSlug(rawSlug, rawSet, state);
-    if (!canonical) continue;
-    cleaned.add(canonical);
+    const hit = gazetteer?.resolve(rawSlug);
+    if (hit && rawSet.has(hit.slug)) labels.set(hit.slug, hit.place.name);
+    else if (!labels.has(rawSlug)) labels.set(rawSlug, titleCaseFromSlug(rawSlug));
   }
 
-  return Array.from(cleaned).sort((a, b) => titleCaseFromSlug(a).localeCompare(titleCaseFromSlug(b)));
+  return Array.from(labels.entries())
+    .map(([slug, label]) => ({ slug, label }))
+    .sort((a, b) => a.label.localeCompare(b.label));
 }
 
-function buildCityListHtml(state, slugs) {
-  return slugs
-    .map((slug) => {
-      const label = titleCaseFromSlug(slug);
+function buildCityListHtml(state, cities) {
+  return cities
+    .map(({ slug, label }) => {
       return `  <a class="cityhub__pill" href="/${escapeHtml(state)}/${escapeHtml(slug)}/">${escapeHtml(label)}</a>`;
     })
     .join("\n");
@@ -227,6 +82,69 @@ function injectCityList(html, listHtml) {
   return html.replace(markerRegex, `$1\n${listHtml}\n        $2`);
 }
 
+// County pages written by generate-county-pages.js: { counties: { "harris-county": { name, cities, facilities } } }
+function getCountiesForState(state) {
+  const manifest = safeReadJson(path.join("data", state, "_county-pages.json"), {});
+  const counties = manifest && typeof manifest.counties === "object" && manifest.counties ? manifest.counties : {};
+  return Object.entries(counties)
+    .map(([slug, entry]) => ({ slug, label: `${entry?.name || titleCaseFromSlug(slug.replace(/-county$/, ""))} County` }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+function buildCountySectionHtml(state, counties) {
+  if (counties.length === 0) return "";
+  const stateName = titleCaseFromSlug(state);
+  return `
+      <section class="cityhub" aria-label="${escapeHtml(stateName)} counties" style="margin-top:22px">
+        <h2>Browse ${escapeHtml(stateName)} by county</h2>
+        <p class="muted">Every listed site in the county, county-run sites first, with residency rules.</p>
+        <div class="cityhub__grid" id="countyList" style="margin-top:10px">
+${buildCityListHtml(state, counties)}
+        </div>
+      </section>`.replace(/^\n/, "");
+}
+
+function injectCountySection(html, sectionHtml) {
+  const markerRegex = /(<!--\s*COUNTYLIST:START\s*-->)[\s\S]*?(\s*<!--\s*COUNTYLIST:END\s*-->)/;
+  if (!markerRegex.test(html)) return html;
+  return html.replace(markerRegex, (match, start, end) => `${start}${sectionHtml ? `\n${sectionHtml}` : ""}${end}`);
+}
+
+// Facility-type pages written by generate-type-pages.js: { "landfills": { title, facilities } }, in the manifest's order
+function getTypePagesForState(state) {
+  const manifest = safeReadJson(path.join("data", state, "_type-pages.json"), {});
+  if (!manifest || typeof manifest !== "object" || Array.isArray(manifest)) return [];
+  return Object.entries(manifest).map(([slug, entry]) => ({
+    slug,
+    label: entry?.title || titleCaseFromSlug(slug),
+    count: Number(entry?.facilities) || 0,
+  }));
+}
+
+function buildTypeSectionHtml(state, types) {
+  if (types.length === 0) return "";
+  const stateName = titleCaseFromSlug(state);
+  const pills = types
+    .map(({ slug, label, count }) => {
+      return `  <a class="cityhub__pill" href="/${escapeHtml(state)}/${escapeHtml(slug)}/">${escapeHtml(label)} <span class="muted" style="font-weight:600">&middot; ${count}</span></a>`;
+    })
+    .join("\n");
+  return `
+      <section class="cityhub" aria-label="${escapeHtml(stateName)} facilities by type" style="margin-top:22px">
+        <h2>Browse ${escapeHtml(stateName)} by facility type</h2>
+        <p class="muted">Every landfill, transfer station and drop-off site we list in the state, grouped by county or city.</p>
+        <div class="cityhub__grid" id="typeList" style="margin-top:10px">
+${pills}
+        </div>
+      </section>`.replace(/^\n/, "");
+}
+
+function injectTypeSection(html, sectionHtml) {
+  const markerRegex = /(<!--\s*TYPELIST:START\s*-->)[\s\S]*?(\s*<!--\s*TYPELIST:END\s*-->)/;
+  if (!markerRegex.test(html)) return html;
+  return html.replace(markerRegex, (match, start, end) => `${start}${sectionHtml ? `\n${sectionHtml}` : ""}${end}`);
+}
+
 function run() {
   for (const entry of STATES) {
     const state = entry.slug;
@@ -237,16 +155,20 @@ function run() {
       continue;
     }
 
-    const slugs = getCitySlugsForState(state);
-    if (slugs.length === 0) {
+    const cities = getCitiesForState(state);
+    if (cities.length === 0) {
       console.warn(`Skipped ${state}: no cities found`);
       continue;
     }
 
     const html = fs.readFileSync(filePath, "utf-8");
-    const updated = injectCityList(html, buildCityListHtml(state, slugs));
+    const counties = getCountiesForState(state);
+    const types = getTypePagesForState(state);
+    let updated = injectCityList(html, buildCityListHtml(state, cities));
+    updated = injectCountySection(updated, buildCountySectionHtml(state, counties));
+    updated = injectTypeSection(updated, buildTypeSectionHtml(state, types));
     fs.writeFileSync(filePath, updated, "utf-8");
-    console.log(`Updated ${filePath} (${slugs.length} city links)`);
+    console.log(`Updated ${filePath} (${cities.length} city links, ${counties.length} county links, ${types.length} type links)`);
   }
 }
 
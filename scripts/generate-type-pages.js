@@ -0,0 +1,617 @@
+// scripts/generate-type-pages.js
+// State-wide facility-type pages: /<state>/landfills/, /<state>/transfer-stations/,
+// /<state>/household-hazardous-waste/ and /<state>/recycling-centers/ (FACILITY_TYPE_PAGES in
+// ./scripts/facility-cards.js). Each lists every facility of that type in the state, grouped by county (by
+// city where no county is known), with counts, the map and cards from city.js, static cards from the same
+// renderer as the city pages, and a JSON-LD ItemList.
+//
+// Usage (CMD):
+//   node scripts/generate-type-pages.js texas
+//   node scripts/generate-type-pages.js texas --force          (ignore the build manifest and rewrite every page)
+//   node scripts/generate-type-pages.js texas --type-min=5     (type pages need 5+ facilities, default 3)
+//
+// Input:
+//   ./data/facilities/f_*.json               (state from appears_in; TCEQ registry records are Texas; aliased ids skipped)
+//   ./scripts/cities-<state>.json            (live cities) and their payloads ./data/<state>/<city>.json,
+//                                            ./data/manual/<state>/<city>[.resolved].json
+//   ./data/<state>/_county-pages.json        (optional; the county a city sits in, and which counties have a page)
+//   ./data/gazetteer/<state>.*               (optional; city names)
+//
+// Output:
+//   ./<state>/<type slug>/index.html
+//   ./data/<state>/_type-pages.json          { "landfills": { "title": "Landfills", "facilities": 120 } }
+//                                            read by the state hub, sitemap and prune step
+//
+// Run it after generate-county-pages.js: a site's group is its own regulatory.county / tceq.county, else the
+// county of the first city that lists it, else that city.
+
+const fs = require("fs");
+const path = require("path");
+const { hashInputs, hashModuleTree, openBuildCache } = require("./build-cache");
+const { regulatoryOf, regulatoryState, permitText } = require("./regulatory");
+const { loadGazetteer } = require("./gazetteer");
+const { FACILITY_TYPE_PAGES, normalizeType, buildInitialResultsHtml } = require("./facility-cards");
+
+const POSITIONAL_ARGS = process.argv.slice(2).filter((a) => !a.startsWith("--"));
+const STATE_ARG = String(POSITIONAL_ARGS[0] || "texas").trim().toLowerCase();
+const FORCE = process.argv.includes("--force");
+const TYPE_MIN_ARG = process.argv.find((a) => a.startsWith("--type-min="));
+const DEFAULT_TYPE_MIN_FACILITIES = 3;
+const TYPE_MIN_FACILITIES = TYPE_MIN_ARG
+  ? Math.max(1, Math.floor(Number(TYPE_MIN_ARG.split("=")[1]) || DEFAULT_TYPE_MIN_FACILITIES))
+  : DEFAULT_TYPE_MIN_FACILITIES;
+
+const INITIAL_RESULTS_LIMIT = 30;
+
+const CITY_LIST_PATH = path.join("scripts", `cities-${STATE_ARG}.json`);
+const TEMPLATE_PATH = "city-template.html";
+const OUTPUT_BASE = ".";
+const FACILITIES_DIR = path.join("data", "facilities");
+const ALIASES_PATH = path.join(FACILITIES_DIR, "_aliases.json");
+const CURATED_BASE = path.join("data", "manual");
+const CITY_DATA_BASE = "data";
+const COUNTY_MANIFEST_PATH = path.join("data", STATE_ARG, "_county-pages.json");
+const MANIFEST_PATH = path.join("data", STATE_ARG, "_type-pages.json");
+const BASE_URL = "https://junkscout.io";
+
+// Fields city.js reads from a facility; the rest of the record stays out of the embedded overlay
+const OVERLAY_FIELDS = [
+  "id", "name", "type", "address", "lat", "lng", "phone", "hours", "hours_spec", "fees", "fee_schedule", "rules",
+  "accepted_materials", "not_accepted", "normalized_materials", "verified_date", "source", "website",
+];
+
+// Who a site of each type serves, for the page's second FAQ
+const TYPE_ACCESS = {
+  Landfill:
+    "Private landfills take anyone who pays the gate fee, usually priced by the ton or by vehicle size. City- and county-run landfills may charge non-residents more or turn them away, so check the site's rules first.",
+  Transfer:
+    "Most transfer stations take the public for a fee by load size. Some city-run stations only serve residents with a photo ID and a utility bill, so check the site's rules first.",
+  Hazardous:
+    "Household hazardous waste sites usually serve residents of the city or county that runs them, often by appointment, and don't take business waste. Bring proof of address.",
+  Recycling:
+    "Recycling drop-off is usually free for household recyclables. Some centers only take certain materials, so check what a site accepts before you go.",
+};
+
+function safeReadJson(filePath, fallback = null) {
+  try {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function cleanStr(v) {
+  return String(v || "").replace(/\s+/g, " ").trim();
+}
+
+function slugify(s) {
+  return cleanStr(s)
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function titleCaseFromSlug(slug = "") {
+  return String(slug || "")
+    .split("-")
+    .filter(Boolean)
+    .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+    .join(" ");
+}
+
+function stateAbbrevFromSlug(stateSlug = "") {
+  const state = String(stateSlug || "").toLowerCase();
+  if (state === "texas") return "TX";
+  if (state === "california") return "CA";
+  if (state === "arizona") return "AZ";
+  if (state === "georgia") return "GA";
+  if (state === "florida") return "FL";
+  if (state === "illinois") return "IL";
+  if (state === "north-carolina") return "NC";
+  if (state === "washington") return "WA";
+  return state.toUpperCase();
+}
+
+function escapeHtml(value = "") {
+  return String(value).replace(/[&<>"']/g, (ch) => {
+    if (ch === "&") return "&amp;";
+    if (ch === "<") return "&lt;";
+    if (ch === ">") return "&gt;";
+    if (ch === '"') return "&quot;";
+    return "&#39;";
+  });
+}
+
+// "HARRIS", "Harris County" -> "Harris"; "MCLENNAN" -> "McLennan"
+function countyName(raw) {
+  return cleanStr(raw)
+    .replace(/\s+(county|parish)$/i, "")
+    .toLowerCase()
+    .replace(/\b([a-z])/g, (c) => c.toUpperCase())
+    .replace(/\bMc([a-z])/g, (_, c) => `Mc${c.toUpperCase()}`);
+}
+
+function getCuratedObject(state, city) {
+  const resolvedPath = path.join(CURATED_BASE, state, `${city}.resolved.json`);
+  const rawPath = path.join(CURATED_BASE, state, `${city}.json`);
+  return safeReadJson(resolvedPath, null) || safeReadJson(rawPath, null);
+}
+
+function getCuratedItems(curated) {
+  if (!curated || typeof curated !== "object") return [];
+  const candidate =
+    curated.facilities ||
+    curated.locations ||
+    curated.items ||
+    curated.results ||
+    curated.data ||
+    null;
+
+  if (Array.isArray(candidate)) return candidate;
+  if (candidate && typeof candidate === "object") {
+    if (Array.isArray(candidate.list)) return candidate.list;
+    if (Array.isArray(candidate.items)) return candidate.items;
+    if (Array.isArray(candidate.results)) return candidate.results;
+  }
+  return [];
+}
+
+function getDataFileItems(state, city) {
+  const data = safeReadJson(path.join(CITY_DATA_BASE, state, `${city}.json`), null);
+  if (Array.isArray(data)) return data;
+  if (data && typeof data === "object" && Array.isArray(data.facilities)) return data.facilities;
+  return [];
+}
+
+function itemId(item) {
+  return cleanStr(item?.facility_id || item?.id);
+}
+
+// Map city slug -> facility ids it lists, for live cities with something to list
+function readLiveCities(state) {
+  const list = safeReadJson(CITY_LIST_PATH, []);
+  const cities = new Map();
+  for (const entry of Array.isArray(list) ? list : []) {
+    const city = cleanStr(entry?.city).toLowerCase();
+    if (!city || cleanStr(entry?.state).toLowerCase() !== state) continue;
+    const rows = [...getCuratedItems(getCuratedObject(state, city)), ...getDataFileItems(state, city)];
+    if (rows.length > 0) cities.set(city, new Set(rows.map(itemId).filter(Boolean)));
+  }
+  return cities;
+}
+
+// Ids that have a facility page: index.json entries and anything a city page lists
+function readFacilityPageIds(liveCities) {
+  const ids = new Set();
+  const index = safeReadJson(path.join(FACILITIES_DIR, "index.json"), []);
+  for (const row of Array.isArray(index) ? index : []) if (row?.id) ids.add(String(row.id));
+  for (const cityIds of liveCities.values()) cityIds.forEach((id) => ids.add(id));
+  return ids;
+}
+
+// The state's facility records, minus retired aliases. Registry records that no city lists carry no
+// appears_in; they belong to the state of the registry that lists them.
+function readStateRecords(state) {
+  const aliases = safeReadJson(ALIASES_PATH, {}) || {};
+  const records = [];
+  if (!fs.existsSync(FACILITIES_DIR)) return records;
+  for (const name of fs.readdirSync(FACILITIES_DIR).sort()) {
+    if (!/^f_.*\.json$/.test(name)) continue;
+    const record = safeReadJson(path.join(FACILITIES_DIR, name), null);
+    if (!record?.id || aliases[record.id]) continue;
+    const appearsIn = (Array.isArray(record.appears_in) ? record.appears_in : []).filter((loc) => loc?.state === state);
+    if (appearsIn.length === 0 && regulatoryState(record) !== state) continue;
+    records.push({ record, cities: appearsIn.map((loc) => cleanStr(loc.city).toLowerCase()).filter(Boolean) });
+  }
+  return records;
+}
+
+// { cities: { houston: "harris-county" }, counties: { "harris-county": { name } } } from generate-county-pages.js
+function readCountyManifest() {
+  const data = safeReadJson(COUNTY_MANIFEST_PATH, {});
+  return {
+    cities: data && typeof data.cities === "object" && data.cities ? data.cities : {},
+    counties: data && typeof data.counties === "object" && data.counties ? data.counties : {},
+  };
+}
+
+// The record as a card: the fields city.js reads, and a registry note for permitted sites no city lists
+function cardItem(record, hasPage) {
+  const item = {};
+  for (const field of OVERLAY_FIELDS) {
+    const value = record[field];
+    if (value === null || value === undefined || value === "") continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    item[field] = value;
+  }
+  if (!hasPage) delete item.id;
+  const permit = permitText(record);
+  if (permit && !item.rules && !hasPage) {
+    item.rules = `Listed from the state permit registry (${permit}). Public drop-off isn't confirmed; call before visiting.`;
+  }
+  return item;
+}
+
+// The county a site is in, else the first live city listing it: { key, label, href }
+function groupFor({ record, cities }, ctx) {
+  const ownCounty = countyName(regulatoryOf(record)?.county);
+  const cityCounty = cities.map((city) => ctx.countyManifest.cities[city]).find(Boolean);
+  const county = ownCounty || (cityCounty && ctx.countyManifest.counties[cityCounty]?.name) || "";
+  if (county) {
+    const slug = `${slugify(county)}-county`;
+    return {
+      key: `county:${county}`,
+      label: `${county} County`,
+      href: ctx.countyManifest.counties[slug] ? `/${ctx.state}/${slug}/` : "",
+      kind: "county",
+    };
+  }
+
+  const city = cities.find((c) => ctx.liveCities.has(c)) || cities[0] || "";
+  if (city) {
+    return {
+      key: `city:${city}`,
+      label: ctx.cityLabels.get(city) || titleCaseFromSlug(city),
+      href: ctx.liveCities.has(city) ? `/${ctx.state}/${city}/` : "",
+      kind: "city",
+    };
+  }
+  return { key: "other", label: "Other locations", href: "", kind: "other" };
+}
+
+// Map type label -> [{ key, label, href, kind, items }], biggest group first; sites with a page first in a group
+function groupByType(records, ctx) {
+  const byType = new Map();
+  for (const entry of records) {
+    const type = normalizeType(entry.record.type).label;
+    if (!byType.has(type)) byType.set(type, new Map());
+    const groups = byType.get(type);
+    const group = groupFor(entry, ctx);
+    if (!groups.has(group.key)) groups.set(group.key, { ...group, items: [] });
+    groups.get(group.key).items.push(cardItem(entry.record, ctx.pageIds.has(entry.record.id)));
+  }
+
+  const out = new Map();
+  for (const [type, groups] of byType) {
+    const sorted = Array.from(groups.values())
+      .map((group) => ({
+        ...group,
+        items: group.items.sort((a, b) => Number(!a.id) - Number(!b.id) || cleanStr(a.name).localeCompare(cleanStr(b.name))),
+      }))
+      .sort((a, b) => (a.kind === "other") - (b.kind === "other") || b.items.length - a.items.length || a.label.localeCompare(b.label));
+    out.set(type, sorted);
+  }
+  return out;
+}
+
+// "county", "city" or "county or city", for headings
+function groupWord(groups) {
+  const kinds = new Set(groups.map((g) => g.kind).filter((k) => k !== "other"));
+  if (kinds.size > 1) return "county or city";
+  return kinds.has("county") ? "county" : "city";
+}
+
+// "counties", "cities" or "counties and cities"
+function groupPlural(groups, n) {
+  const word = groupWord(groups);
+  if (n === 1) return word === "county or city" ? "place" : word;
+  if (word === "county or city") return "counties and cities";
+  return word === "county" ? "counties" : "cities";
+}
+
+function countPhrase(n, [singular, plural]) {
+  return `${n} ${n === 1 ? singular : plural}`;
+}
+
+function buildGroupsHtml({ state, page, groups }) {
+  const stateName = titleCaseFromSlug(state);
+  return `
+<section class="seo-copy" id="typeGroups" aria-label="${escapeHtml(page.title)} in ${escapeHtml(stateName)} by ${groupWord(groups)}" style="margin-top:18px">
+  <h2>${escapeHtml(page.title)} by ${groupWord(groups)}</h2>
+  ${groups
+    .map((group) => {
+      const heading = group.href
+        ? `<a class="link" href="${escapeHtml(group.href)}">${escapeHtml(group.label)}</a>`
+        : escapeHtml(group.label);
+      const items = group.items
+        .map((item) => {
+          const name = escapeHtml(cleanStr(item.name) || "Unnamed location");
+          return `<li>${item.id ? `<a class="link" href="/facility/${encodeURIComponent(item.id)}/">${name}</a>` : name}</li>`;
+        })
+        .join("\n      ");
+      return `<h3>${heading} <span class="muted" style="font-weight:600">&middot; ${group.items.length}</span></h3>
+  <ul>
+      ${items}
+  </ul>`;
+    })
+    .join("\n  ")}
+</section>
+`.trim();
+}
+
+function buildBackNavHtml({ state, pages, current }) {
+  const stateName = titleCaseFromSlug(state);
+  const others = pages
+    .filter((page) => page.slug !== current)
+    .map((page) => `  <a class="cityhub__backlink" href="/${escapeHtml(state)}/${escapeHtml(page.slug)}/">${escapeHtml(page.title)} in ${escapeHtml(stateName)}</a>`);
+  return [
+    `<div class="cityhub__backnav">`,
+    `  <a class="cityhub__backlink" href="/${escapeHtml(state)}/">&larr; Back to ${escapeHtml(stateName)}</a>`,
+    ...others,
+    `</div>`,
+  ].join("\n");
+}
+
+function buildTypeFaq({ state, page, items, groups }) {
+  const stateName = titleCaseFromSlug(state);
+  const top = groups.filter((g) => g.kind !== "other").slice(0, 3).map((g) => `${g.label} (${g.items.length})`);
+  return [
+    {
+      question: `Where are the ${page.noun[1]} in ${stateName}?`,
+      answer:
+        `We list ${countPhrase(items.length, page.noun)} in ${stateName}` +
+        (top.length ? `. The most are in ${top.length > 1 ? `${top.slice(0, -1).join(", ")} and ${top[top.length - 1]}` : top[0]}.` : "."),
+    },
+    {
+      question: `Can anyone use a ${page.noun[0]} in ${stateName}?`,
+      answer: TYPE_ACCESS[page.type] || TYPE_ACCESS.Landfill,
+    },
+  ];
+}
+
+function buildMeta({ state, page, items, groups }) {
+  const stateName = titleCaseFromSlug(state);
+  const word = groupWord(groups);
+  const title = `${page.title} in ${stateName} (${items.length} Sites) | JunkScout`;
+  const description =
+    `All ${countPhrase(items.length, page.noun)} we list in ${stateName}, grouped by ${word}, ` +
+    "with a map, hours, fees and directions for each site.";
+  const canonicalPath = `/${state}/${page.slug}/`;
+  const canonicalUrl = `${BASE_URL}${canonicalPath}`;
+
+  return {
+    title,
+    description,
+    canonicalPath,
+    canonicalUrl,
+    ogTitle: title,
+    ogDesc: description,
+  };
+}
+
+function buildJsonLd({ state, page, items, meta, faq }) {
+  const url = meta.canonicalUrl;
+  const siteUrl = `${BASE_URL}/`;
+  const stateName = titleCaseFromSlug(state);
+
+  const graph = [
+    {
+      "@type": "Organization",
+      "@id": `${siteUrl}#org`,
+      name: "JunkScout",
+      url: siteUrl,
+    },
+    {
+      "@type": "WebSite",
+      "@id": `${siteUrl}#website`,
+      name: "JunkScout",
+      url: siteUrl,
+      publisher: { "@id": `${siteUrl}#org` },
+      potentialAction: {
+        "@type": "SearchAction",
+        target: {
+          "@type": "EntryPoint",
+          urlTemplate: `${BASE_URL}/?where={search_term_string}`,
+        },
+        "query-input": "required name=search_term_string",
+      },
+    },
+    {
+      "@type": "BreadcrumbList",
+      "@id": `${url}#breadcrumb`,
+      itemListElement: [
+        { "@type": "ListItem", position: 1, name: "Home", item: siteUrl },
+        { "@type": "ListItem", position: 2, name: stateName, item: `${BASE_URL}/${state}/` },
+        { "@type": "ListItem", position: 3, name: page.title, item: url },
+      ],
+    },
+    {
+      "@type": "ItemList",
+      "@id": `${url}#facilities`,
+      name: `${page.title} in ${stateName}`,
+      numberOfItems: items.length,
+      itemListElement: items.map((item, i) => ({
+        "@type": "ListItem",
+        position: i + 1,
+        name: cleanStr(item.name) || "Unnamed location",
+        ...(item.id ? { url: `${BASE_URL}/facility/${encodeURIComponent(item.id)}/` } : {}),
+      })),
+    },
+    {
+      "@type": "WebPage",
+      "@id": `${url}#webpage`,
+      name: meta.title,
+      description: meta.description,
+      url,
+      isPartOf: { "@id": `${siteUrl}#website` },
+      mainEntity: { "@id": `${url}#facilities` },
+      breadcrumb: { "@id": `${url}#breadcrumb` },
+    },
+    {
+      "@type": "FAQPage",
+      "@id": `${url}#faq`,
+      mainEntity: faq.map((entry) => ({
+        "@type": "Question",
+        name: entry.question,
+        acceptedAnswer: { "@type": "Answer", text: entry.answer },
+      })),
+    },
+  ];
+
+  const json = JSON.stringify({ "@context": "https://schema.org", "@graph": graph }, null, 2);
+  return `<script type="application/ld+json">\n${json}\n</script>`;
+}
+
+function injectHeadMeta(html, meta) {
+  const tags = `
+  <title>${escapeHtml(meta.title)}</title>
+  <meta name="description" content="${escapeHtml(meta.description)}" />
+  <link rel="canonical" href="${escapeHtml(meta.canonicalUrl)}" />
+
+  <meta property="og:type" content="website" />
+  <meta property="og:title" content="${escapeHtml(meta.ogTitle)}" />
+  <meta property="og:description" content="${escapeHtml(meta.ogDesc)}" />
+  <meta property="og:url" content="${escapeHtml(meta.canonicalUrl)}" />
+
+  <meta name="twitter:card" content="summary" />
+  <meta name="twitter:title" content="${escapeHtml(meta.ogTitle)}" />
+  <meta name="twitter:description" content="${escapeHtml(meta.ogDesc)}" />
+`;
+
+  return html.replace("</head>", `${tags}\n</head>`);
+}
+
+// Replaces the inner html of the first match; the pattern must capture the opening and closing tags.
+function replaceInner(html, pattern, inner) {
+  return html.replace(pattern, (match, open, close) => `${open}${inner}${close}`);
+}
+
+function replaceMarker(html, name, inner) {
+  const markerRegex = new RegExp(`<!--\\s*${name}:START\\s*-->[\\s\\S]*?<!--\\s*${name}:END\\s*-->`);
+  return html.replace(markerRegex, () => `<!-- ${name}:START -->\n${inner}\n<!-- ${name}:END -->`);
+}
+
+function renderTypePage(template, { state, page, groups, pages }) {
+  const stateName = titleCaseFromSlug(state);
+  const stateAbbrev = stateAbbrevFromSlug(state);
+  const items = groups.flatMap((group) => group.items);
+  const meta = buildMeta({ state, page, items, groups });
+  const faq = buildTypeFaq({ state, page, items, groups });
+  const [where, access] = faq;
+  const named = groups.filter((g) => g.kind !== "other").length;
+  const registryOnly = items.filter((item) => !item.id).length;
+  const overlay = JSON.stringify({ state: stateAbbrev, facilities: items }).replace(/</g, "\\u003c");
+
+  let html = template;
+  html = injectHeadMeta(html, meta);
+  html = replaceMarker(html, "JSONLD", buildJsonLd({ state, page, items, meta, faq }));
+  html = html.replace(
+    "<body>",
+    `<body data-state="${escapeHtml(state)}" data-city="${escapeHtml(page.slug)}" data-facility-type="${escapeHtml(page.slug)}">`
+  );
+  html = html.replace(
+    /(<section class="cards" id="results"[^>]*>)[\s\S]*?(<\/section>)/i,
+    (match, open, close) => `${open}\n${buildInitialResultsHtml(items, { limit: INITIAL_RESULTS_LIMIT })}\n${close}`
+  );
+  html = replaceMarker(html, "STATEHUBLINK", buildBackNavHtml({ state, pages, current: page.slug }));
+  html = replaceMarker(html, "TYPEGROUPS", buildGroupsHtml({ state, page, groups }));
+  html = html.replace("</body>", () => `<script id="CURATED:JSON" type="application/json">\n${overlay}\n</script>\n</body>`);
+
+  html = replaceInner(html, /(<h1[^>]*id="cityTitle"[^>]*>)[\s\S]*?(<\/h1>)/i, escapeHtml(`${page.title} in ${stateName}`));
+  html = replaceInner(
+    html,
+    /(<p[^>]*id="cityAnswer"[^>]*>)[\s\S]*?(<\/p>)/i,
+    escapeHtml(
+      `${countPhrase(items.length, page.noun)} across ${named} ${groupPlural(groups, named)} in ${stateName}.` +
+        (registryOnly ? ` ${registryOnly} come from the state permit registry and may not take the public.` : "")
+    )
+  );
+  html = replaceInner(
+    html,
+    /(<p[^>]*id="citySubhead"[^>]*>)[\s\S]*?(<\/p>)/i,
+    escapeHtml(`Grouped by ${groupWord(groups)} below the map. Open a site for hours, fees and what it accepts.`)
+  );
+  html = replaceInner(
+    html,
+    /(<section class="seo-copy" style="margin-top:26px">\s*<p>)[\s\S]*?(<\/p>)/i,
+    `Looking for a <strong>${escapeHtml(page.noun[0])}</strong> in ${escapeHtml(stateName)}? ` +
+      `This page lists every ${escapeHtml(page.noun[0])} we know of in the state, including permitted sites that no city guide lists yet. ` +
+      "County and city guides cover local residency rules and other drop-off options."
+  );
+  html = replaceInner(html, /(<span id="cityNameInline">)[\s\S]*?(<\/span>)/, escapeHtml(stateName));
+  html = replaceInner(html, /(<h2[^>]*id="faqDumpWhere"[^>]*>[\s\S]*?<\/h2>\s*<p>)[\s\S]*?(<\/p>)/i, escapeHtml(where.answer));
+  html = replaceInner(html, /(<h2[^>]*id="faqDumpWhere"[^>]*>)[\s\S]*?(<\/h2>)/i, escapeHtml(where.question));
+  html = replaceInner(html, /(<h2[^>]*id="faqDumpFree"[^>]*>)[\s\S]*?(<\/h2>)/i, escapeHtml(access.question));
+  html = replaceInner(html, /(<p[^>]*id="faqDumpFreeBody"[^>]*>)[\s\S]*?(<\/p>)/i, escapeHtml(access.answer));
+  html = html.replace("<h2>About dumping in this city</h2>", () => `<h2>About ${escapeHtml(page.noun[1])} in ${escapeHtml(stateName)}</h2>`);
+  return { html, meta };
+}
+
+function writeManifest(pages) {
+  const out = {};
+  for (const page of pages) out[page.slug] = { title: page.title, facilities: page.facilities };
+  fs.mkdirSync(path.dirname(MANIFEST_PATH), { recursive: true });
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(out, null, 2) + "\n", "utf-8");
+}
+
+function run() {
+  if (!fs.existsSync(CITY_LIST_PATH)) {
+    console.error(`❌ City list not found: ${CITY_LIST_PATH}`);
+    process.exit(1);
+  }
+
+  let template = fs.readFileSync(TEMPLATE_PATH, "utf-8");
+  template = template
+    .replace(/<title>.*?<\/title>\s*/i, "")
+    .replace(/<meta\s+name="description"[^>]*>\s*/i, "")
+    .replace(/<link\s+rel="canonical"[^>]*>\s*/i, "");
+
+  const liveCities = readLiveCities(STATE_ARG);
+  const gazetteer = loadGazetteer(STATE_ARG);
+  const ctx = {
+    state: STATE_ARG,
+    liveCities,
+    pageIds: readFacilityPageIds(liveCities),
+    countyManifest: readCountyManifest(),
+    cityLabels: new Map(
+      Array.from(liveCities.keys()).map((city) => [city, gazetteer?.resolve(city)?.place?.name || titleCaseFromSlug(city)])
+    ),
+  };
+  const records = readStateRecords(STATE_ARG);
+  const byType = groupByType(records, ctx);
+
+  const collisions = [];
+  const pages = FACILITY_TYPE_PAGES
+    .map((page) => {
+      const groups = byType.get(page.type) || [];
+      return { ...page, groups, facilities: groups.reduce((n, g) => n + g.items.length, 0) };
+    })
+    .filter((page) => page.facilities >= TYPE_MIN_FACILITIES)
+    .filter((page) => {
+      if (!liveCities.has(page.slug)) return true;
+      collisions.push(page.slug);
+      return false;
+    });
+
+  const cache = openBuildCache({ force: FORCE });
+  const generatorHash = hashInputs(hashModuleTree(module), template);
+  const pageLinks = pages.map(({ slug, title }) => ({ slug, title }));
+
+  for (const page of pages) {
+    const outFile = path.join(OUTPUT_BASE, STATE_ARG, page.slug, "index.html");
+    const inputsHash = hashInputs(generatorHash, STATE_ARG, page.slug, page.groups, pageLinks);
+    if (cache.isFresh(outFile, inputsHash)) {
+      cache.skip();
+      continue;
+    }
+
+    const { html } = renderTypePage(template, { state: STATE_ARG, page, groups: page.groups, pages: pageLinks });
+    cache.write(outFile, html, inputsHash);
+    console.log(`Wrote type page: ${outFile} (${page.facilities} facilities in ${page.groups.length} group(s))`);
+  }
+
+  cache.save();
+  writeManifest(pages);
+
+  if (collisions.length > 0) {
+    console.warn(`⚠️ Skipped ${collisions.length} type page(s) whose slug is a live city: ${collisions.join(", ")}`);
+  }
+  console.log(
+    `✅ Generated ${cache.stats.written} type page(s); ${cache.stats.unchanged} unchanged ` +
+      `(${pages.length} of ${FACILITY_TYPE_PAGES.length} types have ${TYPE_MIN_FACILITIES}+ facilities in ${titleCaseFromSlug(STATE_ARG)}).`
+  );
+}
+
+run();
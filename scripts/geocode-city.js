@@ -1,15 +1,27 @@
 // scripts/geocode-city.js
-// Usage: node scripts/geocode-city.js data/manual/texas/houston.json
+// Geocodes the facility addresses in a manual city file through scripts/geocoders and writes <city>.geocoded.json.
+// Each geocoded facility gets lat/lng plus geocode_match (what was matched), geocode_source (which backend)
+// and geocode_confidence (high = address point, medium = interpolated street range, low = ZIP centroid).
+//
+// Usage (CMD):
+//   node scripts/geocode-city.js data/manual/texas/houston.json
+//   node scripts/geocode-city.js data/manual/texas/houston.json --cache-only          (no network: cache + local tables)
+//   node scripts/geocode-city.js data/manual/texas/houston.json --backends address-points,zip-centroids
+//
+// Online results are cached in .geocode-cache.json.
 
 const fs = require("fs/promises");
 const path = require("path");
-
-const CACHE_PATH = path.resolve(".geocode-cache.json");
-
-// Census Geocoder docs: onelineaddress endpoint
-// https://geocoding.geo.census.gov/geocoder/locations/onelineaddress?... :contentReference[oaicite:2]{index=2}
-const CENSUS_ENDPOINT =
-  "https://geocoding.geo.census.gov/geocoder/locations/onelineaddress";
+const { createGeocoder, DEFAULT_GEOCODE_BACKENDS } = require("./geocoders");
+
+function readFlag(args, name) {
+  const prefix = `--${name}=`;
+  const inline = args.find((a) => a.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+  const i = args.indexOf(`--${name}`);
+  if (i !== -1 && args[i + 1] && !args[i + 1].startsWith("--")) return args[i + 1];
+  return "";
+}
 
 function looksGeocodableAddress(addr) {
   if (!addr) return false;
@@ -22,61 +34,20 @@ function looksGeocodableAddress(addr) {
   return /\d/.test(s) && s.includes(",");
 }
 
-async function loadCache() {
-  try {
-    const raw = await fs.readFile(CACHE_PATH, "utf8");
-    const json = JSON.parse(raw);
-    return json && typeof json === "object" ? json : {};
-  } catch {
-    return {};
-  }
-}
-
-async function saveCache(cache) {
-  await fs.writeFile(CACHE_PATH, JSON.stringify(cache, null, 2), "utf8");
-}
-
-async function geocodeCensus(address) {
-  const params = new URLSearchParams({
-    address,
-    benchmark: "Public_AR_Current",
-    format: "json",
-  });
-
-  const url = `${CENSUS_ENDPOINT}?${params.toString()}`;
-  const res = await fetch(url, {
-    headers: {
-      // not required, but nice to be explicit
-      "Accept": "application/json",
-    },
-  });
-
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    throw new Error(`Census ${res.status}: ${text.slice(0, 200)}`);
-  }
-
-  const data = await res.json();
-
-  const matches = data?.result?.addressMatches || [];
-  if (!matches.length) return null;
-
-  // Take best match
-  const m = matches[0];
-  const coords = m?.coordinates;
-  if (!coords || typeof coords.x !== "number" || typeof coords.y !== "number") return null;
-
-  // Census returns { x: lon, y: lat }
-  return { lat: coords.y, lng: coords.x, match: m?.matchedAddress || "" };
-}
-
 async function main() {
-  const inputPath = process.argv[2];
+  const args = process.argv.slice(2);
+  const inputPath = args.find((a, i) => !a.startsWith("--") && args[i - 1] !== "--backends");
   if (!inputPath) {
-    console.error("Usage: node scripts/geocode-city.js <path-to-city-json>");
+    console.error("Usage: node scripts/geocode-city.js <path-to-city-json> [--cache-only] [--backends a,b]");
     process.exit(1);
   }
 
+  const cacheOnly = args.includes("--cache-only");
+  const backendList = readFlag(args, "backends");
+  const backends = backendList
+    ? backendList.split(",").map((s) => s.trim()).filter(Boolean)
+    : DEFAULT_GEOCODE_BACKENDS;
+
   const absIn = path.resolve(inputPath);
   const raw = await fs.readFile(absIn, "utf8");
   const cityObj = JSON.parse(raw);
@@ -85,10 +56,13 @@ async function main() {
     throw new Error("Expected JSON with a top-level { facilities: [...] }");
   }
 
-  const cache = await loadCache();
+  const geocoder = createGeocoder({ backends, cacheOnly });
+  console.log(`ℹ️ Backends: ${geocoder.backends.join(", ") || "(none available)"}${cacheOnly ? " (cache only)" : ""}`);
 
+  const grades = { high: 0, medium: 0, low: 0 };
   let geocodedCount = 0;
   let skipped = 0;
+  let unmatched = 0;
 
   const facilities = [];
   for (const f of cityObj.facilities) {
@@ -101,40 +75,27 @@ async function main() {
       continue;
     }
 
-    if (cache[key]) {
-      facilities.push({ ...f, ...cache[key] });
-      if (cache[key].lat && cache[key].lng) geocodedCount++;
-      continue;
+    const hit = await geocoder.geocode(addr, { cacheKey: key });
+    if (hit && !hit.geocode_error) {
+      facilities.push({ ...f, ...hit });
+      geocodedCount++;
+      if (grades[hit.geocode_confidence] !== undefined) grades[hit.geocode_confidence]++;
+    } else {
+      facilities.push({ ...f, ...(hit || {}) }); // keeps geocode_error on recorded misses
+      unmatched++;
     }
-
-    try {
-      const hit = await geocodeCensus(addr);
-      if (hit) {
-        cache[key] = { lat: hit.lat, lng: hit.lng, geocode_match: hit.match, geocode_source: "census" };
-        facilities.push({ ...f, ...cache[key] });
-        geocodedCount++;
-      } else {
-        cache[key] = { geocode_source: "census", geocode_error: "no_match" };
-        facilities.push({ ...f });
-      }
-    } catch (e) {
-      cache[key] = { geocode_source: "census", geocode_error: String(e.message || e) };
-      facilities.push({ ...f });
-    }
-
-    // Be polite anyway: tiny pacing
-    await new Promise((r) => setTimeout(r, 250));
   }
 
   const outObj = { ...cityObj, facilities };
   const outPath = absIn.replace(/\.json$/i, ".geocoded.json");
   await fs.writeFile(outPath, JSON.stringify(outObj, null, 2), "utf8");
-  await saveCache(cache);
+  geocoder.save();
 
-  console.log(`✅ Geocoded: ${geocodedCount}`);
+  console.log(`✅ Geocoded: ${geocodedCount} (high: ${grades.high}, medium: ${grades.medium}, low: ${grades.low})`);
   console.log(`↷ Skipped (non-address/ambiguous): ${skipped}`);
+  if (unmatched) console.log(`⚠️ No match${cacheOnly ? " in cache or local tables" : ""}: ${unmatched}`);
   console.log(`📄 Output: ${outPath}`);
-  console.log(`🧠 Cache: ${CACHE_PATH}`);
+  console.log(`🧠 Cache: ${path.resolve(".geocode-cache.json")}`);
 }
 
 main().catch((err) => {
@@ -0,0 +1,73 @@
+// scripts/geocoders/address-points.js
+// Local address point tables (offline, "high" confidence: each row is a surveyed point for one address).
+//
+// Drop CSV files into ./data/geocoding/address-points/. OpenAddresses exports work as-is
+// (LON, LAT, NUMBER, STREET, CITY, REGION, POSTCODE); county/city address point layers work when their
+// columns use one of the names below. Clip large statewide files to the counties you need first:
+// every row is held in memory.
+
+const path = require("path");
+const { GEOCODING_DIR, listTableFiles, readTable, toCoord } = require("./tables");
+const { normalizeStreet, normalizeCity, normalizeZip, parseAddress } = require("./address");
+
+const DIR = path.join(GEOCODING_DIR, "address-points");
+
+const COLUMNS = {
+  number: ["number", "house_number", "addr:housenumber", "add_number", "addnum"],
+  street: ["street", "street_name", "addr:street", "fullname", "st_name"],
+  city: ["city", "addr:city", "municipality", "post_comm"],
+  state: ["region", "state", "addr:state"],
+  zip: ["postcode", "zip", "zipcode", "zip_code", "addr:postcode"],
+  lat: ["lat", "latitude", "y"],
+  lng: ["lon", "lng", "longitude", "x"],
+};
+
+let index = null; // "number|street|zip" and "number|street|city" -> point
+
+function load() {
+  if (index) return index;
+  index = new Map();
+
+  for (const file of listTableFiles(DIR)) {
+    for (const row of readTable(file, COLUMNS)) {
+      const lat = toCoord(row.lat, 90);
+      const lng = toCoord(row.lng, 180);
+      const number = row.number.toLowerCase();
+      const street = normalizeStreet(row.street);
+      if (lat === null || lng === null || !number || !street) continue;
+
+      const zip = normalizeZip(row.zip);
+      const city = normalizeCity(row.city);
+      const label = [`${row.number} ${row.street}`, row.city, row.state, zip]
+        .map((x) => String(x || "").trim())
+        .filter(Boolean)
+        .join(", ")
+        .toUpperCase();
+      const point = { lat, lng, match: label };
+
+      if (zip && !index.has(`${number}|${street}|${zip}`)) index.set(`${number}|${street}|${zip}`, point);
+      if (city && !index.has(`${number}|${street}|${city}`)) index.set(`${number}|${street}|${city}`, point);
+    }
+  }
+  return index;
+}
+
+async function geocode(address) {
+  const parsed = parseAddress(address);
+  if (!parsed.number || !parsed.street) return null;
+
+  const points = load();
+  const hit =
+    (parsed.zip && points.get(`${parsed.number}|${parsed.street}|${parsed.zip}`)) ||
+    (parsed.city && points.get(`${parsed.number}|${parsed.street}|${parsed.city}`));
+
+  return hit ? { ...hit, confidence: "high" } : null;
+}
+
+module.exports = {
+  key: "address-points",
+  source: "address_points",
+  online: false,
+  available: () => listTableFiles(DIR).length > 0,
+  geocode,
+};
@@ -0,0 +1,94 @@
+// scripts/geocoders/address.js
+// Address parsing and normalization shared by the local geocoding backends and the coordinate report.
+//
+//   parseAddress("9003 N Main St, Houston, TX 77022")
+//     -> { number: "9003", street: "n main st", city: "houston", state: "TX", zip: "77022" }
+
+// Suffixes and directionals as USPS abbreviations, so "North Main Street" and "N Main St" match.
+const STREET_WORDS = {
+  street: "st",
+  avenue: "ave",
+  av: "ave",
+  road: "rd",
+  boulevard: "blvd",
+  drive: "dr",
+  lane: "ln",
+  court: "ct",
+  place: "pl",
+  parkway: "pkwy",
+  highway: "hwy",
+  freeway: "fwy",
+  expressway: "expy",
+  circle: "cir",
+  terrace: "ter",
+  trail: "trl",
+  north: "n",
+  south: "s",
+  east: "e",
+  west: "w",
+  northeast: "ne",
+  northwest: "nw",
+  southeast: "se",
+  southwest: "sw",
+};
+
+function clean(s) {
+  return (s ?? "").toString().trim();
+}
+
+function normalizeStreet(street) {
+  return clean(street)
+    .toLowerCase()
+    .replace(/[.,#]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((w) => STREET_WORDS[w] || w)
+    .join(" ");
+}
+
+function normalizeCity(city) {
+  return clean(city)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function normalizeZip(zip) {
+  const m = clean(zip).match(/^(\d{5})/);
+  return m ? m[1] : "";
+}
+
+// Works for "123 Main St, City, ST 12345" and "123 Main St, City ST 12345".
+// Registry addresses without commas ("5755 OATES RD HOUSTON TX 77078") only yield state and zip.
+function parseAddress(address) {
+  const text = clean(address).replace(/\s+/g, " ");
+  const out = { number: "", street: "", city: "", state: "", zip: "" };
+  if (!text) return out;
+
+  let rest = text;
+  const tail = rest.match(/[,\s]+([A-Za-z]{2})\.?(?:\s+(\d{5})(?:-\d{4})?)?\s*(?:,?\s*(?:USA|United States))?$/);
+  if (tail) {
+    out.state = tail[1].toUpperCase();
+    out.zip = tail[2] || "";
+    rest = rest.slice(0, tail.index);
+  }
+
+  const parts = rest.split(",").map(clean).filter(Boolean);
+  const streetPart = parts[0] || "";
+  if (parts.length >= 2) out.city = normalizeCity(parts[parts.length - 1]);
+
+  const m = streetPart.match(/^(\d+[A-Za-z]?)(?:-\d+)?\s+(.+)$/);
+  if (m && parts.length >= 2) {
+    out.number = m[1].toLowerCase();
+    out.street = normalizeStreet(m[2]);
+  }
+
+  return out;
+}
+
+module.exports = {
+  normalizeStreet,
+  normalizeCity,
+  normalizeZip,
+  parseAddress,
+};
@@ -0,0 +1,49 @@
+// scripts/geocoders/census.js
+// US Census Geocoder, onelineaddress endpoint (online).
+// https://geocoding.geo.census.gov/geocoder/locations/onelineaddress
+// Matches are interpolated along TIGER street address ranges, so they grade "medium".
+
+const CENSUS_ENDPOINT = "https://geocoding.geo.census.gov/geocoder/locations/onelineaddress";
+
+async function geocode(address) {
+  const params = new URLSearchParams({
+    address,
+    benchmark: "Public_AR_Current",
+    format: "json",
+  });
+
+  const url = `${CENSUS_ENDPOINT}?${params.toString()}`;
+  const res = await fetch(url, {
+    headers: {
+      // not required, but nice to be explicit
+      Accept: "application/json",
+    },
+  });
+
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`Census ${res.status}: ${text.slice(0, 200)}`);
+  }
+
+  const data = await res.json();
+
+  const matches = data?.result?.addressMatches || [];
+  if (!matches.length) return null;
+
+  // Take best match
+  const m = matches[0];
+  const coords = m?.coordinates;
+  if (!coords || typeof coords.x !== "number" || typeof coords.y !== "number") return null;
+
+  // Census returns { x: lon, y: lat }
+  return { lat: coords.y, lng: coords.x, match: m?.matchedAddress || "", confidence: "medium" };
+}
+
+module.exports = {
+  key: "census",
+  source: "census",
+  online: true,
+  delayMs: 250, // be polite anyway: tiny pacing
+  available: () => true,
+  geocode,
+};
@@ -0,0 +1,54 @@
+// scripts/geocoders/city-centroids.js
+// Reverse lookup against ./data/<state>/_city-centroids.json (offline): the nearest city centroid within
+// MAX_MILES wins. Coarser than Nominatim, but it only ever returns cities the site already knows.
+
+const fs = require("fs");
+const path = require("path");
+const { distanceMiles } = require("./distance");
+
+const MAX_MILES = 12;
+
+const byState = new Map(); // state -> [{ slug, lat, lng }]
+
+function centroidsFor(state) {
+  const s = String(state || "").toLowerCase().trim();
+  if (byState.has(s)) return byState.get(s);
+
+  let list = [];
+  try {
+    const p = path.join("data", s, "_city-centroids.json");
+    const raw = fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, "utf-8")) : {};
+    list = Object.entries(raw || {})
+      .filter(([, c]) => Number.isFinite(c?.lat) && Number.isFinite(c?.lng))
+      .map(([slug, c]) => ({ slug, lat: c.lat, lng: c.lng }));
+  } catch {
+    list = [];
+  }
+  byState.set(s, list);
+  return list;
+}
+
+function titleCaseFromSlug(slug) {
+  return slug
+    .split("-")
+    .filter(Boolean)
+    .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+    .join(" ");
+}
+
+async function reverse(lat, lng, { state } = {}) {
+  let best = null;
+  for (const c of centroidsFor(state)) {
+    const d = distanceMiles(lat, lng, c.lat, c.lng);
+    if (d <= MAX_MILES && (!best || d < best.d)) best = { slug: c.slug, d };
+  }
+  return best ? titleCaseFromSlug(best.slug) : null;
+}
+
+module.exports = {
+  key: "city-centroids",
+  source: "city_centroids",
+  online: false,
+  available: () => true,
+  reverse,
+};
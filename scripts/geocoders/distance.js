@@ -0,0 +1,22 @@
+// scripts/geocoders/distance.js
+// Great-circle distance in miles.
+
+function toRadians(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+function distanceMiles(lat1, lng1, lat2, lng2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+      Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  const earthRadiusMi = 3958.8;
+  return earthRadiusMi * c;
+}
+
+module.exports = {
+  distanceMiles,
+};
@@ -0,0 +1,212 @@
+// scripts/geocoders/index.js
+// Pluggable geocoder used by geocode-city.js (address -> lat/lng) and generate-cities.js (lat/lng -> city).
+//
+//   const { createGeocoder } = require("./geocoders");
+//   const geocoder = createGeocoder({ cacheOnly: true });
+//   const hit = await geocoder.geocode("9003 N Main St, Houston, TX 77022");
+//   // { lat, lng, geocode_match, geocode_source, geocode_confidence } | { geocode_source, geocode_error } | null
+//   geocoder.save();
+//
+// Backends are tried in order and the first match wins, so list them best grade first:
+//   address-points   ./data/geocoding/address-points/*.csv   offline  high
+//   census           Census onelineaddress                    online   medium
+//   zip-centroids    ./data/geocoding/zip-centroids.csv       offline  low
+//   nominatim        OSM reverse lookup                       online   (reverse only)
+//   city-centroids   ./data/<state>/_city-centroids.json      offline  (reverse only)
+// Local backends whose table is missing are skipped.
+//
+// Online answers (matches and misses) are cached, keyed by the caller's cache key. With cacheOnly, online
+// backends answer from the cache only and nothing goes over the network; local backends still run.
+//
+// A backend module exports { key, source, online, delayMs?, available(), geocode?(address), reverse?(lat, lng, { state }) }.
+// geocode resolves to { lat, lng, match, confidence } or null; reverse resolves to a city name or null.
+
+const fs = require("fs");
+const path = require("path");
+
+const BACKENDS = [
+  require("./address-points"),
+  require("./census"),
+  require("./zip-centroids"),
+  require("./nominatim"),
+  require("./city-centroids"),
+];
+
+const DEFAULT_GEOCODE_BACKENDS = ["address-points", "census", "zip-centroids"];
+const DEFAULT_REVERSE_BACKENDS = ["nominatim", "city-centroids"];
+const DEFAULT_CACHE_PATH = path.resolve(".geocode-cache.json");
+
+// geocode_confidence for cache entries written before grades existed.
+const LEGACY_CONFIDENCE = { census: "medium" };
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function openCache(filePath) {
+  let data = {};
+  try {
+    if (filePath && fs.existsSync(filePath)) data = JSON.parse(fs.readFileSync(filePath, "utf8")) || {};
+  } catch {
+    data = {};
+  }
+  let dirty = false;
+
+  return {
+    has: (key) => Object.prototype.hasOwnProperty.call(data, key),
+    get: (key) => data[key],
+    set(key, value) {
+      data[key] = value;
+      dirty = true;
+    },
+    save() {
+      if (!filePath || !dirty) return;
+      fs.writeFileSync(filePath, JSON.stringify(data, null, 2), "utf8");
+      dirty = false;
+    },
+  };
+}
+
+function resolveBackends(keys, capability) {
+  return keys.map((key) => {
+    const backend = BACKENDS.find((b) => b.key === key);
+    if (!backend) {
+      throw new Error(`Unknown geocoder backend "${key}". Backends: ${BACKENDS.map((b) => b.key).join(", ")}`);
+    }
+    if (typeof backend[capability] !== "function") {
+      throw new Error(`Geocoder backend "${key}" has no ${capability} lookup`);
+    }
+    return backend;
+  });
+}
+
+function reverseKey(lat, lng) {
+  return `${Number(lat).toFixed(4)},${Number(lng).toFixed(4)}`; // 4dp = cache-friendly
+}
+
+function createGeocoder({
+  backends = DEFAULT_GEOCODE_BACKENDS,
+  reverseBackends = DEFAULT_REVERSE_BACKENDS,
+  cacheOnly = false,
+  cachePath = DEFAULT_CACHE_PATH,
+  reverseCachePath = "",
+} = {}) {
+  const forward = resolveBackends(backends, "geocode").filter((b) => b.available());
+  const backward = resolveBackends(reverseBackends, "reverse").filter((b) => b.available());
+  const cache = openCache(cachePath);
+  const reverseCache = openCache(reverseCachePath);
+  const stats = { cached: 0, fetched: 0, local: 0, missed: 0, failed: 0 };
+
+  async function geocode(address, { cacheKey = address } = {}) {
+    let failure = null;
+
+    for (const backend of forward) {
+      if (!backend.online) {
+        const hit = await backend.geocode(address);
+        if (!hit) continue;
+        stats.local += 1;
+        return {
+          lat: hit.lat,
+          lng: hit.lng,
+          geocode_match: hit.match,
+          geocode_source: backend.source,
+          geocode_confidence: hit.confidence,
+        };
+      }
+
+      const cached = cache.get(cacheKey);
+      if (cached && cached.geocode_source === backend.source) {
+        stats.cached += 1;
+        if (cached.geocode_error) {
+          failure = cached;
+          continue;
+        }
+        return { ...cached, geocode_confidence: cached.geocode_confidence || LEGACY_CONFIDENCE[backend.source] };
+      }
+      if (cacheOnly) continue;
+
+      let entry;
+      try {
+        const hit = await backend.geocode(address);
+        entry = hit
+          ? {
+              lat: hit.lat,
+              lng: hit.lng,
+              geocode_match: hit.match,
+              geocode_source: backend.source,
+              geocode_confidence: hit.confidence,
+            }
+          : { geocode_source: backend.source, geocode_error: "no_match" };
+      } catch (e) {
+        entry = { geocode_source: backend.source, geocode_error: String(e.message || e) };
+        stats.failed += 1;
+      }
+      cache.set(cacheKey, entry);
+      if (backend.delayMs) await sleep(backend.delayMs);
+
+      if (!entry.geocode_error) {
+        stats.fetched += 1;
+        return entry;
+      }
+      failure = entry;
+    }
+
+    stats.missed += 1;
+    return failure;
+  }
+
+  // lat/lng -> city name or null. state scopes the local city-centroid lookup.
+  async function reverse(lat, lng, { state = "" } = {}) {
+    if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lng))) return null;
+    const key = reverseKey(lat, lng);
+
+    for (const backend of backward) {
+      if (!backend.online) {
+        const city = await backend.reverse(Number(lat), Number(lng), { state });
+        if (!city) continue;
+        stats.local += 1;
+        return city;
+      }
+
+      if (reverseCache.has(key)) {
+        stats.cached += 1;
+        const city = reverseCache.get(key);
+        if (city) return city;
+        continue; // cached negative
+      }
+      if (cacheOnly) continue;
+
+      const city = await backend.reverse(Number(lat), Number(lng), { state }).catch(() => null);
+      reverseCache.set(key, city || ""); // cache negative results too
+      if (backend.delayMs) await sleep(backend.delayMs);
+      if (city) {
+        stats.fetched += 1;
+        return city;
+      }
+    }
+
+    stats.missed += 1;
+    return null;
+  }
+
+  function save() {
+    cache.save();
+    reverseCache.save();
+  }
+
+  return {
+    backends: forward.map((b) => b.key),
+    reverseBackends: backward.map((b) => b.key),
+    geocode,
+    reverse,
+    save,
+    stats,
+  };
+}
+
+module.exports = {
+  BACKENDS,
+  DEFAULT_GEOCODE_BACKENDS,
+  DEFAULT_REVERSE_BACKENDS,
+  createGeocoder,
+};
@@ -0,0 +1,34 @@
+// scripts/geocoders/nominatim.js
+// OpenStreetMap Nominatim reverse lookup, lat/lng -> city name (online).
+// Nominatim's usage policy allows one request per second, hence the delay.
+
+const NOMINATIM_REVERSE_URL = "https://nominatim.openstreetmap.org/reverse";
+
+async function reverse(lat, lng) {
+  const url =
+    `${NOMINATIM_REVERSE_URL}?format=json&lat=${encodeURIComponent(lat)}` +
+    `&lon=${encodeURIComponent(lng)}&zoom=10&addressdetails=1`;
+
+  const res = await fetch(url, {
+    headers: {
+      "User-Agent": "JunkScout/1.0 (local script)",
+      Accept: "application/json",
+    },
+  });
+
+  if (!res.ok) return null;
+
+  const data = await res.json().catch(() => null);
+  const a = data?.address || {};
+  const city = a.city || a.town || a.village || a.hamlet || a.municipality || null;
+  return String(city || "").trim() || null;
+}
+
+module.exports = {
+  key: "nominatim",
+  source: "openstreetmap",
+  online: true,
+  delayMs: 1100,
+  available: () => true,
+  reverse,
+};
@@ -0,0 +1,65 @@
+// scripts/geocoders/tables.js
+// Reads the lookup tables dropped into ./data/geocoding (CSV, or tab-separated Census gazetteer files).
+
+const fs = require("fs");
+const path = require("path");
+const { parseCsv, sniffDelimiter } = require("../csv");
+
+const GEOCODING_DIR = path.join("data", "geocoding");
+
+// Files in dir (or the single file) with a .csv/.txt/.tsv extension.
+function listTableFiles(target) {
+  if (!fs.existsSync(target)) return [];
+  if (fs.statSync(target).isFile()) return [target];
+  return fs
+    .readdirSync(target)
+    .filter((name) => /\.(csv|txt|tsv)$/i.test(name))
+    .sort()
+    .map((name) => path.join(target, name));
+}
+
+// First existing file among candidates, e.g. zip-centroids.csv or zip-centroids.txt.
+function findTableFile(baseName) {
+  for (const ext of [".csv", ".txt", ".tsv"]) {
+    const p = path.join(GEOCODING_DIR, `${baseName}${ext}`);
+    if (fs.existsSync(p)) return p;
+  }
+  return "";
+}
+
+// [{ field: value }] using the first header present for each field's candidates.
+// Fields listed in optional may be missing from the file and read as "".
+function readTable(filePath, columns, { optional = [] } = {}) {
+  const text = fs.readFileSync(filePath, "utf-8");
+  const { headers, rows } = parseCsv(text, { delimiter: sniffDelimiter(text) });
+  const lower = new Map(headers.map((h) => [h.toLowerCase(), h]));
+
+  const resolved = {};
+  for (const [field, candidates] of Object.entries(columns)) {
+    resolved[field] = candidates.map((c) => lower.get(c.toLowerCase())).find(Boolean) || "";
+  }
+
+  const missing = Object.keys(columns).filter((field) => !resolved[field] && !optional.includes(field));
+  if (missing.length) {
+    throw new Error(`${filePath}: no column for ${missing.join(", ")} (headers: ${headers.join(", ")})`);
+  }
+
+  return rows.map((row) => {
+    const out = {};
+    for (const [field, header] of Object.entries(resolved)) out[field] = header ? String(row[header] ?? "").trim() : "";
+    return out;
+  });
+}
+
+function toCoord(value, limit) {
+  const n = Number(value);
+  return Number.isFinite(n) && n !== 0 && Math.abs(n) <= limit ? n : null;
+}
+
+module.exports = {
+  GEOCODING_DIR,
+  listTableFiles,
+  findTableFile,
+  readTable,
+  toCoord,
+};
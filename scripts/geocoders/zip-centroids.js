@@ -0,0 +1,50 @@
+// scripts/geocoders/zip-centroids.js
+// ZIP (ZCTA) centroid table (offline, "low" confidence: the point is the middle of the ZIP, not the site).
+//
+// Drop ./data/geocoding/zip-centroids.csv (zip, lat, lng) or the Census ZCTA gazetteer file renamed to
+// ./data/geocoding/zip-centroids.txt (GEOID, INTPTLAT, INTPTLONG).
+
+const { findTableFile, readTable, toCoord } = require("./tables");
+const { parseAddress } = require("./address");
+
+const COLUMNS = {
+  zip: ["zip", "zcta", "zcta5", "geoid", "postcode", "zipcode"],
+  lat: ["lat", "latitude", "intptlat"],
+  lng: ["lng", "lon", "longitude", "intptlong"],
+};
+
+let centroids = null; // zip -> { lat, lng }
+
+function load() {
+  if (centroids) return centroids;
+  centroids = new Map();
+
+  const file = findTableFile("zip-centroids");
+  if (!file) return centroids;
+
+  for (const row of readTable(file, COLUMNS)) {
+    const zip = row.zip.padStart(5, "0");
+    const lat = toCoord(row.lat, 90);
+    const lng = toCoord(row.lng, 180);
+    if (/^\d{5}$/.test(zip) && lat !== null && lng !== null) centroids.set(zip, { lat, lng });
+  }
+  return centroids;
+}
+
+async function geocode(address) {
+  const { zip } = parseAddress(address);
+  if (!zip) return null;
+
+  const hit = load().get(zip);
+  return hit ? { ...hit, match: `ZIP ${zip} centroid`, confidence: "low" } : null;
+}
+
+module.exports = {
+  key: "zip-centroids",
+  source: "zip_centroids",
+  online: false,
+  available: () => Boolean(findTableFile("zip-centroids")),
+  geocode,
+  // zip -> { lat, lng } for the whole table (build-nearby-index.js); empty when the table is missing
+  loadTable: load,
+};
@@ -0,0 +1,255 @@
+// scripts/hours-spec.js
+// Free-text hours -> structured hours_spec, shared by build-hours-spec.js (manual city files) and
+// apply-facility-overrides.js (overridden `hours`). The spec shape is documented in build-hours-spec.js.
+//
+//   const { parseHours, timezoneFor } = require("./hours-spec");
+//   const spec = parseHours("Tuesday-Saturday: 9:00 AM-6:00 PM", timezoneFor("texas", "houston"));
+
+const STATE_TIMEZONES = {
+  texas: "America/Chicago",
+  california: "America/Los_Angeles",
+  arizona: "America/Phoenix",
+  georgia: "America/New_York",
+  florida: "America/New_York",
+  illinois: "America/Chicago",
+  "north-carolina": "America/New_York",
+  washington: "America/Los_Angeles",
+};
+
+// Cities that sit outside their state's main timezone
+const CITY_TIMEZONES = {
+  "texas/el-paso": "America/Denver",
+};
+
+const DAY_KEYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+const DAY_NAMES = {
+  monday: "mon",
+  tuesday: "tue",
+  wednesday: "wed",
+  thursday: "thu",
+  friday: "fri",
+  saturday: "sat",
+  sunday: "sun",
+};
+const ORDINALS = { first: 1, second: 2, third: 3, fourth: 4, last: -1 };
+
+// Clauses describing events, seasonal changes or breaks that a weekly schedule can't express
+const SKIP_CLAUSE_RE = /\b(select|selected|quarterly|following|extends?|lunch|seasonal)\b/;
+const LAST_ENTRY_CLAUSE_RE = /\b(no|last|must|vehicles?|loads?|unload\w*|scales?|entry|arrive)\b/;
+const TOKEN_RE = new RegExp(
+  [
+    "(\\d{1,2})(?::(\\d{2}))?\\s*([ap])\\.?m\\.?",
+    "\\bnoon\\b",
+    "\\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday)s?\\b",
+    "\\b(weekdays?|weekends?)\\b",
+    "\\b(daily|every day|seven days a week)\\b",
+    "\\b(first|second|third|fourth|last)\\b",
+    "\\b(closed)\\b",
+    "\\b(holidays?)\\b",
+    "\\b(through|thru|to)\\b|[-–—]",
+  ].join("|"),
+  "g"
+);
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function toClock(hour, minute, meridiem) {
+  let h = Number(hour) % 12;
+  if (meridiem === "p") h += 12;
+  return `${pad2(h)}:${pad2(Number(minute || 0))}`;
+}
+
+function dayRange(from, to) {
+  const out = [];
+  let i = DAY_KEYS.indexOf(from);
+  const end = DAY_KEYS.indexOf(to);
+  if (i < 0 || end < 0) return out;
+  // Wraps around the week, e.g. "Saturday-Sunday"
+  for (let guard = 0; guard < 7; guard += 1) {
+    out.push(DAY_KEYS[i]);
+    if (i === end) break;
+    i = (i + 1) % 7;
+  }
+  return out;
+}
+
+function sortDays(days) {
+  return Array.from(new Set(days)).sort((a, b) => DAY_KEYS.indexOf(a) - DAY_KEYS.indexOf(b));
+}
+
+function tokenize(clause) {
+  const tokens = [];
+  TOKEN_RE.lastIndex = 0;
+  let m;
+  while ((m = TOKEN_RE.exec(clause)) !== null) {
+    const raw = m[0];
+    if (m[1]) tokens.push({ kind: "time", value: toClock(m[1], m[2], m[3]) });
+    else if (raw === "noon") tokens.push({ kind: "time", value: "12:00" });
+    else if (m[4]) tokens.push({ kind: "days", value: [DAY_NAMES[m[4]]], single: true });
+    else if (m[5]) tokens.push({ kind: "days", value: m[5].startsWith("weekday") ? DAY_KEYS.slice(0, 5) : ["sat", "sun"] });
+    else if (m[6]) tokens.push({ kind: "days", value: DAY_KEYS.slice() });
+    else if (m[7]) tokens.push({ kind: "ordinal", value: ORDINALS[m[7]] });
+    else if (m[8]) tokens.push({ kind: "closed" });
+    else if (m[9]) tokens.push({ kind: "holiday" });
+    else tokens.push({ kind: "sep" });
+  }
+  return tokens;
+}
+
+function splitClauses(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/(?<=[.;])\s+|;\s*/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function parseLastEntryClause(tokens) {
+  const entries = [];
+  for (const tok of tokens) {
+    if (tok.kind === "time") entries.push({ time: tok.value, days: [] });
+    else if (tok.kind === "days" && entries.length) entries[entries.length - 1].days.push(...tok.value);
+  }
+
+  // "No vehicles after 4:30 PM and unloading must be complete by 4:50 PM" -> earliest cutoff wins
+  const everyDay = entries.filter((e) => e.days.length === 0).sort((a, b) => a.time.localeCompare(b.time));
+  const dayed = entries
+    .filter((e) => e.days.length > 0)
+    .map((e) => ({ days: sortDays(e.days), time: e.time }));
+
+  return [...(everyDay.length ? [{ time: everyDay[0].time }] : []), ...dayed];
+}
+
+function parseScheduleClause(tokens, spec) {
+  let group = { days: [], ordinals: [], done: false };
+  let pending = null;
+  let closedMode = false;
+  let emitted = 0;
+
+  function emit(open, close) {
+    if (group.ordinals.length) {
+      spec.monthly.push({ days: sortDays(group.days), weeks: group.ordinals.slice(), open, close });
+    } else {
+      spec.weekly.push({ days: sortDays(group.days), open, close });
+    }
+    group.done = true;
+    emitted += 1;
+  }
+
+  function freshGroupIfDone() {
+    if (group.done) group = { days: [], ordinals: [], done: false };
+  }
+
+  for (let i = 0; i < tokens.length; i += 1) {
+    const tok = tokens[i];
+    const prev = tokens[i - 1];
+    const prev2 = tokens[i - 2];
+
+    if (tok.kind === "closed") {
+      closedMode = true;
+      continue;
+    }
+
+    if (tok.kind === "holiday") {
+      if (closedMode) spec.closed_holidays = true;
+      continue;
+    }
+
+    if (tok.kind === "days") {
+      if (closedMode) {
+        spec.closed_days.push(...tok.value);
+        continue;
+      }
+
+      const isRange = tok.single && prev?.kind === "sep" && prev2?.kind === "days" && prev2.single;
+      if (isRange) {
+        group.days.push(...dayRange(prev2.value[0], tok.value[0]));
+        continue;
+      }
+
+      freshGroupIfDone();
+      group.days.push(...tok.value);
+      continue;
+    }
+
+    if (tok.kind === "ordinal") {
+      freshGroupIfDone();
+      group.ordinals.push(tok.value);
+      continue;
+    }
+
+    if (tok.kind === "time") {
+      closedMode = false;
+      const sep = tokens[i + 1];
+      const end = tokens[i + 2];
+      if (sep?.kind !== "sep" || end?.kind !== "time") continue;
+      i += 2;
+
+      if (group.days.length && !group.done) emit(tok.value, end.value);
+      else pending = { open: tok.value, close: end.value };
+    }
+  }
+
+  // "Open 7:00 AM to 5:30 PM Monday through Saturday" -> times arrive before the days
+  if (pending && group.days.length && !group.done) emit(pending.open, pending.close);
+
+  return emitted;
+}
+
+function parseHours(text, timezone) {
+  const spec = {
+    source: "prose",
+    status: "unparsed",
+    timezone,
+    weekly: [],
+    monthly: [],
+    last_entry: [],
+    closed_days: [],
+    closed_holidays: false,
+    appointment_required: false,
+  };
+
+  const lower = String(text || "").toLowerCase();
+  if (!lower.trim()) return spec;
+
+  if (/\bby appointment\b|\bappointment (is )?required\b|\brequires? an appointment\b/.test(lower)) {
+    spec.appointment_required = true;
+  }
+  if (/\bexcept (city |county )?holidays\b/.test(lower)) spec.closed_holidays = true;
+
+  let skippedTimedClause = false;
+
+  for (const clause of splitClauses(lower)) {
+    const tokens = tokenize(clause);
+    const hasTime = tokens.some((t) => t.kind === "time");
+
+    if (SKIP_CLAUSE_RE.test(clause)) {
+      if (hasTime) skippedTimedClause = true;
+      continue;
+    }
+
+    if (hasTime && /\b(after|by)\s+\d/.test(clause) && LAST_ENTRY_CLAUSE_RE.test(clause)) {
+      spec.last_entry.push(...parseLastEntryClause(tokens));
+      continue;
+    }
+
+    const emitted = parseScheduleClause(tokens, spec);
+    if (hasTime && emitted === 0) skippedTimedClause = true;
+  }
+
+  spec.closed_days = sortDays(spec.closed_days);
+
+  if (spec.weekly.length || spec.monthly.length) {
+    spec.status = skippedTimedClause ? "partial" : "parsed";
+  }
+
+  return spec;
+}
+
+function timezoneFor(state, city) {
+  return CITY_TIMEZONES[`${state}/${city}`] || STATE_TIMEZONES[state] || "America/Chicago";
+}
+
+module.exports = { parseHours, timezoneFor };
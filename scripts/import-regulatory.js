@@ -0,0 +1,265 @@
+// scripts/import-regulatory.js
+// Imports state permit registries (TCEQ MSW, CalRecycle SWIS, ...) into canonical facility records.
+// Each registry is a source module in ./scripts/regulatory-sources/ that maps the export's columns and
+// infers the facility type; this script does the CSV parsing, IDs, addresses and output.
+//
+// Usage (CMD):
+//   node scripts/import-regulatory.js                    (every registered source whose export is present)
+//   node scripts/import-regulatory.js texas              (sources for one state)
+//   node scripts/import-regulatory.js calrecycle-swis    (one source by key)
+//
+// Writes:
+//   ./data/facilities/<id>.json
+//   ./data/facilities/index.json   (imported entries added or replaced, others kept)
+//
+// Every record gets a "regulatory" block:
+//   { source, agency, registry, source_file, program, permit_id, site_id, permit_type,
+//     permit_status, permit_status_date, status, county, region }   (empty fields omitted)
+//
+// Sources with linkCities: true get appears_in from the registry's city column when that city is in
+// ./scripts/cities-<state>.json, so the facility pages pick them up without a manual pass.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const SOURCES = require("./regulatory-sources");
+const { parseCsv } = require("./csv");
+
+const OUT_DIR = path.join("data", "facilities");
+const INDEX_PATH = path.join(OUT_DIR, "index.json");
+
+// Columns joined with spaces rather than picked from a list of alternatives.
+const JOINED_FIELDS = new Set(["street", "location_note"]);
+
+const REGULATORY_FIELDS = [
+  "program",
+  "permit_id",
+  "site_id",
+  "permit_type",
+  "permit_status",
+  "permit_status_date",
+  "status",
+  "county",
+  "region",
+];
+
+// ---------- small helpers ----------
+function ensureDir(p) {
+  fs.mkdirSync(p, { recursive: true });
+}
+
+function writeJson(p, obj) {
+  ensureDir(path.dirname(p));
+  fs.writeFileSync(p, JSON.stringify(obj, null, 2));
+}
+
+function safeReadJson(p, fallback = null) {
+  try {
+    if (!fs.existsSync(p)) return fallback;
+    return JSON.parse(fs.readFileSync(p, "utf-8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function slugify(s) {
+  return (s || "")
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
+}
+
+function clean(s) {
+  const v = (s ?? "").toString().trim();
+  return v.length ? v : "";
+}
+
+function sha1_12(s) {
+  return crypto.createHash("sha1").update(s).digest("hex").slice(0, 12);
+}
+
+function coord(value, limit) {
+  const text = clean(value);
+  if (!text) return null;
+  const n = Number(text);
+  return Number.isFinite(n) && Math.abs(n) <= limit && n !== 0 ? n : null;
+}
+
+// field -> header name(s) present in this export
+function resolveColumns(source, headers) {
+  const present = new Set(headers);
+  const resolved = {};
+
+  for (const [field, spec] of Object.entries(source.columns || {})) {
+    const candidates = Array.isArray(spec) ? spec : [spec];
+    resolved[field] = JOINED_FIELDS.has(field)
+      ? candidates.filter((h) => present.has(h))
+      : candidates.filter((h) => present.has(h)).slice(0, 1);
+  }
+  return resolved;
+}
+
+function readFields(row, resolved) {
+  const fields = {};
+  for (const [field, headers] of Object.entries(resolved)) {
+    fields[field] = headers.map((h) => clean(row[h])).filter(Boolean).join(" ");
+  }
+  return fields;
+}
+
+function buildAddress(fields) {
+  const parts = [fields.street, fields.city, fields.state, fields.zip].map(clean).filter(Boolean);
+  if (parts.length) return parts.join(" ");
+  return clean(fields.location_note);
+}
+
+function readPublishedCities(state) {
+  const list = safeReadJson(path.join("scripts", `cities-${state}.json`), []);
+  return new Set((Array.isArray(list) ? list : []).map((c) => String(c?.city || "").toLowerCase()).filter(Boolean));
+}
+
+function selectSources(arg) {
+  if (!arg) return { sources: SOURCES, explicit: false };
+  const sources = SOURCES.filter((s) => s.key === arg || s.state === arg);
+  return { sources, explicit: true };
+}
+
+function importSource(source) {
+  const csvText = fs.readFileSync(source.file, "utf-8");
+  const { headers, rows } = parseCsv(csvText);
+  const resolved = resolveColumns(source, headers);
+
+  if (!resolved.name || resolved.name.length === 0) {
+    throw new Error(`no name column found in ${source.file} (expected ${[].concat(source.columns.name).join(" / ")})`);
+  }
+
+  const publishedCities = source.linkCities ? readPublishedCities(source.state) : new Set();
+  const stats = { rows: rows.length, excluded: 0, untyped: 0, duplicates: 0, linked: 0 };
+  const facilities = [];
+  const seen = new Set();
+
+  for (const row of rows) {
+    const fields = readFields(row, resolved);
+
+    if (source.include && !source.include(fields, row)) {
+      stats.excluded += 1;
+      continue;
+    }
+
+    const name = fields.name || "Unnamed site";
+    const lat = coord(fields.lat, 90);
+    const lng = coord(fields.lng, 180);
+    const idSeed = source.idSeed
+      ? source.idSeed(fields, row)
+      : `${source.key}|permit:${fields.permit_id}|name:${name}|lat:${lat}|lng:${lng}`;
+    const id = "f_" + sha1_12(idSeed);
+
+    if (seen.has(id)) {
+      stats.duplicates += 1;
+      continue;
+    }
+    seen.add(id);
+
+    const type = source.inferType(fields, row);
+    if (!type) {
+      stats.untyped += 1;
+      continue;
+    }
+
+    const appearsIn = [];
+    const citySlug = slugify(fields.city);
+    if (source.linkCities && citySlug && publishedCities.has(citySlug)) {
+      appearsIn.push({ state: source.state, city: citySlug });
+      stats.linked += 1;
+    }
+
+    const regulatory = {
+      source: source.key,
+      agency: source.agency,
+      registry: source.registry,
+      source_file: source.file.split(path.sep).join("/"),
+    };
+    for (const key of REGULATORY_FIELDS) {
+      if (fields[key]) regulatory[key] = fields[key];
+    }
+
+    facilities.push({
+      id,
+      slug: slugify(name) || id,
+      name,
+      type,
+      address: buildAddress(fields),
+      lat,
+      lng,
+      website: null, // registries don't carry a site URL
+      osm_url: null, // optional later via matching
+      appears_in: appearsIn,
+      regulatory,
+    });
+  }
+
+  return { facilities, stats };
+}
+
+function main() {
+  const arg = String(process.argv[2] || "").trim().toLowerCase();
+  const { sources, explicit } = selectSources(arg);
+
+  if (sources.length === 0) {
+    console.error(`❌ No regulatory source matches "${arg}".`);
+    console.error(`   Sources: ${SOURCES.map((s) => `${s.key} (${s.state})`).join(", ")}`);
+    process.exit(1);
+  }
+
+  ensureDir(OUT_DIR);
+
+  const imported = [];
+  let failed = false;
+
+  for (const source of sources) {
+    if (!fs.existsSync(source.file)) {
+      const log = explicit ? console.error : console.log;
+      log(`${explicit ? "❌" : "⚠️"} ${source.key}: missing export ${source.file}`);
+      if (explicit) failed = true;
+      continue;
+    }
+
+    try {
+      const { facilities, stats } = importSource(source);
+      for (const facility of facilities) {
+        writeJson(path.join(OUT_DIR, `${facility.id}.json`), facility);
+      }
+      imported.push(...facilities);
+
+      console.log(`✅ ${source.key} (${source.state}): ${facilities.length} facilities from ${stats.rows} rows`);
+      console.log(
+        `   excluded: ${stats.excluded}, duplicates: ${stats.duplicates}, untyped: ${stats.untyped}` +
+          (source.linkCities ? `, linked to published cities: ${stats.linked}` : "")
+      );
+    } catch (e) {
+      console.error(`❌ ${source.key}: ${e.message}`);
+      failed = true;
+    }
+  }
+
+  if (imported.length > 0) {
+    const byId = new Map();
+    const existing = safeReadJson(INDEX_PATH, []);
+    for (const row of Array.isArray(existing) ? existing : []) {
+      if (row?.id) byId.set(row.id, row);
+    }
+    for (const facility of imported) byId.set(facility.id, facility);
+
+    const index = Array.from(byId.values()).sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+    writeJson(INDEX_PATH, index);
+    console.log(`\n✅ Imported ${imported.length} regulatory facilities → ${OUT_DIR}`);
+  }
+
+  if (failed) process.exit(1);
+}
+
+main();
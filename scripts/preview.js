@@ -2,9 +2,11 @@
 const fs = require("fs");
 const path = require("path");
 const { URL } = require("url");
+const { readRedirectRules, matchRedirect } = require("./redirects");
 
 const ROOT_DIR = process.cwd();
 const PORT = Number(process.argv[2] || process.env.PORT || 4173);
+const REDIRECTS_FILE = path.join(ROOT_DIR, "_redirects");
 
 const MIME = {
   ".html": "text/html; charset=utf-8",
@@ -28,6 +30,18 @@ function resolvePath(urlPath) {
   return fullPath;
 }
 
+// _redirects rules, re-read when the file changes so a rebuild shows up without restarting the preview
+let redirectRules = [];
+let redirectMtime = -1;
+function currentRedirectRules() {
+  const mtime = fs.existsSync(REDIRECTS_FILE) ? fs.statSync(REDIRECTS_FILE).mtimeMs : 0;
+  if (mtime !== redirectMtime) {
+    redirectRules = readRedirectRules(REDIRECTS_FILE);
+    redirectMtime = mtime;
+  }
+  return redirectRules;
+}
+
 function send(res, statusCode, body, contentType = "text/plain; charset=utf-8") {
   res.writeHead(statusCode, {
     "Content-Type": contentType,
@@ -38,6 +52,15 @@ function send(res, statusCode, body, contentType = "text/plain; charset=utf-8")
 
 const server = http.createServer((req, res) => {
   const reqUrl = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+  // Redirect rules win over files, as on Cloudflare Pages.
+  const redirect = matchRedirect(currentRedirectRules(), reqUrl.pathname);
+  if (redirect) {
+    res.writeHead(redirect.status, { Location: `${redirect.location}${reqUrl.search}`, "Cache-Control": "no-store" });
+    res.end();
+    return;
+  }
+
   let filePath = resolvePath(reqUrl.pathname);
   if (!filePath) {
     send(res, 400, "Bad request");
@@ -1,21 +1,44 @@
 ﻿/**
  * scripts/prune-generated-pages.js
  *
- * Report or prune generated city/facility pages that no longer belong
+ * Report or prune generated city/county/type/facility pages that no longer belong
  * to the current city/facility source lists.
  *
  * Default: dry-run report only.
  * Apply deletes with: --apply
+ *
+ * Every removed URL gets a successor, recorded in ./data/redirects/slug-history.json (scripts/redirects.js):
+ * - city: the live city most of its facilities are now listed in ("merged"), else the place the slug
+ *   resolves to through the gazetteer or its trailing words, e.g. w-brownwood -> brownwood ("renamed"),
+ *   else the state hub ("hub")
+ * - facility: its canonical id in data/facilities/_aliases.json ("alias"), else the live city page it was
+ *   listed on, from its page or its record's appears_in ("city"), else the hub of the state its record names
+ *   (appears_in, state, or the permit registry's state) ("hub")
+ * - material page (/<state>/<city>/<material>/ missing from data/<state>/_material-pages.json, or under a
+ *   removed city): its city page ("city"), which itself redirects when the city was removed
+ * - county page (/<state>/<county>-county/ missing from data/<state>/_county-pages.json): the state hub ("hub")
+ * - facility-type page (/<state>/landfills/ and the other FACILITY_TYPE_PAGES slugs, missing from
+ *   data/<state>/_type-pages.json): the state hub ("hub")
+ * A successor with no state hub to go to is the homepage ("home"). Facility entries already in the history that
+ * point at the homepage are resolved again from the record, so a later build can give them a better target.
+ * History entries whose URL has a live page again are dropped. --apply then rewrites ./_redirects from the
+ * history and the facility aliases, so removed pages answer with a 301 instead of a 404.
  */
 
 const fs = require("fs");
 const path = require("path");
+const { loadGazetteer } = require("./gazetteer");
+const { FACILITY_TYPE_PAGES } = require("./facility-cards");
+const { regulatoryState } = require("./regulatory");
+const { readSlugHistory, saveSlugHistory, recordRedirect, dropRedirect, writeRedirectsFile } = require("./redirects");
 
 const APPLY = process.argv.includes("--apply");
 
 const ROOT = process.cwd();
-const STATES = ["texas", "california", "georgia", "florida", "illinois"];
+const STATES = ["texas", "california", "arizona", "georgia", "florida", "illinois", "north-carolina", "washington"];
 const CURATED_BASE = path.join(ROOT, "data", "manual");
+const FACILITIES_DIR = path.join(ROOT, "data", "facilities");
+const ALIASES_PATH = path.join(FACILITIES_DIR, "_aliases.json");
 
 function safeReadJson(filePath, fallback) {
   try {
@@ -26,36 +49,49 @@ function safeReadJson(filePath, fallback) {
   }
 }
 
+function todayLocal() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function getCuratedObject(stateSlug, citySlug) {
+  const resolvedPath = path.join(CURATED_BASE, stateSlug, `${citySlug}.resolved.json`);
+  const rawPath = path.join(CURATED_BASE, stateSlug, `${citySlug}.json`);
+  return safeReadJson(resolvedPath, null) || safeReadJson(rawPath, null);
+}
+
+function getCuratedItems(curated) {
+  if (!curated || typeof curated !== "object") return [];
+  const candidate =
+    curated.facilities ||
+    curated.locations ||
+    curated.items ||
+    curated.results ||
+    curated.data ||
+    null;
+
+  if (Array.isArray(candidate)) return candidate;
+  if (candidate && typeof candidate === "object") {
+    if (Array.isArray(candidate.list)) return candidate.list;
+    if (Array.isArray(candidate.items)) return candidate.items;
+    if (Array.isArray(candidate.results)) return candidate.results;
+  }
+  return [];
+}
+
+function readCityRows(stateSlug, citySlug) {
+  const parsed = safeReadJson(path.join(ROOT, "data", stateSlug, `${citySlug}.json`), null);
+  if (Array.isArray(parsed)) return parsed;
+  if (parsed && typeof parsed === "object" && Array.isArray(parsed.facilities)) return parsed.facilities;
+  return [];
+}
+
 function readStateCitySet(state) {
   const listPath = path.join(ROOT, "scripts", `cities-${state}.json`);
   const data = safeReadJson(listPath, []);
   if (!Array.isArray(data)) return new Set();
 
-  function getCuratedObject(stateSlug, citySlug) {
-    const resolvedPath = path.join(CURATED_BASE, stateSlug, `${citySlug}.resolved.json`);
-    const rawPath = path.join(CURATED_BASE, stateSlug, `${citySlug}.json`);
-    return safeReadJson(resolvedPath, null) || safeReadJson(rawPath, null);
-  }
-
-  function getCuratedItems(curated) {
-    if (!curated || typeof curated !== "object") return [];
-    const candidate =
-      curated.facilities ||
-      curated.locations ||
-      curated.items ||
-      curated.results ||
-      curated.data ||
-      null;
-
-    if (Array.isArray(candidate)) return candidate;
-    if (candidate && typeof candidate === "object") {
-      if (Array.isArray(candidate.list)) return candidate.list;
-      if (Array.isArray(candidate.items)) return candidate.items;
-      if (Array.isArray(candidate.results)) return candidate.results;
-    }
-    return [];
-  }
-
   function cityHasRenderableData(stateSlug, citySlug) {
     const curated = getCuratedObject(stateSlug, citySlug);
     if (getCuratedItems(curated).length > 0) return true;
@@ -77,6 +113,31 @@ function readStateCitySet(state) {
   );
 }
 
+// city slug -> Set of material page slugs, from the manifest generate-city-pages.js writes
+function readMaterialPages(state) {
+  const data = safeReadJson(path.join(ROOT, "data", state, "_material-pages.json"), {});
+  const map = new Map();
+  if (!data || typeof data !== "object" || Array.isArray(data)) return map;
+  for (const [city, slugs] of Object.entries(data)) {
+    if (Array.isArray(slugs)) map.set(city, new Set(slugs.map((x) => String(x || "").toLowerCase())));
+  }
+  return map;
+}
+
+// County page slugs ("harris-county"), from the manifest generate-county-pages.js writes
+function readCountyPages(state) {
+  const data = safeReadJson(path.join(ROOT, "data", state, "_county-pages.json"), {});
+  const counties = data && typeof data.counties === "object" && data.counties ? data.counties : {};
+  return new Set(Object.keys(counties).map((x) => String(x || "").toLowerCase()));
+}
+
+// Facility-type page slugs ("landfills"), from the manifest generate-type-pages.js writes
+function readTypePages(state) {
+  const data = safeReadJson(path.join(ROOT, "data", state, "_type-pages.json"), {});
+  if (!data || typeof data !== "object" || Array.isArray(data)) return new Set();
+  return new Set(Object.keys(data).map((x) => String(x || "").toLowerCase()));
+}
+
 function readFacilitySet() {
   const ids = new Set();
   const indexPath = path.join(ROOT, "data", "facilities", "index.json");
@@ -125,6 +186,101 @@ function readFacilitySet() {
   return ids;
 }
 
+// facility id -> live city slugs listing it, for one state
+function readFacilityCities(state, expectedCities) {
+  const map = new Map();
+  for (const city of expectedCities) {
+    const rows = [...getCuratedItems(getCuratedObject(state, city)), ...readCityRows(state, city)];
+    for (const row of rows) {
+      const id = String(row && (row.facility_id || row.id) || "").trim();
+      if (!id) continue;
+      if (!map.has(id)) map.set(id, new Set());
+      map.get(id).add(city);
+    }
+  }
+  return map;
+}
+
+function canonicalFacilityId(id, aliases) {
+  let current = id;
+  for (let hop = 0; hop < 10 && aliases[current]; hop++) current = aliases[current];
+  return current;
+}
+
+function readPageHtml(relDir) {
+  const p = path.join(ROOT, relDir, "index.html");
+  return fs.existsSync(p) ? fs.readFileSync(p, "utf-8") : "";
+}
+
+function stateHubUrl(state) {
+  return fs.existsSync(path.join(ROOT, state, "index.html")) ? `/${state}/` : "/";
+}
+
+// { to, reason } for the state hub, or the homepage when the state has no hub (or no state is known)
+function hubSuccessor(state) {
+  const to = state ? stateHubUrl(state) : "/";
+  return { to, reason: to === "/" ? "home" : "hub" };
+}
+
+// Trailing words of a noisy slug that name a live city: "w-brownwood" -> "brownwood".
+function cityFromSlugTail(slug, expectedCities) {
+  const tokens = slug.split("-").filter(Boolean);
+  for (let start = 1; start < tokens.length; start++) {
+    const tail = tokens.slice(start).join("-");
+    if (expectedCities.has(tail)) return tail;
+  }
+  return "";
+}
+
+function citySuccessor(state, slug, ctx) {
+  const html = readPageHtml(path.join(state, slug));
+  const votes = new Map();
+  for (const match of html.matchAll(/href="\/facility\/([^/"]+)\/"/g)) {
+    const id = canonicalFacilityId(match[1], ctx.aliases);
+    for (const city of ctx.facilityCities.get(state)?.get(id) || []) votes.set(city, (votes.get(city) || 0) + 1);
+  }
+  const ranked = Array.from(votes.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  if (ranked.length) return { to: `/${state}/${ranked[0][0]}/`, reason: "merged" };
+
+  const hit = ctx.gazetteers.get(state)?.resolve(slug);
+  if (hit && hit.slug !== slug && ctx.expectedCities.get(state).has(hit.slug)) {
+    return { to: `/${state}/${hit.slug}/`, reason: "renamed" };
+  }
+
+  const tail = cityFromSlugTail(slug, ctx.expectedCities.get(state));
+  if (tail) return { to: `/${state}/${tail}/`, reason: "renamed" };
+
+  return hubSuccessor(state);
+}
+
+function facilitySuccessor(id, ctx) {
+  const canonical = canonicalFacilityId(id, ctx.aliases);
+  if (canonical !== id && ctx.expectedFacilities.has(canonical)) {
+    return { to: `/facility/${canonical}/`, reason: "alias" };
+  }
+
+  const html = readPageHtml(path.join("facility", id));
+  const cities = html.match(/id="facilityCities"[^>]*>([\s\S]*?)<\/div>/);
+  for (const match of (cities ? cities[1] : "").matchAll(/href="\/([a-z-]+)\/([a-z0-9-]+)\/"/g)) {
+    if (ctx.expectedCities.get(match[1])?.has(match[2])) return { to: `/${match[1]}/${match[2]}/`, reason: "city" };
+  }
+
+  // The record usually outlives the page; data/facilities keeps it until the next import
+  const record = safeReadJson(path.join(FACILITIES_DIR, `${id}.json`), null) || {};
+  const appearsIn = Array.isArray(record.appears_in) ? record.appears_in : [];
+  for (const row of appearsIn) {
+    if (ctx.expectedCities.get(row?.state)?.has(row?.city)) return { to: `/${row.state}/${row.city}/`, reason: "city" };
+  }
+
+  const states = [
+    STATES.find((state) => html.includes(`href="/${state}/"`)),
+    ...appearsIn.map((row) => row?.state),
+    record.state,
+    regulatoryState(record),
+  ].map((state) => String(state || "").trim().toLowerCase());
+  return hubSuccessor(states.find((state) => STATES.includes(state)) || "");
+}
+
 function listDirNames(dirPath) {
   if (!fs.existsSync(dirPath)) return [];
   return fs.readdirSync(dirPath, { withFileTypes: true })
@@ -139,18 +295,51 @@ function removeDirIfExists(absPath) {
 
 function run() {
   const staleCityDirs = [];
+  const staleMaterialDirs = [];
+  const staleCountyDirs = [];
+  const staleTypeDirs = [];
   const staleFacilityDirs = [];
+  const expectedCitiesByState = new Map();
+  const materialPagesByState = new Map();
+  const countyPagesByState = new Map();
+  const typePagesByState = new Map();
+  const typeSlugs = new Set(FACILITY_TYPE_PAGES.map((page) => page.slug));
 
   for (const state of STATES) {
     const expectedCities = readStateCitySet(state);
+    expectedCitiesByState.set(state, expectedCities);
+    const materialPages = readMaterialPages(state);
+    materialPagesByState.set(state, materialPages);
+    const countyPages = readCountyPages(state);
+    countyPagesByState.set(state, countyPages);
+    const typePages = readTypePages(state);
+    typePagesByState.set(state, typePages);
     const stateDir = path.join(ROOT, state);
     const existing = listDirNames(stateDir);
 
     for (const dirName of existing) {
       const slug = String(dirName || "").toLowerCase();
-      if (!expectedCities.has(slug)) {
+      const cityIsLive = expectedCities.has(slug);
+      // County and type pages have no material pages below them
+      if (!cityIsLive && (countyPages.has(slug) || typePages.has(slug))) continue;
+      if (!cityIsLive && typeSlugs.has(slug)) {
+        staleTypeDirs.push(path.join(state, dirName));
+        continue;
+      }
+      if (!cityIsLive && slug.endsWith("-county")) {
+        staleCountyDirs.push(path.join(state, dirName));
+        continue;
+      }
+      if (!cityIsLive) {
         staleCityDirs.push(path.join(state, dirName));
       }
+
+      // Material pages below a removed city go with it; below a live city, only those no longer in the manifest.
+      for (const materialDir of listDirNames(path.join(stateDir, dirName))) {
+        if (!cityIsLive || !materialPages.get(slug)?.has(materialDir.toLowerCase())) {
+          staleMaterialDirs.push(path.join(state, dirName, materialDir));
+        }
+      }
     }
   }
 
@@ -165,8 +354,62 @@ function run() {
     }
   }
 
+  const ctx = {
+    aliases: safeReadJson(ALIASES_PATH, {}) || {},
+    expectedCities: expectedCitiesByState,
+    expectedFacilities,
+    facilityCities: new Map(STATES.map((state) => [state, readFacilityCities(state, expectedCitiesByState.get(state))])),
+    gazetteers: new Map(STATES.map((state) => [state, loadGazetteer(state)])),
+  };
+
+  const planned = [
+    ...staleCityDirs.map((rel) => {
+      const [state, slug] = rel.split(path.sep);
+      return { from: `/${state}/${slug}/`, kind: "city", ...citySuccessor(state, slug, ctx) };
+    }),
+    ...staleMaterialDirs.map((rel) => {
+      const [state, city, material] = rel.split(path.sep);
+      return { from: `/${state}/${city}/${material}/`, kind: "material", to: `/${state}/${city}/`, reason: "city" };
+    }),
+    ...staleCountyDirs.map((rel) => {
+      const [state, slug] = rel.split(path.sep);
+      return { from: `/${state}/${slug}/`, kind: "county", ...hubSuccessor(state) };
+    }),
+    ...staleTypeDirs.map((rel) => {
+      const [state, slug] = rel.split(path.sep);
+      return { from: `/${state}/${slug}/`, kind: "type", ...hubSuccessor(state) };
+    }),
+    ...staleFacilityDirs.map((rel) => {
+      const id = rel.split(path.sep)[1];
+      return { from: `/facility/${id}/`, kind: "facility", ...facilitySuccessor(id, ctx) };
+    }),
+  ];
+
+  // Removed facilities that were sent to the homepage; their records may name a city or state now
+  const history = readSlugHistory();
+  for (const [from, entry] of Object.entries(history.redirects)) {
+    const [first, second, third] = from.split("/").filter(Boolean);
+    if (first !== "facility" || third || entry.to !== "/" || entry.reason === "manual") continue;
+    if (expectedFacilities.has(second)) continue;
+    const next = facilitySuccessor(second, ctx);
+    if (next.to !== entry.to || next.reason !== entry.reason) planned.push({ from, kind: "facility", ...next });
+  }
+
+  // URLs in the history that have a page again
+  const revived = Object.keys(history.redirects).filter((from) => {
+    const [first, second, third] = from.split("/").filter(Boolean);
+    if (first === "facility") return expectedFacilities.has(second);
+    if (!third && countyPagesByState.get(first)?.has(second)) return true;
+    if (!third && typePagesByState.get(first)?.has(second)) return true;
+    if (!expectedCitiesByState.get(first)?.has(second)) return false;
+    return third ? Boolean(materialPagesByState.get(first)?.get(second)?.has(third)) : true;
+  });
+
   console.log(`Dry run: ${APPLY ? "off (apply mode)" : "on"}`);
   console.log(`Stale city dirs: ${staleCityDirs.length}`);
+  console.log(`Stale material page dirs: ${staleMaterialDirs.length}`);
+  console.log(`Stale county page dirs: ${staleCountyDirs.length}`);
+  console.log(`Stale type page dirs: ${staleTypeDirs.length}`);
   console.log(`Stale facility dirs: ${staleFacilityDirs.length}`);
 
   if (staleCityDirs.length > 0) {
@@ -174,11 +417,36 @@ function run() {
     staleCityDirs.slice(0, 20).forEach((p) => console.log(`  ${p}`));
   }
 
+  if (staleMaterialDirs.length > 0) {
+    console.log("First 20 stale material page dirs:");
+    staleMaterialDirs.slice(0, 20).forEach((p) => console.log(`  ${p}`));
+  }
+
+  if (staleCountyDirs.length > 0) {
+    console.log("First 20 stale county page dirs:");
+    staleCountyDirs.slice(0, 20).forEach((p) => console.log(`  ${p}`));
+  }
+
+  if (staleTypeDirs.length > 0) {
+    console.log("First 20 stale type page dirs:");
+    staleTypeDirs.slice(0, 20).forEach((p) => console.log(`  ${p}`));
+  }
+
   if (staleFacilityDirs.length > 0) {
     console.log("First 20 stale facility dirs:");
     staleFacilityDirs.slice(0, 20).forEach((p) => console.log(`  ${p}`));
   }
 
+  if (planned.length > 0) {
+    console.log("First 20 redirects:");
+    planned.slice(0, 20).forEach((r) => console.log(`  ${r.from} -> ${r.to} (${r.reason})`));
+  }
+
+  if (revived.length > 0) {
+    console.log(`Redirects dropped because the page is live again: ${revived.length}`);
+    revived.slice(0, 20).forEach((from) => console.log(`  ${from}`));
+  }
+
   if (!APPLY) {
     console.log("\nNo files were deleted. Re-run with --apply to prune.");
     return;
@@ -188,11 +456,31 @@ function run() {
     removeDirIfExists(path.join(ROOT, relPath));
   }
 
+  for (const relPath of staleMaterialDirs) {
+    removeDirIfExists(path.join(ROOT, relPath));
+  }
+
+  for (const relPath of staleCountyDirs) {
+    removeDirIfExists(path.join(ROOT, relPath));
+  }
+
+  for (const relPath of staleTypeDirs) {
+    removeDirIfExists(path.join(ROOT, relPath));
+  }
+
   for (const relPath of staleFacilityDirs) {
     removeDirIfExists(path.join(ROOT, relPath));
   }
 
-  console.log("\nPrune complete.");
+  const date = todayLocal();
+  revived.forEach((from) => dropRedirect(history, from));
+  planned.forEach((r) => recordRedirect(history, r.from, r.to, { kind: r.kind, reason: r.reason, date }));
+  saveSlugHistory(history);
+  const { count, skipped } = writeRedirectsFile(history);
+
+  console.log(`\nWrote ${Object.keys(history.redirects).length} history entries and ${count} _redirects rules.`);
+  if (skipped.length > 0) console.log(`Skipped ${skipped.length} redirect loop(s): ${skipped.join(", ")}`);
+  console.log("Prune complete.");
 }
 
 run();
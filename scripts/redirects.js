@@ -0,0 +1,205 @@
+// scripts/redirects.js
+// Slug history for removed city, material, county, facility-type and facility URLs, and the Cloudflare Pages ./_redirects file
+// generated from it and from the facility aliases in ./data/facilities/_aliases.json.
+//
+// ./data/redirects/slug-history.json:
+//   {
+//     "redirects": {
+//       "/texas/w-brownwood/": { "to": "/texas/brownwood/", "kind": "city", "reason": "merged", "removed": "2026-10-19" }
+//     }
+//   }
+//
+// kind: "city", "material" (/<state>/<city>/<material>/ landing page), "county" (/<state>/<county>-county/ page),
+// "type" (/<state>/landfills/ and the other facility-type pages) or "facility".
+// reason: "merged" (city whose facilities now sit in another city), "renamed" (city slug resolved to another
+// place), "alias" (facility id retired in _aliases.json), "city" (facility or material page -> its city page),
+// "hub" (nothing better -> state hub), "home" (no state hub to go to -> homepage) or "manual" (hand-written,
+// never replaced by the prune step).
+//
+// ./_redirects is rewritten as a whole by the prune step and by build-facility-aliases.js; edit the history,
+// not the file. Every alias becomes /facility/<alias>/ -> /facility/<canonical>/ unless the history already
+// has that URL. Targets are followed through both (a -> b, b -> c writes a -> c), and each URL gets a static
+// rule with and without the trailing slash. Each history entry also gets a splat rule for the URLs below it
+// (/texas/w-brownwood/* -> /texas/brownwood/:splat); the splat is carried over only when a city redirects to
+// another city, since a hub or city page has nothing at the old sub-path. Splat rules count against the
+// Cloudflare limit of 100 dynamic rules; static ones don't.
+//
+// scripts/preview.js reads the generated file back with readRedirectRules/matchRedirect.
+
+const fs = require("fs");
+const path = require("path");
+
+const HISTORY_PATH = path.join("data", "redirects", "slug-history.json");
+const REDIRECTS_PATH = "_redirects";
+const ALIASES_PATH = path.join("data", "facilities", "_aliases.json");
+const MAX_HOPS = 10;
+const STATIC_RULE_LIMIT = 2000;
+const DYNAMIC_RULE_LIMIT = 100;
+
+function safeReadJson(p, fallback = null) {
+  try {
+    if (!fs.existsSync(p)) return fallback;
+    return JSON.parse(fs.readFileSync(p, "utf-8"));
+  } catch {
+    return fallback;
+  }
+}
+
+// "/texas/w-brownwood" -> "/texas/w-brownwood/"
+function normalizeUrl(url) {
+  const s = String(url || "").trim();
+  if (!s) return "";
+  const withLead = s.startsWith("/") ? s : `/${s}`;
+  return withLead.endsWith("/") ? withLead : `${withLead}/`;
+}
+
+function readSlugHistory() {
+  const data = safeReadJson(HISTORY_PATH, null);
+  const redirects = data && typeof data.redirects === "object" && data.redirects ? data.redirects : {};
+  return { redirects };
+}
+
+function saveSlugHistory(history) {
+  const sorted = {};
+  for (const from of Object.keys(history.redirects).sort()) sorted[from] = history.redirects[from];
+  fs.mkdirSync(path.dirname(HISTORY_PATH), { recursive: true });
+  fs.writeFileSync(HISTORY_PATH, JSON.stringify({ redirects: sorted }, null, 2) + "\n", "utf-8");
+}
+
+// Adds or updates from -> to. Manual entries are kept as written. Returns true when the history changed.
+function recordRedirect(history, from, to, { kind, reason, date }) {
+  const key = normalizeUrl(from);
+  const target = normalizeUrl(to);
+  if (!key || !target || key === target) return false;
+
+  const prev = history.redirects[key];
+  if (prev && (prev.reason === "manual" || (prev.to === target && prev.reason === reason))) return false;
+
+  history.redirects[key] = { to: target, kind, reason, removed: prev?.removed || date };
+  return true;
+}
+
+// Drops the entry for a URL that has a live page again. Returns true when one was removed.
+function dropRedirect(history, from) {
+  const key = normalizeUrl(from);
+  if (!history.redirects[key]) return false;
+  delete history.redirects[key];
+  return true;
+}
+
+// Final target of from, following chains; "" when the chain loops back.
+function resolveTarget(history, from) {
+  const seen = new Set([from]);
+  let target = history.redirects[from]?.to || "";
+  for (let hop = 0; hop < MAX_HOPS && history.redirects[target]; hop++) {
+    if (seen.has(target)) return "";
+    seen.add(target);
+    target = history.redirects[target].to;
+  }
+  return seen.has(target) ? "" : target;
+}
+
+// _aliases.json as history entries: { "/facility/<alias>/": { to: "/facility/<canonical>/", ... } }
+function readAliasRedirects() {
+  const aliases = safeReadJson(ALIASES_PATH, {}) || {};
+  const out = {};
+  for (const [aliasId, canonicalId] of Object.entries(aliases)) {
+    if (!aliasId || !canonicalId || aliasId === canonicalId) continue;
+    out[`/facility/${aliasId}/`] = { to: `/facility/${canonicalId}/`, kind: "facility", reason: "alias" };
+  }
+  return out;
+}
+
+// "/texas/brownwood/" is a city page; "/texas/" (hub) and "/texas/houston/motor-oil/" are not.
+function isCityUrl(url) {
+  return url.split("/").filter(Boolean).length === 2;
+}
+
+// { rules: [[from, to]] static rules, splats: [[from, to]] dynamic rules, skipped: [from] }
+function buildRedirectRules(history) {
+  const combined = { redirects: { ...readAliasRedirects(), ...history.redirects } };
+  const rules = [];
+  const splats = [];
+  const skipped = [];
+  for (const from of Object.keys(combined.redirects).sort()) {
+    const to = resolveTarget(combined, from);
+    if (!to) {
+      skipped.push(from);
+      continue;
+    }
+    rules.push([from.replace(/\/$/, ""), to], [from, to]);
+
+    const entry = history.redirects[from];
+    if (!entry) continue; // aliases only need the static rules
+    const keepPath = entry.kind === "city" && isCityUrl(to);
+    splats.push([`${from}*`, keepPath ? `${to}:splat` : to]);
+  }
+  return { rules, splats, skipped };
+}
+
+// Rewrites ./_redirects from the history and the facility aliases. Returns { count, skipped }.
+function writeRedirectsFile(history) {
+  const { rules, splats, skipped } = buildRedirectRules(history);
+  const all = [...rules, ...splats];
+  const width = all.reduce((w, [from]) => Math.max(w, from.length), 0);
+  const targetWidth = all.reduce((w, [, to]) => Math.max(w, to.length), 0);
+
+  // Static rules first: Cloudflare applies the first match, and an exact URL shouldn't fall into a splat.
+  const lines = [
+    `# Generated from ${HISTORY_PATH.split(path.sep).join("/")} and ${ALIASES_PATH.split(path.sep).join("/")} by scripts/redirects.js.`,
+    "# Edit the history, not this file.",
+    ...all.map(([from, to]) => `${from.padEnd(width)}   ${to.padEnd(targetWidth)}   301`),
+  ];
+  fs.writeFileSync(REDIRECTS_PATH, lines.join("\n") + "\n", "utf-8");
+
+  if (all.length > STATIC_RULE_LIMIT) {
+    console.warn(`⚠️ _redirects has ${all.length} rules; Cloudflare Pages only reads the first ${STATIC_RULE_LIMIT}.`);
+  }
+  if (splats.length > DYNAMIC_RULE_LIMIT) {
+    console.warn(`⚠️ _redirects has ${splats.length} splat rules; Cloudflare Pages only reads the first ${DYNAMIC_RULE_LIMIT}.`);
+  }
+  return { count: all.length, skipped };
+}
+
+// [{ from, to, status }] from a _redirects file; [] when it doesn't exist.
+function readRedirectRules(filePath = REDIRECTS_PATH) {
+  if (!fs.existsSync(filePath)) return [];
+  const rules = [];
+  for (const line of fs.readFileSync(filePath, "utf-8").split(/\r?\n/)) {
+    const text = line.trim();
+    if (!text || text.startsWith("#")) continue;
+    const [from, to, status] = text.split(/\s+/);
+    if (!from || !to) continue;
+    rules.push({ from, to, status: Number(status) || 302 });
+  }
+  return rules;
+}
+
+// First rule matching pathname, Cloudflare style: exact path, or a trailing /* splat that fills :splat in
+// the target. Returns { location, status } or null.
+function matchRedirect(rules, pathname) {
+  for (const rule of rules) {
+    if (rule.from === pathname) return { location: rule.to, status: rule.status };
+    if (rule.from.endsWith("/*")) {
+      const prefix = rule.from.slice(0, -1);
+      if (pathname.startsWith(prefix) || pathname === prefix.slice(0, -1)) {
+        const splat = pathname.startsWith(prefix) ? pathname.slice(prefix.length) : "";
+        return { location: rule.to.replace(":splat", splat), status: rule.status };
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  HISTORY_PATH,
+  normalizeUrl,
+  readSlugHistory,
+  saveSlugHistory,
+  recordRedirect,
+  dropRedirect,
+  resolveTarget,
+  writeRedirectsFile,
+  readRedirectRules,
+  matchRedirect,
+};
@@ -0,0 +1,41 @@
+// scripts/regulatory-sources/arizona-adeq-solid-waste.js
+// Arizona DEQ solid waste facility inventory (landfills, transfer stations, special waste sites).
+// Download: ADEQ Solid Waste Section facility list, saved as CSV.
+
+const path = require("path");
+const { inferTypeFromKeywords } = require("./infer-type");
+
+module.exports = {
+  key: "adeq-solid-waste",
+  state: "arizona",
+  stateAbbrev: "AZ",
+  agency: "Arizona Department of Environmental Quality",
+  permitLabel: "ADEQ solid waste",
+  registry: "Solid waste facilities",
+  file: path.join("data", "Sources", "adeq", "solid-waste-facilities-arizona.csv"),
+  linkCities: true,
+
+  columns: {
+    name: ["Facility Name", "Site Name", "Name"],
+    permit_id: ["Permit Number", "Plan Approval Number", "Permit No"],
+    site_id: ["Place ID", "ADEQ ID", "Facility ID"],
+    permit_type: ["Facility Type", "Type", "Category"],
+    status: ["Status", "Facility Status", "Operational Status"],
+    county: ["County"],
+    street: ["Address", "Street Address", "Physical Address"],
+    city: ["City"],
+    state: ["State"],
+    zip: ["Zip", "Zip Code"],
+    lat: ["Latitude"],
+    lng: ["Longitude"],
+  },
+
+  include(fields) {
+    const status = fields.status.toLowerCase();
+    return !/closed|inactive/.test(status);
+  },
+
+  inferType(fields) {
+    return inferTypeFromKeywords([fields.permit_type, fields.name], "");
+  },
+};
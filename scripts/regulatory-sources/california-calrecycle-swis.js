@@ -0,0 +1,47 @@
+// scripts/regulatory-sources/california-calrecycle-swis.js
+// CalRecycle Solid Waste Information System (SWIS) site export.
+// Download: SWIS Facility/Site Search -> export results as CSV. The export has one row per site activity,
+// so the first active row for each SWIS number wins.
+
+const path = require("path");
+const { inferTypeFromKeywords } = require("./infer-type");
+
+module.exports = {
+  key: "calrecycle-swis",
+  state: "california",
+  stateAbbrev: "CA",
+  agency: "CalRecycle",
+  permitLabel: "CalRecycle SWIS",
+  registry: "Solid Waste Information System (SWIS)",
+  file: path.join("data", "Sources", "calrecycle", "swis-sites-california.csv"),
+  linkCities: true,
+
+  // Header names differ between SWIS export screens; the first one present wins.
+  columns: {
+    name: ["Site Name", "Facility Name"],
+    permit_id: ["SWIS Number", "SWIS No", "SWIS #"],
+    program: ["Activity Category", "Category"],
+    permit_type: ["Activity", "Activity Classification"],
+    permit_status: ["Regulatory Status", "Activity Regulatory Status", "Site Regulatory Status"],
+    status: ["Operational Status", "Activity Operational Status", "Site Operational Status"],
+    county: ["County"],
+    street: ["Location Address", "Street Address", "Address"],
+    city: ["Location City", "City"],
+    state: ["Location State", "State"],
+    zip: ["Location Zip", "Zip Code", "ZIP"],
+    lat: ["Latitude"],
+    lng: ["Longitude"],
+  },
+
+  include(fields) {
+    return fields.status.toLowerCase() === "active" && fields.permit_status.toLowerCase() !== "closed";
+  },
+
+  inferType(fields) {
+    return inferTypeFromKeywords([fields.permit_type, fields.program, fields.name], "");
+  },
+
+  idSeed(fields) {
+    return `swis|${fields.permit_id}`;
+  },
+};
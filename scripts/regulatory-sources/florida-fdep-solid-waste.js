@@ -0,0 +1,46 @@
+// scripts/regulatory-sources/florida-fdep-solid-waste.js
+// Florida DEP solid waste facility list (landfills, transfer stations, C&D and yard trash sites).
+// Download: FDEP Solid Waste Section facility search (or the "Solid Waste Facilities" open-data layer),
+// exported as CSV.
+
+const path = require("path");
+const { inferTypeFromKeywords } = require("./infer-type");
+
+module.exports = {
+  key: "fdep-solid-waste",
+  state: "florida",
+  stateAbbrev: "FL",
+  agency: "Florida Department of Environmental Protection",
+  permitLabel: "FDEP solid waste",
+  registry: "Solid waste facilities",
+  file: path.join("data", "Sources", "fdep", "solid-waste-facilities-florida.csv"),
+  linkCities: true,
+
+  // The facility search and the open-data layer name their columns differently; the first one present wins.
+  columns: {
+    name: ["Facility Name", "FACILITY_NAME", "Site Name"],
+    permit_id: ["Permit Number", "PERMIT_NUMBER", "Permit No"],
+    site_id: ["WACS Facility ID", "WACS_ID", "Facility ID"],
+    program: ["Facility Class", "FACILITY_CLASS"],
+    permit_type: ["Facility Type", "FACILITY_TYPE", "Site Type"],
+    permit_status: ["Permit Status", "PERMIT_STATUS"],
+    status: ["Facility Status", "FACILITY_STATUS", "Status"],
+    county: ["County", "COUNTY"],
+    region: ["District", "DEP District"],
+    street: ["Address", "Location Address", "ADDRESS"],
+    city: ["City", "CITY"],
+    state: ["State", "STATE"],
+    zip: ["Zip", "Zip Code", "ZIP"],
+    lat: ["Latitude", "LATITUDE", "Lat"],
+    lng: ["Longitude", "LONGITUDE", "Long"],
+  },
+
+  include(fields) {
+    const status = fields.status.toLowerCase();
+    return !status || status === "active" || status === "open" || status === "operating";
+  },
+
+  inferType(fields) {
+    return inferTypeFromKeywords([fields.permit_type, fields.program, fields.name], "");
+  },
+};
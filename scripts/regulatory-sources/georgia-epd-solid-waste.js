@@ -0,0 +1,42 @@
+// scripts/regulatory-sources/georgia-epd-solid-waste.js
+// Georgia EPD Solid Waste Management Program list of permitted facilities.
+// Download: EPD Land Protection Branch "Permitted Solid Waste Facilities" list, saved as CSV.
+
+const path = require("path");
+const { inferTypeFromKeywords } = require("./infer-type");
+
+module.exports = {
+  key: "gaepd-solid-waste",
+  state: "georgia",
+  stateAbbrev: "GA",
+  agency: "Georgia Environmental Protection Division",
+  permitLabel: "Georgia EPD solid waste",
+  registry: "Permitted solid waste facilities",
+  file: path.join("data", "Sources", "gaepd", "solid-waste-facilities-georgia.csv"),
+  linkCities: true,
+
+  columns: {
+    name: ["Facility Name", "Site Name", "Name"],
+    permit_id: ["Permit Number", "Permit No", "Permit #"],
+    permit_type: ["Facility Type", "Permit Type", "Type"],
+    status: ["Status", "Operating Status", "Facility Status"],
+    county: ["County"],
+    region: ["District", "EPD District"],
+    street: ["Address", "Street Address", "Location"],
+    city: ["City"],
+    state: ["State"],
+    zip: ["Zip", "Zip Code"],
+    lat: ["Latitude"],
+    lng: ["Longitude"],
+  },
+
+  // The list keeps closed landfills in post-closure care next to operating sites.
+  include(fields) {
+    const status = fields.status.toLowerCase();
+    return !/closed|inactive|post[- ]?closure/.test(status);
+  },
+
+  inferType(fields) {
+    return inferTypeFromKeywords([fields.permit_type, fields.name], "");
+  },
+};
@@ -0,0 +1,42 @@
+// scripts/regulatory-sources/illinois-iepa-solid-waste.js
+// Illinois EPA Bureau of Land list of permitted solid waste facilities (landfills and transfer stations).
+// Download: IEPA Bureau of Land "Solid Waste Facilities" inventory, saved as CSV.
+
+const path = require("path");
+const { inferTypeFromKeywords } = require("./infer-type");
+
+module.exports = {
+  key: "iepa-solid-waste",
+  state: "illinois",
+  stateAbbrev: "IL",
+  agency: "Illinois Environmental Protection Agency",
+  permitLabel: "Illinois EPA",
+  registry: "Bureau of Land solid waste facilities",
+  file: path.join("data", "Sources", "iepa", "solid-waste-facilities-illinois.csv"),
+  linkCities: true,
+
+  columns: {
+    name: ["Site Name", "Facility Name", "Name"],
+    permit_id: ["Permit Number", "Permit No"],
+    site_id: ["Site Number", "BOL Number", "IEPA ID"],
+    permit_type: ["Facility Type", "Site Type", "Type"],
+    status: ["Status", "Operating Status"],
+    county: ["County"],
+    region: ["Region", "Field Office"],
+    street: ["Address", "Site Address", "Street"],
+    city: ["City"],
+    state: ["State"],
+    zip: ["Zip", "Zip Code"],
+    lat: ["Latitude"],
+    lng: ["Longitude"],
+  },
+
+  include(fields) {
+    const status = fields.status.toLowerCase();
+    return !/closed|inactive/.test(status);
+  },
+
+  inferType(fields) {
+    return inferTypeFromKeywords([fields.permit_type, fields.name], "");
+  },
+};
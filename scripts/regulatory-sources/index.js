@@ -0,0 +1,17 @@
+// scripts/regulatory-sources/index.js
+// Registered state permit registries for scripts/import-regulatory.js.
+// To add a state: copy a source module, map its export's columns, and list it here.
+//
+// A module exports { key, state, stateAbbrev, agency, permitLabel, registry, file, linkCities, columns,
+// include, inferType, idSeed? }. permitLabel prefixes the permit number in page copy ("TCEQ MSW permit 48025").
+
+module.exports = [
+  require("./texas-tceq-msw"),
+  require("./california-calrecycle-swis"),
+  require("./florida-fdep-solid-waste"),
+  require("./georgia-epd-solid-waste"),
+  require("./illinois-iepa-solid-waste"),
+  require("./north-carolina-deq-solid-waste"),
+  require("./washington-ecology-solid-waste"),
+  require("./arizona-adeq-solid-waste"),
+];
@@ -0,0 +1,25 @@
+// scripts/regulatory-sources/infer-type.js
+// Keyword-based facility type inference shared by the regulatory source modules.
+// Order matters: a "landfill transfer station" is a transfer station.
+
+const KEYWORD_TYPES = [
+  [/transfer/, "transfer_station"],
+  [/recycl|compost|mulch|chipping|grinding|material recovery/, "recycling"],
+  [/(?<!non[- ]?)hazardous|\bhhw\b|household chemical/, "hazardous_waste"],
+  [/citizen|convenience|collection (center|station|site)|drop[- ]?off/, "drop_off"],
+  [/landfill|disposal site|\binert\b/, "landfill"],
+];
+
+// Returns the first matching facility type for any of the texts, or fallback.
+function inferTypeFromKeywords(texts, fallback = "") {
+  const haystack = (Array.isArray(texts) ? texts : [texts])
+    .map((t) => String(t || "").toLowerCase())
+    .join(" ");
+
+  for (const [pattern, type] of KEYWORD_TYPES) {
+    if (pattern.test(haystack)) return type;
+  }
+  return fallback;
+}
+
+module.exports = { inferTypeFromKeywords };
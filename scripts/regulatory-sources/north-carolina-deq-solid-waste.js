@@ -0,0 +1,54 @@
+// scripts/regulatory-sources/north-carolina-deq-solid-waste.js
+// NC DEQ Solid Waste Section permitted facility list.
+// Download: Division of Waste Management "Solid Waste Permitted Facility List", saved as CSV.
+
+const path = require("path");
+const { inferTypeFromKeywords } = require("./infer-type");
+
+// The list abbreviates its permit types ("TS", "MSWLF", "C&DLF", "LCID", "YW"); spell them out for infer-type.
+const PERMIT_TYPE_WORDS = [
+  [/\bTS\b/, "transfer station"],
+  [/\bMSWLF\b|\bC&D ?LF\b|\bLCID\b|\bIND ?LF\b/, "landfill"],
+  [/\bYW\b|\bCOMP\b/, "compost"],
+];
+
+function expandPermitType(text) {
+  const raw = String(text || "");
+  const words = PERMIT_TYPE_WORDS.filter(([pattern]) => pattern.test(raw)).map(([, word]) => word);
+  return [raw, ...words].join(" ");
+}
+
+module.exports = {
+  key: "ncdeq-solid-waste",
+  state: "north-carolina",
+  stateAbbrev: "NC",
+  agency: "North Carolina Department of Environmental Quality",
+  permitLabel: "NC DEQ solid waste",
+  registry: "Solid Waste Section permitted facilities",
+  file: path.join("data", "Sources", "ncdeq", "solid-waste-facilities-north-carolina.csv"),
+  linkCities: true,
+
+  columns: {
+    name: ["Facility Name", "Site Name", "Name"],
+    permit_id: ["Permit Number", "Permit #", "Permit No"],
+    permit_type: ["Permit Type", "Facility Type", "Type"],
+    permit_status: ["Permit Status"],
+    status: ["Status", "Facility Status", "Operating Status"],
+    county: ["County"],
+    street: ["Address", "Street Address", "Physical Address"],
+    city: ["City"],
+    state: ["State"],
+    zip: ["Zip", "Zip Code"],
+    lat: ["Latitude"],
+    lng: ["Longitude"],
+  },
+
+  include(fields) {
+    const status = `${fields.status} ${fields.permit_status}`.toLowerCase();
+    return !/closed|inactive|expired/.test(status);
+  },
+
+  inferType(fields) {
+    return inferTypeFromKeywords([expandPermitType(fields.permit_type), fields.name], "");
+  },
+};
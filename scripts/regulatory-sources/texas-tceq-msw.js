@@ -0,0 +1,60 @@
+// scripts/regulatory-sources/texas-tceq-msw.js
+// TCEQ "MSW Sites in Texas by Area" export (landfills, transfer stations, citizens' collection stations).
+// Download: TCEQ Central Registry MSW site list, saved as CSV.
+
+const path = require("path");
+const { inferTypeFromKeywords } = require("./infer-type");
+
+// Same parsing as the original TCEQ importer; facility IDs are hashed from it, so keep it unchanged.
+function legacyNum(value) {
+  const n = Number((value ?? "").toString().trim());
+  return Number.isFinite(n) ? n : null;
+}
+
+module.exports = {
+  key: "tceq-msw",
+  state: "texas",
+  stateAbbrev: "TX",
+  agency: "Texas Commission on Environmental Quality",
+  permitLabel: "TCEQ MSW",
+  registry: "MSW sites",
+  file: path.join("data", "Sources", "tceq", "msw-facilities-texas.csv"),
+
+  // build-city-json-from-facilities.js assigns Texas cities from the address.
+  linkCities: false,
+
+  columns: {
+    name: "Site Name",
+    program: "Program",
+    permit_id: "Additional ID",
+    site_id: "RN",
+    permit_type: "Physical Type",
+    permit_status: "Legal Status",
+    permit_status_date: "Legal Status Date",
+    status: "Physical Site Status",
+    county: "County",
+    region: "Region",
+    street: ["Phys Addr Line 1", "Phys Addr Line 2"],
+    city: "Phys Addr City",
+    state: "Phys Addr State",
+    zip: "Phys Addr Zip",
+    location_note: ["Near Phys Loc Txt", "Near Phys Loc City", "Near Phys Loc State", "Near Phys Loc Zip"],
+    lat: "Latitude",
+    lng: "Longitude",
+  },
+
+  include(fields) {
+    return fields.program.toUpperCase() === "MSW" && fields.status.toUpperCase() === "ACTIVE";
+  },
+
+  // Physical types are mostly landfill codes (1, 1AE, 4, 4AE); the site name carries the other hints.
+  inferType(fields) {
+    return inferTypeFromKeywords([fields.permit_type, fields.name], "landfill");
+  },
+
+  idSeed(fields) {
+    const lat = legacyNum(fields.lat);
+    const lng = legacyNum(fields.lng);
+    return `tceq|rn:${fields.site_id}|addl:${fields.permit_id}|name:${fields.name || "Unnamed site"}|lat:${lat}|lng:${lng}`;
+  },
+};
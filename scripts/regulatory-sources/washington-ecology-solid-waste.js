@@ -0,0 +1,42 @@
+// scripts/regulatory-sources/washington-ecology-solid-waste.js
+// Washington Department of Ecology solid waste facility list. Counties' health departments issue the
+// permits; Ecology keeps the statewide list.
+// Download: Ecology "Solid Waste Facilities" data set, exported as CSV.
+
+const path = require("path");
+const { inferTypeFromKeywords } = require("./infer-type");
+
+module.exports = {
+  key: "ecology-solid-waste",
+  state: "washington",
+  stateAbbrev: "WA",
+  agency: "Washington State Department of Ecology",
+  permitLabel: "Washington Ecology",
+  registry: "Solid waste facilities",
+  file: path.join("data", "Sources", "ecology", "solid-waste-facilities-washington.csv"),
+  linkCities: true,
+
+  columns: {
+    name: ["Facility Name", "FacilityName", "Site Name"],
+    permit_id: ["Permit Number", "Permit No"],
+    site_id: ["Facility Site ID", "FacilitySiteID", "FS ID"],
+    permit_type: ["Facility Type", "FacilityType", "Activity"],
+    status: ["Status", "Facility Status", "Operating Status"],
+    county: ["County", "CountyName"],
+    street: ["Address", "Street Address", "Location Address"],
+    city: ["City"],
+    state: ["State"],
+    zip: ["Zip", "Zip Code"],
+    lat: ["Latitude", "LatitudeDecimal"],
+    lng: ["Longitude", "LongitudeDecimal"],
+  },
+
+  include(fields) {
+    const status = fields.status.toLowerCase();
+    return !/closed|inactive/.test(status);
+  },
+
+  inferType(fields) {
+    return inferTypeFromKeywords([fields.permit_type, fields.name], "");
+  },
+};
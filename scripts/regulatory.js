@@ -0,0 +1,70 @@
+// scripts/regulatory.js
+// Reads a facility's permit registry block, whichever importer wrote it.
+//
+//   const { regulatoryOf, regulatoryState, permitText } = require("./regulatory");
+//
+// import-regulatory.js writes "regulatory"; records from the old TCEQ importer still carry "tceq"
+// (program, rn, additional_id, physical_type, legal_status, ...). regulatoryOf() maps those onto the
+// regulatory field names with the tceq-msw source's provenance, so a record reads the same before and
+// after a re-import. Readers should go through here rather than touch either block.
+
+const SOURCES = require("./regulatory-sources");
+
+const LEGACY_TCEQ_SOURCE = "tceq-msw";
+
+// old tceq field -> regulatory field
+const LEGACY_TCEQ_FIELDS = {
+  program: "program",
+  additional_id: "permit_id",
+  rn: "site_id",
+  physical_type: "permit_type",
+  legal_status: "permit_status",
+  legal_status_date: "permit_status_date",
+  physical_site_status: "status",
+  county: "county",
+  region: "region",
+};
+
+function isPlainObject(v) {
+  return Boolean(v) && typeof v === "object" && !Array.isArray(v);
+}
+
+function sourceFor(key) {
+  return SOURCES.find((s) => s.key === key) || null;
+}
+
+// The record's regulatory block, or null for facilities no registry lists.
+function regulatoryOf(record) {
+  if (isPlainObject(record?.regulatory)) return record.regulatory;
+  if (!isPlainObject(record?.tceq)) return null;
+
+  const source = sourceFor(LEGACY_TCEQ_SOURCE);
+  const regulatory = {
+    source: LEGACY_TCEQ_SOURCE,
+    agency: source?.agency,
+    registry: source?.registry,
+    source_file: source?.file.split(/[\\/]/).join("/"),
+  };
+  for (const [from, to] of Object.entries(LEGACY_TCEQ_FIELDS)) {
+    const value = String(record.tceq[from] ?? "").trim();
+    if (value) regulatory[to] = value;
+  }
+  return regulatory;
+}
+
+// State slug of the registry that lists the record ("texas"), or "".
+function regulatoryState(record) {
+  return sourceFor(regulatoryOf(record)?.source)?.state || "";
+}
+
+// "TCEQ MSW permit 48025" for page copy, or "" when there is no registry block.
+function permitText(record) {
+  const regulatory = regulatoryOf(record);
+  if (!regulatory) return "";
+  const source = sourceFor(regulatory.source);
+  const label = source?.permitLabel || regulatory.agency || regulatory.source || "";
+  const id = String(regulatory.permit_id || regulatory.site_id || "").trim();
+  return id ? `${label} permit ${id}`.trim() : label;
+}
+
+module.exports = { regulatoryOf, regulatoryState, permitText };
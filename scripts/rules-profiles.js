@@ -0,0 +1,58 @@
+// scripts/rules-profiles.js
+// City rules modal profiles shared by the page generators.
+//
+// Profiles live next to the manual data:
+//   ./data/manual/<state>/rules/<city>.json   (shape: data/schemas/rules-profile.schema.json)
+//
+// The generators embed the matching profile as
+//   <script type="application/json" id="cityRulesProfile">{ ...profile, state, city, page }</script>
+// and houston-modal.js renders the button and dialog from it. A page without a profile shows no button.
+
+const fs = require("fs");
+const path = require("path");
+
+const MANUAL_BASE = path.join(".", "data", "manual");
+const MODAL_SCRIPT_TAG = '<script src="/houston-modal.js"';
+
+function readRulesProfile(state, city) {
+  const s = String(state || "").toLowerCase().trim();
+  const c = String(city || "").toLowerCase().trim();
+  if (!s || !c) return null;
+
+  const filePath = path.join(MANUAL_BASE, s, "rules", `${c}.json`);
+  try {
+    if (!fs.existsSync(filePath)) return null;
+    const profile = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    if (!profile || typeof profile !== "object" || Array.isArray(profile)) return null;
+    return { ...profile, state: s, city: c };
+  } catch {
+    return null;
+  }
+}
+
+// First profile found for a list of { state, city } locations (a facility's primary city, then appears_in).
+function findRulesProfile(locations = []) {
+  for (const loc of locations) {
+    const profile = readRulesProfile(loc?.state, loc?.city);
+    if (profile) return profile;
+  }
+  return null;
+}
+
+// page: "city" (opens once on first visit) or "facility" (button only)
+function injectRulesProfile(html, profile, page) {
+  if (!profile) return html;
+  const json = JSON.stringify({ ...profile, page }).replace(/</g, "\\u003c");
+  const tag = `<script type="application/json" id="cityRulesProfile">${json}</script>`;
+
+  if (html.includes(MODAL_SCRIPT_TAG)) {
+    return html.replace(MODAL_SCRIPT_TAG, () => `${tag}\n  ${MODAL_SCRIPT_TAG}`);
+  }
+  return html.replace("</body>", () => `${tag}\n</body>`);
+}
+
+module.exports = {
+  readRulesProfile,
+  findRulesProfile,
+  injectRulesProfile,
+};
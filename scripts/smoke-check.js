@@ -138,6 +138,7 @@ function checkRequiredFiles() {
     "privacy/index.html",
     "terms/index.html",
     "disclosure/index.html",
+    "compare/index.html",
     "research/public-waste-access-report-2026/index.html",
     "research/public-waste-access-report-2026/public-waste-access-report-2026.pdf",
     "research/public-waste-access-report-2026/public-waste-access-report-2026.json",
@@ -313,6 +314,20 @@ function expectedCitySetForState(state) {
   );
 }
 
+// County page slugs ("harris-county"), from the manifest generate-county-pages.js writes
+function countyPageSetForState(state) {
+  const data = readJsonSafe(path.join(ROOT, "data", state, "_county-pages.json"), {});
+  const counties = data && typeof data.counties === "object" && data.counties ? data.counties : {};
+  return new Set(Object.keys(counties).map((slug) => slug.toLowerCase().trim()));
+}
+
+// Facility-type page slugs ("landfills"), from the manifest generate-type-pages.js writes
+function typePageSetForState(state) {
+  const data = readJsonSafe(path.join(ROOT, "data", state, "_type-pages.json"), {});
+  const pages = data && typeof data === "object" && !Array.isArray(data) ? data : {};
+  return new Set(Object.keys(pages).map((slug) => slug.toLowerCase().trim()));
+}
+
 function expectedFacilitySet() {
   const ids = new Set();
   const indexPath = path.join(ROOT, "data", "facilities", "index.json");
@@ -360,7 +375,11 @@ function expectedFacilitySet() {
 
 function checkGeneratedDirDrift() {
   for (const state of STATES) {
-    const expected = expectedCitySetForState(state);
+    const expected = new Set([
+      ...expectedCitySetForState(state),
+      ...countyPageSetForState(state),
+      ...typePageSetForState(state),
+    ]);
     const stateDir = path.join(ROOT, state);
     if (!exists(stateDir)) continue;
 
@@ -1,4 +1,5 @@
 const fs = require("fs");
+const { loadGazetteer } = require("./gazetteer");
 
 const input = "data/tx-osm-waste.json";
 const raw = JSON.parse(fs.readFileSync(input, "utf8"));
@@ -63,11 +64,35 @@ for (const el of raw.elements || []) {
   }
 }
 
+// With a gazetteer, fold each tag city into its canonical place and leave out what doesn't resolve
+const gazetteer = loadGazetteer("texas");
+const unresolved = [];
+if (gazetteer) {
+  for (const [city, n] of [...counts.entries()]) {
+    const hit = gazetteer.resolve(city);
+    if (hit && hit.slug.replace(/-/g, " ") === city) continue;
+    counts.delete(city);
+    if (!hit) {
+      unresolved.push({ city, n });
+      continue;
+    }
+    const canonical = hit.slug.replace(/-/g, " ");
+    counts.set(canonical, (counts.get(canonical) || 0) + n);
+    if (!samples.has(canonical)) samples.set(canonical, samples.get(city));
+  }
+}
+
 // Turn into sorted list
 const rows = [...counts.entries()]
   .map(([city, n]) => ({ city, n, sample: samples.get(city) }))
   .sort((a, b) => b.n - a.n);
 
+if (gazetteer && unresolved.length) {
+  console.log(`${unresolved.length} tag cities not in ${gazetteer.file} (left out):`);
+  for (const u of unresolved.sort((a, b) => b.n - a.n)) console.log(`  ${u.city} (${u.n})`);
+  console.log("");
+}
+
 console.log(`Found ${rows.length} cities with addr:city-like tags.\nTop 50:\n`);
 console.table(rows.slice(0, 50).map(r => ({
   city: r.city,
@@ -82,7 +107,7 @@ const out = rows
   .map(r => ({
     state: "texas",
     city: r.city.replace(/\s+/g, "-"),
-    query: `${titleCase(r.city)} Texas USA`
+    query: `${gazetteer?.places.get(r.city.replace(/\s+/g, "-"))?.name || titleCase(r.city)} Texas USA`
   }));
 
 fs.writeFileSync("scripts/cities-texas.from-osm.json", JSON.stringify(out, null, 2));
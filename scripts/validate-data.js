@@ -0,0 +1,343 @@
+// scripts/validate-data.js
+// Validates manual city data and generated facility data against the JSON Schemas in ./data/schemas.
+// Reports every violation as "<file> <json path>: <message>" and exits non-zero when any are found,
+// so the build stops before malformed data reaches the page generators.
+//
+// Usage (CMD):
+//   node scripts/validate-data.js                  (everything)
+//   node scripts/validate-data.js texas            (manual + generated data for one state, plus all facilities)
+//   node scripts/validate-data.js texas houston    (one manual city, plus all facilities)
+//   node scripts/validate-data.js --facilities     (only ./data/facilities: the build's second pass, after the
+//                                                   manual, overrides, materials and aliases stages rewrote it)
+//
+// Checked files -> schema:
+//   ./data/manual/<state>/<city>[.geocoded|.resolved].json  -> manual-city.schema.json
+//   ./data/manual/<state>/rules/<city>.json                 -> rules-profile.schema.json
+//   ./data/manual/facility-overrides[.example].json         -> facility-overrides.schema.json
+//   ./data/content/<state>/<city>.json                      -> city-content.schema.json
+//   ./data/facilities/f_*.json, index.json entries          -> facility.schema.json
+//   ./data/facilities/_aliases.json                         -> facility-aliases.schema.json
+//   ./data/facility-history/f_*.json                        -> facility-history.schema.json
+//   ./data/redirects/slug-history.json                      -> slug-history.schema.json
+//   ./data/<state>/_neighbors.json                          -> neighbors.schema.json
+//   ./data/<state>/_city-centroids.json                     -> city-centroids.schema.json
+//   ./data/<state>/_material-pages.json                     -> material-pages.schema.json
+//   ./data/<state>/_county-pages.json                       -> county-pages.schema.json
+//   ./data/<state>/_type-pages.json                         -> type-pages.schema.json
+//
+// The validator implements the subset of JSON Schema the schemas use:
+//   $ref (local and cross-file #/$defs/...), type, enum, const, pattern, minLength,
+//   minimum, maximum, minItems, required, properties, additionalProperties,
+//   propertyNames, minProperties, items, anyOf.
+
+const fs = require("fs");
+const path = require("path");
+
+const FACILITIES_ONLY = process.argv.includes("--facilities");
+const positional = process.argv.slice(2).filter((a) => !a.startsWith("--"));
+const stateArg = String(positional[0] || "").toLowerCase();
+const cityArg = String(positional[1] || "").toLowerCase();
+
+const DATA_DIR = path.join(".", "data");
+const SCHEMA_DIR = path.join(DATA_DIR, "schemas");
+const MANUAL_BASE = path.join(DATA_DIR, "manual");
+const CONTENT_BASE = path.join(DATA_DIR, "content");
+const FACILITIES_DIR = path.join(DATA_DIR, "facilities");
+const HISTORY_DIR = path.join(DATA_DIR, "facility-history");
+const SLUG_HISTORY_PATH = path.join(DATA_DIR, "redirects", "slug-history.json");
+
+// Generated per-state files under ./data/<state>/
+const STATE_DATA_FILES = [
+  ["_neighbors.json", "neighbors.schema.json"],
+  ["_city-centroids.json", "city-centroids.schema.json"],
+  ["_material-pages.json", "material-pages.schema.json"],
+  ["_county-pages.json", "county-pages.schema.json"],
+  ["_type-pages.json", "type-pages.schema.json"],
+];
+
+const errors = [];
+const schemaCache = new Map();
+
+function loadSchema(name) {
+  if (!schemaCache.has(name)) {
+    const p = path.join(SCHEMA_DIR, name);
+    schemaCache.set(name, JSON.parse(fs.readFileSync(p, "utf-8")));
+  }
+  return schemaCache.get(name);
+}
+
+// "common.schema.json#/$defs/date" or "#/$defs/day" (relative to the current schema file)
+function resolveRef(ref, currentFile) {
+  const [filePart, pointer = ""] = ref.split("#");
+  const file = filePart || currentFile;
+  let node = loadSchema(file);
+  for (const seg of pointer.split("/").filter(Boolean)) {
+    node = node ? node[seg] : undefined;
+  }
+  if (!node) throw new Error(`Unresolvable $ref "${ref}" from ${currentFile}`);
+  return { schema: node, file };
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+function childPath(base, key) {
+  if (typeof key === "number") return `${base}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+}
+
+function describe(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+// Returns a list of { path, message } for value against schema.
+function check(value, schema, file, at) {
+  if (schema.$ref) {
+    const target = resolveRef(schema.$ref, file);
+    return check(value, target.schema, target.file, at);
+  }
+
+  const out = [];
+  const fail = (message) => out.push({ path: at, message });
+
+  if (schema.anyOf) {
+    const ok = schema.anyOf.some((sub) => check(value, sub, file, at).length === 0);
+    if (!ok) fail(`${describe(value)} does not match any allowed form`);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      fail(`expected ${types.join(" or ")}, got ${typeOf(value)}`);
+      return out;
+    }
+  }
+
+  if ("const" in schema && value !== schema.const) fail(`must be ${describe(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`${describe(value)} is not one of ${schema.enum.map(describe).join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail("must not be empty");
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`${describe(value)} does not match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`${value} is below minimum ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`${value} is above maximum ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => out.push(...check(item, schema.items, file, childPath(at, i))));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const keys = Object.keys(value);
+    const props = schema.properties || {};
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      fail(`must have at least ${schema.minProperties} propert${schema.minProperties === 1 ? "y" : "ies"}`);
+    }
+
+    for (const req of schema.required || []) {
+      if (!(req in value)) fail(`missing required property "${req}"`);
+    }
+
+    for (const key of keys) {
+      const keyPath = childPath(at, key);
+
+      if (schema.propertyNames) {
+        for (const e of check(key, schema.propertyNames, file, keyPath)) {
+          out.push({ path: keyPath, message: `property name ${e.message}` });
+        }
+      }
+
+      if (props[key]) {
+        out.push(...check(value[key], props[key], file, keyPath));
+      } else if (schema.additionalProperties === false) {
+        out.push({ path: keyPath, message: "unknown property" });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        out.push(...check(value[key], schema.additionalProperties, file, keyPath));
+      }
+    }
+  }
+
+  return out;
+}
+
+function validateFile(filePath, schemaName, { eachItem = false } = {}) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (e) {
+    errors.push({ file: filePath, path: "$", message: `invalid JSON (${e.message})` });
+    return;
+  }
+
+  const schema = loadSchema(schemaName);
+  let found;
+  if (eachItem) {
+    if (!Array.isArray(data)) {
+      found = [{ path: "$", message: `expected array, got ${typeOf(data)}` }];
+    } else {
+      found = data.flatMap((item, i) => check(item, schema, schemaName, `$[${i}]`));
+    }
+  } else {
+    found = check(data, schema, schemaName, "$");
+  }
+
+  for (const e of found) errors.push({ file: filePath, ...e });
+}
+
+function listDirs(base) {
+  if (!fs.existsSync(base)) return [];
+  return fs
+    .readdirSync(base, { withFileTypes: true })
+    .filter((d) => d.isDirectory())
+    .map((d) => d.name)
+    .sort();
+}
+
+function manualFiles() {
+  const states = stateArg ? [stateArg] : listDirs(MANUAL_BASE);
+  const files = [];
+  for (const state of states) {
+    const dir = path.join(MANUAL_BASE, state);
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir).sort()) {
+      if (!name.endsWith(".json")) continue;
+      if (cityArg && name.split(".")[0] !== cityArg) continue;
+      files.push(path.join(dir, name));
+    }
+  }
+  return files;
+}
+
+// One <city>.json per city: ./data/content/<state>/ or ./data/manual/<state>/rules/
+function perCityFiles(base, subdir = "") {
+  const states = stateArg ? [stateArg] : listDirs(base);
+  const files = [];
+  for (const state of states) {
+    const dir = path.join(base, state, subdir);
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir).sort()) {
+      if (!name.endsWith(".json")) continue;
+      if (cityArg && name !== `${cityArg}.json`) continue;
+      files.push(path.join(dir, name));
+    }
+  }
+  return files;
+}
+
+function stateDataDirs() {
+  if (cityArg) return [];
+  const states = stateArg ? [stateArg] : listDirs(DATA_DIR);
+  return states
+    .map((state) => path.join(DATA_DIR, state))
+    .filter((dir) => STATE_DATA_FILES.some(([name]) => fs.existsSync(path.join(dir, name))));
+}
+
+function validateFacilityRecords() {
+  let checked = 0;
+  if (!fs.existsSync(FACILITIES_DIR)) return checked;
+
+  for (const name of fs.readdirSync(FACILITIES_DIR).sort()) {
+    const p = path.join(FACILITIES_DIR, name);
+    if (name === "_aliases.json") validateFile(p, "facility-aliases.schema.json");
+    else if (name === "index.json") validateFile(p, "facility.schema.json", { eachItem: true });
+    else if (/^f_.*\.json$/.test(name)) validateFile(p, "facility.schema.json");
+    else continue;
+    checked += 1;
+  }
+  return checked;
+}
+
+function report(checked) {
+  for (const e of errors) console.log(`ERROR: ${e.file} ${e.path}: ${e.message}`);
+
+  if (errors.length > 0) {
+    console.error(`\n❌ Data validation failed: ${errors.length} error(s) in ${new Set(errors.map((e) => e.file)).size} file(s).`);
+    process.exit(1);
+  }
+
+  console.log(`✅ Data validation passed (${checked} file(s)).`);
+}
+
+function run() {
+  if (FACILITIES_ONLY) {
+    report(validateFacilityRecords());
+    return;
+  }
+
+  let checked = 0;
+
+  for (const p of manualFiles()) {
+    validateFile(p, "manual-city.schema.json");
+    checked += 1;
+  }
+
+  for (const p of perCityFiles(MANUAL_BASE, "rules")) {
+    validateFile(p, "rules-profile.schema.json");
+    checked += 1;
+  }
+
+  for (const p of perCityFiles(CONTENT_BASE)) {
+    validateFile(p, "city-content.schema.json");
+    checked += 1;
+  }
+
+  // The example is never applied; checking it keeps the documented format in step with the schema
+  for (const name of ["facility-overrides.json", "facility-overrides.example.json"]) {
+    const overridesPath = path.join(MANUAL_BASE, name);
+    if (!fs.existsSync(overridesPath)) continue;
+    validateFile(overridesPath, "facility-overrides.schema.json");
+    checked += 1;
+  }
+
+  checked += validateFacilityRecords();
+
+  if (fs.existsSync(HISTORY_DIR)) {
+    for (const name of fs.readdirSync(HISTORY_DIR).sort()) {
+      if (!/^f_.*\.json$/.test(name)) continue;
+      validateFile(path.join(HISTORY_DIR, name), "facility-history.schema.json");
+      checked += 1;
+    }
+  }
+
+  if (fs.existsSync(SLUG_HISTORY_PATH)) {
+    validateFile(SLUG_HISTORY_PATH, "slug-history.schema.json");
+    checked += 1;
+  }
+
+  for (const dir of stateDataDirs()) {
+    for (const [name, schemaName] of STATE_DATA_FILES) {
+      const p = path.join(dir, name);
+      if (!fs.existsSync(p)) continue;
+      validateFile(p, schemaName);
+      checked += 1;
+    }
+  }
+
+  report(checked);
+}
+
+run();